@@ -1,5 +1,5 @@
 import 'react-native-get-random-values';
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet as RNStyleSheet } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { PaperProvider, MD3LightTheme } from 'react-native-paper';
@@ -11,6 +11,8 @@ import { ClassesProvider } from './src/context/ClassesContext';
 import AppNavigator from './src/navigation/AppNavigator';
 import { colors } from './src/constants/colors';
 import { logger } from './src/utils/logger';
+import { prepareLocalData } from './src/services/localData';
+import { registerBackgroundSync } from './src/services/backgroundSync';
 
 class ErrorBoundary extends React.Component {
   state = { hasError: false };
@@ -117,6 +119,35 @@ const theme = {
 };
 
 export default function App() {
+  // Local data has to be open and in the current shape before any provider
+  // loads it
+  const [storageState, setStorageState] = useState('loading');
+
+  useEffect(() => {
+    prepareLocalData()
+      .then(() => setStorageState('ready'))
+      .catch(() => setStorageState('failed'));
+
+    // Keep syncing while the app is closed
+    registerBackgroundSync().catch(error => {
+      console.error('Could not register background sync:', error);
+    });
+  }, []);
+
+  if (storageState === 'loading') return null;
+
+  if (storageState === 'failed') {
+    return (
+      <View style={errorStyles.container}>
+        <Text style={errorStyles.emoji}>!</Text>
+        <Text style={errorStyles.title}>Couldn't open saved data</Text>
+        <Text style={errorStyles.message}>
+          Your data is still on this phone. Please close the app and open it again.
+        </Text>
+      </View>
+    );
+  }
+
   return (
     <ErrorBoundary>
       <SafeAreaProvider>
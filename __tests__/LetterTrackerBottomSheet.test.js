@@ -0,0 +1,48 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+import { LETTER_SETS, PEDAGOGICAL_ORDERS } from '../src/constants/egraConstants';
+import { computeAssessmentMastery } from '../src/utils/letterMastery';
+import { getTrackerCount } from '../src/components/session/LetterTrackerBottomSheet';
+
+// Passage, non-word and phonemic records carry letter_language too; only
+// letter assessments say which letters a child has mastered.
+
+const letterAssessment = {
+  id: 'a1',
+  child_id: 'c1',
+  assessment_type: 'letter_egra',
+  letter_language: 'English',
+  last_letter_attempted: { index: 19 },
+  correct_letters: Array.from({ length: 20 }, (_, index) => ({ index })),
+  date_assessed: '2026-05-04',
+  created_at: '2026-05-04T10:00:00Z',
+  synced: false,
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('getTrackerCount', () => {
+  test('counts letters from the latest letter assessment, not a later subtest', async () => {
+    await storage.saveAssessment(letterAssessment);
+    await storage.saveAssessment({
+      id: 'a2',
+      child_id: 'c1',
+      assessment_type: 'orf_egra',
+      letter_language: 'English',
+      last_letter_attempted: { index: 40 },
+      correct_letters: [],
+      date_assessed: '2026-05-11',
+      created_at: '2026-05-11T10:00:00Z',
+      synced: false,
+    });
+
+    const expected = computeAssessmentMastery(
+      letterAssessment, LETTER_SETS.english, PEDAGOGICAL_ORDERS.english
+    ).size;
+
+    expect(expected).toBeGreaterThan(0);
+    expect(await getTrackerCount('c1', 'english')).toBe(expected);
+  });
+});
@@ -0,0 +1,205 @@
+import {
+  computeAssessmentResult,
+  computeCorrectPerMinute,
+  getCorrectPerMinute,
+  getFluencyLabel,
+  meetsDiscontinueRule,
+  computePassageResult,
+  computeComprehensionResult,
+  getAskableQuestions,
+  meetsPassageDiscontinueRule,
+  computeOralResult,
+} from '../src/utils/assessmentScoring';
+import {
+  ENGLISH_LETTER_SET,
+  PASSAGE_SETS,
+  ENGLISH_PASSAGE,
+  WORD_SETS,
+  NONWORD_SETS,
+  ENGLISH_INITIAL_SOUND_SET,
+  getItemSetById,
+} from '../src/constants/egraConstants';
+
+const rule = ENGLISH_LETTER_SET.discontinueRule; // first 10 letters
+
+describe('meetsDiscontinueRule', () => {
+  test('stops a child who moves past the first row with nothing right', () => {
+    expect(meetsDiscontinueRule({}, 10, rule)).toBe(true);
+    expect(meetsDiscontinueRule({}, 20, rule)).toBe(true);
+  });
+
+  test('never stops while the child is still inside the first row', () => {
+    expect(meetsDiscontinueRule({}, 9, rule)).toBe(false);
+  });
+
+  test('one correct item in the first row keeps the subtest going', () => {
+    expect(meetsDiscontinueRule({ 9: true }, 30, rule)).toBe(false);
+  });
+
+  test('correct items after the first row do not count', () => {
+    expect(meetsDiscontinueRule({ 12: true }, 13, rule)).toBe(true);
+  });
+
+  test('item sets without a rule always run the full timer', () => {
+    expect(meetsDiscontinueRule({}, 59, undefined)).toBe(false);
+  });
+});
+
+describe('computeAssessmentResult', () => {
+  test('a discontinued attempt scores the first row, all wrong', () => {
+    const result = computeAssessmentResult({}, rule.items - 1, ENGLISH_LETTER_SET.letters);
+
+    expect(result).toMatchObject({ lettersAttempted: 10, correctResponses: 0, accuracy: 0 });
+    expect(result.incorrectLetters.map(l => l.letter)).toEqual(ENGLISH_LETTER_SET.letters.slice(0, 10));
+  });
+
+  test('counts unmarked attempted items as incorrect', () => {
+    const result = computeAssessmentResult({ 0: true, 2: true }, 3, ['a', 'b', 'c', 'd']);
+
+    expect(result).toMatchObject({ lettersAttempted: 4, correctResponses: 2, accuracy: 50 });
+  });
+});
+
+describe('correct items per minute', () => {
+  test('a child who finishes early is scored on the time they used', () => {
+    const states = Object.fromEntries(ENGLISH_LETTER_SET.letters.map((_, i) => [i, true]));
+
+    const result = computeAssessmentResult(states, 59, ENGLISH_LETTER_SET.letters, 40);
+
+    expect(result).toMatchObject({ correctResponses: 60, accuracy: 100, correctPerMinute: 90 });
+  });
+
+  test('the full minute scores the correct count', () => {
+    expect(computeCorrectPerMinute(34, 60)).toBe(34);
+  });
+
+  test('time is clamped to the timer, and never zero', () => {
+    expect(computeCorrectPerMinute(10, 75)).toBe(10);
+    expect(computeCorrectPerMinute(1, 0)).toBe(60);
+  });
+
+  test('older assessments are scored from their completion time', () => {
+    expect(getCorrectPerMinute({ correct_responses: 15, completion_time: 30 })).toBe(30);
+    expect(getCorrectPerMinute({ correct_responses: 15, completion_time: 30, correct_per_minute: 29 })).toBe(29);
+    expect(getCorrectPerMinute({ correct_responses: 15 })).toBeNull();
+  });
+
+  test('fluency labels follow EGRA', () => {
+    expect(getFluencyLabel('letter_egra')).toBe('CLPM');
+    expect(getFluencyLabel(undefined)).toBe('CLPM');
+    expect(getFluencyLabel('word_egra')).toBe('CWPM');
+    expect(getFluencyLabel('nonword_egra')).toBe('CNWPM');
+    expect(getFluencyLabel('orf_egra')).toBe('WCPM');
+  });
+});
+
+describe('non-word sets', () => {
+  test("have no real words from the language's word set", () => {
+    for (const [language, set] of Object.entries(NONWORD_SETS)) {
+      const realWords = new Set(WORD_SETS[language].letters);
+      expect(set.letters.filter(item => realWords.has(item))).toEqual([]);
+      expect(new Set(set.letters).size).toBe(set.letters.length);
+    }
+  });
+
+  test('are found by id like the other sets', () => {
+    expect(getItemSetById('english_nonwords_50')).toBe(NONWORD_SETS.english);
+    expect(getItemSetById('isixhosa_nonwords_50')).toBe(NONWORD_SETS.isixhosa);
+  });
+});
+
+describe('oral reading passages', () => {
+  const words = ENGLISH_PASSAGE.letters;
+
+  test('words up to the last one read and not marked wrong are correct', () => {
+    const result = computePassageResult({ 2: true, 7: true }, 19, words, 60);
+
+    expect(result).toMatchObject({ lettersAttempted: 20, correctResponses: 18, accuracy: 90, correctPerMinute: 18 });
+    expect(result.incorrectLetters).toEqual([{ index: 2, letter: 'a' }, { index: 7, letter: 'with' }]);
+  });
+
+  test('a child who reads the whole passage early is scored on the time used', () => {
+    const result = computePassageResult({}, words.length - 1, words, 30);
+
+    expect(result.correctPerMinute).toBe(words.length * 2);
+  });
+
+  test('stops only when every word of the first line is marked wrong', () => {
+    const rule = ENGLISH_PASSAGE.discontinueRule;
+    const firstLine = Object.fromEntries(Array.from({ length: rule.items }, (_, i) => [i, true]));
+
+    expect(meetsPassageDiscontinueRule(firstLine, rule)).toBe(true);
+    expect(meetsPassageDiscontinueRule({ ...firstLine, 3: undefined }, rule)).toBe(false);
+    expect(meetsPassageDiscontinueRule(firstLine, undefined)).toBe(false);
+  });
+
+  test('only asks questions about the part of the passage read', () => {
+    expect(getAskableQuestions(ENGLISH_PASSAGE, 3)).toEqual([]);
+    expect(getAskableQuestions(ENGLISH_PASSAGE, 23).map(q => q.id)).toEqual(['q1', 'q2', 'q3']);
+  });
+
+  test('comprehension is scored out of all the questions', () => {
+    const result = computeComprehensionResult(ENGLISH_PASSAGE.questions, {
+      q1: 'correct', q2: 'incorrect', q3: 'no_response',
+    });
+
+    expect(result).toEqual({
+      questions: [
+        { id: 'q1', result: 'correct' },
+        { id: 'q2', result: 'incorrect' },
+        { id: 'q3', result: 'no_response' },
+        { id: 'q4', result: 'not_asked' },
+        { id: 'q5', result: 'not_asked' },
+      ],
+      asked: 3,
+      correct: 1,
+      total: 5,
+      percent: 20,
+    });
+  });
+
+  test('question and discontinue word indexes fall inside each passage', () => {
+    for (const passage of Object.values(PASSAGE_SETS)) {
+      for (const q of passage.questions) {
+        expect(q.afterWord).toBeLessThan(passage.letters.length);
+      }
+      expect(passage.discontinueRule.items).toBeLessThan(passage.letters.length);
+    }
+  });
+});
+
+describe('phonemic awareness items', () => {
+  const words = ENGLISH_INITIAL_SOUND_SET.letters;
+
+  test('scores items up to the last answered, flagging no responses', () => {
+    const result = computeOralResult({ 0: 'correct', 1: 'no_response', 2: 'incorrect', 3: 'correct' }, words);
+
+    expect(result).toMatchObject({
+      lettersAttempted: 4,
+      correctResponses: 2,
+      accuracy: 50,
+      noResponses: 1,
+      correctPerMinute: null,
+    });
+    expect(result.incorrectLetters).toEqual([
+      { index: 1, letter: 'sun', no_response: true },
+      { index: 2, letter: 'fish' },
+    ]);
+  });
+
+  test('nothing answered scores nothing', () => {
+    expect(computeOralResult({}, words)).toMatchObject({ lettersAttempted: 0, correctResponses: 0, noResponses: 0 });
+  });
+
+  test('the first five wrong or unanswered stops the subtest', () => {
+    const responses = { 0: 'incorrect', 1: 'no_response', 2: 'incorrect', 3: 'no_response', 4: 'incorrect' };
+    const correct = {};
+
+    expect(meetsDiscontinueRule(correct, 4, ENGLISH_INITIAL_SOUND_SET.discontinueRule)).toBe(false);
+    expect(meetsDiscontinueRule(correct, Object.keys(responses).length, ENGLISH_INITIAL_SOUND_SET.discontinueRule)).toBe(true);
+  });
+
+  test('untimed subtests have no fluency score', () => {
+    expect(getCorrectPerMinute({ assessment_type: 'syllable_egra', correct_responses: 6, completion_time: 90 })).toBeNull();
+  });
+});
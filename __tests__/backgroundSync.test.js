@@ -0,0 +1,129 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+const mockUpserts = [];
+let mockNetwork;
+let mockPowerState;
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: { user: { id: 'u1' } } } }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        mockUpserts.push(...rows.map(r => `${table}:${r.id}`));
+        return { error: null };
+      },
+    }),
+  },
+}));
+
+// Local data is opened by the tests themselves
+jest.mock('../src/services/localData', () => ({ prepareLocalData: async () => {} }));
+
+jest.mock('@react-native-community/netinfo', () => ({ fetch: async () => mockNetwork }));
+
+jest.mock('expo-battery', () => ({
+  BatteryState: { UNKNOWN: 0, UNPLUGGED: 1, CHARGING: 2, FULL: 3 },
+  getPowerStateAsync: async () => mockPowerState,
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskRegisteredAsync: jest.fn(async () => false),
+}));
+
+jest.mock('expo-background-task', () => ({
+  BackgroundTaskStatus: { Restricted: 1, Available: 2 },
+  BackgroundTaskResult: { Success: 1, Failed: 2 },
+  getStatusAsync: jest.fn(async () => 2),
+  registerTaskAsync: jest.fn(async () => {}),
+}));
+
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import {
+  BACKGROUND_SYNC_TASK,
+  runBackgroundSync,
+  registerBackgroundSync,
+} from '../src/services/backgroundSync';
+import { getSyncStatus, getSyncHistory } from '../src/services/offlineSync';
+
+// Defined once, as the bundle loads
+const [[, backgroundSyncTask]] = TaskManager.defineTask.mock.calls;
+
+beforeEach(async () => {
+  await storage.switchUser(null);
+  await AsyncStorage.clear();
+  await storage.switchUser('u1');
+  mockUpserts.length = 0;
+  mockNetwork = { type: 'wifi', isConnected: true, isInternetReachable: true };
+  mockPowerState = { batteryLevel: 0.8, batteryState: 1, lowPowerMode: false };
+  jest.clearAllMocks();
+});
+
+describe('background sync', () => {
+  test('syncs and leaves its outcome for the next time the app opens', async () => {
+    await storage.saveSession({ id: 's1', user_id: 'u1', synced: false });
+
+    const outcome = await runBackgroundSync();
+
+    expect(mockUpserts).toEqual(['sessions:s1']);
+    expect(outcome).toMatchObject({ status: 'synced', totalSynced: 1, totalFailed: 0 });
+    expect((await getSyncStatus()).lastBackgroundSync).toEqual(outcome);
+    expect((await getSyncHistory())[0]).toMatchObject({
+      trigger: 'background_task',
+      network: { type: 'wifi' },
+    });
+  });
+
+  test.each([
+    ['offline', { network: { type: 'none', isConnected: false, isInternetReachable: false } }],
+    ['low_power', { power: { batteryLevel: 0.9, batteryState: 1, lowPowerMode: true } }],
+    ['low_battery', { power: { batteryLevel: 0.1, batteryState: 1, lowPowerMode: false } }],
+  ])('skips when %s', async (reason, { network, power }) => {
+    if (network) mockNetwork = network;
+    if (power) mockPowerState = power;
+    await storage.saveSession({ id: 's1', user_id: 'u1', synced: false });
+
+    const outcome = await runBackgroundSync();
+
+    expect(outcome).toMatchObject({ status: 'skipped', reason });
+    expect(mockUpserts).toEqual([]);
+    expect((await getSyncStatus()).lastBackgroundSync).toMatchObject({ status: 'skipped', reason });
+  });
+
+  test('a low battery that is charging still syncs', async () => {
+    mockPowerState = { batteryLevel: 0.1, batteryState: 2, lowPowerMode: false };
+
+    expect((await runBackgroundSync()).status).toBe('synced');
+  });
+
+  test('skips when nobody is signed in', async () => {
+    await storage.switchUser(null);
+
+    expect(await runBackgroundSync()).toMatchObject({ status: 'skipped', reason: 'signed_out' });
+  });
+
+  test('the task reports a failed sync to the OS', async () => {
+    jest.spyOn(storage, 'backfillSyncQueue').mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await backgroundSyncTask({});
+    console.error.mockRestore();
+
+    expect(result).toBe(BackgroundTask.BackgroundTaskResult.Failed);
+    expect((await getSyncStatus()).lastBackgroundSync).toMatchObject({ status: 'failed', error: 'disk full' });
+  });
+
+  test('registers once, and not where background tasks are restricted', async () => {
+    expect(await registerBackgroundSync()).toBe(true);
+    expect(BackgroundTask.registerTaskAsync).toHaveBeenCalledWith(BACKGROUND_SYNC_TASK, { minimumInterval: 60 });
+
+    BackgroundTask.getStatusAsync.mockResolvedValueOnce(BackgroundTask.BackgroundTaskStatus.Restricted);
+    expect(await registerBackgroundSync()).toBe(false);
+    expect(BackgroundTask.registerTaskAsync).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,51 @@
+import { getAssessmentRanking, getAssessmentsTabStats } from '../src/utils/dashboardStats';
+
+// A discontinued (EGRA early stop) attempt isn't a 0% score on the subtest:
+// the child wasn't given the rest of it.
+
+const children = [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }, { id: 'c4' }];
+
+const assessment = (id, childId, overrides = {}) => ({
+  id,
+  child_id: childId,
+  accuracy: 50,
+  correct_letters: [],
+  last_letter_attempted: { index: 9 },
+  date_assessed: '2026-05-04',
+  created_at: '2026-05-04T10:00:00Z',
+  discontinued: false,
+  ...overrides,
+});
+
+const assessments = [
+  assessment('a1', 'c1', { accuracy: 80, correct_letters: Array(8).fill({}) }),
+  assessment('a2', 'c2', { accuracy: 0, discontinued: true }),
+  assessment('a3', 'c3', { accuracy: 10, correct_letters: [{}] }),
+];
+
+describe('discontinued assessments', () => {
+  test('rank after every scored child but above unassessed ones', () => {
+    const ranking = getAssessmentRanking(children, assessments);
+
+    expect(ranking.map(r => r.child.id)).toEqual(['c1', 'c3', 'c2', 'c4']);
+    expect(ranking[2]).toMatchObject({ discontinued: true });
+    expect(ranking[3]).toMatchObject({ accuracy: null, discontinued: false });
+  });
+
+  test('are counted separately, not averaged in as 0%', () => {
+    const stats = getAssessmentsTabStats(children, assessments);
+
+    expect(stats.avgAccuracy).toBe(45); // (80 + 10) / 2
+    expect(stats.discontinuedCount).toBe(1);
+    expect(stats.totalAssessments).toBe(3);
+  });
+
+  test("a later full attempt replaces the child's discontinued one", () => {
+    const retried = [
+      ...assessments,
+      assessment('a4', 'c2', { accuracy: 30, date_assessed: '2026-05-11', created_at: '2026-05-11T10:00:00Z' }),
+    ];
+
+    expect(getAssessmentsTabStats(children, retried)).toMatchObject({ avgAccuracy: 40, discontinuedCount: 0 });
+  });
+});
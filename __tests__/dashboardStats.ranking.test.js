@@ -0,0 +1,54 @@
+import { getAssessmentRanking, getAssessmentsTabStats } from '../src/utils/dashboardStats';
+
+// The assessment ranking and tab stats compare letter EGRA scores only; a
+// child's later word, passage or sound subtest doesn't replace their letter
+// score.
+
+const children = [{ id: 'c1' }, { id: 'c2' }];
+
+const assessment = (id, childId, overrides = {}) => ({
+  id,
+  child_id: childId,
+  accuracy: 50,
+  correct_letters: [],
+  last_letter_attempted: { index: 9 },
+  date_assessed: '2026-05-04',
+  created_at: '2026-05-04T10:00:00Z',
+  discontinued: false,
+  ...overrides,
+});
+
+describe('assessment ranking', () => {
+  test('ranks each child on their latest letter assessment, ignoring other subtests', () => {
+    const ranking = getAssessmentRanking(children, [
+      assessment('a1', 'c1', { accuracy: 60, assessment_type: 'letter_egra' }),
+      assessment('a2', 'c1', { accuracy: 95, assessment_type: 'orf_egra', date_assessed: '2026-05-11' }),
+      assessment('a3', 'c2', { accuracy: 70 }),
+      assessment('a4', 'c2', { accuracy: 10, assessment_type: 'word_egra', date_assessed: '2026-05-11' }),
+    ]);
+
+    expect(ranking.map(r => [r.child.id, r.assessment.id])).toEqual([['c1', 'a1'], ['c2', 'a3']]);
+  });
+
+  test('a child with only other subtests is unassessed', () => {
+    const ranking = getAssessmentRanking(children, [
+      assessment('a1', 'c1', { accuracy: 60 }),
+      assessment('a2', 'c2', { accuracy: 90, assessment_type: 'syllable_egra' }),
+    ]);
+
+    expect(ranking[1]).toMatchObject({ child: { id: 'c2' }, accuracy: null });
+  });
+
+  test('tab stats average and count discontinued on letter assessments only', () => {
+    const stats = getAssessmentsTabStats(children, [
+      assessment('a1', 'c1', { accuracy: 60 }),
+      assessment('a2', 'c1', { accuracy: 100, assessment_type: 'nonword_egra', date_assessed: '2026-05-11' }),
+      assessment('a3', 'c2', { accuracy: 80, assessment_type: 'letter_egra' }),
+      assessment('a4', 'c2', {
+        accuracy: 0, assessment_type: 'initial_sound_egra', discontinued: true, date_assessed: '2026-05-11',
+      }),
+    ]);
+
+    expect(stats).toMatchObject({ avgAccuracy: 70, discontinuedCount: 0, totalAssessments: 4 });
+  });
+});
@@ -0,0 +1,47 @@
+import { meteredFetch, getDataUsage, usedSince, formatBytes } from '../src/services/dataUsage';
+
+const response = (body, headers = {}) => ({
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  clone: () => ({ text: async () => body }),
+});
+
+const originalFetch = global.fetch;
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('meteredFetch', () => {
+  test('counts the URL and body sent and the body received', async () => {
+    global.fetch = jest.fn(async () => response('[{"id":"s1"}]'));
+    const before = getDataUsage();
+
+    await meteredFetch('https://x.supabase.co/rest/v1/sessions', { method: 'POST', body: '{"id":"é"}' });
+
+    expect(usedSince(before)).toEqual({ sent: 38 + 11, received: 13 });
+  });
+
+  test("trusts Content-Length, the response's size on the wire", async () => {
+    global.fetch = jest.fn(async () => response('x'.repeat(5000), { 'content-length': '900' }));
+    const before = getDataUsage();
+
+    await meteredFetch('https://x.supabase.co/rest/v1/children');
+
+    expect(usedSince(before).received).toBe(900);
+  });
+
+  test('a failed request still counts what was sent', async () => {
+    global.fetch = jest.fn(async () => { throw new TypeError('Network request failed'); });
+    const before = getDataUsage();
+
+    await expect(meteredFetch('https://x.supabase.co/a', { body: 'abc' })).rejects.toThrow('Network');
+
+    expect(usedSince(before)).toEqual({ sent: 23 + 3, received: 0 });
+  });
+});
+
+test('formatBytes', () => {
+  expect(formatBytes(820)).toBe('820 B');
+  expect(formatBytes(14540)).toBe('14.2 KB');
+  expect(formatBytes(3250000)).toBe('3.1 MB');
+});
@@ -0,0 +1,112 @@
+import { STORAGE_KEYS } from '../src/utils/storage';
+
+jest.mock('../src/services/supabaseClient', () => ({ supabase: {} }));
+
+import { redactPersonalData, formatSyncHistory } from '../src/utils/debugExport';
+
+const child = {
+  id: 'c1234567-89ab',
+  first_name: 'Thandi',
+  last_name: 'Mokoena',
+  age: 7,
+  gender: 'Female',
+  class_id: 'k1',
+  synced: false,
+};
+
+describe('redactPersonalData', () => {
+  test("pseudonymises children's names and removes their details", () => {
+    const redacted = redactPersonalData({ [STORAGE_KEYS.CHILDREN]: [child] });
+
+    expect(redacted[STORAGE_KEYS.CHILDREN]).toEqual([{
+      id: 'c1234567-89ab',
+      first_name: 'Child c1234567',
+      last_name: '[redacted]',
+      age: '[redacted]',
+      gender: '[redacted]',
+      class_id: 'k1',
+      synced: false,
+    }]);
+  });
+
+  test('redacts teachers, outbox snapshots and conflict values', () => {
+    const redacted = redactPersonalData({
+      [STORAGE_KEYS.CLASSES]: [{ id: 'k1', name: '1A', teacher: 'Ms Dlamini', school_id: 'sch1' }],
+      [STORAGE_KEYS.SYNC_QUEUE]: [{ seq: 1, table: 'CHILDREN', id: child.id, op: 'create', record: child }],
+      [STORAGE_KEYS.SYNC_META]: {
+        conflicts: [{
+          table: 'CHILDREN', id: child.id, field: 'last_name', label: 'Thandi Mokoena',
+          localValue: 'Mokoena', serverValue: 'Mokoena-Smith', baseValue: 'M',
+        }],
+      },
+    });
+
+    expect(redacted[STORAGE_KEYS.CLASSES][0]).toMatchObject({ name: 'Class k1', teacher: '[redacted]', school_id: 'sch1' });
+    expect(JSON.stringify(redacted)).not.toMatch(/Thandi|Mokoena|Dlamini/);
+  });
+
+  test('pseudonymises school names', () => {
+    const redacted = redactPersonalData({
+      [STORAGE_KEYS.SCHOOLS]: [{ id: 'sch12345-6789', name: 'Sunrise Primary', created_at: '2026-01-01' }],
+    });
+
+    expect(redacted[STORAGE_KEYS.SCHOOLS]).toEqual([
+      { id: 'sch12345-6789', name: 'School sch12345', created_at: '2026-01-01' },
+    ]);
+  });
+
+  test('leaves other data alone', () => {
+    const database = { [STORAGE_KEYS.SESSIONS]: [{ id: 's1', activities: { letters: 3 } }] };
+
+    expect(redactPersonalData(database)).toEqual(database);
+  });
+});
+
+describe('formatSyncHistory', () => {
+  test('one line per run with its errors below', () => {
+    const text = formatSyncHistory([{
+      startedAt: '2026-10-13T08:00:00.000Z',
+      durationMs: 2400,
+      trigger: 'reconnect',
+      network: { type: 'cellular', reachable: true },
+      success: false,
+      totalSynced: 1,
+      totalFailed: 1,
+      totalDeferred: 0,
+      totalPulled: 4,
+      tables: { SESSIONS: { synced: 1, failed: 1, deferred: 0, held: 0, pulled: 4 } },
+      errors: [{ phase: 'push', table: 'SESSIONS', id: 's2', message: 'connection lost' }],
+      errorCount: 1,
+    }]);
+
+    expect(text).toBe(
+      '[2026-10-13T08:00:00.000Z] FAILED trigger=reconnect network=cellular 2400ms ' +
+      'synced=1 failed=1 deferred=0 pulled=4 SESSIONS(synced=1 failed=1 pulled=4)\n' +
+      '    push SESSIONS s2: connection lost'
+    );
+  });
+
+  test('marks data saver runs and the bytes they used', () => {
+    const text = formatSyncHistory([{
+      startedAt: '2026-10-13T08:00:00.000Z',
+      durationMs: 900,
+      trigger: 'manual',
+      network: { type: 'cellular', reachable: true },
+      dataSaver: true,
+      bytes: { sent: 2100, received: 340 },
+      success: true,
+      totalSynced: 1,
+      totalFailed: 0,
+      totalDeferred: 0,
+      totalPulled: 0,
+      tables: { SESSIONS: { synced: 1, failed: 0, deferred: 0, held: 0 } },
+      errors: [],
+      errorCount: 0,
+    }]);
+
+    expect(text).toBe(
+      '[2026-10-13T08:00:00.000Z] OK trigger=manual network=cellular data_saver 900ms ' +
+      'synced=1 failed=0 deferred=0 pulled=0 sent_bytes=2100 received_bytes=340 SESSIONS(synced=1)'
+    );
+  });
+});
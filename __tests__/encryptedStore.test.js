@@ -0,0 +1,112 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage, STORAGE_KEYS, asyncStorageBackend } from '../src/utils/storage';
+import { runStorageMigrations } from '../src/utils/storageMigrations';
+
+// In-memory keystore
+const mockKeystore = {};
+jest.mock('expo-secure-store', () => ({
+  AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+  getItemAsync: jest.fn(async (name) => mockKeystore[name] ?? null),
+  setItemAsync: jest.fn(async (name, value) => { mockKeystore[name] = value; }),
+}));
+
+import * as SecureStore from 'expo-secure-store';
+import { createCipher, enableEncryption } from '../src/utils/encryptedStore';
+
+const rawJSON = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+const child = { id: 'c1', first_name: 'Thandi', last_name: 'M', age: 7, synced: false, created_at: '2026-01-01' };
+
+const plainOpenUserStore = storage.openUserStore;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  for (const name of Object.keys(mockKeystore)) delete mockKeystore[name];
+  jest.clearAllMocks();
+  storage.useBackend(asyncStorageBackend);
+  storage.openUserStore = plainOpenUserStore;
+});
+
+afterAll(() => {
+  storage.useBackend(asyncStorageBackend);
+  storage.openUserStore = plainOpenUserStore;
+});
+
+describe('encrypted storage', () => {
+  test("children's personal data is sealed at rest and readable through storage", async () => {
+    await enableEncryption();
+
+    await storage.saveChild(child);
+
+    const [stored] = await rawJSON(STORAGE_KEYS.CHILDREN);
+    expect(Object.keys(stored).sort()).toEqual(['_sealed', 'created_at', 'id', 'synced']);
+    expect(JSON.stringify(stored)).not.toContain('Thandi');
+    expect(await storage.getChildren()).toEqual([child]);
+  });
+
+  test('lookups by sync state and child still work', async () => {
+    await enableEncryption();
+    await storage.saveChild(child);
+    await storage.saveChild({ ...child, id: 'c2', synced: true });
+    await storage.saveAssessment({ id: 'a1', child_id: 'c1', date_assessed: '2026-02-01', synced: true });
+
+    expect((await storage.getUnsyncedChildren()).map(c => c.id)).toEqual(['c1']);
+    expect((await storage.getRecordsBetween('ASSESSMENTS', '2026-02-01', '2026-03-01'))).toHaveLength(1);
+  });
+
+  test('outbox snapshots of encrypted tables are sealed too', async () => {
+    await enableEncryption();
+
+    await storage.saveChild(child);
+    await storage.saveSession({ id: 's1', session_date: '2026-01-01', synced: false });
+
+    const raw = await rawJSON(STORAGE_KEYS.SYNC_QUEUE);
+    expect(raw[0].record).toEqual({ _sealed: expect.any(String) });
+    expect(raw[1].record.id).toBe('s1');
+    expect((await storage.getSyncQueue())[0].record).toEqual(child);
+  });
+
+  test('transactions commit sealed records', async () => {
+    await enableEncryption();
+
+    await storage.transaction(['CHILDREN'], async (tx) => {
+      await tx.saveChild(child);
+    });
+
+    expect(JSON.stringify(await rawJSON(STORAGE_KEYS.CHILDREN))).not.toContain('Thandi');
+    expect(await storage.getChildren()).toEqual([child]);
+  });
+
+  test('the key is created once and kept in the keystore', async () => {
+    await enableEncryption();
+    storage.openUserStore = plainOpenUserStore;
+    await enableEncryption();
+
+    expect(SecureStore.setItemAsync).toHaveBeenCalledTimes(1);
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith(
+      'masi_storage_key',
+      expect.stringMatching(/^[0-9a-f]{64}$/),
+      { keychainAccessible: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY' }
+    );
+  });
+
+  test('data written before encryption is sealed by the storage migration', async () => {
+    await storage.saveChild(child);
+    await storage.setItem(STORAGE_KEYS.SCHEMA_VERSION, 2);
+    await enableEncryption();
+    expect(await storage.getChildren()).toEqual([child]);
+
+    await runStorageMigrations();
+
+    expect(JSON.stringify(await rawJSON(STORAGE_KEYS.CHILDREN))).not.toContain('Thandi');
+    expect(JSON.stringify(await rawJSON(`@schema_backup/${STORAGE_KEYS.CHILDREN}`))).not.toContain('Thandi');
+    expect(await storage.getChildren()).toEqual([child]);
+  });
+
+  test('a sealed value only opens with its own key', () => {
+    const sealed = createCipher(new Uint8Array(32).fill(1)).seal({ name: 'Thandi' });
+
+    expect(createCipher(new Uint8Array(32).fill(1)).open(sealed)).toEqual({ name: 'Thandi' });
+    expect(() => createCipher(new Uint8Array(32).fill(2)).open(sealed)).toThrow();
+  });
+});
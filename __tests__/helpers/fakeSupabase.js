@@ -0,0 +1,701 @@
+/**
+ * Fake Supabase
+ *
+ * An in-memory stand-in for the Supabase client, for testing offlineSync
+ * against realistic server behaviour without a live project. It holds the
+ * schema built up by supabase-migrations/ (through 16_add_assessment_comprehension)
+ * and answers the way PostgREST does:
+ *   - columns the table doesn't have → PGRST204
+ *   - row level security → 42501 when a write is refused; reads, updates
+ *     and deletes silently skip rows the user can't see
+ *   - NOT NULL / CHECK constraints → 23502 / 23514
+ *   - unique constraints, including the primary key → 23505
+ *   - foreign keys → 23503
+ *   - updated_at stamped by the server, created_by set by the insert
+ *     triggers, deletes cascade and leave sync_tombstones
+ * Requests count toward the app's data usage (dataUsage.js) by the JSON
+ * they'd carry, as the real client's meteredFetch would count them.
+ * A multi-row upsert is one statement: one bad row fails all of them.
+ *
+ * Only the client calls the app makes are implemented. Usage:
+ *
+ *   jest.mock('../src/services/supabaseClient', () => ({
+ *     supabase: require('./helpers/fakeSupabase').createFakeSupabase(),
+ *   }));
+ *   import { supabase } from '../src/services/supabaseClient';
+ *   const server = supabase.server;
+ *
+ * Test controls on `server`:
+ *   signIn(userId) / signOut()  — the session the client sends (adds the user)
+ *   seed(table, rows)           — write rows as the service role: no RLS
+ *   rows(table)                 — copies of the table's rows
+ *   remove(table, ids)          — delete as the service role (cascades, tombstones)
+ *   setOnline(online)           — offline, every request fails like fetch does
+ *   failNext({ table, op, times, error }) — fail the next matching requests
+ *                                 (op: 'select'|'upsert'|'update'|'delete';
+ *                                 error defaults to a network failure)
+ *   requests                    — every request: { table, op, ids, error }
+ *   reset()                     — empty every table and clear the above
+ */
+
+import { recordDataUsage } from '../../src/services/dataUsage';
+
+export const NETWORK_ERROR = {
+  message: 'TypeError: Network request failed',
+  details: 'TypeError: Network request failed',
+  hint: '',
+  code: '',
+};
+
+// Row level security helpers (auth.uid() is `uid`)
+const own = (column) => (row, uid) => row[column] === uid;
+const ownsGroup = (row, uid, db) => db.groups.some(g => g.id === row.group_id && g.staff_id === uid);
+const assignedChild = (row, uid, db) =>
+  db.staff_children.some(sc => sc.child_id === row.id && sc.staff_id === uid);
+
+const TIMESTAMPS = ['created_at', 'updated_at'];
+
+/**
+ * Tables as the migrations leave them. `policies` lists the RLS policy per
+ * command (permissive policies OR'd into one function); a command without
+ * one is refused. `references` are foreign keys; `unique` excludes the
+ * primary key (id, always unique).
+ */
+const SCHEMA = {
+  users: {
+    columns: ['id', 'first_name', 'last_name', 'job_title', 'assigned_school', ...TIMESTAMPS],
+    notNull: ['first_name', 'last_name', 'job_title', 'assigned_school'],
+    policies: { select: own('id'), update: own('id') },
+  },
+  schools: {
+    columns: ['id', 'name', 'created_at'],
+    notNull: ['name'],
+    unique: [['name']],
+    policies: { select: () => true },
+  },
+  time_entries: {
+    columns: [
+      'id', 'user_id', 'sign_in_time', 'sign_in_lat', 'sign_in_lon', 'sign_out_time',
+      'sign_out_lat', 'sign_out_lon', 'auto_clocked_out', 'synced', ...TIMESTAMPS,
+    ],
+    notNull: ['user_id', 'sign_in_time', 'sign_in_lat', 'sign_in_lon'],
+    references: { user_id: { table: 'users', onDelete: 'cascade' } },
+    defaults: { auto_clocked_out: false, synced: false },
+    policies: { select: own('user_id'), insert: own('user_id'), update: own('user_id') },
+  },
+  sessions: {
+    columns: [
+      'id', 'user_id', 'session_type', 'session_date', 'children_ids', 'group_ids',
+      'activities', 'notes', 'synced', ...TIMESTAMPS,
+    ],
+    notNull: ['user_id', 'session_type', 'session_date', 'children_ids', 'activities'],
+    references: { user_id: { table: 'users', onDelete: 'cascade' } },
+    defaults: { activities: {}, synced: false },
+    policies: { select: own('user_id'), insert: own('user_id'), update: own('user_id') },
+  },
+  classes: {
+    columns: [
+      'id', 'name', 'grade', 'teacher', 'home_language', 'school_id', 'staff_id',
+      'created_by', ...TIMESTAMPS,
+    ],
+    notNull: ['name', 'grade', 'teacher', 'home_language', 'school_id', 'staff_id'],
+    unique: [['staff_id', 'name', 'school_id']],
+    references: {
+      school_id: { table: 'schools', onDelete: 'restrict' },
+      staff_id: { table: 'users', onDelete: 'cascade' },
+    },
+    setsCreatedBy: true,
+    policies: {
+      select: (row, uid) => row.staff_id === uid || row.created_by === uid,
+      insert: own('created_by'),
+      update: own('staff_id'),
+      delete: own('staff_id'),
+    },
+  },
+  children: {
+    columns: [
+      'id', 'first_name', 'last_name', 'age', 'gender', 'class_id', 'class', 'teacher',
+      'school', 'group_name', 'created_by', 'hidden_at', ...TIMESTAMPS,
+    ],
+    notNull: ['first_name', 'last_name', 'age'],
+    checks: { children_age_check: (row) => row.age > 0 && row.age < 18 },
+    references: { class_id: { table: 'classes', onDelete: 'set null' } },
+    setsCreatedBy: true,
+    policies: {
+      select: (row, uid, db) => assignedChild(row, uid, db) || row.created_by === uid,
+      insert: own('created_by'),
+      update: assignedChild,
+    },
+  },
+  staff_children: {
+    columns: ['id', 'staff_id', 'child_id', 'assigned_at', 'synced', ...TIMESTAMPS],
+    unique: [['staff_id', 'child_id']],
+    references: {
+      staff_id: { table: 'users', onDelete: 'cascade' },
+      child_id: { table: 'children', onDelete: 'cascade' },
+    },
+    defaults: { synced: false },
+    policies: { select: own('staff_id'), insert: own('staff_id'), delete: own('staff_id') },
+  },
+  groups: {
+    columns: ['id', 'name', 'staff_id', 'synced', ...TIMESTAMPS],
+    notNull: ['name', 'staff_id'],
+    unique: [['staff_id', 'name']],
+    references: { staff_id: { table: 'users', onDelete: 'cascade' } },
+    defaults: { synced: false },
+    policies: {
+      select: own('staff_id'), insert: own('staff_id'), update: own('staff_id'), delete: own('staff_id'),
+    },
+  },
+  children_groups: {
+    columns: ['id', 'child_id', 'group_id', ...TIMESTAMPS],
+    notNull: ['child_id', 'group_id'],
+    unique: [['child_id', 'group_id']],
+    references: {
+      child_id: { table: 'children', onDelete: 'cascade' },
+      group_id: { table: 'groups', onDelete: 'cascade' },
+    },
+    policies: { select: ownsGroup, insert: ownsGroup, delete: ownsGroup },
+  },
+  assessments: {
+    columns: [
+      'id', 'user_id', 'child_id', 'assessment_type', 'attempt_number', 'letter_set_id',
+      'letter_language', 'completion_time', 'letters_attempted', 'correct_responses',
+      'accuracy', 'correct_letters', 'incorrect_letters', 'last_letter_attempted',
+      'items_tested', 'date_assessed', 'device_info', 'discontinued', 'correct_per_minute', 'comprehension', 'synced',
+      ...TIMESTAMPS,
+    ],
+    notNull: [
+      'user_id', 'child_id', 'assessment_type', 'attempt_number', 'letter_set_id',
+      'letter_language', 'completion_time', 'letters_attempted', 'correct_responses',
+      'accuracy', 'correct_letters', 'incorrect_letters', 'date_assessed', 'discontinued',
+    ],
+    references: { user_id: { table: 'users', onDelete: 'cascade' } },
+    defaults: {
+      assessment_type: 'letter_egra',
+      attempt_number: 1,
+      correct_letters: [],
+      incorrect_letters: [],
+      device_info: {},
+      discontinued: false,
+      synced: false,
+    },
+    policies: { select: own('user_id'), insert: own('user_id'), update: own('user_id') },
+  },
+  letter_mastery: {
+    columns: ['id', 'user_id', 'child_id', 'letter', 'source', 'language', 'synced', ...TIMESTAMPS],
+    notNull: ['user_id', 'child_id', 'letter', 'source', 'language'],
+    unique: [['user_id', 'child_id', 'letter', 'language']],
+    references: { user_id: { table: 'users', onDelete: 'cascade' } },
+    defaults: { source: 'taught', synced: false },
+    policies: {
+      select: own('user_id'), insert: own('user_id'), update: own('user_id'), delete: own('user_id'),
+    },
+  },
+  sync_tombstones: {
+    columns: ['id', 'table_name', 'record_id', 'owner_id', 'deleted_at'],
+    notNull: ['table_name', 'record_id', 'deleted_at'],
+    policies: { select: own('owner_id') },
+  },
+};
+
+// Tables with the stamp_server_updated_at and record_sync_tombstone triggers
+const SYNCED_TABLES = [
+  'time_entries', 'sessions', 'classes', 'children', 'staff_children',
+  'groups', 'children_groups', 'assessments', 'letter_mastery',
+];
+
+const pgError = (code, message) => ({ code, message, details: null, hint: null });
+
+const rlsError = (table) =>
+  pgError('42501', `new row violates row-level security policy for table "${table}"`);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const sameKey = (a, b, columns) =>
+  columns.every(column => a[column] != null && a[column] === b[column]);
+
+// 'staff_children.staff_id' → ['staff_children', 'staff_id']
+const splitPath = (column) => {
+  const dot = column.indexOf('.');
+  return dot === -1 ? [null, column] : [column.slice(0, dot), column.slice(dot + 1)];
+};
+
+// '*, staff_children!inner(staff_id)' → { columns: ['*'], embeds: [...] }
+const parseSelect = (select) => {
+  const columns = [];
+  const embeds = [];
+  for (const part of select.split(/,(?![^(]*\))/).map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\w+)(!inner)?\((.*)\)$/);
+    if (match) {
+      embeds.push({ table: match[1], inner: !!match[2], columns: match[3].split(',').map(c => c.trim()) });
+    } else {
+      columns.push(part);
+    }
+  }
+  return { columns, embeds };
+};
+
+const project = (row, columns) => {
+  if (columns.includes('*')) return { ...row };
+  return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+};
+
+/**
+ * Query builder for one request. Thenable like supabase-js's: awaiting it
+ * runs the request and resolves to { data, error }.
+ */
+class FakeQuery {
+  constructor(server, table) {
+    this.server = server;
+    this.table = table;
+    this.op = null;
+    this.columns = '*';
+    this.filters = [];
+    this.orders = [];
+    this.rangeBounds = null;
+  }
+
+  select(columns = '*') {
+    if (!this.op) this.op = 'select';
+    this.columns = columns;
+    return this;
+  }
+
+  upsert(payload, options = {}) {
+    this.op = 'upsert';
+    this.payload = Array.isArray(payload) ? payload : [payload];
+    this.options = options;
+    return this;
+  }
+
+  update(patch) {
+    this.op = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push({ column, test: (v) => v === value });
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push({ column, test: (v) => values.includes(v) });
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push({ column, test: (v) => v != null && v >= value });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.server.execute(this))
+      .then(resolve, reject);
+  }
+}
+
+export const createFakeSupabase = () => {
+  let db;
+  let uid = null;
+  let online = true;
+  let faults = [];
+  let lastStamp = 0;
+  let tombstoneSeq = 0;
+  const requests = [];
+
+  // Strictly increasing, like NOW() across separate transactions
+  const now = () => {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp).toISOString();
+  };
+
+  const emptyDb = () => Object.fromEntries(Object.keys(SCHEMA).map(table => [table, []]));
+
+  const policy = (table, command, row) => {
+    const check = SCHEMA[table].policies?.[command];
+    return !!check && check(row, uid, db);
+  };
+
+  const visibleRows = (table) => db[table].filter(row => policy(table, 'select', row));
+
+  // Constraints checked on every written row, in the order Postgres does:
+  // NOT NULL and CHECK, then unique, then foreign keys
+  const checkConstraints = (table, row, rows) => {
+    const schema = SCHEMA[table];
+    for (const column of schema.notNull || []) {
+      if (row[column] == null) {
+        return pgError('23502', `null value in column "${column}" of relation "${table}" violates not-null constraint`);
+      }
+    }
+    for (const [name, check] of Object.entries(schema.checks || {})) {
+      if (!check(row)) {
+        return pgError('23514', `new row for relation "${table}" violates check constraint "${name}"`);
+      }
+    }
+    for (const columns of [['id'], ...(schema.unique || [])]) {
+      if (rows.some(other => other !== row && sameKey(other, row, columns))) {
+        const name = columns[0] === 'id' ? `${table}_pkey` : `${table}_${columns.join('_')}_key`;
+        return pgError('23505', `duplicate key value violates unique constraint "${name}"`);
+      }
+    }
+    for (const [column, { table: parent }] of Object.entries(schema.references || {})) {
+      if (row[column] != null && !db[parent].some(p => p.id === row[column])) {
+        return pgError('23503',
+          `insert or update on table "${table}" violates foreign key constraint "${table}_${column}_fkey"`);
+      }
+    }
+    return null;
+  };
+
+  const unknownColumn = (table, row) => {
+    const column = Object.keys(row).find(c => !SCHEMA[table].columns.includes(c));
+    return column
+      ? pgError('PGRST204', `Could not find the '${column}' column of '${table}' in the schema cache`)
+      : null;
+  };
+
+  const stamp = (table, row) => (SYNCED_TABLES.includes(table) ? { ...row, updated_at: now() } : row);
+
+  // Column defaults (including the NOW() ones) under the given values
+  const withDefaults = (table, values) => {
+    const schema = SCHEMA[table];
+    const time = now();
+    const defaults = { ...clone(schema.defaults || {}), id: `gen-${time}` };
+    for (const column of ['created_at', 'updated_at', 'assigned_at', 'deleted_at']) {
+      if (schema.columns.includes(column)) defaults[column] = time;
+    }
+    return { ...defaults, ...values };
+  };
+
+  // A row as a client INSERT stores it: BEFORE INSERT triggers applied
+  const insertRow = (table, values) => {
+    const row = withDefaults(table, values);
+    if (SCHEMA[table].setsCreatedBy) row.created_by = uid;
+    return stamp(table, row);
+  };
+
+  // AFTER INSERT ON staff_children: the child reaches the coach's delta pull
+  const afterInsert = (table, row) => {
+    if (table !== 'staff_children') return;
+    const child = db.children.find(c => c.id === row.child_id);
+    if (child) Object.assign(child, { updated_at: now() });
+  };
+
+  // record_sync_tombstone(): owner is the column the app's pull filters on.
+  // A child goes to every coach assigned to it; an unassigned (not deleted)
+  // child also goes to the coach it was taken from.
+  const tombstonesFor = (table, row, deleting) => {
+    const tombstone = (tableName, recordId, ownerId) => ({ table_name: tableName, record_id: recordId, owner_id: ownerId });
+    if (table === 'children') {
+      const staffIds = [...new Set(db.staff_children.filter(sc => sc.child_id === row.id).map(sc => sc.staff_id))];
+      return staffIds.map(staffId => tombstone('children', row.id, staffId));
+    }
+    if (table === 'staff_children') {
+      const unassigned = !deleting.has(`children:${row.child_id}`) && db.children.some(c => c.id === row.child_id);
+      return [
+        tombstone(table, row.id, row.staff_id),
+        ...(unassigned ? [tombstone('children', row.child_id, row.staff_id)] : []),
+      ];
+    }
+    if (['classes', 'groups'].includes(table)) return [tombstone(table, row.id, row.staff_id)];
+    if (table === 'children_groups') {
+      return [tombstone(table, row.id, db.groups.find(g => g.id === row.group_id)?.staff_id ?? null)];
+    }
+    return [tombstone(table, row.id, row.user_id)];
+  };
+
+  // Delete rows and whatever their foreign keys cascade to. The tombstones are
+  // worked out first, as the BEFORE DELETE trigger sees the rows the cascade
+  // is about to remove. `deleting` holds "table:id" for rows already on their
+  // way out in this statement.
+  const deleteRows = (table, rows, deleting = new Set()) => {
+    const ids = new Set(rows.map(r => r.id));
+    const tombstones = SYNCED_TABLES.includes(table)
+      ? rows.flatMap(row => tombstonesFor(table, row, deleting))
+      : [];
+    for (const id of ids) deleting.add(`${table}:${id}`);
+
+    for (const [childTable, schema] of Object.entries(SCHEMA)) {
+      for (const [column, { table: parent, onDelete }] of Object.entries(schema.references || {})) {
+        if (parent !== table) continue;
+        const dependents = db[childTable].filter(r => ids.has(r[column]));
+        if (dependents.length === 0) continue;
+        if (onDelete === 'restrict') {
+          return pgError('23503',
+            `update or delete on table "${table}" violates foreign key constraint "${childTable}_${column}_fkey" on table "${childTable}"`);
+        }
+        if (onDelete === 'set null') {
+          for (const dependent of dependents) Object.assign(dependent, stamp(childTable, { [column]: null }));
+        } else {
+          const error = deleteRows(childTable, dependents, deleting);
+          if (error) return error;
+        }
+      }
+    }
+    for (const tombstone of tombstones) {
+      db.sync_tombstones.push({ id: ++tombstoneSeq, ...tombstone, deleted_at: now() });
+    }
+    db[table] = db[table].filter(r => !ids.has(r.id));
+    return null;
+  };
+
+  const matchesFilters = (row, filters) => filters.every(({ column, test }) => test(row[column]));
+
+  const runSelect = (query) => {
+    const { columns, embeds } = parseSelect(query.columns);
+    const ownFilters = query.filters.filter(f => !splitPath(f.column)[0]);
+    const references = SCHEMA[query.table].references || {};
+
+    let rows = [];
+    for (const row of visibleRows(query.table)) {
+      if (!matchesFilters(row, ownFilters)) continue;
+      const result = project(row, columns);
+      let keep = true;
+
+      for (const embed of embeds) {
+        const embedFilters = query.filters
+          .filter(f => splitPath(f.column)[0] === embed.table)
+          .map(f => ({ ...f, column: splitPath(f.column)[1] }));
+        const related = visibleRows(embed.table).filter(r => matchesFilters(r, embedFilters));
+        const manyToOne = Object.entries(references).find(([, ref]) => ref.table === embed.table);
+
+        if (manyToOne) {
+          const parent = related.find(r => r.id === row[manyToOne[0]]);
+          result[embed.table] = parent ? project(parent, embed.columns) : null;
+          if (embed.inner && !parent) keep = false;
+        } else {
+          const [column] = Object.entries(SCHEMA[embed.table].references || {})
+            .find(([, ref]) => ref.table === query.table);
+          const children = related.filter(r => r[column] === row.id);
+          result[embed.table] = children.map(r => project(r, embed.columns));
+          if (embed.inner && children.length === 0) keep = false;
+        }
+      }
+      if (keep) rows.push(result);
+    }
+
+    for (const { column, ascending } of [...query.orders].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+    if (query.rangeBounds) {
+      const [from, to] = query.rangeBounds;
+      rows = rows.slice(from, to + 1);
+    }
+    return { data: clone(rows), error: null };
+  };
+
+  // INSERT ... ON CONFLICT (target) DO UPDATE, all rows or none
+  const runUpsert = (query) => {
+    const { table, payload, options } = query;
+    const target = (options.onConflict || 'id').split(',').map(c => c.trim());
+    const saved = db[table];
+    const rows = db[table].map(row => ({ ...row }));
+    db[table] = rows;
+    const inserted = [];
+
+    const fail = (error) => {
+      db[table] = saved;
+      return { data: null, error };
+    };
+
+    // A multi-row payload sends the union of its rows' columns; a row
+    // missing one of them writes NULL there
+    const columns = [...new Set(payload.flatMap(row => Object.keys(row)))];
+    const shaped = clone(payload).map(row =>
+      Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+
+    for (const values of shaped) {
+      const error = unknownColumn(table, values);
+      if (error) return fail(error);
+
+      const existing = rows.find(row => sameKey(row, values, target));
+      if (existing) {
+        if (options.ignoreDuplicates) continue;
+        if (!policy(table, 'update', existing) || !policy(table, 'select', existing)) {
+          return fail(pgError('42501',
+            `new row violates row-level security policy (USING expression) for table "${table}"`));
+        }
+        const updated = stamp(table, { ...existing, ...values });
+        if (!policy(table, 'update', updated)) return fail(rlsError(table));
+        rows[rows.indexOf(existing)] = updated;
+        const constraintError = checkConstraints(table, updated, rows);
+        if (constraintError) return fail(constraintError);
+      } else {
+        const row = insertRow(table, values);
+        // Upsert needs the new row visible too (see 05_fix_children_select_rls_for_upsert)
+        if (!policy(table, 'insert', row) || !policy(table, 'select', row)) return fail(rlsError(table));
+        rows.push(row);
+        const constraintError = checkConstraints(table, row, rows);
+        if (constraintError) return fail(constraintError);
+        inserted.push(row);
+      }
+    }
+
+    for (const row of inserted) afterInsert(table, row);
+    return { data: null, error: null };
+  };
+
+  const runUpdate = (query) => {
+    const { table, payload } = query;
+    const error = unknownColumn(table, payload);
+    if (error) return { data: null, error };
+
+    const saved = db[table];
+    const rows = db[table].map(row => ({ ...row }));
+    db[table] = rows;
+    const targets = rows.filter(row =>
+      policy(table, 'update', row) && policy(table, 'select', row) && matchesFilters(row, query.filters));
+
+    for (const target of targets) {
+      const updated = stamp(table, { ...target, ...clone(payload) });
+      if (!policy(table, 'update', updated)) {
+        db[table] = saved;
+        return { data: null, error: rlsError(table) };
+      }
+      rows[rows.indexOf(target)] = updated;
+      const error = checkConstraints(table, updated, rows);
+      if (error) {
+        db[table] = saved;
+        return { data: null, error };
+      }
+    }
+    return { data: null, error: null };
+  };
+
+  const runDelete = (query) => {
+    const { table } = query;
+    const targets = db[table].filter(row =>
+      policy(table, 'delete', row) && policy(table, 'select', row) && matchesFilters(row, query.filters));
+    const snapshot = clone(db);
+    const error = deleteRows(table, targets);
+    if (error) db = snapshot;
+    return { data: null, error };
+  };
+
+  const idsOf = (query) => {
+    if (query.op === 'upsert') return query.payload.map(row => row.id);
+    const idFilter = query.filters.find(f => f.column === 'id');
+    return idFilter ? db[query.table].filter(row => idFilter.test(row.id)).map(row => row.id) : [];
+  };
+
+  const takeFault = (query) => {
+    const fault = faults.find(f =>
+      (!f.table || f.table === query.table) && (!f.op || f.op === query.op));
+    if (!fault) return null;
+    fault.times -= 1;
+    if (fault.times <= 0) faults = faults.filter(f => f !== fault);
+    return fault.error;
+  };
+
+  const server = {
+    requests,
+
+    execute(query) {
+      if (!SCHEMA[query.table]) {
+        return { data: null, error: pgError('42P01', `relation "public.${query.table}" does not exist`) };
+      }
+      const entry = { table: query.table, op: query.op, ids: idsOf(query) };
+      requests.push(entry);
+
+      const injected = !online ? NETWORK_ERROR : takeFault(query);
+      let result;
+      if (injected) {
+        result = { data: null, error: { ...injected } };
+      } else if (query.op === 'upsert') {
+        result = runUpsert(query);
+      } else if (query.op === 'update') {
+        result = runUpdate(query);
+      } else if (query.op === 'delete') {
+        result = runDelete(query);
+      } else {
+        result = runSelect(query);
+      }
+      entry.error = result.error?.code ?? null;
+      recordDataUsage({
+        sent: JSON.stringify(query.payload ?? null).length,
+        received: online ? JSON.stringify(result).length : 0,
+      });
+      return result;
+    },
+
+    signIn(userId) {
+      uid = userId;
+      if (!db.users.some(u => u.id === userId)) {
+        db.users.push(withDefaults('users', {
+          id: userId, first_name: 'Coach', last_name: userId, job_title: 'Literacy Coach', assigned_school: 'Test School',
+        }));
+      }
+    },
+
+    signOut() {
+      uid = null;
+    },
+
+    seed(table, rows) {
+      for (const values of rows) {
+        db[table] = db[table].filter(row => row.id !== values.id);
+        db[table].push(withDefaults(table, values));
+      }
+    },
+
+    rows(table) {
+      return clone(db[table]);
+    },
+
+    remove(table, ids) {
+      const error = deleteRows(table, db[table].filter(row => ids.includes(row.id)));
+      if (error) throw new Error(error.message);
+    },
+
+    setOnline(value) {
+      online = value;
+    },
+
+    failNext({ table, op, times = 1, error = NETWORK_ERROR } = {}) {
+      faults.push({ table, op, times, error });
+    },
+
+    reset() {
+      db = emptyDb();
+      uid = null;
+      online = true;
+      faults = [];
+      requests.length = 0;
+    },
+  };
+  server.reset();
+
+  return {
+    server,
+    from: (table) => new FakeQuery(server, table),
+    auth: {
+      getSession: async () => ({
+        data: { session: uid ? { user: { id: uid } } : null },
+        error: null,
+      }),
+      getUser: async () => ({ data: { user: uid ? { id: uid } : null }, error: null }),
+      onAuthStateChange: () => ({ data: { subscription: { unsubscribe: () => {} } } }),
+    },
+  };
+};
@@ -0,0 +1,48 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { hexToBytes } from '@noble/ciphers/utils';
+import { storage, STORAGE_KEYS } from '../src/utils/storage';
+import { createCipher } from '../src/utils/encryptedStore';
+
+// In-memory keystore
+const mockKeystore = {};
+jest.mock('expo-secure-store', () => ({
+  AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+  getItemAsync: async (name) => mockKeystore[name] ?? null,
+  setItemAsync: async (name, value) => { mockKeystore[name] = value; },
+}));
+
+// SQLite unavailable: storage stays on AsyncStorage
+jest.mock('../src/utils/sqliteStore', () => ({ openLocalStore: async () => 'asyncStorage' }));
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: { user: { id: 'u1' } } } }),
+    },
+  },
+}));
+
+jest.mock('../src/services/offlineSync', () => {
+  const actual = jest.requireActual('../src/services/offlineSync');
+  return { ...actual, switchLocalUser: jest.fn(actual.switchLocalUser) };
+});
+
+import { switchLocalUser } from '../src/services/offlineSync';
+import { prepareLocalData } from '../src/services/localData';
+
+const child = { id: 'c1', first_name: 'Thandi', last_name: 'M', age: 7, synced: false, created_at: '2026-01-01' };
+
+describe('prepareLocalData', () => {
+  test('a start retried after a failed user switch encrypts records once', async () => {
+    switchLocalUser.mockRejectedValueOnce(new Error('storage busy'));
+    await expect(prepareLocalData()).rejects.toThrow('storage busy');
+
+    await prepareLocalData();
+    await storage.saveChild(child);
+
+    const [stored] = JSON.parse(await AsyncStorage.getItem(`@user/u1/${STORAGE_KEYS.CHILDREN}`));
+    const cipher = createCipher(hexToBytes(mockKeystore.masi_storage_key));
+    expect(cipher.open(stored._sealed)).toMatchObject({ first_name: 'Thandi' });
+    expect(await storage.getChildren()).toEqual([child]);
+  });
+});
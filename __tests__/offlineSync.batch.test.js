@@ -0,0 +1,130 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Every upsert/delete request is recorded. mockRejectIds makes any request
+// containing one of those ids fail with the mapped Postgres error, the way a
+// real batch fails as a whole when a single row violates a constraint.
+const mockRequests = [];
+const mockRejectIds = {};
+
+jest.mock('../src/services/supabaseClient', () => {
+  const failureFor = (rows) => {
+    const bad = rows.find(r => mockRejectIds[r.id]);
+    return bad ? { code: mockRejectIds[bad.id], message: `rejected ${bad.id}` } : null;
+  };
+  return {
+    supabase: {
+      auth: {
+        getSession: async () => ({ data: { session: null } }),
+      },
+      from: (table) => ({
+        upsert: async (payload) => {
+          const rows = Array.isArray(payload) ? payload : [payload];
+          mockRequests.push({ table, op: 'upsert', rows });
+          return { error: failureFor(rows) };
+        },
+        delete: () => ({
+          in: async (column, ids) => {
+            mockRequests.push({ table, op: 'delete', ids });
+            return { error: failureFor(ids.map(id => ({ id }))) };
+          },
+          eq: async (column, id) => {
+            mockRequests.push({ table, op: 'delete', ids: [id] });
+            return { error: failureFor([{ id }]) };
+          },
+        }),
+      }),
+    },
+  };
+});
+
+import { syncTableByName } from '../src/services/offlineSync';
+
+const mastery = (id, overrides = {}) => ({
+  id,
+  user_id: 'u1',
+  child_id: 'c1',
+  letter: id,
+  language: 'English',
+  source: 'taught',
+  synced: false,
+  ...overrides,
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockRequests.length = 0;
+  for (const id of Object.keys(mockRejectIds)) delete mockRejectIds[id];
+});
+
+describe('syncTable batching', () => {
+  test('pushes many records in chunked requests instead of one per row', async () => {
+    const records = Array.from({ length: 120 }, (_, i) => mastery(`lm${i}`));
+    await storage.setItem('@letter_mastery', records);
+
+    const result = await syncTableByName('LETTER_MASTERY');
+
+    expect(result.synced).toBe(120);
+    const upserts = mockRequests.filter(r => r.op === 'upsert');
+    expect(upserts.map(r => r.rows.length)).toEqual([50, 50, 20]);
+    // Local-only fields never reach the server
+    expect(upserts[0].rows[0]).not.toHaveProperty('synced');
+    expect(await storage.getUnsyncedLetterMastery()).toHaveLength(0);
+  });
+
+  test('a failed batch falls back to per-row so only the bad row is quarantined', async () => {
+    await storage.setItem('@letter_mastery', [mastery('a'), mastery('b'), mastery('c')]);
+    mockRejectIds.b = '23503';
+
+    const result = await syncTableByName('LETTER_MASTERY');
+
+    expect(result.synced).toBe(2);
+    expect(result.failed).toBe(1);
+    expect(result.failedRecords[0]).toMatchObject({ id: 'b', table: 'LETTER_MASTERY' });
+    // 1 batch attempt + 3 single-row attempts
+    expect(mockRequests.filter(r => r.op === 'upsert')).toHaveLength(4);
+
+    const meta = await storage.getSyncMeta();
+    expect(meta.failedItems.map(i => i.id)).toEqual(['b']);
+  });
+
+  test('retriable per-row failures record a retry attempt', async () => {
+    await storage.setItem('@sessions', [
+      { id: 's1', user_id: 'u1', synced: false },
+      { id: 's2', user_id: 'u1', synced: false },
+    ]);
+    mockRejectIds.s2 = '08006';
+
+    const result = await syncTableByName('SESSIONS');
+
+    expect(result.synced).toBe(1);
+    expect(await storage.getRetryAttempts('SESSIONS', 's2')).toBe(1);
+    expect(await storage.getRetryAttempts('SESSIONS', 's1')).toBe(0);
+  });
+
+  test('rows with different column sets are sent in separate batches', async () => {
+    await storage.setItem('@time_entries', [
+      { id: 't1', user_id: 'u1', sign_in_time: 'x', synced: false },
+      { id: 't2', user_id: 'u1', sign_in_time: 'y', auto_clocked_out: true, synced: false },
+    ]);
+
+    await syncTableByName('TIME_ENTRIES');
+
+    const upserts = mockRequests.filter(r => r.op === 'upsert');
+    expect(upserts).toHaveLength(2);
+  });
+
+  test('soft-deleted records are removed in one delete request', async () => {
+    await storage.setItem('@letter_mastery', [
+      mastery('a', { _deleted: true }),
+      mastery('b', { _deleted: true }),
+      mastery('c', { synced: true }),
+    ]);
+
+    const result = await syncTableByName('LETTER_MASTERY');
+
+    expect(result.synced).toBe(2);
+    expect(mockRequests).toEqual([{ table: 'letter_mastery', op: 'delete', ids: ['a', 'b'] }]);
+    expect((await storage.getLetterMastery()).map(r => r.id)).toEqual(['c']);
+  });
+});
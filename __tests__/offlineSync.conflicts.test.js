@@ -0,0 +1,157 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Server rows per table. select().in() reads them, update().eq() patches them,
+// and every write is recorded so tests can assert on what was sent.
+const mockServerRows = {};
+const mockWrites = [];
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: (table) => ({
+      select: () => ({
+        in: async (column, ids) => ({
+          data: (mockServerRows[table] || []).filter(r => ids.includes(r.id)),
+          error: null,
+        }),
+      }),
+      update: (patch) => ({
+        eq: async (column, id) => {
+          mockWrites.push({ table, op: 'update', id, patch });
+          const row = (mockServerRows[table] || []).find(r => r.id === id);
+          Object.assign(row, patch);
+          return { error: null };
+        },
+      }),
+      upsert: async (payload) => {
+        mockWrites.push({ table, op: 'upsert', payload });
+        return { error: null };
+      },
+    }),
+  },
+}));
+
+import { syncTableByName, getSyncStatus, resolveConflict } from '../src/services/offlineSync';
+
+const child = {
+  id: 'c1',
+  first_name: 'Thandi',
+  last_name: 'Mokoena',
+  grade: 'Grade 1',
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  for (const table of Object.keys(mockServerRows)) delete mockServerRows[table];
+  mockWrites.length = 0;
+});
+
+describe('field-level change tracking', () => {
+  test('edits to a synced record remember the last-synced value per field', async () => {
+    await storage.saveChild({ ...child, synced: true });
+
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+    await storage.updateChild('c1', { grade: 'Grade 3', synced: false });
+
+    const [stored] = await storage.getChildren();
+    expect(stored._pending_fields).toEqual({ grade: { base: 'Grade 1' } });
+  });
+
+  test('records never pushed are not tracked', async () => {
+    await storage.saveChild({ ...child, synced: false });
+
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+
+    const [stored] = await storage.getChildren();
+    expect(stored._pending_fields).toBeUndefined();
+  });
+});
+
+describe('syncing edited records', () => {
+  test('non-overlapping edits on both sides are merged', async () => {
+    await storage.saveChild({ ...child, synced: true });
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+    // A supervisor fixed the surname on the server meanwhile
+    mockServerRows.children = [{ ...child, last_name: 'Mokoena-Dlamini' }];
+
+    const result = await syncTableByName('CHILDREN');
+
+    expect(result.synced).toBe(1);
+    expect(mockWrites).toEqual([
+      { table: 'children', op: 'update', id: 'c1', patch: { grade: 'Grade 2' } },
+    ]);
+    const [stored] = await storage.getChildren();
+    expect(stored).toMatchObject({ grade: 'Grade 2', last_name: 'Mokoena-Dlamini', synced: true });
+    expect(stored._pending_fields).toBeUndefined();
+    expect((await getSyncStatus()).conflicts).toEqual([]);
+  });
+
+  test('the same field edited on both sides is reported as a conflict, not overwritten', async () => {
+    await storage.saveChild({ ...child, synced: true });
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+    mockServerRows.children = [{ ...child, grade: 'Grade 3' }];
+
+    await syncTableByName('CHILDREN');
+
+    expect(mockWrites).toHaveLength(0);
+    const { conflicts } = await getSyncStatus();
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      table: 'CHILDREN',
+      id: 'c1',
+      field: 'grade',
+      label: 'Thandi Mokoena',
+      localValue: 'Grade 2',
+      serverValue: 'Grade 3',
+      baseValue: 'Grade 1',
+    });
+  });
+
+  test('a record missing on the server is recreated with a full upsert', async () => {
+    await storage.saveChild({ ...child, synced: true });
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+
+    await syncTableByName('CHILDREN');
+
+    expect(mockWrites).toHaveLength(1);
+    expect(mockWrites[0].op).toBe('upsert');
+    expect(mockWrites[0].payload).not.toHaveProperty('_pending_fields');
+  });
+});
+
+describe('resolveConflict', () => {
+  const setUpConflict = async () => {
+    await storage.saveChild({ ...child, synced: true });
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+    mockServerRows.children = [{ ...child, grade: 'Grade 3' }];
+    await syncTableByName('CHILDREN');
+    mockWrites.length = 0;
+  };
+
+  test('keeping the local value pushes it on the next sync', async () => {
+    await setUpConflict();
+
+    await resolveConflict('CHILDREN', 'c1', 'grade', 'local');
+    await syncTableByName('CHILDREN');
+
+    expect(mockWrites).toEqual([
+      { table: 'children', op: 'update', id: 'c1', patch: { grade: 'Grade 2' } },
+    ]);
+    expect((await getSyncStatus()).conflicts).toEqual([]);
+  });
+
+  test('using the server value updates the local copy without pushing', async () => {
+    await setUpConflict();
+
+    await resolveConflict('CHILDREN', 'c1', 'grade', 'server');
+    await syncTableByName('CHILDREN');
+
+    expect(mockWrites).toHaveLength(0);
+    const [stored] = await storage.getChildren();
+    expect(stored.grade).toBe('Grade 3');
+    expect((await getSyncStatus()).conflicts).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: require('./helpers/fakeSupabase').createFakeSupabase(),
+}));
+
+import { supabase } from '../src/services/supabaseClient';
+import { syncAll, getSyncStatus, getSyncHistory } from '../src/services/offlineSync';
+import { getSyncPolicy } from '../src/services/syncPolicy';
+
+const server = supabase.server;
+
+const CELLULAR = { type: 'cellular', reachable: true, cellularGeneration: '4g' };
+const WIFI = { type: 'wifi', reachable: true, cellularGeneration: null };
+
+const child = { id: 'c1', first_name: 'Thandi', last_name: 'M', age: 7, class_id: null, created_by: 'u1' };
+const session = (id, overrides = {}) => ({
+  id, user_id: 'u1', session_type: 'Literacy Coach', session_date: '2026-03-02',
+  children_ids: [], group_ids: [], activities: {}, ...overrides,
+});
+const timeEntry = {
+  id: 't1', user_id: 'u1', sign_in_time: '2026-03-02T07:30:00.000Z', sign_in_lat: -33.9, sign_in_lon: 25.6,
+};
+
+const unsynced = (record) => ({ ...record, synced: false });
+const serverIds = (table) => server.rows(table).map(row => row.id).sort();
+const pulls = () => server.requests.filter(r => r.op === 'select');
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  server.reset();
+  server.signIn('u1');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getSyncPolicy', () => {
+  test('limits only cellular syncs, and only with data saver on', () => {
+    expect(getSyncPolicy(CELLULAR, { dataSaver: true })).toEqual({
+      dataSaver: true,
+      pushTables: ['TIME_ENTRIES', 'SESSIONS', 'ASSESSMENTS'],
+      pull: false,
+      shareLogs: false,
+    });
+    expect(getSyncPolicy(WIFI, { dataSaver: true }).dataSaver).toBe(false);
+    expect(getSyncPolicy(CELLULAR, { dataSaver: false }).pull).toBe(true);
+    expect(getSyncPolicy(null, { dataSaver: true }).pushTables).toBeNull();
+  });
+});
+
+describe('data saver sync', () => {
+  beforeEach(async () => {
+    await storage.updateSyncSettings({ dataSaver: true });
+  });
+
+  test('on mobile data, pushes critical tables and leaves the rest and the pull for Wi-Fi', async () => {
+    server.seed('groups', [{ id: 'g-server', name: 'Blues', staff_id: 'u1' }]);
+    await storage.saveTimeEntry(unsynced(timeEntry));
+    await storage.saveSession(unsynced(session('s1')));
+    await storage.saveChild(unsynced(child));
+
+    const result = await syncAll({ trigger: 'manual', network: CELLULAR });
+
+    expect(result).toMatchObject({ success: true, dataSaver: true, pullDeferred: true, totalPulled: 0 });
+    expect(serverIds('time_entries')).toEqual(['t1']);
+    expect(serverIds('sessions')).toEqual(['s1']);
+    expect(serverIds('children')).toEqual([]);
+    expect(pulls()).toEqual([]);
+    expect(await storage.getGroups()).toEqual([]);
+
+    const status = await getSyncStatus({ network: CELLULAR });
+    expect(status).toMatchObject({ dataSaver: true, dueCount: 0, waitingForWifiCount: 1 });
+
+    await syncAll({ trigger: 'wifi', network: WIFI });
+
+    expect(serverIds('children')).toEqual(['c1']);
+    expect((await storage.getGroups()).map(g => g.id)).toEqual(['g-server']);
+  });
+
+  test("a session naming a child that hasn't reached the server waits with it", async () => {
+    await storage.saveChild(unsynced(child));
+    await storage.saveSession(unsynced(session('s1', { children_ids: ['c1'] })));
+
+    const result = await syncAll({ network: CELLULAR });
+
+    expect(serverIds('sessions')).toEqual([]);
+    expect(result.totalFailed).toBe(0);
+    expect((await getSyncStatus({ network: CELLULAR })).failedItems).toEqual([]);
+
+    await syncAll({ network: WIFI });
+
+    expect(serverIds('children')).toEqual(['c1']);
+    expect(serverIds('sessions')).toEqual(['s1']);
+  });
+
+  test('off, mobile data syncs everything', async () => {
+    await storage.updateSyncSettings({ dataSaver: false });
+    await storage.saveChild(unsynced(child));
+
+    const result = await syncAll({ network: CELLULAR });
+
+    expect(result.dataSaver).toBe(false);
+    expect(serverIds('children')).toEqual(['c1']);
+    expect(pulls().length).toBeGreaterThan(0);
+  });
+
+  test('each run records the bytes it used', async () => {
+    await storage.saveSession(unsynced(session('s1')));
+
+    await syncAll({ trigger: 'manual', network: CELLULAR });
+    await syncAll({ trigger: 'wifi', network: WIFI });
+
+    const [wifiRun, cellularRun] = await getSyncHistory();
+    expect(cellularRun).toMatchObject({ dataSaver: true, totalSynced: 1 });
+    expect(cellularRun.bytes.sent).toBeGreaterThan(0);
+    expect(wifiRun).toMatchObject({ dataSaver: false, totalSynced: 0 });
+    // Nothing to push on Wi-Fi, but the pull came down
+    expect(wifiRun.bytes.received).toBeGreaterThan(cellularRun.bytes.received);
+  });
+});
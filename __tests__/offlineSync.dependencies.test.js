@@ -0,0 +1,115 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Every upserted row is recorded in order. mockRejectIds makes a request
+// containing one of those ids fail with the mapped Postgres error.
+const mockPushed = [];
+const mockRejectIds = {};
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        const bad = rows.find(r => mockRejectIds[r.id]);
+        if (bad) return { error: { code: mockRejectIds[bad.id], message: 'rejected' } };
+        mockPushed.push(...rows.map(r => `${table}:${r.id}`));
+        return { error: null };
+      },
+    }),
+  },
+}));
+
+import { syncAll, getSyncStatus } from '../src/services/offlineSync';
+
+const makeDue = async (table, id) => {
+  await storage.setNextAttemptAt(table, id, new Date(Date.now() - 1000).toISOString());
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockPushed.length = 0;
+  for (const id of Object.keys(mockRejectIds)) delete mockRejectIds[id];
+});
+
+describe('per-record dependency graph', () => {
+  test('only the records that reference a stuck parent are held', async () => {
+    await storage.saveChild({ id: 'c1', synced: false });
+    await storage.saveChild({ id: 'c2', synced: false });
+    await storage.saveStaffChild({ id: 'sc1', staff_id: 'u1', child_id: 'c1', synced: false });
+    await storage.saveStaffChild({ id: 'sc2', staff_id: 'u1', child_id: 'c2', synced: false });
+    await storage.saveAssessment({ id: 'a1', child_id: 'c1', synced: false });
+    await storage.saveAssessment({ id: 'a2', child_id: 'c2', synced: false });
+    mockRejectIds.c1 = '08006';
+
+    const result = await syncAll();
+
+    expect(mockPushed).toEqual(['children:c2', 'staff_children:sc2', 'assessments:a2']);
+    expect(result.tableResults.STAFF_CHILDREN.held).toBe(1);
+    expect(result.tableResults.ASSESSMENTS.held).toBe(1);
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['c1', 'sc1', 'a1']);
+  });
+
+  test('a child whose class failed is held instead of hitting a foreign key error', async () => {
+    await storage.saveClass({ id: 'k1', name: '1A', synced: false });
+    await storage.saveChild({ id: 'c1', class_id: 'k1', synced: false });
+    mockRejectIds.k1 = '08006';
+
+    const result = await syncAll();
+
+    expect(mockPushed).toEqual([]);
+    expect(result.tableResults.CHILDREN).toMatchObject({ held: 1, failed: 0 });
+    expect((await storage.getSyncMeta()).failedItems).toEqual([]);
+  });
+
+  test('held records are released once their parent lands', async () => {
+    await storage.saveClass({ id: 'k1', name: '1A', synced: false });
+    await storage.saveChild({ id: 'c1', class_id: 'k1', synced: false });
+    mockRejectIds.k1 = '08006';
+    await syncAll();
+
+    delete mockRejectIds.k1;
+    await makeDue('CLASSES', 'k1');
+    const result = await syncAll();
+
+    expect(result.success).toBe(true);
+    expect(mockPushed).toEqual(['classes:k1', 'children:c1']);
+  });
+
+  test('sessions wait for every child in children_ids', async () => {
+    await storage.saveChild({ id: 'c1', synced: true });
+    await storage.saveChild({ id: 'c2', synced: false });
+    await storage.saveSession({ id: 's1', children_ids: ['c1', 'c2'], synced: false });
+    mockRejectIds.c2 = '08006';
+
+    await syncAll();
+
+    expect(mockPushed).not.toContain('sessions:s1');
+  });
+
+  test('dependents of a quarantined parent are held rather than pushed', async () => {
+    await storage.saveGroup({ id: 'g1', synced: false });
+    await storage.saveChildrenGroup({ id: 'cg1', child_id: 'c1', group_id: 'g1', synced: false });
+    mockRejectIds.g1 = '42501';
+
+    await syncAll();
+
+    expect(mockPushed).toEqual([]);
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['cg1']);
+    // Nothing a sync could do right now, so no sync loop
+    expect((await getSyncStatus()).dueCount).toBe(0);
+  });
+
+  test('edits to a record already on the server do not hold its dependents', async () => {
+    await storage.saveChild({ id: 'c1', first_name: 'A', synced: true });
+    await storage.updateChild('c1', { first_name: 'B', synced: false });
+    await storage.saveAssessment({ id: 'a1', child_id: 'c1', synced: false });
+
+    const status = await getSyncStatus();
+
+    expect(status.dueCount).toBe(2);
+  });
+});
@@ -0,0 +1,75 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Upserts of ids in mockFailIds fail with a retriable error
+const mockFailIds = new Set();
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: () => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        const failed = rows.some(r => mockFailIds.has(r.id));
+        return { error: failed ? { code: '08006', message: 'connection lost' } : null };
+      },
+    }),
+  },
+}));
+
+import { syncAll, getSyncHistory } from '../src/services/offlineSync';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockFailIds.clear();
+  jest.restoreAllMocks();
+});
+
+describe('sync run history', () => {
+  test('records when and why each run happened and what it did', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    await storage.saveSession({ id: 's2', synced: false });
+    mockFailIds.add('s2');
+
+    await syncAll({ trigger: 'reconnect', network: { type: 'cellular', reachable: true } });
+
+    const [run] = await getSyncHistory();
+    expect(run).toMatchObject({
+      trigger: 'reconnect',
+      network: { type: 'cellular', reachable: true },
+      success: false,
+      totalSynced: 1,
+      totalFailed: 1,
+      tables: { SESSIONS: { synced: 1, failed: 1, deferred: 0, held: 0 } },
+      errors: [{ phase: 'push', table: 'SESSIONS', id: 's2', message: 'connection lost' }],
+      errorCount: 1,
+    });
+    expect(new Date(run.finishedAt) >= new Date(run.startedAt)).toBe(true);
+  });
+
+  test('lists runs newest first', async () => {
+    await syncAll({ trigger: 'launch' });
+    await syncAll({ trigger: 'manual' });
+
+    expect((await getSyncHistory()).map(run => run.trigger)).toEqual(['manual', 'launch']);
+  });
+
+  test('a run that throws is recorded too', async () => {
+    jest.spyOn(storage, 'backfillSyncQueue').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(syncAll({ trigger: 'manual' })).rejects.toThrow('disk full');
+
+    const [run] = await getSyncHistory();
+    expect(run).toMatchObject({ success: false, errors: [{ phase: 'sync', message: 'disk full' }] });
+  });
+
+  test('keeps a bounded number of runs', async () => {
+    for (let i = 0; i < 5; i++) {
+      await storage.appendSyncRun({ startedAt: String(i) }, 3);
+    }
+
+    expect((await storage.getSyncHistory()).map(run => run.startedAt)).toEqual(['2', '3', '4']);
+  });
+});
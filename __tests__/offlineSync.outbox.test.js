@@ -0,0 +1,101 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Every upsert is recorded in order. mockRejectIds makes a request containing
+// one of those ids fail with the mapped Postgres error.
+const mockRequests = [];
+const mockRejectIds = {};
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        mockRequests.push({ table, rows });
+        const bad = rows.find(r => mockRejectIds[r.id]);
+        return { error: bad ? { code: mockRejectIds[bad.id], message: 'rejected' } : null };
+      },
+    }),
+  },
+}));
+
+import { syncAll, getSyncStatus } from '../src/services/offlineSync';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockRequests.length = 0;
+  for (const id of Object.keys(mockRejectIds)) delete mockRejectIds[id];
+});
+
+describe('sync queue (outbox)', () => {
+  test('local writes are appended in order; cached server rows are not', async () => {
+    await storage.saveChild({ id: 'c1', first_name: 'A', synced: false });
+    await storage.saveStaffChild({ id: 'sc1', staff_id: 'u1', child_id: 'c1', synced: false });
+    await storage.saveSession({ id: 's1', synced: true });
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+
+    const queue = await storage.getSyncQueue();
+
+    expect(queue.map(e => [e.seq, e.table, e.id, e.op])).toEqual([
+      [1, 'CHILDREN', 'c1', 'create'],
+      [2, 'STAFF_CHILDREN', 'sc1', 'create'],
+      [3, 'CHILDREN', 'c1', 'update'],
+    ]);
+  });
+
+  test('replays writes in causal order, not table order', async () => {
+    // Child created offline, then a class, then the child moved into it
+    await storage.saveChild({ id: 'c1', first_name: 'A', class_id: null, synced: false });
+    await storage.saveClass({ id: 'k1', name: '1A', synced: false });
+    await storage.updateChild('c1', { class_id: 'k1', synced: false });
+
+    const result = await syncAll();
+
+    expect(result.success).toBe(true);
+    expect(mockRequests.map(r => [r.table, r.rows[0].class_id])).toEqual([
+      ['children', null],
+      ['classes', undefined],
+      ['children', 'k1'],
+    ]);
+    expect(await storage.getSyncQueue()).toEqual([]);
+    expect((await storage.getChildren())[0].synced).toBe(true);
+  });
+
+  test('writes after a record that failed are held until it lands', async () => {
+    await storage.saveChild({ id: 'c1', first_name: 'A', synced: false });
+    await storage.saveStaffChild({ id: 'sc1', staff_id: 'u1', child_id: 'c1', synced: false });
+    mockRejectIds.c1 = '08006';
+
+    const result = await syncAll();
+
+    expect(result.tableResults.STAFF_CHILDREN).toMatchObject({ skipped: true, held: 1 });
+    expect(mockRequests.map(r => r.table)).not.toContain('staff_children');
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['c1', 'sc1']);
+    // Nothing is due until c1's retry comes round
+    expect((await getSyncStatus()).dueCount).toBe(0);
+  });
+
+  test('quarantined records leave the queue and stop holding it up', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    await storage.saveAssessment({ id: 'a1', synced: false });
+    mockRejectIds.s1 = '42501';
+
+    const result = await syncAll();
+
+    expect(result.tableResults.ASSESSMENTS.synced).toBe(1);
+    expect(await storage.getSyncQueue()).toEqual([]);
+    expect((await storage.getSyncMeta()).failedItems.map(i => i.id)).toEqual(['s1']);
+  });
+
+  test('unsynced records written before the outbox existed are backfilled', async () => {
+    await storage.setItem('@sessions', [{ id: 's1', synced: false }]);
+
+    const result = await syncAll();
+
+    expect(result.totalSynced).toBe(1);
+    expect(mockRequests[0].rows).toEqual([{ id: 's1' }]);
+  });
+});
@@ -0,0 +1,177 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Server rows per table, returned by the mocked Supabase query builder.
+// The builder records the filters so we can assert on ownership scoping.
+const mockServerRows = {};
+const mockQueries = [];
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: jest.fn(async () => ({
+        data: { session: { user: { id: 'user-1' } } },
+      })),
+    },
+    from: (table) => {
+      const query = { table, filters: [] };
+      mockQueries.push(query);
+      const builder = {
+        select: (columns) => { query.select = columns; return builder; },
+        eq: (column, value) => { query.filters.push([column, value]); return builder; },
+        gte: (column, value) => { query.since = [column, value]; return builder; },
+        order: () => builder,
+        range: async (from, to) => {
+          let rows = mockServerRows[table] || [];
+          if (query.since) {
+            const [column, value] = query.since;
+            rows = rows.filter(r => r[column] >= value);
+          }
+          return { data: rows.slice(from, to + 1), error: null };
+        },
+      };
+      return builder;
+    },
+  },
+}));
+
+import { supabase } from '../src/services/supabaseClient';
+import { pullAll } from '../src/services/offlineSync';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  for (const table of Object.keys(mockServerRows)) delete mockServerRows[table];
+  mockQueries.length = 0;
+});
+
+describe('storage.mergeServerRecords', () => {
+  test('adds server rows as synced and keeps local-only records', async () => {
+    await storage.saveSession({ id: 's-local', synced: false });
+
+    const merged = await storage.mergeServerRecords('SESSIONS', [{ id: 's-server' }]);
+
+    expect(merged.map(s => s.id).sort()).toEqual(['s-local', 's-server']);
+    expect(merged.find(s => s.id === 's-server').synced).toBe(true);
+    expect(await storage.getSessions()).toEqual(merged);
+  });
+
+  test('unsynced local edits are not clobbered by the server copy', async () => {
+    await storage.saveChild({ id: 'c1', grade: 'Grade 2', synced: false });
+
+    const merged = await storage.mergeServerRecords('CHILDREN', [{ id: 'c1', grade: 'Grade 1' }]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0].grade).toBe('Grade 2');
+    expect(merged[0].synced).toBe(false);
+  });
+
+  test('server copy replaces a synced local record with the same id', async () => {
+    await storage.saveChild({ id: 'c1', grade: 'Grade 1', synced: true });
+
+    const merged = await storage.mergeServerRecords('CHILDREN', [{ id: 'c1', grade: 'Grade 3' }]);
+
+    expect(merged).toEqual([{ id: 'c1', grade: 'Grade 3', synced: true }]);
+  });
+
+  test('matches rows created on two devices by natural key', async () => {
+    const match = ['user_id', 'child_id', 'letter', 'language'];
+    await storage.saveLetterMasteryRecord({
+      id: 'lm-old', user_id: 'u', child_id: 'c1', letter: 'a', language: 'English', synced: true,
+    });
+    await storage.saveLetterMasteryRecord({
+      id: 'lm-pending', user_id: 'u', child_id: 'c1', letter: 'b', language: 'English', synced: false,
+    });
+
+    const merged = await storage.mergeServerRecords('LETTER_MASTERY', [
+      { id: 'lm-server-a', user_id: 'u', child_id: 'c1', letter: 'a', language: 'English' },
+      { id: 'lm-server-b', user_id: 'u', child_id: 'c1', letter: 'b', language: 'English' },
+    ], match);
+
+    expect(merged.map(r => r.id).sort()).toEqual(['lm-pending', 'lm-server-a']);
+  });
+});
+
+describe('pullAll', () => {
+  test('restores server history into empty local storage', async () => {
+    mockServerRows.sessions = [{ id: 's1', user_id: 'user-1' }];
+    mockServerRows.assessments = [{ id: 'a1', user_id: 'user-1' }];
+    mockServerRows.letter_mastery = [{ id: 'lm1', user_id: 'user-1', letter: 'a' }];
+    mockServerRows.time_entries = [{ id: 't1', user_id: 'user-1' }];
+
+    const result = await pullAll();
+
+    expect(result.success).toBe(true);
+    expect(result.totalPulled).toBe(4);
+    expect(await storage.getSessions()).toEqual([{ id: 's1', user_id: 'user-1', synced: true }]);
+    expect((await storage.getAssessments())[0].id).toBe('a1');
+    expect((await storage.getLetterMastery())[0].id).toBe('lm1');
+    expect((await storage.getTimeEntries())[0].id).toBe('t1');
+  });
+
+  test('scopes each query to the signed-in user and strips join data', async () => {
+    mockServerRows.children = [{ id: 'c1', first_name: 'A', staff_children: [{ staff_id: 'user-1' }] }];
+
+    await pullAll();
+
+    const childrenQuery = mockQueries.find(q => q.table === 'children');
+    expect(childrenQuery.filters).toContainEqual(['staff_children.staff_id', 'user-1']);
+    expect(mockQueries.find(q => q.table === 'sessions').filters).toContainEqual(['user_id', 'user-1']);
+    expect(await storage.getChildren()).toEqual([{ id: 'c1', first_name: 'A', synced: true }]);
+  });
+
+  test('pages through results larger than one request', async () => {
+    mockServerRows.letter_mastery = Array.from({ length: 1500 }, (_, i) => ({ id: `lm${i}` }));
+
+    const result = await pullAll();
+
+    expect(result.tableResults.LETTER_MASTERY.pulled).toBe(1500);
+    expect(await storage.getLetterMastery()).toHaveLength(1500);
+  });
+
+  test('is skipped when nobody is signed in', async () => {
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session: null } });
+
+    const result = await pullAll();
+
+    expect(result.skipped).toBe(true);
+    expect(mockQueries).toHaveLength(0);
+  });
+});
+
+describe('pullAll — delta cursors and tombstones', () => {
+  test('stores the newest updated_at per table and only asks for rows since then', async () => {
+    mockServerRows.sessions = [
+      { id: 's1', updated_at: '2026-05-01T08:00:00+00:00' },
+      { id: 's2', updated_at: '2026-05-02T08:00:00+00:00' },
+    ];
+
+    await pullAll();
+    expect(await storage.getPullCursor('SESSIONS')).toBe('2026-05-02T08:00:00+00:00');
+
+    mockQueries.length = 0;
+    mockServerRows.sessions.push({ id: 's3', updated_at: '2026-05-03T08:00:00+00:00' });
+    const result = await pullAll();
+
+    const sessionsQuery = mockQueries.find(q => q.table === 'sessions');
+    expect(sessionsQuery.since).toEqual(['updated_at', '2026-05-02T08:00:00+00:00']);
+    // Boundary row is re-fetched (gte) plus the new one
+    expect(result.tableResults.SESSIONS.pulled).toBe(2);
+    expect((await storage.getSessions()).map(s => s.id)).toEqual(['s1', 's2', 's3']);
+    expect(await storage.getPullCursor('SESSIONS')).toBe('2026-05-03T08:00:00+00:00');
+  });
+
+  test('tombstones remove synced local records but keep unsynced edits', async () => {
+    await storage.saveSession({ id: 's1', synced: true });
+    await storage.saveSession({ id: 's2', synced: false });
+    mockServerRows.sync_tombstones = [
+      { table_name: 'sessions', record_id: 's1', deleted_at: '2026-05-04T08:00:00+00:00' },
+      { table_name: 'sessions', record_id: 's2', deleted_at: '2026-05-04T08:00:00+00:00' },
+    ];
+
+    const result = await pullAll();
+
+    expect(result.totalRemoved).toBe(1);
+    expect((await storage.getSessions()).map(s => s.id)).toEqual(['s2']);
+    expect(await storage.getPullCursor('TOMBSTONES')).toBe('2026-05-04T08:00:00+00:00');
+  });
+});
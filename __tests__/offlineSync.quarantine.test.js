@@ -0,0 +1,118 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Upserts are recorded, unless mockRejectIds maps the id to a Postgres error
+const mockPushed = [];
+const mockRejectIds = {};
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: { user: { id: 'u1' } } } }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        const bad = rows.find(r => mockRejectIds[r.id]);
+        if (bad) return { error: { code: mockRejectIds[bad.id], message: 'new row violates row-level security policy' } };
+        mockPushed.push(...rows);
+        return { error: null };
+      },
+    }),
+  },
+}));
+
+import {
+  syncAll,
+  explainFailure,
+  getFailedItemDetails,
+  editFailedItem,
+  discardFailedItem,
+} from '../src/services/offlineSync';
+
+const session = {
+  id: 's1',
+  user_id: 'u1',
+  group_id: 'g1',
+  session_date: '2026-03-02',
+  notes: 'Letters a-e',
+  duration_minutes: 30,
+  activities: { letters: 3 },
+  synced: false,
+};
+
+// A session the server refused (RLS), quarantined after one sync
+const quarantineSession = async () => {
+  await storage.saveSession(session);
+  mockRejectIds.s1 = '42501';
+  await syncAll();
+  delete mockRejectIds.s1;
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  for (const id of Object.keys(mockRejectIds)) delete mockRejectIds[id];
+  mockPushed.length = 0;
+});
+
+describe('quarantine inspector', () => {
+  test('shows the stored record, what can be edited and why it failed', async () => {
+    await quarantineSession();
+
+    const details = await getFailedItemDetails('SESSIONS', 's1');
+
+    expect(details.record).toMatchObject({ notes: 'Letters a-e', activities: { letters: 3 } });
+    expect(details.editableFields).toEqual(['session_date', 'notes', 'duration_minutes']);
+    expect(details.category).toBe('permission');
+    expect(details.explanation).toMatch(/won't let your account/);
+  });
+
+  test('records that ran out of retries are explained as repeated failures', () => {
+    expect(explainFailure({ code: null, reason: 'Max retry attempts exceeded' }).category).toBe('transient');
+    expect(explainFailure({ code: '23503' }).category).toBe('missing_parent');
+  });
+
+  test('an edited record is queued again and sent with the fix', async () => {
+    await quarantineSession();
+
+    await editFailedItem('SESSIONS', 's1', { notes: 'Letters a-f' });
+    await syncAll();
+
+    expect(mockPushed).toEqual([expect.objectContaining({ id: 's1', notes: 'Letters a-f' })]);
+    expect(await getFailedItemDetails('SESSIONS', 's1')).toBeNull();
+  });
+
+  test('ids and links to other records cannot be edited', async () => {
+    await quarantineSession();
+
+    await expect(editFailedItem('SESSIONS', 's1', { group_id: 'g2' })).rejects.toThrow('group_id');
+    expect((await storage.getRecordById('SESSIONS', 's1')).group_id).toBe('g1');
+  });
+
+  test('a discarded record is deleted, never sent, and audited without its content', async () => {
+    await quarantineSession();
+
+    expect(await discardFailedItem('SESSIONS', 's1')).toBe(true);
+    await syncAll();
+
+    expect(mockPushed).toEqual([]);
+    expect(await storage.getRecordById('SESSIONS', 's1')).toBeNull();
+    expect((await storage.getSyncMeta()).failedItems).toEqual([]);
+    const [audit] = await storage.getDiscardedItems();
+    expect(audit).toMatchObject({
+      table: 'SESSIONS', id: 's1', code: '42501', category: 'permission', discardedBy: 'u1',
+    });
+    expect(JSON.stringify(audit)).not.toContain('Letters');
+  });
+
+  test('discarding a failed delete of a synced record pulls the table in full again', async () => {
+    await storage.saveSession({ ...session, synced: true });
+    await storage.setPullCursor('SESSIONS', '2026-03-02T08:00:00+00:00');
+    await storage.softDelete('SESSIONS', ['s1']);
+    await storage.addFailedItem('SESSIONS', 's1', 'permission denied', '42501');
+
+    expect(await discardFailedItem('SESSIONS', 's1')).toBe(true);
+
+    expect(await storage.getPullCursor('SESSIONS')).toBeNull();
+  });
+});
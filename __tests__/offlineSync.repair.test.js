@@ -0,0 +1,133 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Server ids per table answer the repair pass's existence checks. Upserts are
+// recorded and added to the server, unless mockRejectIds maps the id to a
+// Postgres error.
+const mockServerIds = {};
+const mockPushed = [];
+const mockRejectIds = {};
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: (table) => ({
+      select: () => ({
+        in: async (column, ids) => ({
+          data: (mockServerIds[table] || []).filter(id => ids.includes(id)).map(id => ({ id })),
+          error: null,
+        }),
+      }),
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        const bad = rows.find(r => mockRejectIds[r.id]);
+        if (bad) return { error: { code: mockRejectIds[bad.id], message: 'violates foreign key constraint' } };
+        mockPushed.push(...rows.map(r => `${table}:${r.id}`));
+        mockServerIds[table] = [...(mockServerIds[table] || []), ...rows.map(r => r.id)];
+        return { error: null };
+      },
+    }),
+  },
+}));
+
+import { syncAll, repairForeignKeyFailures } from '../src/services/offlineSync';
+
+// An assessment quarantined because its child wasn't on the server
+const quarantineAssessment = async () => {
+  await storage.saveAssessment({ id: 'a1', child_id: 'c1', synced: false });
+  mockRejectIds.a1 = '23503';
+  await syncAll();
+  delete mockRejectIds.a1;
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  for (const table of Object.keys(mockServerIds)) delete mockServerIds[table];
+  for (const id of Object.keys(mockRejectIds)) delete mockRejectIds[id];
+  mockPushed.length = 0;
+});
+
+describe('repairForeignKeyFailures', () => {
+  test('quarantine keeps the error code', async () => {
+    await quarantineAssessment();
+
+    const [item] = (await storage.getSyncMeta()).failedItems;
+    expect(item).toMatchObject({ table: 'ASSESSMENTS', id: 'a1', code: '23503' });
+  });
+
+  test('re-queues a record once its parent exists on the server', async () => {
+    await quarantineAssessment();
+    mockServerIds.children = ['c1'];
+
+    const repair = await repairForeignKeyFailures();
+
+    expect(repair.requeued).toBe(1);
+    expect(repair.actions[0]).toMatchObject({ table: 'ASSESSMENTS', id: 'a1', action: 'requeued', parents: [] });
+    expect((await storage.getSyncMeta()).failedItems).toEqual([]);
+
+    const result = await syncAll();
+    expect(result.success).toBe(true);
+    expect(mockPushed).toEqual(['assessments:a1']);
+  });
+
+  test('re-queues a parent that is local but missing on the server, parent first', async () => {
+    await storage.saveChild({ id: 'c1', first_name: 'A', synced: true });
+    await storage.saveAssessment({ id: 'a1', child_id: 'c1', synced: false });
+    mockRejectIds.a1 = '23503';
+
+    const { repair } = await syncAll();
+
+    expect(repair.actions[0]).toMatchObject({ action: 'requeued_with_parents', parents: ['CHILDREN_c1'] });
+    delete mockRejectIds.a1;
+    await syncAll();
+    expect(mockPushed).toEqual(['children:c1', 'assessments:a1']);
+  });
+
+  test('runs after every sync cycle', async () => {
+    await quarantineAssessment();
+    mockServerIds.children = ['c1'];
+
+    const result = await syncAll();
+
+    expect(result.repair.requeued).toBe(1);
+    expect((await storage.getSyncMeta()).repairLog).toHaveLength(1);
+  });
+
+  test('leaves the record quarantined while the parent is missing everywhere', async () => {
+    await quarantineAssessment();
+
+    const repair = await repairForeignKeyFailures();
+
+    expect(repair).toMatchObject({ requeued: 0, waiting: 1 });
+    expect((await storage.getSyncMeta()).failedItems.map(i => i.id)).toEqual(['a1']);
+  });
+
+  test('ignores quarantines that are not foreign key failures', async () => {
+    await storage.saveAssessment({ id: 'a1', child_id: 'c1', synced: false });
+    mockRejectIds.a1 = '42501';
+    await syncAll();
+    mockServerIds.children = ['c1'];
+
+    const repair = await repairForeignKeyFailures();
+
+    expect(repair.requeued).toBe(0);
+    expect(repair.waiting).toBe(0);
+  });
+
+  test('stops re-queueing a record after the attempt limit', async () => {
+    await storage.saveAssessment({ id: 'a1', child_id: 'c1', synced: false });
+    mockRejectIds.a1 = '23503';
+    mockServerIds.children = ['c1'];
+
+    // Each cycle: push fails, repair re-queues it
+    for (let i = 0; i < 3; i++) {
+      await syncAll();
+    }
+    const result = await syncAll();
+
+    expect(result.repair.requeued).toBe(0);
+    expect((await storage.getSyncMeta()).failedItems.map(i => i.id)).toEqual(['a1']);
+  });
+});
@@ -0,0 +1,95 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Upserts containing an id in mockRejectIds fail with that error code.
+const mockUpserts = [];
+const mockRejectIds = {};
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        mockUpserts.push({ table, ids: rows.map(r => r.id) });
+        const bad = rows.find(r => mockRejectIds[r.id]);
+        return { error: bad ? { code: mockRejectIds[bad.id], message: 'network down' } : null };
+      },
+    }),
+  },
+}));
+
+import { syncAll, syncTableByName, getSyncStatus } from '../src/services/offlineSync';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockUpserts.length = 0;
+  for (const id of Object.keys(mockRejectIds)) delete mockRejectIds[id];
+});
+
+describe('non-blocking retry scheduler', () => {
+  test('a retriable failure schedules nextAttemptAt instead of waiting inline', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    mockRejectIds.s1 = '08006';
+
+    const before = Date.now();
+    await syncTableByName('SESSIONS');
+
+    const nextAttemptAt = await storage.getNextAttemptAt('SESSIONS', 's1');
+    expect(new Date(nextAttemptAt).getTime()).toBeGreaterThanOrEqual(before + 5000);
+    expect(await storage.getRetryAttempts('SESSIONS', 's1')).toBe(1);
+  });
+
+  test('records not yet due are skipped while the rest of the queue proceeds', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    await storage.saveSession({ id: 's2', synced: false });
+    await storage.recordRetryAttempt('SESSIONS', 's1');
+    await storage.setNextAttemptAt('SESSIONS', 's1', new Date(Date.now() + 60000).toISOString());
+
+    const result = await syncTableByName('SESSIONS');
+
+    expect(result.deferred).toBe(1);
+    expect(result.synced).toBe(1);
+    expect(mockUpserts.flatMap(u => u.ids)).toEqual(['s2']);
+  });
+
+  test('a record is retried once its nextAttemptAt has passed', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    await storage.recordRetryAttempt('SESSIONS', 's1');
+    await storage.setNextAttemptAt('SESSIONS', 's1', new Date(Date.now() - 1000).toISOString());
+
+    const result = await syncTableByName('SESSIONS');
+
+    expect(result.synced).toBe(1);
+    expect(await storage.getNextAttemptAt('SESSIONS', 's1')).toBeNull();
+  });
+
+  test('dependents wait while a parent record is deferred', async () => {
+    await storage.saveChild({ id: 'c1', synced: false });
+    await storage.saveStaffChild({ id: 'sc1', staff_id: 'u1', child_id: 'c1', synced: false });
+    await storage.recordRetryAttempt('CHILDREN', 'c1');
+    await storage.setNextAttemptAt('CHILDREN', 'c1', new Date(Date.now() + 60000).toISOString());
+
+    const result = await syncAll();
+
+    expect(result.tableResults.STAFF_CHILDREN.skipped).toBe(true);
+    expect(mockUpserts.find(u => u.table === 'staff_children')).toBeUndefined();
+    expect(result.nextRetryAt).toBe(await storage.getNextAttemptAt('CHILDREN', 'c1'));
+  });
+
+  test('getSyncStatus reports only due records in dueCount', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    await storage.saveSession({ id: 's2', synced: false });
+    const later = new Date(Date.now() + 60000).toISOString();
+    await storage.recordRetryAttempt('SESSIONS', 's1');
+    await storage.setNextAttemptAt('SESSIONS', 's1', later);
+
+    const status = await getSyncStatus();
+
+    expect(status.unsyncedCount).toBe(2);
+    expect(status.dueCount).toBe(1);
+    expect(status.nextRetryAt).toBe(later);
+  });
+});
@@ -0,0 +1,228 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: require('./helpers/fakeSupabase').createFakeSupabase(),
+}));
+
+import { supabase } from '../src/services/supabaseClient';
+import { syncAll, getSyncStatus } from '../src/services/offlineSync';
+
+const server = supabase.server;
+
+const school = { id: 'sch1', name: 'Masi Primary' };
+const classRow = {
+  id: 'k1', name: '1A', grade: 'Grade 1', teacher: 'Ms Dlamini', home_language: 'isiXhosa',
+  school_id: 'sch1', staff_id: 'u1', created_by: 'u1',
+};
+const child = { id: 'c1', first_name: 'Thandi', last_name: 'M', age: 7, class_id: 'k1', created_by: 'u1' };
+const group = { id: 'g1', name: 'Reds', staff_id: 'u1' };
+const session = (id, overrides = {}) => ({
+  id, user_id: 'u1', session_type: 'Literacy Coach', session_date: '2026-03-02',
+  children_ids: ['c1'], group_ids: [], activities: {}, ...overrides,
+});
+
+const unsynced = (record) => ({ ...record, synced: false });
+
+// Records that arrived in an earlier pull
+const pulled = async (table, records) => {
+  await storage.mergeServerRecords(table, records);
+};
+
+// Scheduled retries come due without waiting out the backoff
+const makeRetriesDue = async () => {
+  await storage.updateMeta(meta => {
+    for (const key of Object.keys(meta.nextAttemptAt || {})) {
+      meta.nextAttemptAt[key] = new Date(Date.now() - 1000).toISOString();
+    }
+  });
+};
+
+const serverIds = (table) => server.rows(table).map(row => row.id).sort();
+const upsertOrder = () => server.requests.filter(r => r.op === 'upsert' && !r.error).map(r => r.table);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  server.reset();
+  server.signIn('u1');
+  server.seed('schools', [school]);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sync against the fake server', () => {
+  test('a day captured offline lands parents first and comes back on the pull', async () => {
+    await storage.saveClass(unsynced(classRow));
+    await storage.saveChild(unsynced(child));
+    await storage.saveStaffChild(unsynced({ id: 'sc1', staff_id: 'u1', child_id: 'c1' }));
+    await storage.saveGroup(unsynced(group));
+    await storage.saveChildrenGroup(unsynced({ id: 'm1', child_id: 'c1', group_id: 'g1' }));
+    await storage.saveSession(unsynced(session('s1', { group_ids: ['g1'] })));
+
+    const result = await syncAll();
+
+    expect(result).toMatchObject({ success: true, totalFailed: 0 });
+    expect(upsertOrder()).toEqual([
+      'classes', 'children', 'staff_children', 'groups', 'children_groups', 'sessions',
+    ]);
+    expect(serverIds('children_groups')).toEqual(['m1']);
+    expect(server.rows('children')[0].created_by).toBe('u1');
+    expect((await storage.getChildren()).map(c => c.id)).toEqual(['c1']);
+    expect((await getSyncStatus()).unsyncedCount).toBe(0);
+  });
+
+  test('a dropped connection is retried, not quarantined', async () => {
+    await storage.saveSession(unsynced(session('s1')));
+    // Both the batch and the record-by-record fallback
+    server.failNext({ table: 'sessions', op: 'upsert', times: 2 });
+
+    await syncAll();
+
+    expect(serverIds('sessions')).toEqual([]);
+    const status = await getSyncStatus();
+    expect(status.failedItems).toEqual([]);
+    expect(status.nextRetryAt).not.toBeNull();
+
+    await makeRetriesDue();
+    await syncAll();
+
+    expect(serverIds('sessions')).toEqual(['s1']);
+  });
+
+  test('offline, nothing is lost and nothing is given up on', async () => {
+    await storage.saveSession(unsynced(session('s1')));
+    server.setOnline(false);
+
+    const result = await syncAll();
+
+    expect(result.success).toBe(false);
+    expect((await getSyncStatus()).failedItems).toEqual([]);
+
+    server.setOnline(true);
+    await makeRetriesDue();
+    await syncAll();
+    expect(serverIds('sessions')).toEqual(['s1']);
+  });
+
+  test('one bad row in a batch fails alone', async () => {
+    await storage.saveSession(unsynced(session('s1')));
+    await storage.saveSession(unsynced(session('s2', { session_type: null })));
+    await storage.saveSession(unsynced(session('s3')));
+
+    await syncAll();
+
+    expect(serverIds('sessions')).toEqual(['s1', 's3']);
+    expect(server.requests).toContainEqual(
+      expect.objectContaining({ table: 'sessions', op: 'upsert', ids: ['s1', 's2', 's3'], error: '23502' })
+    );
+    expect((await storage.getRecordById('SESSIONS', 's2')).synced).toBe(false);
+  });
+
+  test("a row the server's RLS refuses is quarantined straight away", async () => {
+    // The group was handed to another coach after it was pulled here
+    server.seed('users', [{ id: 'u2', first_name: 'B', last_name: 'C', job_title: 'Coach', assigned_school: 'X' }]);
+    server.seed('children', [child]);
+    server.seed('staff_children', [{ id: 'sc1', staff_id: 'u1', child_id: 'c1' }]);
+    server.seed('groups', [{ ...group, staff_id: 'u2' }]);
+    await pulled('CHILDREN', [child]);
+    await pulled('GROUPS', [group]);
+    await storage.saveChildrenGroup(unsynced({ id: 'm1', child_id: 'c1', group_id: 'g1' }));
+
+    await syncAll();
+
+    expect(serverIds('children_groups')).toEqual([]);
+    expect((await getSyncStatus()).failedItems).toEqual([
+      expect.objectContaining({ table: 'CHILDREN_GROUPS', id: 'm1', code: '42501' }),
+    ]);
+  });
+
+  test("a row whose parent never reached the server is repaired by pushing the parent", async () => {
+    server.seed('groups', [group]);
+    await pulled('GROUPS', [group]);
+    // Marked synced here, but the server lost it
+    await pulled('CHILDREN', [{ ...child, id: 'c9', class_id: null }]);
+    await storage.saveChildrenGroup(unsynced({ id: 'm1', child_id: 'c9', group_id: 'g1' }));
+
+    await syncAll();
+
+    expect(server.requests).toContainEqual(
+      expect.objectContaining({ table: 'children_groups', op: 'upsert', ids: ['m1'], error: '23503' })
+    );
+    expect((await storage.getSyncMeta()).repairLog).toEqual([
+      expect.objectContaining({ id: 'm1', action: 'requeued_with_parents', parents: ['CHILDREN_c9'] }),
+    ]);
+
+    await syncAll();
+
+    expect(serverIds('children')).toEqual(['c9']);
+    expect(serverIds('children_groups')).toEqual(['m1']);
+    expect((await getSyncStatus()).failedItems).toEqual([]);
+  });
+
+  test('a row the server already has under another id counts as synced', async () => {
+    server.seed('groups', [{ ...group, id: 'g-other-phone' }]);
+    await storage.saveGroup(unsynced(group));
+
+    const result = await syncAll();
+
+    expect(result.totalFailed).toBe(0);
+    expect(serverIds('groups')).toEqual(['g-other-phone']);
+    expect((await storage.getRecordById('GROUPS', 'g1')).synced).toBe(true);
+  });
+
+  test('a delete on the server reaches this phone through its tombstone', async () => {
+    await storage.saveSession(unsynced(session('s1')));
+    await syncAll();
+
+    server.remove('sessions', ['s1']);
+    await syncAll();
+
+    expect(await storage.getRecordById('SESSIONS', 's1')).toBeNull();
+  });
+});
+
+describe("deletes reach every coach a child is assigned to", () => {
+  const otherCoachChild = { ...child, id: 'c2', class_id: null, created_by: 'u2' };
+
+  beforeEach(async () => {
+    server.seed('users', [{ id: 'u2', first_name: 'Coach', last_name: 'Two', job_title: 'Literacy Coach', assigned_school: 'Test School' }]);
+    server.seed('children', [otherCoachChild]);
+    server.seed('staff_children', [
+      { id: 'sc-u1', staff_id: 'u1', child_id: 'c2' },
+      { id: 'sc-u2', staff_id: 'u2', child_id: 'c2' },
+    ]);
+    await syncAll();
+    expect(await storage.getRecordById('CHILDREN', 'c2')).not.toBeNull();
+  });
+
+  test("a child another coach created is removed when it's deleted", async () => {
+    server.remove('children', ['c2']);
+    await syncAll();
+
+    expect(await storage.getRecordById('CHILDREN', 'c2')).toBeNull();
+    expect(await storage.getRecordById('STAFF_CHILDREN', 'sc-u1')).toBeNull();
+  });
+
+  test('a child unassigned from this coach leaves this phone only', async () => {
+    server.remove('staff_children', ['sc-u1']);
+    await syncAll();
+
+    expect(await storage.getRecordById('CHILDREN', 'c2')).toBeNull();
+    expect(await storage.getRecordById('STAFF_CHILDREN', 'sc-u1')).toBeNull();
+    expect(serverIds('children')).toContain('c2');
+    expect(server.rows('sync_tombstones').filter(t => t.table_name === 'children'))
+      .toEqual([expect.objectContaining({ record_id: 'c2', owner_id: 'u1' })]);
+  });
+
+  test('a child unassigned and assigned back between syncs stays', async () => {
+    server.remove('staff_children', ['sc-u1']);
+    server.seed('staff_children', [{ id: 'sc-u1b', staff_id: 'u1', child_id: 'c2' }]);
+    await syncAll();
+
+    expect(await storage.getRecordById('CHILDREN', 'c2')).not.toBeNull();
+  });
+});
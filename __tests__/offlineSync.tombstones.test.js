@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// Every upsert/delete request is recorded so tests can assert on what reached
+// the server.
+const mockRequests = [];
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        mockRequests.push({ table, op: 'upsert', payload });
+        return { error: null };
+      },
+      delete: () => ({
+        in: async (column, ids) => {
+          mockRequests.push({ table, op: 'delete', ids });
+          return { error: null };
+        },
+        eq: async (column, id) => {
+          mockRequests.push({ table, op: 'delete', ids: [id] });
+          return { error: null };
+        },
+      }),
+    }),
+  },
+}));
+
+import { syncTableByName } from '../src/services/offlineSync';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockRequests.length = 0;
+});
+
+describe('tombstones for every synced table', () => {
+  test.each([
+    ['GROUPS', 'groups', () => storage.saveGroup({ id: 'x1', name: 'Group 1', synced: true }), () => storage.deleteGroup('x1')],
+    ['CLASSES', 'classes', () => storage.saveClass({ id: 'x1', name: '1A', synced: true }), () => storage.deleteClass('x1')],
+    [
+      'STAFF_CHILDREN',
+      'staff_children',
+      () => storage.saveStaffChild({ id: 'x1', staff_id: 'u1', child_id: 'c1', synced: true }),
+      () => storage.deleteStaffChild('u1', 'c1'),
+    ],
+    [
+      'CHILDREN_GROUPS',
+      'children_groups',
+      () => storage.saveChildrenGroup({ id: 'x1', child_id: 'c1', group_id: 'g1', synced: true }),
+      () => storage.deleteChildrenGroup('c1', 'g1'),
+    ],
+  ])('deleting a %s record deletes it on the server, then locally', async (key, table, save, remove) => {
+    await save();
+    await remove();
+
+    const [tombstone] = await storage.getUnsyncedRecords(key);
+    expect(tombstone).toMatchObject({ id: 'x1', _deleted: true, synced: false });
+
+    const result = await syncTableByName(key);
+
+    expect(result.synced).toBe(1);
+    expect(mockRequests).toEqual([{ table, op: 'delete', ids: ['x1'] }]);
+    expect(await storage.getUnsyncedRecords(key)).toHaveLength(0);
+    expect(await storage.getItem(`@${table}`)).toEqual([]);
+  });
+
+  test('restoreDeleted undoes a delete that has not synced yet', async () => {
+    await storage.saveGroup({ id: 'g1', name: 'Group 1', synced: true });
+    await storage.deleteGroup('g1');
+
+    await storage.restoreDeleted('GROUPS', ['g1']);
+    await syncTableByName('GROUPS');
+
+    expect(await storage.getGroups()).toEqual([{ id: 'g1', name: 'Group 1', synced: true }]);
+    expect(mockRequests).toHaveLength(0);
+  });
+
+  test('a restored record that never reached the server is still pushed', async () => {
+    await storage.saveGroup({ id: 'g1', name: 'Group 1', synced: false });
+    await storage.deleteGroup('g1');
+    await storage.restoreDeleted('GROUPS', ['g1']);
+
+    await syncTableByName('GROUPS');
+
+    expect(mockRequests).toEqual([
+      { table: 'groups', op: 'upsert', payload: [{ id: 'g1', name: 'Group 1' }] },
+    ]);
+  });
+
+  test('a pull does not resurrect a record with a pending delete', async () => {
+    await storage.saveClass({ id: 'k1', name: '1A', synced: true });
+    await storage.deleteClass('k1');
+
+    await storage.mergeServerRecords('CLASSES', [{ id: 'k1', name: '1A' }]);
+
+    const [stored] = await storage.getClasses();
+    expect(stored._deleted).toBe(true);
+  });
+});
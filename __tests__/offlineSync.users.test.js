@@ -0,0 +1,84 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+
+// The signed-in user is mockSessionUser; every upsert is recorded
+const mockRequests = [];
+let mockSessionUser = null;
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({
+        data: { session: mockSessionUser ? { user: { id: mockSessionUser } } : null },
+      }),
+    },
+    from: (table) => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        mockRequests.push(...rows.map(r => `${table}:${r.id}`));
+        return { error: null };
+      },
+    }),
+  },
+}));
+
+import {
+  syncTableByName, getSyncStatus, pullTableByName, switchLocalUser,
+} from '../src/services/offlineSync';
+
+beforeEach(async () => {
+  await storage.switchUser(null);
+  await AsyncStorage.clear();
+  mockRequests.length = 0;
+  mockSessionUser = null;
+});
+
+describe('pushes never go out under another user', () => {
+  test("writes queued by another user stay queued and aren't due", async () => {
+    await storage.switchUser('u1');
+    await storage.saveSession({ id: 's1', user_id: 'u1', synced: false });
+    mockSessionUser = 'u2';
+
+    const result = await syncTableByName('sessions');
+
+    expect(mockRequests).toEqual([]);
+    expect(result.held).toBe(1);
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['s1']);
+    expect((await getSyncStatus()).dueCount).toBe(0);
+  });
+
+  test("rows created by another user aren't pushed, even from an old unstamped queue", async () => {
+    await storage.saveSession({ id: 's1', user_id: 'u1', synced: false });
+    await storage.saveSession({ id: 's2', user_id: 'u2', synced: false });
+    mockSessionUser = 'u2';
+
+    await syncTableByName('sessions');
+
+    expect(mockRequests).toEqual(['sessions:s2']);
+  });
+
+  test("edits to another user's rows already on the server still sync", async () => {
+    await storage.switchUser('u2');
+    await storage.saveChild({ id: 'c1', created_by: 'u1', grade: 'Grade 1', synced: true });
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+    const [entry] = await storage.getSyncQueue();
+    mockSessionUser = 'u2';
+
+    expect(entry.userId).toBe('u2');
+    expect((await getSyncStatus()).dueCount).toBe(1);
+  });
+});
+
+describe('single-table pulls wait for user switches', () => {
+  test("a pull queued behind a switch does not write into the next user's store", async () => {
+    await storage.switchUser('u1');
+
+    const switching = switchLocalUser('u2');
+    const result = await pullTableByName('sessions', 'u1');
+    await switching;
+
+    expect(result).toEqual({ success: true, pulled: 0, skipped: true });
+    expect(storage.userId).toBe('u2');
+    expect(await storage.getSessions()).toEqual([]);
+  });
+});
@@ -79,13 +79,14 @@ describe('Classes storage (offline-first CRUD)', () => {
     expect(result).toBe(false);
   });
 
-  test('deleteClass removes a class', async () => {
+  test('deleteClass tombstones a class until the delete syncs', async () => {
     await storage.saveClass(makeClass({ id: 'c1' }));
     await storage.saveClass(makeClass({ id: 'c2' }));
     await storage.deleteClass('c1');
     const result = await storage.getClasses();
-    expect(result).toHaveLength(1);
-    expect(result[0].id).toBe('c2');
+    expect(result).toHaveLength(2);
+    expect(result.find(c => c.id === 'c1')).toMatchObject({ _deleted: true, synced: false });
+    expect(result.find(c => c.id === 'c2')._deleted).toBeUndefined();
   });
 
   test('getUnsyncedClasses filters correctly', async () => {
@@ -0,0 +1,110 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage, STORAGE_KEYS, asyncStorageBackend } from '../src/utils/storage';
+
+// The native module can't load under jest; moveAsyncStorageData only talks
+// to the backend it's given
+jest.mock('expo-sqlite', () => ({}));
+
+import { moveAsyncStorageData } from '../src/utils/sqliteStore';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('row-level storage operations', () => {
+  test('saving a record upserts one row instead of rewriting the collection', async () => {
+    const put = jest.spyOn(asyncStorageBackend, 'put');
+    const replaceAll = jest.spyOn(asyncStorageBackend, 'replaceAll');
+
+    await storage.saveSession({ id: 's1', synced: false });
+
+    expect(put).toHaveBeenCalledWith(STORAGE_KEYS.SESSIONS, [{ id: 's1', synced: false }]);
+    expect(replaceAll).not.toHaveBeenCalled();
+  });
+
+  test('updates read the record by id and write it back in place', async () => {
+    await storage.saveChild({ id: 'c1', grade: 'Grade 1', synced: false });
+    await storage.saveChild({ id: 'c2', grade: 'Grade 1', synced: false });
+    const getByIds = jest.spyOn(asyncStorageBackend, 'getByIds');
+
+    await storage.updateChild('c1', { grade: 'Grade 2', synced: false });
+
+    expect(getByIds).toHaveBeenCalledWith(STORAGE_KEYS.CHILDREN, ['c1']);
+    expect((await storage.getChildren()).map(c => [c.id, c.grade])).toEqual([
+      ['c1', 'Grade 2'],
+      ['c2', 'Grade 1'],
+    ]);
+  });
+
+  test('unsynced records are looked up by sync state', async () => {
+    await storage.saveAssessment({ id: 'a1', synced: true });
+    await storage.saveAssessment({ id: 'a2', synced: false });
+    const getWhere = jest.spyOn(asyncStorageBackend, 'getWhere');
+
+    const unsynced = await storage.getUnsyncedRecords('ASSESSMENTS');
+
+    expect(getWhere).toHaveBeenCalledWith(STORAGE_KEYS.ASSESSMENTS, { synced: false });
+    expect(unsynced.map(a => a.id)).toEqual(['a2']);
+  });
+
+  test('saving a record with an existing id replaces it', async () => {
+    await storage.saveGroup({ id: 'g1', name: 'Old', synced: true });
+
+    await storage.saveGroup({ id: 'g1', name: 'New', synced: true });
+
+    expect(await storage.getGroups()).toEqual([{ id: 'g1', name: 'New', synced: true }]);
+  });
+
+  test('getRecordsBetween filters on the collection date field', async () => {
+    await storage.saveSession({ id: 's1', session_date: '2026-01-31', synced: true });
+    await storage.saveSession({ id: 's2', session_date: '2026-02-01', synced: true });
+    await storage.saveSession({ id: 's3', session_date: '2026-03-01', synced: true });
+
+    const february = await storage.getRecordsBetween('SESSIONS', '2026-02-01', '2026-03-01');
+
+    expect(february.map(s => s.id)).toEqual(['s2']);
+  });
+});
+
+describe('moveAsyncStorageData', () => {
+  const recordingBackend = () => ({
+    replaceAll: jest.fn(async () => {}),
+    setValue: jest.fn(async () => {}),
+    removeKey: jest.fn(async () => {}),
+  });
+
+  test('copies collections and values, then drops the AsyncStorage copies', async () => {
+    await storage.saveChild({ id: 'c1', synced: false });
+    await storage.updateSyncMeta({ lastSyncTime: '2026-01-01T00:00:00.000Z' });
+    const backend = recordingBackend();
+
+    const moved = await moveAsyncStorageData(backend);
+
+    expect(moved).toBe(3); // children, sync queue, sync meta
+    expect(backend.replaceAll).toHaveBeenCalledWith(STORAGE_KEYS.CHILDREN, [{ id: 'c1', synced: false }]);
+    expect(backend.setValue).toHaveBeenCalledWith(
+      STORAGE_KEYS.SYNC_META,
+      expect.objectContaining({ lastSyncTime: '2026-01-01T00:00:00.000Z' })
+    );
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.CHILDREN)).toBeNull();
+  });
+
+  test('clears keys AsyncStorage never had, so an interrupted move is redone cleanly', async () => {
+    const backend = recordingBackend();
+
+    await moveAsyncStorageData(backend);
+
+    expect(backend.removeKey).toHaveBeenCalledWith(STORAGE_KEYS.SESSIONS);
+  });
+
+  test('leaves the migration backup behind', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_BACKUP, JSON.stringify({ fromVersion: 0, keys: [] }));
+    const backend = recordingBackend();
+
+    await moveAsyncStorageData(backend);
+
+    expect(backend.setValue).not.toHaveBeenCalledWith(STORAGE_KEYS.SCHEMA_BACKUP, expect.anything());
+    expect(backend.removeKey).not.toHaveBeenCalledWith(STORAGE_KEYS.SCHEMA_BACKUP);
+  });
+});
@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage, STORAGE_KEYS } from '../src/utils/storage';
+
+beforeEach(async () => {
+  await storage.switchUser(null);
+  await AsyncStorage.clear();
+});
+
+describe('storage.switchUser', () => {
+  test("each user's data and outbox are kept apart", async () => {
+    await storage.switchUser('u1');
+    await storage.saveChild({ id: 'c1', created_by: 'u1', synced: false });
+
+    await storage.switchUser('u2');
+    expect(await storage.getChildren()).toEqual([]);
+    expect(await storage.getSyncQueue()).toEqual([]);
+    await storage.saveChild({ id: 'c2', created_by: 'u2', synced: false });
+
+    await storage.switchUser('u1');
+    expect((await storage.getChildren()).map(c => c.id)).toEqual(['c1']);
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['c1']);
+  });
+
+  test('outbox entries record who made the write', async () => {
+    await storage.switchUser('u1');
+    await storage.saveSession({ id: 's1', user_id: 'u1', synced: false });
+
+    const [entry] = await storage.getSyncQueue();
+    expect(entry.userId).toBe('u1');
+  });
+
+  test("data from before storage was per-user goes to the first user to sign in", async () => {
+    await storage.saveChild({ id: 'c1', synced: false });
+
+    await storage.switchUser('u1');
+
+    expect((await storage.getChildren()).map(c => c.id)).toEqual(['c1']);
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['c1']);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.CHILDREN)).toBeNull();
+  });
+
+  test("that data waits for the user in its cached profile", async () => {
+    await storage.saveUserProfile({ id: 'u1' });
+    await storage.saveChild({ id: 'c1', synced: false });
+
+    await storage.switchUser('u2');
+    expect(await storage.getChildren()).toEqual([]);
+
+    await storage.switchUser('u1');
+    expect((await storage.getChildren()).map(c => c.id)).toEqual(['c1']);
+  });
+
+  test("that data never overwrites a user's own", async () => {
+    await storage.switchUser('u1');
+    await storage.saveChild({ id: 'mine', synced: false });
+    await storage.switchUser(null);
+    await storage.saveChild({ id: 'shared', synced: false });
+
+    await storage.switchUser('u1');
+
+    expect((await storage.getChildren()).map(c => c.id)).toEqual(['mine']);
+  });
+
+  test('clearing one user leaves the others', async () => {
+    await storage.switchUser('u1');
+    await storage.saveChild({ id: 'c1', synced: false });
+    await storage.switchUser('u2');
+    await storage.saveChild({ id: 'c2', synced: false });
+
+    await storage.clear();
+
+    expect(await storage.getChildren()).toEqual([]);
+    await storage.switchUser('u1');
+    expect((await storage.getChildren()).map(c => c.id)).toEqual(['c1']);
+  });
+});
@@ -0,0 +1,113 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage, STORAGE_KEYS } from '../src/utils/storage';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('per-key write locks', () => {
+  test('concurrent read-modify-writes on one collection both land', async () => {
+    await storage.saveChild({ id: 'c1', synced: false });
+    await storage.saveChild({ id: 'c2', grade: 'Grade 1', synced: true });
+
+    await Promise.all([
+      storage.markAsSynced('CHILDREN', 'c1'),
+      storage.updateChild('c2', { grade: 'Grade 2', synced: false }),
+    ]);
+
+    const children = await storage.getChildren();
+    expect(children.find(c => c.id === 'c1').synced).toBe(true);
+    expect(children.find(c => c.id === 'c2').grade).toBe('Grade 2');
+  });
+
+  test('concurrent metadata updates are not lost', async () => {
+    await Promise.all(
+      Array.from({ length: 5 }, () => storage.recordRetryAttempt('SESSIONS', 's1'))
+    );
+
+    expect(await storage.getRetryAttempts('SESSIONS', 's1')).toBe(5);
+  });
+
+  test('a sync completing a record does not mark an edit made meanwhile as synced', async () => {
+    await storage.saveChild({ id: 'c1', grade: 'Grade 1', synced: false });
+    const [{ seq }] = await storage.getSyncQueue();
+
+    await Promise.all([
+      storage.completeSyncOps('CHILDREN', ['c1'], seq),
+      storage.updateChild('c1', { grade: 'Grade 2', synced: false }),
+    ]);
+
+    const [child] = await storage.getChildren();
+    expect(child).toMatchObject({ grade: 'Grade 2', synced: false });
+    expect((await storage.getSyncQueue()).map(e => e.op)).toEqual(['update']);
+  });
+
+  test('locks must be taken in order', async () => {
+    await expect(
+      storage.locked([STORAGE_KEYS.SYNC_META], s => s.locked([STORAGE_KEYS.CHILDREN], () => {}))
+    ).rejects.toThrow('Storage lock order');
+  });
+});
+
+describe('storage.transaction', () => {
+  const session = { id: 's1', synced: false };
+  const mastery = { id: 'lm1', child_id: 'c1', letter: 'a', synced: false };
+
+  test('writes land together when the transaction completes', async () => {
+    let visibleInside;
+
+    await storage.transaction(['SESSIONS', 'LETTER_MASTERY'], async (tx) => {
+      await tx.saveSession(session);
+      await tx.saveLetterMasteryRecord(mastery);
+      // The transaction reads its own writes; nobody else sees them yet
+      visibleInside = {
+        tx: (await tx.getSessions()).length,
+        outside: (await AsyncStorage.getItem(STORAGE_KEYS.SESSIONS)),
+      };
+    });
+
+    expect(visibleInside).toEqual({ tx: 1, outside: null });
+    expect(await storage.getSessions()).toEqual([session]);
+    expect(await storage.getLetterMastery()).toEqual([mastery]);
+    expect((await storage.getSyncQueue()).map(e => e.id)).toEqual(['s1', 'lm1']);
+  });
+
+  test('nothing lands if the transaction throws', async () => {
+    await expect(storage.transaction(['SESSIONS', 'LETTER_MASTERY'], async (tx) => {
+      await tx.saveSession(session);
+      throw new Error('letter set missing');
+    })).rejects.toThrow('letter set missing');
+
+    expect(await storage.getSessions()).toEqual([]);
+    expect(await storage.getSyncQueue()).toEqual([]);
+  });
+
+  test('nothing lands if the commit fails', async () => {
+    jest.spyOn(AsyncStorage, 'multiSet').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(storage.transaction(['SESSIONS'], async (tx) => {
+      await tx.saveSession(session);
+    })).rejects.toThrow('disk full');
+
+    expect(await storage.getSessions()).toEqual([]);
+  });
+
+  test('other writes to its collections wait until it is done', async () => {
+    let finish;
+    const blocked = new Promise(resolve => { finish = resolve; });
+
+    const transaction = storage.transaction(['SESSIONS'], async (tx) => {
+      await tx.saveSession(session);
+      await blocked;
+    });
+    const otherSave = storage.saveSession({ id: 's2', synced: false });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(await storage.getSessions()).toEqual([]);
+
+    finish();
+    await Promise.all([transaction, otherSave]);
+
+    expect((await storage.getSessions()).map(s => s.id)).toEqual(['s1', 's2']);
+  });
+});
@@ -0,0 +1,119 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage, STORAGE_KEYS } from '../src/utils/storage';
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  runStorageMigrations,
+  restoreStorageBackup,
+} from '../src/utils/storageMigrations';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('runStorageMigrations', () => {
+  test('runs pending steps in order and records the version', async () => {
+    const ran = [];
+    const migrations = [
+      { version: 1, name: 'one', up: async () => ran.push('one') },
+      { version: 2, name: 'two', up: async () => ran.push('two') },
+    ];
+
+    const result = await runStorageMigrations(migrations);
+
+    expect(ran).toEqual(['one', 'two']);
+    expect(result).toEqual({ fromVersion: 0, version: 2, applied: ['one', 'two'] });
+    expect(await getSchemaVersion()).toBe(2);
+  });
+
+  test('skips steps already applied', async () => {
+    await storage.setItem(STORAGE_KEYS.SCHEMA_VERSION, 1);
+    const ran = [];
+    const migrations = [
+      { version: 1, name: 'one', up: async () => ran.push('one') },
+      { version: 2, name: 'two', up: async () => ran.push('two') },
+    ];
+
+    await runStorageMigrations(migrations);
+    await runStorageMigrations(migrations);
+
+    expect(ran).toEqual(['two']);
+  });
+
+  test('a failing step restores the previous data and version', async () => {
+    await storage.saveChild({ id: 'c1', first_name: 'A', synced: true });
+    const migrations = [
+      {
+        version: 1,
+        name: 'rename',
+        up: async () => storage.setItem(STORAGE_KEYS.CHILDREN, [{ id: 'c1', name: 'A' }]),
+      },
+      { version: 2, name: 'boom', up: async () => { throw new Error('bad step'); } },
+    ];
+
+    const result = await runStorageMigrations(migrations);
+
+    expect(result.error.message).toBe('bad step');
+    expect(result.version).toBe(0);
+    expect(await getSchemaVersion()).toBe(0);
+    expect(await storage.getChildren()).toEqual([{ id: 'c1', first_name: 'A', synced: true }]);
+  });
+
+  test('keys created by a failed step are removed on restore', async () => {
+    const migrations = [
+      { version: 1, name: 'groups', up: async () => storage.setItem(STORAGE_KEYS.GROUPS, [{ id: 'g1' }]) },
+      { version: 2, name: 'boom', up: async () => { throw new Error('bad step'); } },
+    ];
+
+    await runStorageMigrations(migrations);
+
+    expect(await storage.getItem(STORAGE_KEYS.GROUPS)).toBeNull();
+  });
+
+  test('the backup of the previous data survives a successful run', async () => {
+    await storage.saveChild({ id: 'c1', first_name: 'A', synced: true });
+    await runStorageMigrations([
+      { version: 1, name: 'wipe', up: async () => storage.setItem(STORAGE_KEYS.CHILDREN, []) },
+    ]);
+
+    expect(await restoreStorageBackup()).toBe(true);
+
+    expect(await storage.getChildren()).toHaveLength(1);
+    expect(await getSchemaVersion()).toBe(0);
+  });
+});
+
+describe('MIGRATIONS', () => {
+  test('versions are consecutive from 1', () => {
+    expect(MIGRATIONS.map(step => step.version)).toEqual(
+      MIGRATIONS.map((step, index) => index + 1)
+    );
+    expect(SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  test('a fresh install migrates cleanly', async () => {
+    const result = await runStorageMigrations();
+
+    expect(result.error).toBeUndefined();
+    expect(await getSchemaVersion()).toBe(SCHEMA_VERSION);
+  });
+
+  test('v1 drops assigned_staff_id from cached children', async () => {
+    await storage.setItem(STORAGE_KEYS.CHILDREN, [
+      { id: 'c1', first_name: 'A', assigned_staff_id: 'u1', synced: false },
+    ]);
+
+    await runStorageMigrations();
+
+    expect(await storage.getChildren()).toEqual([{ id: 'c1', first_name: 'A', synced: false }]);
+  });
+
+  test('v2 drops the old orphan repair flag', async () => {
+    await storage.updateSyncMeta({ orphanRepairDone: true });
+
+    await runStorageMigrations();
+
+    expect(await storage.getSyncMeta()).not.toHaveProperty('orphanRepairDone');
+  });
+});
@@ -0,0 +1,121 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storage } from '../src/utils/storage';
+import {
+  onSyncProgress,
+  reduceSyncProgress,
+  estimateRemainingMs,
+  getPushTotals,
+} from '../src/services/syncProgress';
+
+// Upserts of ids in mockFailIds fail with a retriable error
+const mockFailIds = new Set();
+
+jest.mock('../src/services/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: null } }),
+    },
+    from: () => ({
+      upsert: async (payload) => {
+        const rows = Array.isArray(payload) ? payload : [payload];
+        const failed = rows.some(r => mockFailIds.has(r.id));
+        return { error: failed ? { code: '08006', message: 'connection lost' } : null };
+      },
+    }),
+  },
+}));
+
+import { syncAll } from '../src/services/offlineSync';
+
+const fold = (events) => events.reduce(reduceSyncProgress, null);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  mockFailIds.clear();
+});
+
+describe('sync progress events', () => {
+  test('syncAll reports tables, record counts, retries and the finish', async () => {
+    await storage.saveChild({ id: 'c1', synced: false });
+    await storage.saveSession({ id: 's1', synced: false });
+    await storage.saveSession({ id: 's2', synced: false });
+    mockFailIds.add('s2');
+    const events = [];
+    const unsubscribe = onSyncProgress(event => events.push(event));
+
+    await syncAll();
+    unsubscribe();
+
+    const types = events.map(e => e.type);
+    expect(types[0]).toBe('sync_started');
+    expect(events[1]).toMatchObject({ type: 'push_started', tables: { CHILDREN: 1, SESSIONS: 2 } });
+    expect(events).toContainEqual(expect.objectContaining({ type: 'table_started', table: 'SESSIONS', total: 2 }));
+    expect(events).toContainEqual(expect.objectContaining({ type: 'retry_scheduled', table: 'SESSIONS', id: 's2', attempt: 2 }));
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'table_finished', table: 'SESSIONS', synced: 1, failed: 1,
+    }));
+    expect(types.indexOf('pull_started')).toBeGreaterThan(types.lastIndexOf('table_finished'));
+    expect(events[events.length - 1]).toMatchObject({ type: 'sync_finished', success: false, totalSynced: 2 });
+    expect(events.every(e => typeof e.at === 'number')).toBe(true);
+  });
+
+  test('progress counts only go up and end at the total', async () => {
+    for (let i = 0; i < 3; i++) {
+      await storage.saveSession({ id: `s${i}`, synced: false });
+    }
+    const events = [];
+    const unsubscribe = onSyncProgress(event => events.push(event));
+
+    await syncAll();
+    unsubscribe();
+
+    const done = events.filter(e => e.type === 'table_progress').map(e => e.done);
+    expect(done).toEqual([...done].sort((a, b) => a - b));
+    expect(done[done.length - 1]).toBe(3);
+  });
+
+  test('a failing listener does not break the sync', async () => {
+    await storage.saveSession({ id: 's1', synced: false });
+    const unsubscribe = onSyncProgress(() => { throw new Error('render failed'); });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await syncAll();
+    unsubscribe();
+    console.error.mockRestore();
+
+    expect(result.totalSynced).toBe(1);
+  });
+});
+
+describe('reduceSyncProgress', () => {
+  const pushing = fold([
+    { type: 'sync_started', at: 0 },
+    { type: 'push_started', at: 1000, tables: { SESSIONS: 10, CHILDREN: 2 } },
+    { type: 'table_started', at: 1000, table: 'CHILDREN', total: 2 },
+    { type: 'table_finished', at: 2000, table: 'CHILDREN', synced: 2, failed: 0, deferred: 0, held: 0 },
+    { type: 'table_started', at: 2000, table: 'SESSIONS', total: 10 },
+    { type: 'table_progress', at: 5000, table: 'SESSIONS', done: 4, total: 10 },
+  ]);
+
+  test('tracks each table', () => {
+    expect(pushing.tables).toEqual({
+      CHILDREN: { total: 2, done: 2, status: 'done' },
+      SESSIONS: { total: 10, done: 4, status: 'syncing' },
+    });
+    expect(getPushTotals(pushing)).toEqual({ done: 6, total: 12 });
+  });
+
+  test('estimates the time left from the pace so far', () => {
+    // 6 records in 4s → 6 left take another 4s
+    expect(estimateRemainingMs(pushing, 5000)).toBe(4000);
+  });
+
+  test('no estimate before anything is done or after the push', () => {
+    const started = fold([
+      { type: 'sync_started', at: 0 },
+      { type: 'push_started', at: 0, tables: { SESSIONS: 3 } },
+    ]);
+    expect(estimateRemainingMs(started, 1000)).toBeNull();
+    expect(estimateRemainingMs(reduceSyncProgress(pushing, { type: 'pull_started', at: 6000 }), 6000)).toBeNull();
+  });
+});
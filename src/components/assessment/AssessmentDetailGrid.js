@@ -12,9 +12,13 @@ const GAP = 5;
 export default function AssessmentDetailGrid({ assessment, letterSet }) {
   if (!letterSet) return null;
 
-  const isWord = letterSet.type === 'word';
+  // Oral items are words said aloud, shown like the word grid
+  const isWord = letterSet.type === 'word' || letterSet.type === 'oral';
+  // A passage wraps like text: each word as wide as it is
+  const isPassage = letterSet.type === 'passage';
   const columns = letterSet.columns || DEFAULT_COLUMNS;
   const tileWidth = isWord ? WORD_TILE_WIDTH : LETTER_TILE_SIZE;
+  const gridWidth = isPassage ? '100%' : columns * tileWidth + (columns - 1) * GAP;
 
   const correctSet = new Set(
     (assessment.correct_letters || []).map((l) => l.index)
@@ -26,9 +30,9 @@ export default function AssessmentDetailGrid({ assessment, letterSet }) {
 
   return (
     <View style={styles.container}>
-      <Text variant="titleSmall" style={styles.title}>{isWord ? 'Word' : 'Letter'} Results</Text>
+      <Text variant="titleSmall" style={styles.title}>{isPassage ? 'Passage' : isWord ? 'Word' : 'Letter'} Results</Text>
 
-      <View style={[styles.grid, { width: columns * tileWidth + (columns - 1) * GAP }]}>
+      <View style={[styles.grid, isPassage && styles.passage, { width: gridWidth }]}>
         {letterSet.letters.map((letter, i) => {
           const notAttempted = i > lastIndex;
           const isCorrect = correctSet.has(i);
@@ -39,7 +43,7 @@ export default function AssessmentDetailGrid({ assessment, letterSet }) {
               key={`${i}-${letter}`}
               style={[
                 styles.tile,
-                { width: tileWidth, height: TILE_HEIGHT },
+                isPassage ? styles.passageTile : { width: tileWidth, height: TILE_HEIGHT },
                 isCorrect && styles.tileCorrect,
                 isIncorrect && styles.tileIncorrect,
                 notAttempted && styles.tileNotAttempted,
@@ -53,8 +57,8 @@ export default function AssessmentDetailGrid({ assessment, letterSet }) {
                   styles.tileText,
                   (isCorrect || isIncorrect) && styles.tileTextWhite,
                   notAttempted && styles.tileTextMuted,
-                  letter.length === 2 && styles.tileTextDigraph,
-                  letter.length > 2 && styles.tileTextWord,
+                  !isPassage && letter.length === 2 && styles.tileTextDigraph,
+                  !isPassage && letter.length > 2 && styles.tileTextWord,
                 ]}
               >
                 {letter}
@@ -98,6 +102,13 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     gap: GAP,
   },
+  passage: {
+    justifyContent: 'flex-start',
+  },
+  passageTile: {
+    height: TILE_HEIGHT,
+    paddingHorizontal: spacing.sm,
+  },
   tile: {
     justifyContent: 'center',
     alignItems: 'center',
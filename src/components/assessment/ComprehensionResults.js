@@ -0,0 +1,85 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { colors, spacing, borderRadius } from '../../constants/colors';
+
+const RESULT_LABELS = {
+  correct: { label: 'Correct', color: colors.success, textColor: '#FFFFFF' },
+  incorrect: { label: 'Incorrect', color: colors.emphasis, textColor: '#FFFFFF' },
+  no_response: { label: 'No response', color: colors.accent, textColor: colors.text },
+  not_asked: { label: 'Not asked', color: colors.border, textColor: colors.textSecondary },
+};
+
+// A passage assessment's comprehension questions and how the child answered.
+// questions (the passage's, for their prompts) may be missing if the passage
+// is no longer in the app; results are then listed by number.
+export default function ComprehensionResults({ comprehension, questions = [] }) {
+  if (!comprehension) return null;
+
+  const promptById = Object.fromEntries(questions.map((q) => [q.id, q.prompt]));
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text variant="titleSmall" style={styles.title}>Comprehension</Text>
+        <Text variant="titleSmall" style={styles.score}>
+          {comprehension.correct} / {comprehension.total} ({comprehension.percent}%)
+        </Text>
+      </View>
+
+      {comprehension.questions.map(({ id, result }, i) => {
+        const { label, color, textColor } = RESULT_LABELS[result] || RESULT_LABELS.not_asked;
+        return (
+          <View key={id} style={styles.row}>
+            <Text variant="bodyMedium" style={styles.prompt}>
+              {i + 1}. {promptById[id] || `Question ${i + 1}`}
+            </Text>
+            <View style={[styles.badge, { backgroundColor: color }]}>
+              <Text variant="labelSmall" style={[styles.badgeText, { color: textColor }]}>{label}</Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+  title: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  score: {
+    color: colors.primary,
+    fontWeight: '700',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  prompt: {
+    flex: 1,
+    color: colors.text,
+  },
+  badge: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  badgeText: {
+    fontWeight: '600',
+  },
+});
@@ -3,6 +3,7 @@ import { View, TouchableOpacity, StyleSheet } from 'react-native';
 import { Badge, Text, ActivityIndicator } from 'react-native-paper';
 import { Ionicons } from '@expo/vector-icons';
 import { useOffline } from '../../context/OfflineContext';
+import { getPushTotals } from '../../services/syncProgress';
 import { colors, spacing } from '../../constants/colors';
 
 /**
@@ -11,11 +12,13 @@ import { colors, spacing } from '../../constants/colors';
  * Shows network and sync status in the header:
  * - Green checkmark: Online, all synced
  * - Yellow cloud: Offline or has unsynced items
- * - Blue spinner: Currently syncing
+ * - Blue spinner: Currently syncing, with records pushed so far ("12/40")
  * - Badge count: Number of unsynced items
  */
 export default function SyncIndicator({ onPress }) {
-  const { isOnline, isSyncing, unsyncedCount, syncNow } = useOffline();
+  const { isOnline, isSyncing, unsyncedCount, syncNow, syncProgress } = useOffline();
+  const pushTotals = getPushTotals(syncProgress);
+  const showPushCount = isSyncing && syncProgress?.phase === 'push' && pushTotals.total > 0;
 
   // Determine icon and color based on state
   const getIconConfig = () => {
@@ -59,7 +62,14 @@ export default function SyncIndicator({ onPress }) {
       activeOpacity={0.7}
     >
       {isSyncing ? (
-        <ActivityIndicator size={20} color={iconConfig.color} />
+        <>
+          <ActivityIndicator size={20} color={iconConfig.color} />
+          {showPushCount && (
+            <Text style={[styles.progressText, { color: iconConfig.color }]}>
+              {pushTotals.done}/{pushTotals.total}
+            </Text>
+          )}
+        </>
       ) : (
         <Ionicons name={iconConfig.icon} size={20} color={iconConfig.color} />
       )}
@@ -88,6 +98,11 @@ const styles = StyleSheet.create({
     height: 32,
     position: 'relative',
   },
+  progressText: {
+    marginLeft: spacing.xs,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   badge: {
     position: 'absolute',
     top: -4,
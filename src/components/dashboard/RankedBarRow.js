@@ -21,7 +21,7 @@ export function getBarColor(percent) {
  * @param {number} value - The metric value
  * @param {number} maxValue - Maximum possible value (for bar width scaling)
  * @param {string} barColor - Color of the filled bar
- * @param {string} label - Text label shown at end (e.g. "23/26" or "85%")
+ * @param {string} label - Text label shown at end (e.g. "23/26", "85%" or "23 · 34 CLPM")
  */
 export default function RankedBarRow({ rank, name, value, maxValue, barColor, label, onPress }) {
   const widthPercent = maxValue > 0 ? Math.max(2, (value / maxValue) * 100) : 2;
@@ -80,7 +80,7 @@ const styles = StyleSheet.create({
   label: {
     fontSize: 11,
     fontWeight: '600',
-    width: 48,
+    minWidth: 48,
     textAlign: 'right',
     color: colors.text,
   },
@@ -63,10 +63,10 @@ export default function LetterTrackerBottomSheet({
     (async () => {
       setLoading(true);
       try {
-        // 1. Compute assessment mastery from latest assessment
+        // 1. Compute assessment mastery from latest letter assessment
         const allAssessments = await storage.getAssessments();
         const childAssessments = allAssessments
-          .filter(a => a.child_id === child.id && a.letter_language === letterSet.language)
+          .filter(a => a.child_id === child.id && a.letter_language === letterSet.language && (a.assessment_type || 'letter_egra') === 'letter_egra')
           .sort((a, b) => {
             const dateCmp = b.date_assessed.localeCompare(a.date_assessed);
             if (dateCmp !== 0) return dateCmp;
@@ -235,7 +235,7 @@ export async function getTrackerCount(childId, languageKey, pendingChanges = {})
   // Assessment mastery
   const allAssessments = await storage.getAssessments();
   const childAssessments = allAssessments
-    .filter(a => a.child_id === childId && a.letter_language === letterSet.language)
+    .filter(a => a.child_id === childId && a.letter_language === letterSet.language && (a.assessment_type || 'letter_egra') === 'letter_egra')
     .sort((a, b) => {
       const dateCmp = b.date_assessed.localeCompare(a.date_assessed);
       if (dateCmp !== 0) return dateCmp;
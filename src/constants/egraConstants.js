@@ -1,6 +1,10 @@
 // EGRA (Early Grade Reading Assessment) Letter Sound subtest data.
 // Letter sets sourced from documentation/egra_letter_sets.md.
 // Important: English uses mixed case and digraphs — display as-is, do NOT force uppercase.
+//
+// discontinueRule: EGRA's early stop. If the child gets every one of the first
+// `items` items wrong, the subtest ends there (see meetsDiscontinueRule).
+// Omit it to always run the full timer.
 
 export const ENGLISH_LETTER_SET = {
   id: 'english_60',
@@ -16,6 +20,7 @@ export const ENGLISH_LETTER_SET = {
   ],
   lettersPerPage: 20,
   columns: 5,
+  discontinueRule: { items: 10 },
 };
 
 export const ISIXHOSA_LETTER_SET = {
@@ -32,6 +37,7 @@ export const ISIXHOSA_LETTER_SET = {
   ],
   lettersPerPage: 20,
   columns: 5,
+  discontinueRule: { items: 10 },
 };
 
 export const LETTER_SETS = { english: ENGLISH_LETTER_SET, isixhosa: ISIXHOSA_LETTER_SET };
@@ -52,6 +58,7 @@ export const ENGLISH_WORD_SET = {
   ],
   lettersPerPage: 10,
   columns: 2,
+  discontinueRule: { items: 5 },
 };
 
 export const ISIXHOSA_WORD_SET = {
@@ -67,10 +74,221 @@ export const ISIXHOSA_WORD_SET = {
   ],
   lettersPerPage: 10,
   columns: 2,
+  discontinueRule: { items: 5 },
 };
 
 export const WORD_SETS = { english: ENGLISH_WORD_SET, isixhosa: ISIXHOSA_WORD_SET };
 
+// --- Non-word Reading Assessment sets (EGRA) ---
+// Invented words that follow each language's spelling patterns. A child can
+// only read them by decoding, not from memory of words they've seen.
+// Placeholder lists — replace with real EGRA non-word lists when available.
+// Shown and scored like the word sets, so type is 'word'.
+
+export const ENGLISH_NONWORD_SET = {
+  id: 'english_nonwords_50',
+  language: 'English',
+  type: 'word',
+  letters: [
+    'ut','dif','mab','zod','lig','fep','tob','nuk','sig','jad',
+    'vom','pem','rix','hib','wug','yat','dop','fim','kep','lun',
+    'bov','zeb','gok','jit','nid','pog','sut','vad','wib','yom',
+    'ched','shom','thip','whaz','seb','plin','trob','drem','snop','glet',
+    'frub','crim','stap','blon','grup','clab','smeb','prot','skib','flom',
+  ],
+  lettersPerPage: 10,
+  columns: 2,
+  discontinueRule: { items: 5 },
+};
+
+export const ISIXHOSA_NONWORD_SET = {
+  id: 'isixhosa_nonwords_50',
+  language: 'isiXhosa',
+  type: 'word',
+  letters: [
+    'bafo','seti','loku','mevi','tuza','nipe','dalo','kute','vosi','heme',
+    'zabi','yovu','pilo','gesi','wutu','lafe','ruko','bive','sodi','mupa',
+    'telo','kabe','nuvi','dopi','fesa','humo','jeti','lozi','vabu','sike',
+    'bolafi','semuti','kavide','nupelo','tizabo','lodeva','pukesi','mavito','desulo','fikabe',
+    'zotime','hesabu','ravuli','gikobe','nulefa','bodize','sekavu','topime','lusode','vikubo',
+  ],
+  lettersPerPage: 10,
+  columns: 2,
+  discontinueRule: { items: 5 },
+};
+
+export const NONWORD_SETS = { english: ENGLISH_NONWORD_SET, isixhosa: ISIXHOSA_NONWORD_SET };
+
+// --- Oral Reading Fluency passages (EGRA) ---
+// Placeholder passages — replace with real EGRA passages when available.
+// Words keep their punctuation so the passage reads naturally on screen.
+// questions: the comprehension questions asked after reading. A question is
+// only asked if the child read as far as its afterWord (the index of the word
+// that answers it).
+
+export const ENGLISH_PASSAGE = {
+  id: 'english_passage_1',
+  language: 'English',
+  type: 'passage',
+  title: "Sipho's Ball",
+  letters: [
+    'Sipho','has','a','red','ball.','He','plays','with','his','dog',
+    'Lulu.','One','day','Sipho','kicks','the','ball','far.','The','ball',
+    'goes','into','the','river.','Lulu','jumps','into','the','water.','She',
+    'swims','to','the','ball','and','brings','it','back.','Sipho','is',
+    'happy.','He','gives','Lulu','a','big','hug.',
+  ],
+  questions: [
+    { id: 'q1', prompt: 'What colour is Sipho\'s ball?', answer: 'Red', afterWord: 4 },
+    { id: 'q2', prompt: 'What is the name of Sipho\'s dog?', answer: 'Lulu', afterWord: 10 },
+    { id: 'q3', prompt: 'Where did the ball go?', answer: 'Into the river', afterWord: 23 },
+    { id: 'q4', prompt: 'What did Lulu do?', answer: 'Swam to the ball / brought it back', afterWord: 37 },
+    { id: 'q5', prompt: 'Why was Sipho happy?', answer: 'Lulu brought his ball back', afterWord: 40 },
+  ],
+  discontinueRule: { items: 10 },
+};
+
+export const ISIXHOSA_PASSAGE = {
+  id: 'isixhosa_passage_1',
+  language: 'isiXhosa',
+  type: 'passage',
+  title: 'UThemba noBobo',
+  letters: [
+    'UThemba','unenja.','Igama','lenja','nguBobo.','UBobo','uthanda','ukudlala.','Ngenye','imini',
+    'uThemba','waya','emlanjeni','noBobo.','UBobo','wabona','intaka.','Wabaleka','emva','kwayo.',
+    'UThemba','wamfuna','uBobo.','Ekugqibeleni','uBobo','wabuya','ekhaya.','UThemba','wavuya','kakhulu.',
+  ],
+  questions: [
+    { id: 'q1', prompt: 'Ngubani igama lenja kaThemba?', answer: 'NguBobo', afterWord: 4 },
+    { id: 'q2', prompt: 'UThemba waya phi?', answer: 'Emlanjeni', afterWord: 12 },
+    { id: 'q3', prompt: 'UBobo wabona ntoni?', answer: 'Intaka', afterWord: 16 },
+    { id: 'q4', prompt: 'UBobo wenza ntoni akubona intaka?', answer: 'Wabaleka emva kwayo', afterWord: 19 },
+    { id: 'q5', prompt: 'Kutheni uThemba evuya?', answer: 'Kuba uBobo ebuyile', afterWord: 29 },
+  ],
+  discontinueRule: { items: 8 },
+};
+
+export const PASSAGE_SETS = { english: ENGLISH_PASSAGE, isixhosa: ISIXHOSA_PASSAGE };
+
+// --- Phonemic awareness sets (EGRA) ---
+// Untimed oral subtests for children not yet reading: the assessor says each
+// word and the child answers aloud — nothing is shown to the child.
+// Placeholder items — replace with real EGRA phonemic awareness items when
+// available.
+// prompt: what the assessor says, with {word} for the item's word.
+// items: each word with the answer the assessor listens for. Oral sets also
+// list their words as `letters`, like the grid sets, for results and history.
+
+const oralSet = (set) => ({ ...set, letters: set.items.map((item) => item.word) });
+
+export const ENGLISH_INITIAL_SOUND_SET = oralSet({
+  id: 'english_initial_sound_10',
+  language: 'English',
+  type: 'oral',
+  prompt: 'What is the first sound in "{word}"?',
+  example: { word: 'cat', answer: '/k/' },
+  items: [
+    { word: 'map', answer: '/m/' },
+    { word: 'sun', answer: '/s/' },
+    { word: 'fish', answer: '/f/' },
+    { word: 'dog', answer: '/d/' },
+    { word: 'pen', answer: '/p/' },
+    { word: 'lip', answer: '/l/' },
+    { word: 'top', answer: '/t/' },
+    { word: 'bag', answer: '/b/' },
+    { word: 'nut', answer: '/n/' },
+    { word: 'red', answer: '/r/' },
+  ],
+  discontinueRule: { items: 5 },
+});
+
+export const ISIXHOSA_INITIAL_SOUND_SET = oralSet({
+  id: 'isixhosa_initial_sound_10',
+  language: 'isiXhosa',
+  type: 'oral',
+  prompt: 'Sithini isandi sokuqala ku-"{word}"?',
+  example: { word: 'vula', answer: '/v/' },
+  items: [
+    { word: 'mama', answer: '/m/' },
+    { word: 'tata', answer: '/t/' },
+    { word: 'lala', answer: '/l/' },
+    { word: 'hamba', answer: '/h/' },
+    { word: 'sela', answer: '/s/' },
+    { word: 'funda', answer: '/f/' },
+    { word: 'baleka', answer: '/b/' },
+    { word: 'yiza', answer: '/y/' },
+    { word: 'nika', answer: '/n/' },
+    { word: 'wela', answer: '/w/' },
+  ],
+  discontinueRule: { items: 5 },
+});
+
+export const INITIAL_SOUND_SETS = { english: ENGLISH_INITIAL_SOUND_SET, isixhosa: ISIXHOSA_INITIAL_SOUND_SET };
+
+export const ENGLISH_SYLLABLE_SET = oralSet({
+  id: 'english_syllables_10',
+  language: 'English',
+  type: 'oral',
+  prompt: 'Clap the parts of "{word}". How many parts?',
+  example: { word: 'monkey', answer: 'mon-key (2)' },
+  items: [
+    { word: 'apple', answer: 'ap-ple (2)' },
+    { word: 'banana', answer: 'ba-na-na (3)' },
+    { word: 'dog', answer: 'dog (1)' },
+    { word: 'table', answer: 'ta-ble (2)' },
+    { word: 'elephant', answer: 'el-e-phant (3)' },
+    { word: 'rabbit', answer: 'rab-bit (2)' },
+    { word: 'pencil', answer: 'pen-cil (2)' },
+    { word: 'tomato', answer: 'to-ma-to (3)' },
+    { word: 'hat', answer: 'hat (1)' },
+    { word: 'butterfly', answer: 'but-ter-fly (3)' },
+  ],
+  discontinueRule: { items: 5 },
+});
+
+export const ISIXHOSA_SYLLABLE_SET = oralSet({
+  id: 'isixhosa_syllables_10',
+  language: 'isiXhosa',
+  type: 'oral',
+  prompt: 'Qhwaba amalungu ka-"{word}". Mangaphi?',
+  example: { word: 'ubaba', answer: 'u-ba-ba (3)' },
+  items: [
+    { word: 'inja', answer: 'i-nja (2)' },
+    { word: 'umama', answer: 'u-ma-ma (3)' },
+    { word: 'isonka', answer: 'i-so-nka (3)' },
+    { word: 'ubisi', answer: 'u-bi-si (3)' },
+    { word: 'ilanga', answer: 'i-la-nga (3)' },
+    { word: 'amanzi', answer: 'a-ma-nzi (3)' },
+    { word: 'indlu', answer: 'i-ndlu (2)' },
+    { word: 'itafile', answer: 'i-ta-fi-le (4)' },
+    { word: 'isikolo', answer: 'i-si-ko-lo (4)' },
+    { word: 'ikati', answer: 'i-ka-ti (3)' },
+  ],
+  discontinueRule: { items: 5 },
+});
+
+export const SYLLABLE_SETS = { english: ENGLISH_SYLLABLE_SET, isixhosa: ISIXHOSA_SYLLABLE_SET };
+
+// Item sets for each assessment_type, by language key
+export const ITEM_SETS_BY_TYPE = {
+  letter_egra: LETTER_SETS,
+  word_egra: WORD_SETS,
+  nonword_egra: NONWORD_SETS,
+  orf_egra: PASSAGE_SETS,
+  initial_sound_egra: INITIAL_SOUND_SETS,
+  syllable_egra: SYLLABLE_SETS,
+};
+
+// The screen that runs each assessment_type
+export const ASSESSMENT_SCREENS = {
+  letter_egra: 'LetterAssessment',
+  word_egra: 'LetterAssessment',
+  nonword_egra: 'LetterAssessment',
+  orf_egra: 'PassageAssessment',
+  initial_sound_egra: 'PhonemicAssessment',
+  syllable_egra: 'PhonemicAssessment',
+};
+
 export const ASSESSMENT_DURATION = 60; // seconds
 
 // Pedagogical order for the 26-letter tracker grid (NOT the EGRA 60-letter assessment set).
@@ -96,9 +314,9 @@ export function getLetterSetById(id) {
   return Object.values(LETTER_SETS).find((s) => s.id === id) || null;
 }
 
-/** Look up any assessment set (letter or word) by its id. */
+/** Look up any assessment set (letter, word, non-word, passage or oral) by its id. */
 export function getItemSetById(id) {
-  return Object.values(LETTER_SETS).find((s) => s.id === id)
-    || Object.values(WORD_SETS).find((s) => s.id === id)
-    || null;
+  return Object.values(ITEM_SETS_BY_TYPE)
+    .flatMap((sets) => Object.values(sets))
+    .find((s) => s.id === id) || null;
 }
@@ -1,6 +1,8 @@
 import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import { supabase } from '../services/supabaseClient';
+import { switchLocalUser } from '../services/offlineSync';
 import { storage } from '../utils/storage';
+import { useOffline } from './OfflineContext';
 
 const AuthContext = createContext({});
 const AUTH_SIGN_OUT_GRACE_PERIOD_MS = 15000;
@@ -13,6 +15,7 @@ export const AuthProvider = ({ children }) => {
   const manualSignOutInProgressRef = useRef(false);
   const pendingSignOutTimeoutRef = useRef(null);
   const currentUserIdRef = useRef(null);
+  const { refreshSyncStatus } = useOffline();
 
   const clearPendingSignOutTimeout = () => {
     if (pendingSignOutTimeoutRef.current) {
@@ -31,6 +34,36 @@ export const AuthProvider = ({ children }) => {
     console.warn(`[Auth] Cleared local auth state (${reason})`);
   };
 
+  /**
+   * Make nextSession's user the current one. Each user's local data is kept
+   * apart, so on an account switch storage moves to the new user's data
+   * (after any running sync) before their screens load it — the previous
+   * user's unsynced work stays on the phone, queued for when they're back.
+   */
+  const activateUser = async (nextSession) => {
+    const userId = nextSession.user.id;
+    clearPendingSignOutTimeout();
+    currentUserIdRef.current = userId;
+
+    if (storage.userId !== userId) {
+      setLoading(true);
+      try {
+        await switchLocalUser(userId);
+      } catch (error) {
+        // Stay signed out rather than show (or sync) someone else's data
+        console.error('[Auth] Could not open local data for user:', error);
+        commitSignedOutState('switch-user-failed');
+        return;
+      }
+      if (currentUserIdRef.current !== userId) return; // superseded meanwhile
+      refreshSyncStatus();
+    }
+
+    setSession(nextSession);
+    setUser(nextSession.user);
+    loadUserProfile(userId);
+  };
+
   useEffect(() => {
     const initializeAuthState = async () => {
       try {
@@ -42,11 +75,7 @@ export const AuthProvider = ({ children }) => {
         console.log(`[Auth] INITIAL_SESSION hasSession=${Boolean(initialSession)}`);
 
         if (initialSession?.user) {
-          clearPendingSignOutTimeout();
-          currentUserIdRef.current = initialSession.user.id;
-          setSession(initialSession);
-          setUser(initialSession.user);
-          loadUserProfile(initialSession.user.id);
+          await activateUser(initialSession);
           return;
         }
 
@@ -64,11 +93,9 @@ export const AuthProvider = ({ children }) => {
       console.log(`[Auth] Event=${event} hasSession=${Boolean(nextSession)}`);
 
       if (nextSession?.user) {
-        clearPendingSignOutTimeout();
-        currentUserIdRef.current = nextSession.user.id;
-        setSession(nextSession);
-        setUser(nextSession.user);
-        loadUserProfile(nextSession.user.id);
+        // Not awaited: the auth client waits on this callback, and a sync
+        // we may wait for calls back into it
+        activateUser(nextSession);
         return;
       }
 
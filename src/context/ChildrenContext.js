@@ -1,12 +1,20 @@
 import React, { createContext, useState, useEffect, useContext, useRef, useMemo, useCallback } from 'react';
-import { supabase } from '../services/supabaseClient';
-import { storage, STORAGE_KEYS } from '../utils/storage';
+import { storage } from '../utils/storage';
 import { useAuth } from './AuthContext';
 import { useOffline } from './OfflineContext';
+import { pullTableByName } from '../services/offlineSync';
 import { v4 as uuidv4 } from 'uuid';
 
 const ChildrenContext = createContext({});
 
+// Children lists are shown in first-name order (what the server query used
+// to return); storage keeps insertion order.
+const sortByFirstName = (list) =>
+  [...list].sort((a, b) => (a.first_name || '').localeCompare(b.first_name || ''));
+
+// Tombstoned records stay in storage until their delete syncs — never show them
+const withoutDeleted = (list) => list.filter(r => !r._deleted);
+
 export const ChildrenProvider = ({ children }) => {
   const { user } = useAuth();
   const { isOnline, refreshSyncStatus, isSyncing } = useOffline();
@@ -62,40 +70,17 @@ export const ChildrenProvider = ({ children }) => {
 
       // 1. Load from AsyncStorage (show immediately)
       const cached = await storage.getChildren();
-      setChildrenList(cached);
+      setChildrenList(sortByFirstName(withoutDeleted(cached)));
 
-      // 2. If online, fetch from server via junction table
+      // 2. If online, pull changes since the last pull (children reach us via
+      // the staff_children junction). Server rows are authoritative unless the
+      // local copy has unsynced edits; local records the server didn't return
+      // are kept — both unsynced new records AND synced records whose
+      // junction row hasn't propagated yet.
       if (isOnline && user?.id) {
-        const { data, error } = await supabase
-          .from('children')
-          .select(`
-            *,
-            staff_children!inner(staff_id)
-          `)
-          .eq('staff_children.staff_id', user.id)
-          .order('first_name', { ascending: true });
-
-        if (error) {
-          console.error('Error loading children from server:', error);
-        } else if (data) {
-          // Strip nested join data (staff_children) — it's not a column
-          // and would break sync if the record is later updated
-          const serverChildren = data.map(({ staff_children, ...child }) => ({
-            ...child,
-            synced: true,
-          }));
-
-          // Merge: server records are authoritative for IDs they return.
-          // Keep ALL local records not in server response — this preserves
-          // both unsynced new records AND synced records whose junction
-          // table (staff_children) hasn't propagated yet.
-          const serverIds = new Set(serverChildren.map(c => c.id));
-          const localToKeep = cached.filter(c => !serverIds.has(c.id));
-
-          const merged = [...serverChildren, ...localToKeep];
-
-          await storage.setItem(STORAGE_KEYS.CHILDREN, merged);
-          setChildrenList(merged);
+        const result = await pullTableByName('CHILDREN', user.id);
+        if (result.success) {
+          setChildrenList(sortByFirstName(withoutDeleted(await storage.getChildren())));
         }
       }
     } catch (error) {
@@ -220,25 +205,13 @@ export const ChildrenProvider = ({ children }) => {
     try {
       // 1. Load from cache
       const cached = await storage.getGroups();
-      setGroups(cached);
+      setGroups(withoutDeleted(cached));
 
-      // 2. Fetch from server if online
+      // 2. Pull changes from server if online
       if (isOnline && user?.id) {
-        const { data, error } = await supabase
-          .from('groups')
-          .select('*')
-          .eq('staff_id', user.id)
-          .order('name', { ascending: true });
-
-        if (error) {
-          console.error('Error loading groups from server:', error);
-        } else if (data) {
-          const serverGroups = data.map(g => ({ ...g, synced: true }));
-          const serverIds = new Set(serverGroups.map(g => g.id));
-          const localToKeep = cached.filter(g => !serverIds.has(g.id));
-          const merged = [...serverGroups, ...localToKeep];
-          await storage.setItem(STORAGE_KEYS.GROUPS, merged);
-          setGroups(merged);
+        const result = await pullTableByName('GROUPS', user.id);
+        if (result.success) {
+          setGroups(withoutDeleted(await storage.getGroups()));
         }
       }
     } catch (error) {
@@ -301,19 +274,23 @@ export const ChildrenProvider = ({ children }) => {
 
   /**
    * Delete a group
-   * Also removes all child-group memberships
+   * Also removes all child-group memberships. Both are tombstoned and the
+   * deletes sync to the server; restoreGroup undoes it until then.
    */
   const deleteGroup = async (groupId) => {
     try {
+      const membershipIds = childrenGroups
+        .filter(cg => cg.group_id === groupId)
+        .map(cg => cg.id);
+
       await storage.deleteGroup(groupId);
-      setGroups(groups.filter(g => g.id !== groupId));
+      await storage.softDelete('CHILDREN_GROUPS', membershipIds);
+      // Remember which memberships went with the group so undo restores them
+      await storage.updateRecord('GROUPS', groupId, { _deleted_memberships: membershipIds });
 
-      // Remove all memberships for this group (state + storage)
-      const updatedMemberships = childrenGroups.filter(
-        cg => cg.group_id !== groupId
-      );
-      await storage.setItem(STORAGE_KEYS.CHILDREN_GROUPS, updatedMemberships);
-      setChildrenGroups(updatedMemberships);
+      setGroups(prev => prev.filter(g => g.id !== groupId));
+      setChildrenGroups(prev => prev.filter(cg => cg.group_id !== groupId));
+      await refreshSyncStatus();
 
       return { success: true };
     } catch (error) {
@@ -322,6 +299,31 @@ export const ChildrenProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Undo deleteGroup (and its memberships) before the delete has synced
+   */
+  const restoreGroup = async (groupId) => {
+    try {
+      const group = (await storage.getGroups()).find(g => g.id === groupId);
+      if (!group?._deleted) {
+        return { success: false, error: 'Group delete has already synced' };
+      }
+
+      await storage.restoreDeleted('GROUPS', [groupId]);
+      await storage.restoreDeleted('CHILDREN_GROUPS', group._deleted_memberships || []);
+      await storage.updateRecord('GROUPS', groupId, { _deleted_memberships: undefined });
+
+      setGroups(withoutDeleted(await storage.getGroups()));
+      setChildrenGroups(withoutDeleted(await storage.getChildrenGroups()));
+      await refreshSyncStatus();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error restoring group:', error);
+      return { success: false, error };
+    }
+  };
+
   /**
    * Load children-groups junction data
    */
@@ -329,34 +331,13 @@ export const ChildrenProvider = ({ children }) => {
     try {
       // 1. Load from cache
       const cached = await storage.getChildrenGroups();
-      setChildrenGroups(cached);
+      setChildrenGroups(withoutDeleted(cached));
 
-      // 2. Fetch from server if online
+      // 2. Pull changes from server if online (memberships of groups this user owns)
       if (isOnline && user?.id) {
-        // Fetch all children_groups for groups owned by this user
-        const { data: userGroups } = await supabase
-          .from('groups')
-          .select('id')
-          .eq('staff_id', user.id);
-
-        if (userGroups && userGroups.length > 0) {
-          const groupIds = userGroups.map(g => g.id);
-
-          const { data, error } = await supabase
-            .from('children_groups')
-            .select('*')
-            .in('group_id', groupIds);
-
-          if (error) {
-            console.error('Error loading children_groups from server:', error);
-          } else if (data) {
-            const serverMemberships = data.map(m => ({ ...m, synced: true }));
-            const serverIds = new Set(serverMemberships.map(m => m.id));
-            const localToKeep = cached.filter(m => !serverIds.has(m.id));
-            const merged = [...serverMemberships, ...localToKeep];
-            await storage.setItem(STORAGE_KEYS.CHILDREN_GROUPS, merged);
-            setChildrenGroups(merged);
-          }
+        const result = await pullTableByName('CHILDREN_GROUPS', user.id);
+        if (result.success) {
+          setChildrenGroups(withoutDeleted(await storage.getChildrenGroups()));
         }
       }
     } catch (error) {
@@ -409,6 +390,7 @@ export const ChildrenProvider = ({ children }) => {
           cg => !(cg.child_id === childId && cg.group_id === groupId)
         )
       );
+      await refreshSyncStatus();
 
       return { success: true };
     } catch (error) {
@@ -462,6 +444,7 @@ export const ChildrenProvider = ({ children }) => {
         addGroup,
         updateGroup,
         deleteGroup,
+        restoreGroup,
         addChildToGroup,
         removeChildFromGroup,
         getChildrenInGroup,
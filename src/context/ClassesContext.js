@@ -1,7 +1,6 @@
 import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
-import { supabase } from '../services/supabaseClient';
-import { storage, STORAGE_KEYS } from '../utils/storage';
-import { fetchAndCacheSchools } from '../services/offlineSync';
+import { storage } from '../utils/storage';
+import { fetchAndCacheSchools, pullTableByName } from '../services/offlineSync';
 import { useAuth } from './AuthContext';
 import { useOffline } from './OfflineContext';
 import { useChildren } from './ChildrenContext';
@@ -9,6 +8,14 @@ import { v4 as uuidv4 } from 'uuid';
 
 const ClassesContext = createContext({});
 
+// Classes are listed by name (what the server query used to return);
+// storage keeps insertion order.
+const sortByName = (list) =>
+  [...list].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+// Tombstoned classes stay in storage until their delete syncs — never show them
+const withoutDeleted = (list) => list.filter(c => !c._deleted);
+
 export const ClassesProvider = ({ children: reactChildren }) => {
   const { user } = useAuth();
   const { isOnline, refreshSyncStatus, isSyncing } = useOffline();
@@ -67,7 +74,7 @@ export const ClassesProvider = ({ children: reactChildren }) => {
   };
 
   /**
-   * Load classes for current user — cache-first, merge from server if online.
+   * Load classes for current user — cache-first, pull changes from server if online.
    * Same pattern as loadGroups in ChildrenContext.
    */
   const loadClasses = async () => {
@@ -75,24 +82,12 @@ export const ClassesProvider = ({ children: reactChildren }) => {
       setLoading(true);
 
       const cached = await storage.getClasses();
-      setClasses(cached);
+      setClasses(sortByName(withoutDeleted(cached)));
 
       if (isOnline && user?.id) {
-        const { data, error } = await supabase
-          .from('classes')
-          .select('*')
-          .eq('staff_id', user.id)
-          .order('name', { ascending: true });
-
-        if (error) {
-          console.error('Error loading classes from server:', error);
-        } else if (data) {
-          const serverClasses = data.map(c => ({ ...c, synced: true }));
-          const serverIds = new Set(serverClasses.map(c => c.id));
-          const localToKeep = cached.filter(c => !serverIds.has(c.id));
-          const merged = [...serverClasses, ...localToKeep];
-          await storage.setItem(STORAGE_KEYS.CLASSES, merged);
-          setClasses(merged);
+        const result = await pullTableByName('CLASSES', user.id);
+        if (result.success) {
+          setClasses(sortByName(withoutDeleted(await storage.getClasses())));
         }
       }
     } catch (error) {
@@ -154,7 +149,9 @@ export const ClassesProvider = ({ children: reactChildren }) => {
 
   /**
    * Delete a class
-   * Also nulls out class_id on affected children in storage.
+   * Also nulls out class_id on affected children in storage. The class is
+   * tombstoned and the delete syncs to the server; restoreClass undoes it
+   * until then.
    */
   const deleteClass = async (classId) => {
     try {
@@ -164,6 +161,10 @@ export const ClassesProvider = ({ children: reactChildren }) => {
       // Null out class_id on affected children
       const allChildren = await storage.getChildren();
       const affected = allChildren.filter(c => c.class_id === classId);
+      // Remember who was unassigned so undo can put them back
+      await storage.updateRecord('CLASSES', classId, {
+        _unassigned_children: affected.map(c => c.id),
+      });
       for (const child of affected) {
         await storage.updateChild(child.id, {
           class_id: null,
@@ -186,6 +187,33 @@ export const ClassesProvider = ({ children: reactChildren }) => {
     }
   };
 
+  /**
+   * Undo deleteClass before the delete has synced — restores the class and
+   * reassigns the children it unassigned.
+   */
+  const restoreClass = async (classId) => {
+    try {
+      const classItem = (await storage.getClasses()).find(c => c.id === classId);
+      if (!classItem?._deleted) {
+        return { success: false, error: 'Class delete has already synced' };
+      }
+
+      await storage.restoreDeleted('CLASSES', [classId]);
+      await storage.updateRecord('CLASSES', classId, { _unassigned_children: undefined });
+      for (const childId of classItem._unassigned_children || []) {
+        await updateChild(childId, { class_id: classId });
+      }
+
+      setClasses(sortByName(withoutDeleted(await storage.getClasses())));
+      await refreshSyncStatus();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error restoring class:', error);
+      return { success: false, error };
+    }
+  };
+
   /**
    * Get children in a specific class
    */
@@ -204,6 +232,7 @@ export const ClassesProvider = ({ children: reactChildren }) => {
         addClass,
         updateClass,
         deleteClass,
+        restoreClass,
         getChildrenInClass,
       }}
     >
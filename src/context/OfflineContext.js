@@ -1,15 +1,23 @@
 import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import NetInfo from '@react-native-community/netinfo';
 import { AppState } from 'react-native';
-import { syncAll, getSyncStatus, repairOrphanedJunctions } from '../services/offlineSync';
+import { supabase } from '../services/supabaseClient';
+import { syncAll, getSyncStatus, describeNetwork } from '../services/offlineSync';
+import { onSyncProgress, reduceSyncProgress } from '../services/syncProgress';
+import { getSyncPolicy, isMeteredNetwork } from '../services/syncPolicy';
+import { storage } from '../utils/storage';
 
 const OfflineContext = createContext({
   isOnline: true,
   isSyncing: false,
   unsyncedCount: 0,
   syncStatus: {},
+  syncProgress: null,
+  dataSaver: false,
+  syncPolicy: getSyncPolicy(null),
   syncNow: async () => {},
   refreshSyncStatus: async () => {},
+  setDataSaver: async () => {},
 });
 
 export const OfflineProvider = ({ children }) => {
@@ -18,42 +26,80 @@ export const OfflineProvider = ({ children }) => {
   const [unsyncedCount, setUnsyncedCount] = useState(0);
   const [syncStatus, setSyncStatus] = useState({});
   const [lastSyncResult, setLastSyncResult] = useState(null);
+  // Progress of the current (or last) sync — see syncProgress.js
+  const [syncProgress, setSyncProgress] = useState(null);
+  // Data saver setting, and the current network it's applied to (see syncPolicy.js)
+  const [dataSaver, setDataSaverState] = useState(false);
+  const [network, setNetwork] = useState(null);
 
   const appState = useRef(AppState.currentState);
   const syncInProgress = useRef(false);
   const isOnlineRef = useRef(isOnline);
+  const retryTimerRef = useRef(null);
+  const networkRef = useRef(null);
+  const dataSaverRef = useRef(dataSaver);
 
   // Keep ref in sync with state so event-listener closures always read current value
   useEffect(() => {
     isOnlineRef.current = isOnline;
   }, [isOnline]);
 
+  useEffect(() => {
+    dataSaverRef.current = dataSaver;
+  }, [dataSaver]);
+
   /**
    * Update sync status (unsynced count, last sync time, etc.)
    */
   const refreshSyncStatus = async () => {
     try {
-      const status = await getSyncStatus();
+      const status = await getSyncStatus({ network: networkRef.current });
+      // Settings are per user, so re-read them after an account switch too
+      const settings = await storage.getSyncSettings();
+      setDataSaverState(settings.dataSaver);
       setUnsyncedCount(status.unsyncedCount);
       setSyncStatus(status);
+      scheduleRetryWakeup(status.nextRetryAt);
 
-      // If there are unsynced items and we're online, kick off sync.
+      // If there are records due for an attempt and we're online, kick off sync.
       // syncNow has its own lock (syncInProgress) so this is safe to call
       // repeatedly. No loop risk: after sync completes it calls refreshSyncStatus
-      // again, but by then unsyncedCount is 0.
-      if (status.unsyncedCount > 0 && isOnlineRef.current && !syncInProgress.current) {
-        syncNow();
+      // again, but by then dueCount is 0 — failed records wait for their
+      // scheduled retry (see scheduleRetryWakeup), quarantined ones for the user.
+      if (status.dueCount > 0 && isOnlineRef.current && !syncInProgress.current) {
+        syncNow('pending_changes');
       }
     } catch (error) {
       console.error('Error refreshing sync status:', error);
     }
   };
 
+  /**
+   * Wake up and sync when the earliest scheduled retry becomes due.
+   * offlineSync never waits out a backoff inline; it records nextAttemptAt
+   * per record and we set a single timer for the soonest one.
+   */
+  const scheduleRetryWakeup = (nextRetryAt) => {
+    if (retryTimerRef.current) {
+      clearTimeout(retryTimerRef.current);
+      retryTimerRef.current = null;
+    }
+    if (!nextRetryAt) return;
+
+    const delay = Math.max(0, new Date(nextRetryAt).getTime() - Date.now());
+    retryTimerRef.current = setTimeout(() => {
+      retryTimerRef.current = null;
+      console.log('Scheduled retry due, triggering sync...');
+      syncNow('retry_due');
+    }, delay);
+  };
+
   /**
    * Perform a full sync
    * Includes lock to prevent multiple simultaneous syncs
+   * @param {string} trigger - why, for the sync history ('manual' from the UI)
    */
-  const syncNow = async () => {
+  const syncNow = async (trigger = 'manual') => {
     // Prevent multiple syncs running at once
     if (syncInProgress.current) {
       console.log('Sync already in progress, skipping...');
@@ -71,7 +117,7 @@ export const OfflineProvider = ({ children }) => {
       setIsSyncing(true);
 
       console.log('Starting sync...');
-      const result = await syncAll();
+      const result = await syncAll({ trigger, network: networkRef.current });
 
       setLastSyncResult(result);
       await refreshSyncStatus();
@@ -87,13 +133,23 @@ export const OfflineProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Turn data saver on or off. Turning it off on mobile data makes the
+   * records it held back due, so the status refresh syncs them.
+   */
+  const setDataSaver = async (enabled) => {
+    setDataSaverState(enabled);
+    await storage.updateSyncSettings({ dataSaver: enabled });
+    await refreshSyncStatus();
+  };
+
   /**
    * Auto-sync when conditions are met
    */
-  const autoSync = async () => {
+  const autoSync = async (trigger) => {
     if (isOnline && unsyncedCount > 0 && !syncInProgress.current) {
       console.log('Auto-syncing...');
-      await syncNow();
+      await syncNow(trigger);
     }
   };
 
@@ -104,6 +160,9 @@ export const OfflineProvider = ({ children }) => {
   useEffect(() => {
     const unsubscribe = NetInfo.addEventListener(state => {
       const online = state.isConnected && state.isInternetReachable;
+      const wasMetered = isMeteredNetwork(networkRef.current);
+      networkRef.current = describeNetwork(state);
+      setNetwork(networkRef.current);
       console.log('Network state changed:', {
         isConnected: state.isConnected,
         isInternetReachable: state.isInternetReachable,
@@ -116,7 +175,11 @@ export const OfflineProvider = ({ children }) => {
       // If we just came online and have unsynced data, sync
       if (online && wasOffline && unsyncedCount > 0) {
         console.log('Connection restored, triggering sync...');
-        setTimeout(() => autoSync(), 1000); // Small delay to let network stabilize
+        setTimeout(() => autoSync('reconnect'), 1000); // Small delay to let network stabilize
+      } else if (online && wasMetered && !isMeteredNetwork(networkRef.current) && dataSaverRef.current) {
+        // Off mobile data: push what data saver held back, and pull
+        console.log('Wi-Fi connected, syncing what waited for it...');
+        setTimeout(() => syncNow('wifi'), 1000);
       }
     });
 
@@ -136,7 +199,7 @@ export const OfflineProvider = ({ children }) => {
 
         // Auto-sync if online and have unsynced data
         if (isOnline && unsyncedCount > 0) {
-          setTimeout(() => autoSync(), 500);
+          setTimeout(() => autoSync('foreground'), 500);
         }
       }
 
@@ -145,7 +208,7 @@ export const OfflineProvider = ({ children }) => {
         console.log('App going to background');
         // Try to sync before backgrounding
         if (isOnline && unsyncedCount > 0) {
-          autoSync();
+          autoSync('background');
         }
       }
 
@@ -162,23 +225,45 @@ export const OfflineProvider = ({ children }) => {
     const initialize = async () => {
       // Check initial network state
       const netInfoState = await NetInfo.fetch();
+      networkRef.current = describeNetwork(netInfoState);
       setIsOnline(netInfoState.isConnected && netInfoState.isInternetReachable);
-
-      // One-time repair for devices with stuck junction records (v2.x upgrade path)
-      await repairOrphanedJunctions();
+      setNetwork(networkRef.current);
 
       // Load sync status
       await refreshSyncStatus();
 
-      // Auto-sync if online and have unsynced data
+      // Sync on launch even with nothing to push — the pull phase restores
+      // server data after a reinstall or on a new phone
       if (netInfoState.isConnected && netInfoState.isInternetReachable) {
-        setTimeout(() => autoSync(), 2000); // Give app time to initialize
+        setTimeout(() => syncNow('launch'), 2000); // Give app time to initialize
       }
     };
 
     initialize();
   }, []);
 
+  /**
+   * Auth listener
+   * Pulls the user's server data right after sign-in, so a coach on a fresh
+   * install gets their history back without waiting for a local edit.
+   */
+  useEffect(() => {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange(event => {
+      if (event === 'SIGNED_IN') {
+        setTimeout(() => syncNow('sign_in'), 1000);
+      }
+    });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  /**
+   * Sync progress listener
+   */
+  useEffect(() => onSyncProgress(event => {
+    setSyncProgress(state => reduceSyncProgress(state, event));
+  }), []);
+
   /**
    * Periodically refresh sync status while app is active
    */
@@ -192,14 +277,25 @@ export const OfflineProvider = ({ children }) => {
     return () => clearInterval(interval);
   }, []);
 
+  // Cancel any pending retry wake-up on unmount
+  useEffect(() => () => {
+    if (retryTimerRef.current) {
+      clearTimeout(retryTimerRef.current);
+    }
+  }, []);
+
   const value = {
     isOnline,
     isSyncing,
     unsyncedCount,
     syncStatus,
     lastSyncResult,
+    syncProgress,
+    dataSaver,
+    syncPolicy: getSyncPolicy(network, { dataSaver }),
     syncNow,
     refreshSyncStatus,
+    setDataSaver,
   };
 
   return (
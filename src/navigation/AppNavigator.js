@@ -35,6 +35,8 @@ import SessionHistoryScreen from '../screens/sessions/SessionHistoryScreen';
 // Assessment screens
 import AssessmentChildSelectScreen from '../screens/assessments/AssessmentChildSelectScreen';
 import LetterAssessmentScreen from '../screens/assessments/LetterAssessmentScreen';
+import PassageAssessmentScreen from '../screens/assessments/PassageAssessmentScreen';
+import PhonemicAssessmentScreen from '../screens/assessments/PhonemicAssessmentScreen';
 import AssessmentResultsScreen from '../screens/assessments/AssessmentResultsScreen';
 import AssessmentHistoryScreen from '../screens/assessments/AssessmentHistoryScreen';
 import AssessmentDetailScreen from '../screens/assessments/AssessmentDetailScreen';
@@ -48,6 +50,7 @@ import SessionCountRankingScreen from '../screens/insights/SessionCountRankingSc
 
 // Sync screen
 import SyncStatusScreen from '../screens/main/SyncStatusScreen';
+import FailedItemScreen from '../screens/main/FailedItemScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -244,6 +247,16 @@ function MainNavigator() {
         component={LetterAssessmentScreen}
         options={{ headerShown: false }}
       />
+      <Stack.Screen
+        name="PassageAssessment"
+        component={PassageAssessmentScreen}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="PhonemicAssessment"
+        component={PhonemicAssessmentScreen}
+        options={{ headerShown: false }}
+      />
       <Stack.Screen
         name="AssessmentResults"
         component={AssessmentResultsScreen}
@@ -313,6 +326,14 @@ function MainNavigator() {
           headerBackTitle: 'Back',
         }}
       />
+      <Stack.Screen
+        name="FailedItem"
+        component={FailedItemScreen}
+        options={{
+          title: 'Failed Item',
+          headerBackTitle: 'Back',
+        }}
+      />
     </Stack.Navigator>
   );
 }
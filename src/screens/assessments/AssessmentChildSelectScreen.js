@@ -4,7 +4,7 @@ import { Text, Searchbar, Portal, Dialog, Button, RadioButton } from 'react-nati
 import { useFocusEffect } from '@react-navigation/native';
 import { useChildren } from '../../context/ChildrenContext';
 import { useClasses } from '../../context/ClassesContext';
-import { LETTER_SETS, WORD_SETS } from '../../constants/egraConstants';
+import { ITEM_SETS_BY_TYPE, ASSESSMENT_SCREENS } from '../../constants/egraConstants';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
 import { storage } from '../../utils/storage';
 
@@ -16,8 +16,7 @@ function formatShortDate(dateStr) {
 
 export default function AssessmentChildSelectScreen({ navigation, route }) {
   const assessmentType = route.params?.assessmentType || 'letter_egra';
-  const isWordAssessment = assessmentType === 'word_egra';
-  const itemSets = isWordAssessment ? WORD_SETS : LETTER_SETS;
+  const itemSets = ITEM_SETS_BY_TYPE[assessmentType];
   const { children } = useChildren();
   const { classes } = useClasses();
   const [searchQuery, setSearchQuery] = useState('');
@@ -39,6 +38,7 @@ export default function AssessmentChildSelectScreen({ navigation, route }) {
             map[a.child_id] = {
               date_assessed: a.date_assessed,
               accuracy: a.accuracy,
+              discontinued: !!a.discontinued,
               attemptCount: typeFiltered.filter(x => x.child_id === a.child_id).length,
             };
           }
@@ -67,7 +67,7 @@ export default function AssessmentChildSelectScreen({ navigation, route }) {
   });
 
   const navigateToAssessment = (child, letterSet) => {
-    navigation.navigate('LetterAssessment', {
+    navigation.navigate(ASSESSMENT_SCREENS[assessmentType], {
       child,
       letterSet,
       attemptNumber: (assessmentMap[child.id]?.attemptCount || 0) + 1,
@@ -114,7 +114,9 @@ export default function AssessmentChildSelectScreen({ navigation, route }) {
         {info && (
           <Text variant="bodySmall" style={styles.subtitle}>
             Last assessed: {formatShortDate(info.date_assessed)} ·{' '}
-            <Text style={{ color: accuracyColor, fontWeight: '700' }}>{info.accuracy}%</Text>
+            <Text style={{ color: accuracyColor, fontWeight: '700' }}>
+              {info.discontinued ? 'stopped early' : `${info.accuracy}%`}
+            </Text>
           </Text>
         )}
       </Pressable>
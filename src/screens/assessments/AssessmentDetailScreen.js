@@ -5,6 +5,8 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
 import { getItemSetById } from '../../constants/egraConstants';
 import AssessmentDetailGrid from '../../components/assessment/AssessmentDetailGrid';
+import ComprehensionResults from '../../components/assessment/ComprehensionResults';
+import { getCorrectPerMinute, getFluencyLabel } from '../../utils/assessmentScoring';
 
 function getFeedback(accuracy) {
   if (accuracy >= 90) return { message: 'Excellent work!', color: colors.success };
@@ -14,6 +16,18 @@ function getFeedback(accuracy) {
   return { message: 'Keep practicing!', color: colors.emphasis };
 }
 
+// EGRA discontinue rule: the first items all wrong, so the subtest ended early
+const DISCONTINUED_FEEDBACK = { message: 'Stopped early', color: colors.emphasis };
+
+// Item type shown in the results grid, by assessment_type
+const ITEM_TYPES = {
+  word_egra: 'word',
+  nonword_egra: 'word',
+  orf_egra: 'passage',
+  initial_sound_egra: 'oral',
+  syllable_egra: 'oral',
+};
+
 function formatDate(dateString) {
   const [year, month, day] = dateString.split('-').map(Number);
   const date = new Date(year, month - 1, day);
@@ -37,20 +51,24 @@ function StatCard({ value, label, accentColor }) {
 export default function AssessmentDetailScreen({ route }) {
   const { assessment, childName } = route.params;
   const insets = useSafeAreaInsets();
-  const isWordAssessment = assessment.assessment_type === 'word_egra';
+  const itemType = ITEM_TYPES[assessment.assessment_type] || 'letter';
+  const knownSet = getItemSetById(assessment.letter_set_id);
 
   // Prefer items_tested (self-contained) → fall back to set lookup
   const letterSet = assessment.items_tested
     ? {
         letters: assessment.items_tested,
-        columns: isWordAssessment ? 2 : 5,
-        type: isWordAssessment ? 'word' : 'letter',
+        columns: itemType === 'letter' ? 5 : 2,
+        type: itemType,
         language: assessment.letter_language,
       }
-    : getItemSetById(assessment.letter_set_id);
+    : knownSet;
 
   const incorrect = assessment.letters_attempted - assessment.correct_responses;
-  const feedback = getFeedback(assessment.accuracy);
+  const feedback = assessment.discontinued
+    ? DISCONTINUED_FEEDBACK
+    : getFeedback(assessment.accuracy);
+  const correctPerMinute = getCorrectPerMinute(assessment);
 
   return (
     <ScrollView
@@ -72,7 +90,16 @@ export default function AssessmentDetailScreen({ route }) {
         <Text variant="headlineSmall" style={[styles.feedbackText, { color: feedback.color }]}>
           {feedback.message}
         </Text>
-        {assessment.completion_time != null && (
+        {correctPerMinute != null && (
+          <Text variant="titleMedium" style={styles.fluencyText}>
+            {correctPerMinute} {getFluencyLabel(assessment.assessment_type)}
+          </Text>
+        )}
+        {assessment.discontinued ? (
+          <Text variant="bodyMedium" style={styles.timeText}>
+            The first {assessment.letters_attempted} were all wrong
+          </Text>
+        ) : assessment.completion_time != null && (
           <Text variant="bodyMedium" style={styles.timeText}>
             Completed in {assessment.completion_time}s
           </Text>
@@ -92,6 +119,12 @@ export default function AssessmentDetailScreen({ route }) {
           <AssessmentDetailGrid assessment={assessment} letterSet={letterSet} />
         </View>
       )}
+
+      {assessment.comprehension && (
+        <View style={styles.gridSection}>
+          <ComprehensionResults comprehension={assessment.comprehension} questions={knownSet?.questions} />
+        </View>
+      )}
     </ScrollView>
   );
 }
@@ -142,6 +175,11 @@ const styles = StyleSheet.create({
     marginBottom: spacing.xs,
     textAlign: 'center',
   },
+  fluencyText: {
+    color: colors.text,
+    fontWeight: '700',
+    marginBottom: spacing.xs,
+  },
   timeText: {
     color: colors.textSecondary,
   },
@@ -5,11 +5,21 @@ import { useAuth } from '../../context/AuthContext';
 import { useOffline } from '../../context/OfflineContext';
 import { useChildren } from '../../context/ChildrenContext';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
-import { storage, STORAGE_KEYS } from '../../utils/storage';
-import { supabase } from '../../services/supabaseClient';
+import { storage } from '../../utils/storage';
+import { pullTableByName } from '../../services/offlineSync';
 
 const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
 
+// Badge label and style for each assessment_type
+const TYPE_BADGES = {
+  letter_egra: { label: 'Letters', style: 'typeBadgeLetter' },
+  word_egra: { label: 'Words', style: 'typeBadgeWord' },
+  nonword_egra: { label: 'Non-words', style: 'typeBadgeNonword' },
+  orf_egra: { label: 'Passage', style: 'typeBadgePassage' },
+  initial_sound_egra: { label: 'Sounds', style: 'typeBadgeOral' },
+  syllable_egra: { label: 'Syllables', style: 'typeBadgeOral' },
+};
+
 function formatDate(dateString) {
   const [year, month, day] = dateString.split('-').map(Number);
   const date = new Date(year, month - 1, day);
@@ -57,22 +67,10 @@ export default function AssessmentHistoryScreen({ navigation }) {
       setAssessments(filterAndSort(cached));
 
       if (isOnline && user?.id) {
-        const { data, error } = await supabase
-          .from('assessments')
-          .select('*')
-          .eq('user_id', user.id)
-          .order('date_assessed', { ascending: false });
-
-        if (error) {
-          console.error('Error fetching assessments from server:', error);
-        } else if (data) {
-          const serverRecords = data.map((a) => ({ ...a, synced: true }));
-          const serverIds = new Set(serverRecords.map((a) => a.id));
-          const localToKeep = cached.filter((a) => !serverIds.has(a.id));
-          const merged = [...serverRecords, ...localToKeep];
-
-          await storage.setItem(STORAGE_KEYS.ASSESSMENTS, merged);
-          setAssessments(filterAndSort(merged));
+        // Unsynced local edits win over the server copy until pushed
+        const result = await pullTableByName('ASSESSMENTS', user.id);
+        if (result.success) {
+          setAssessments(filterAndSort(await storage.getAssessments()));
         }
       }
     } catch (error) {
@@ -101,6 +99,7 @@ export default function AssessmentHistoryScreen({ navigation }) {
       : item.accuracy >= 50
         ? colors.primary
         : colors.emphasis;
+    const typeBadge = TYPE_BADGES[item.assessment_type] || TYPE_BADGES.letter_egra;
     const info = childInfoMap[item.child_id];
     const childName = info ? info.name : 'Unknown child';
     const isHidden = info?.hidden;
@@ -133,9 +132,9 @@ export default function AssessmentHistoryScreen({ navigation }) {
           </Text>
 
           <View style={styles.typeRow}>
-            <View style={[styles.typeBadge, item.assessment_type === 'word_egra' ? styles.typeBadgeWord : styles.typeBadgeLetter]}>
+            <View style={[styles.typeBadge, styles[typeBadge.style]]}>
               <Text variant="labelSmall" style={styles.typeBadgeText}>
-                {item.assessment_type === 'word_egra' ? 'Words' : 'Letters'}
+                {typeBadge.label}
               </Text>
             </View>
             <Text variant="bodyMedium" style={styles.language}>
@@ -150,8 +149,13 @@ export default function AssessmentHistoryScreen({ navigation }) {
             <Text variant="bodySmall" style={styles.stat}>
               Correct: {item.correct_responses}
             </Text>
-            <Text variant="bodySmall" style={[styles.stat, { color: accuracyColor, fontWeight: '700' }]}>
-              {item.accuracy}%
+            {item.comprehension && (
+              <Text variant="bodySmall" style={styles.stat}>
+                Comprehension: {item.comprehension.percent}%
+              </Text>
+            )}
+            <Text variant="bodySmall" style={[styles.stat, { color: item.discontinued ? colors.emphasis : accuracyColor, fontWeight: '700' }]}>
+              {item.discontinued ? 'Stopped early' : `${item.accuracy}%`}
             </Text>
           </View>
         </Card.Content>
@@ -278,6 +282,15 @@ const styles = StyleSheet.create({
   typeBadgeWord: {
     backgroundColor: '#FEF3C7',
   },
+  typeBadgeNonword: {
+    backgroundColor: '#FCE7F3',
+  },
+  typeBadgePassage: {
+    backgroundColor: '#DCFCE7',
+  },
+  typeBadgeOral: {
+    backgroundColor: '#EDE9FE',
+  },
   typeBadgeText: {
     fontWeight: '600',
     fontSize: 11,
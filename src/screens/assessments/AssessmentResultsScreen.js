@@ -4,6 +4,9 @@ import { Text, Button } from 'react-native-paper';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
 import AssessmentDetailGrid from '../../components/assessment/AssessmentDetailGrid';
+import ComprehensionResults from '../../components/assessment/ComprehensionResults';
+import { ASSESSMENT_SCREENS } from '../../constants/egraConstants';
+import { getCorrectPerMinute, getFluencyLabel } from '../../utils/assessmentScoring';
 
 function getFeedback(accuracy) {
   if (accuracy >= 90) return { message: 'Excellent work!', color: colors.success };
@@ -13,6 +16,9 @@ function getFeedback(accuracy) {
   return { message: 'Keep practicing!', color: colors.emphasis };
 }
 
+// EGRA discontinue rule: the first items all wrong, so the subtest ended early
+const DISCONTINUED_FEEDBACK = { message: 'Stopped early', color: colors.emphasis };
+
 function StatCard({ value, label, accentColor }) {
   return (
     <View style={[styles.statCard, { borderTopColor: accentColor }]}>
@@ -27,11 +33,14 @@ function StatCard({ value, label, accentColor }) {
 export default function AssessmentResultsScreen({ navigation, route }) {
   const { assessment, child, letterSet, attemptNumber, assessmentType = 'letter_egra' } = route.params;
   const incorrect = assessment.letters_attempted - assessment.correct_responses;
-  const feedback = getFeedback(assessment.accuracy);
+  const feedback = assessment.discontinued
+    ? DISCONTINUED_FEEDBACK
+    : getFeedback(assessment.accuracy);
   const insets = useSafeAreaInsets();
+  const correctPerMinute = getCorrectPerMinute(assessment);
 
   const handleTryAgain = () => {
-    navigation.replace('LetterAssessment', {
+    navigation.replace(ASSESSMENT_SCREENS[assessmentType], {
       child,
       letterSet,
       attemptNumber: attemptNumber + 1,
@@ -64,8 +73,15 @@ export default function AssessmentResultsScreen({ navigation, route }) {
           <Text variant="headlineSmall" style={[styles.feedbackText, { color: feedback.color }]}>
             {feedback.message}
           </Text>
+          {correctPerMinute != null && (
+            <Text variant="titleMedium" style={styles.fluencyText}>
+              {correctPerMinute} {getFluencyLabel(assessmentType)}
+            </Text>
+          )}
           <Text variant="bodyMedium" style={styles.timeText}>
-            Completed in {assessment.completion_time}s
+            {assessment.discontinued
+              ? `The first ${assessment.letters_attempted} were all wrong`
+              : `Completed in ${assessment.completion_time}s`}
           </Text>
         </View>
 
@@ -91,6 +107,12 @@ export default function AssessmentResultsScreen({ navigation, route }) {
         <View style={styles.gridSection}>
           <AssessmentDetailGrid assessment={assessment} letterSet={letterSet} />
         </View>
+
+        {assessment.comprehension && (
+          <View style={styles.gridSection}>
+            <ComprehensionResults comprehension={assessment.comprehension} questions={letterSet.questions} />
+          </View>
+        )}
       </ScrollView>
 
       <View style={[styles.buttonRow, { paddingBottom: Math.max(insets.bottom, spacing.md) }]}>
@@ -155,6 +177,11 @@ const styles = StyleSheet.create({
     marginBottom: spacing.xs,
     textAlign: 'center',
   },
+  fluencyText: {
+    color: colors.text,
+    fontWeight: '700',
+    marginBottom: spacing.xs,
+  },
   timeText: {
     color: colors.textSecondary,
   },
@@ -4,12 +4,17 @@ import { Text, Card, Button } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
 import { storage } from '../../utils/storage';
-import { LETTER_SETS, WORD_SETS } from '../../constants/egraConstants';
+import { ITEM_SETS_BY_TYPE, ASSESSMENT_SCREENS } from '../../constants/egraConstants';
 import { normalizeLanguageKey } from '../../utils/letterMastery';
+import { getCorrectPerMinute, getFluencyLabel, isTimedAssessment } from '../../utils/assessmentScoring';
 
 const ASSESSMENT_TYPES = [
   { key: 'letter_egra', label: 'Letter Sound', description: 'EGRA letter sound recognition' },
   { key: 'word_egra', label: 'Word Reading', description: 'EGRA word reading fluency' },
+  { key: 'nonword_egra', label: 'Non-word Reading', description: 'EGRA made-up word decoding' },
+  { key: 'orf_egra', label: 'Oral Reading', description: 'EGRA passage reading fluency and comprehension' },
+  { key: 'initial_sound_egra', label: 'Initial Sounds', description: 'EGRA phonemic awareness: first sound of a word' },
+  { key: 'syllable_egra', label: 'Syllables', description: 'EGRA phonemic awareness: parts of a word' },
 ];
 
 function formatDate(dateString) {
@@ -18,6 +23,11 @@ function formatDate(dateString) {
   return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
+// Oral items the child didn't answer (flagged in incorrect_letters)
+function countNoResponses(assessment) {
+  return (assessment.incorrect_letters || []).filter((item) => item.no_response).length;
+}
+
 function getFeedbackColor(accuracy) {
   if (accuracy >= 75) return colors.success;
   if (accuracy >= 50) return colors.primary;
@@ -61,6 +71,7 @@ export default function ChildAssessmentSummaryScreen({ navigation, route }) {
 
       {ASSESSMENT_TYPES.map(({ key, label, description }) => {
         const assessment = latestByType[key];
+        const correctPerMinute = assessment ? getCorrectPerMinute(assessment) : null;
 
         return (
           <Card key={key} style={styles.card}>
@@ -77,7 +88,26 @@ export default function ChildAssessmentSummaryScreen({ navigation, route }) {
                     <View style={styles.scoreDetails}>
                       <Text variant="bodyMedium" style={styles.scoreLabel}>
                         {assessment.correct_responses} / {assessment.letters_attempted} correct
+                        {assessment.discontinued ? ' · stopped early' : ''}
                       </Text>
+                      {isTimedAssessment(key) ? (
+                        correctPerMinute != null && (
+                          <Text variant="bodySmall" style={styles.fluencyText}>
+                            {correctPerMinute} {getFluencyLabel(key)}
+                            {assessment.completion_time != null ? ` · ${assessment.completion_time}s used` : ''}
+                          </Text>
+                        )
+                      ) : (
+                        <Text variant="bodySmall" style={styles.fluencyText}>
+                          Untimed · {countNoResponses(assessment)} no response
+                        </Text>
+                      )}
+                      {assessment.comprehension && (
+                        <Text variant="bodySmall" style={styles.fluencyText}>
+                          Comprehension {assessment.comprehension.percent}%
+                          {` (${assessment.comprehension.correct} of ${assessment.comprehension.total})`}
+                        </Text>
+                      )}
                       <Text variant="bodySmall" style={styles.dateText}>
                         {formatDate(assessment.date_assessed)} - Attempt #{assessment.attempt_number}
                       </Text>
@@ -106,10 +136,9 @@ export default function ChildAssessmentSummaryScreen({ navigation, route }) {
                     mode="contained"
                     compact
                     onPress={() => {
-                      const sets = key === 'word_egra' ? WORD_SETS : LETTER_SETS;
-                      const itemSet = sets[langKey];
+                      const itemSet = ITEM_SETS_BY_TYPE[key][langKey];
                       if (itemSet) {
-                        navigation.navigate('LetterAssessment', {
+                        navigation.navigate(ASSESSMENT_SCREENS[key], {
                           child,
                           letterSet: itemSet,
                           attemptNumber: (attemptCounts[key] || 0) + 1,
@@ -203,6 +232,11 @@ const styles = StyleSheet.create({
     color: colors.text,
     fontWeight: '600',
   },
+  fluencyText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginTop: 2,
+  },
   dateText: {
     color: colors.textSecondary,
     marginTop: 2,
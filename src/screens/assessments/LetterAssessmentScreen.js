@@ -10,42 +10,22 @@ import { ASSESSMENT_DURATION } from '../../constants/egraConstants';
 import EgraLetterGrid from '../../components/assessment/EgraLetterGrid';
 import AssessmentTimer from '../../components/assessment/AssessmentTimer';
 import LastAttemptedBottomSheet from '../../components/assessment/LastAttemptedBottomSheet';
+import { computeAssessmentResult, meetsDiscontinueRule } from '../../utils/assessmentScoring';
 import { colors, spacing, borderRadius } from '../../constants/colors';
 
-function computeAssessmentResult(letterStates, lastTappedIndex, letters) {
-  if (lastTappedIndex < 0) {
-    return {
-      lettersAttempted: 0,
-      correctResponses: 0,
-      incorrectLetters: [],
-      correctLetters: [],
-      accuracy: 0,
-    };
-  }
-
-  const lettersAttempted = lastTappedIndex + 1;
-  const correctLetters = [];
-  const incorrectLetters = [];
-
-  for (let i = 0; i <= lastTappedIndex; i++) {
-    if (letterStates[i] === true) {
-      correctLetters.push({ index: i, letter: letters[i] });
-    } else {
-      incorrectLetters.push({ index: i, letter: letters[i] });
-    }
-  }
-
-  const correctResponses = correctLetters.length;
-  const accuracy = lettersAttempted > 0
-    ? Math.round((correctResponses / lettersAttempted) * 100)
-    : 0;
-
-  return { lettersAttempted, correctResponses, incorrectLetters, correctLetters, accuracy };
-}
+// What each grid subtest is called and asks of the child
+const SUBTEST_TEXT = {
+  letter_egra: { title: 'Letter Sound Assessment', prompt: 'say the sound' },
+  word_egra: { title: 'Word Reading Assessment', prompt: 'read the word' },
+  nonword_egra: { title: 'Non-word Reading Assessment', prompt: 'sound out the made-up word' },
+};
 
 export default function LetterAssessmentScreen({ navigation, route }) {
   const { child, letterSet, attemptNumber = 1, assessmentType = 'letter_egra' } = route.params;
-  const isWordAssessment = assessmentType === 'word_egra';
+  const isWordAssessment = letterSet.type === 'word';
+  const itemNoun = isWordAssessment ? 'word' : 'letter';
+  const subtestText = SUBTEST_TEXT[assessmentType] || SUBTEST_TEXT.letter_egra;
+  const discontinueRule = letterSet.discontinueRule;
   const { user } = useAuth();
   const { refreshSyncStatus } = useOffline();
 
@@ -62,6 +42,7 @@ export default function LetterAssessmentScreen({ navigation, route }) {
   const letterStatesRef = useRef(letterStates);
   const lastTappedIndexRef = useRef(lastTappedIndex);
   const timeRemainingRef = useRef(timeRemaining);
+  const handleDiscontinueRef = useRef(null);
 
   // Keep refs in sync so timer callback reads current values
   letterStatesRef.current = letterStates;
@@ -142,9 +123,35 @@ export default function LetterAssessmentScreen({ navigation, route }) {
     return () => clearInterval(timerRef.current);
   }, [phase, isPaused]);
 
+  // EGRA early stop: the first items all wrong end the subtest. Saving the
+  // last attempted item at the end of the window marks it discontinued.
+  // A plain function so it always sees this render's values; handleToggle
+  // (memoized) calls it through handleDiscontinueRef.
+  const handleDiscontinue = () => {
+    if (hasFinishedRef.current) return;
+    hasFinishedRef.current = true;
+    clearInterval(timerRef.current);
+    setPhase('finished');
+
+    const { items } = discontinueRule;
+    Alert.alert(
+      'Assessment Stopped',
+      `${child.first_name} did not get any of the first ${items} ${itemNoun}s right, so the assessment stops here.`,
+      [{ text: 'OK', onPress: () => saveAssessment(items - 1) }],
+      { cancelable: false }
+    );
+  };
+  handleDiscontinueRef.current = handleDiscontinue;
+
   const handleToggle = useCallback((globalIndex) => {
     if (hasFinishedRef.current) return;
 
+    // Marking an item past the window means the child got through it
+    if (meetsDiscontinueRule(letterStatesRef.current, globalIndex, discontinueRule)) {
+      handleDiscontinueRef.current();
+      return;
+    }
+
     setLetterStates((prev) => {
       const next = { ...prev };
       if (next[globalIndex]) {
@@ -187,8 +194,12 @@ export default function LetterAssessmentScreen({ navigation, route }) {
   const saveAssessment = async (overrideLastIndex = null) => {
     const elapsed = ASSESSMENT_DURATION - timeRemainingRef.current;
     const currentLetterStates = letterStatesRef.current;
-    const finalLastIndex = overrideLastIndex !== null ? overrideLastIndex : lastTappedIndexRef.current;
-    const result = computeAssessmentResult(currentLetterStates, finalLastIndex, letterSet.letters);
+    let finalLastIndex = overrideLastIndex !== null ? overrideLastIndex : lastTappedIndexRef.current;
+    // However the assessment ended, a child who got through the window with
+    // nothing right was discontinued there
+    const discontinued = meetsDiscontinueRule(currentLetterStates, finalLastIndex + 1, discontinueRule);
+    if (discontinued) finalLastIndex = discontinueRule.items - 1;
+    const result = computeAssessmentResult(currentLetterStates, finalLastIndex, letterSet.letters, elapsed);
 
     const now = new Date();
     const dateAssessed = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
@@ -206,11 +217,13 @@ export default function LetterAssessmentScreen({ navigation, route }) {
       letters_attempted: result.lettersAttempted,
       correct_responses: result.correctResponses,
       accuracy: result.accuracy,
+      correct_per_minute: result.correctPerMinute,
       correct_letters: result.correctLetters,
       incorrect_letters: result.incorrectLetters,
       last_letter_attempted: finalLastIndex >= 0
         ? { index: finalLastIndex, letter: letterSet.letters[finalLastIndex] }
         : null,
+      discontinued,
       date_assessed: dateAssessed,
       device_info: {},
       synced: false,
@@ -231,16 +244,30 @@ export default function LetterAssessmentScreen({ navigation, route }) {
   };
 
   const handleEndAssessment = () => {
+    // While nothing in the window is marked correct, offer the early stop
+    const windowOpen = meetsDiscontinueRule(letterStates, discontinueRule?.items ?? 0, discontinueRule);
     Alert.alert(
       'End Assessment?',
-      'End the assessment now and record current results?',
+      windowOpen
+        ? `End the assessment now and record current results? If the child got all of the first ${discontinueRule.items} ${itemNoun}s wrong, stop early instead.`
+        : 'End the assessment now and record current results?',
       [
         { text: 'Cancel', style: 'cancel' },
+        ...(windowOpen ? [{ text: `First ${discontinueRule.items} wrong`, onPress: handleDiscontinue }] : []),
         { text: 'End', style: 'destructive', onPress: handleFinish },
       ]
     );
   };
 
+  const handleNextPage = () => {
+    const nextPageStart = (currentPage + 1) * letterSet.lettersPerPage;
+    if (phase === 'active' && meetsDiscontinueRule(letterStates, nextPageStart, discontinueRule)) {
+      handleDiscontinue();
+      return;
+    }
+    setCurrentPage((p) => p + 1);
+  };
+
   const startPage = currentPage * letterSet.lettersPerPage;
   const pageLetters = letterSet.letters.slice(startPage, startPage + letterSet.lettersPerPage);
   const isLastPage = currentPage === totalPages - 1;
@@ -251,7 +278,7 @@ export default function LetterAssessmentScreen({ navigation, route }) {
       <View style={[styles.container, { paddingTop: insets.top }]}>
         <View style={styles.instructionsContainer}>
           <Text variant="headlineSmall" style={styles.instructionsTitle}>
-            {isWordAssessment ? 'Word Reading Assessment' : 'Letter Sound Assessment'}
+            {subtestText.title}
           </Text>
           <Text variant="bodyLarge" style={styles.instructionsChild}>
             {child.first_name} {child.last_name}
@@ -265,17 +292,22 @@ export default function LetterAssessmentScreen({ navigation, route }) {
               1. Tap "Start" to begin the 60-second timer
             </Text>
             <Text variant="bodyMedium" style={styles.instructionsText}>
-              2. Point to each {isWordAssessment ? 'word' : 'letter'} and ask the child to {isWordAssessment ? 'read the word' : 'say the sound'}
+              2. Point to each {itemNoun} and ask the child to {subtestText.prompt}
             </Text>
             <Text variant="bodyMedium" style={styles.instructionsText}>
-              3. Tap {isWordAssessment ? 'words' : 'letters'} the child gets CORRECT (they turn green)
+              3. Tap {itemNoun}s the child gets CORRECT (they turn green)
             </Text>
             <Text variant="bodyMedium" style={styles.instructionsText}>
-              4. Skip incorrect {isWordAssessment ? 'words' : 'letters'} (leave them unmarked)
+              4. Skip incorrect {itemNoun}s (leave them unmarked)
             </Text>
             <Text variant="bodyMedium" style={styles.instructionsText}>
               5. Use Next/Prev to navigate pages
             </Text>
+            {discontinueRule && (
+              <Text variant="bodyMedium" style={styles.instructionsText}>
+                6. If the child gets the first {discontinueRule.items} {itemNoun}s all wrong, the assessment stops early
+              </Text>
+            )}
           </View>
 
           <Button
@@ -361,7 +393,7 @@ export default function LetterAssessmentScreen({ navigation, route }) {
         ) : (
           <Button
             mode="outlined"
-            onPress={() => setCurrentPage((p) => p + 1)}
+            onPress={handleNextPage}
             disabled={isLastPage}
             compact
           >
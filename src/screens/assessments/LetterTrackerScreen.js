@@ -88,11 +88,7 @@ export default function LetterTrackerScreen({ route }) {
     if (taughtLetters[letter]) {
       // Currently green -> toggle OFF (soft-delete)
       const recordId = taughtLetters[letter];
-      await storage.updateLetterMasteryRecord(recordId, {
-        _deleted: true,
-        synced: false,
-        updated_at: new Date().toISOString(),
-      });
+      await storage.softDelete('LETTER_MASTERY', [recordId]);
       setTaughtLetters(prev => {
         const next = { ...prev };
         delete next[letter];
@@ -107,11 +103,7 @@ export default function LetterTrackerScreen({ route }) {
       );
       if (existing) {
         // Reactivate the soft-deleted record
-        await storage.updateLetterMasteryRecord(existing.id, {
-          _deleted: false,
-          synced: false,
-          updated_at: new Date().toISOString(),
-        });
+        await storage.restoreDeleted('LETTER_MASTERY', [existing.id]);
         setTaughtLetters(prev => ({ ...prev, [letter]: existing.id }));
       } else {
         // Create new record
@@ -0,0 +1,540 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { View, StyleSheet, Alert, ScrollView, Pressable } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Text, Button } from 'react-native-paper';
+import { useAuth } from '../../context/AuthContext';
+import { useOffline } from '../../context/OfflineContext';
+import { storage } from '../../utils/storage';
+import { v4 as uuidv4 } from 'uuid';
+import { ASSESSMENT_DURATION } from '../../constants/egraConstants';
+import AssessmentTimer from '../../components/assessment/AssessmentTimer';
+import {
+  computePassageResult,
+  computeComprehensionResult,
+  getAskableQuestions,
+  meetsPassageDiscontinueRule,
+} from '../../utils/assessmentScoring';
+import { colors, spacing, borderRadius } from '../../constants/colors';
+
+const ANSWER_OPTIONS = [
+  { value: 'correct', label: 'Correct' },
+  { value: 'incorrect', label: 'Incorrect' },
+  { value: 'no_response', label: 'No response' },
+];
+
+// Oral reading fluency: the child reads the passage aloud for a minute while
+// the assessor marks the words read wrong, then answers questions about what
+// they read. Phases: instructions → active (timed reading) → last_word (the
+// assessor marks where the child stopped) → comprehension → saved.
+export default function PassageAssessmentScreen({ navigation, route }) {
+  const { child, letterSet: passage, attemptNumber = 1, assessmentType = 'orf_egra' } = route.params;
+  const words = passage.letters;
+  const discontinueRule = passage.discontinueRule;
+  const { user } = useAuth();
+  const { refreshSyncStatus } = useOffline();
+
+  const [phase, setPhase] = useState('instructions');
+  const [wrongWords, setWrongWords] = useState({});
+  const [timeRemaining, setTimeRemaining] = useState(ASSESSMENT_DURATION);
+  const [lastWordIndex, setLastWordIndex] = useState(-1);
+  const [answers, setAnswers] = useState({});
+
+  const timerRef = useRef(null);
+  const hasFinishedRef = useRef(false);
+  const wrongWordsRef = useRef(wrongWords);
+  const timeRemainingRef = useRef(timeRemaining);
+  const secondsUsedRef = useRef(ASSESSMENT_DURATION);
+
+  // Keep refs in sync so timer callback reads current values
+  wrongWordsRef.current = wrongWords;
+  timeRemainingRef.current = timeRemaining;
+
+  const insets = useSafeAreaInsets();
+
+  // Back-button guard from the start of reading until the result is saved
+  useEffect(() => {
+    if (phase === 'instructions' || phase === 'finished') return;
+
+    const unsubscribe = navigation.addListener('beforeRemove', (e) => {
+      e.preventDefault();
+      Alert.alert(
+        'End Assessment?',
+        'Are you sure you want to leave? Your progress will be lost.',
+        [
+          { text: 'Stay', style: 'cancel' },
+          { text: 'Leave', style: 'destructive', onPress: () => {
+            clearInterval(timerRef.current);
+            navigation.dispatch(e.data.action);
+          }},
+        ]
+      );
+    });
+
+    return unsubscribe;
+  }, [navigation, phase]);
+
+  // Timer
+  useEffect(() => {
+    if (phase === 'active') {
+      timerRef.current = setInterval(() => {
+        setTimeRemaining((prev) => {
+          if (prev <= 1) {
+            clearInterval(timerRef.current);
+            handleStopReading();
+            return 0;
+          }
+          return prev - 1;
+        });
+      }, 1000);
+    }
+
+    return () => clearInterval(timerRef.current);
+  }, [phase]);
+
+  // The reading is over — timer ran out or the assessor ended it. Ask where
+  // the child got to.
+  const handleStopReading = useCallback(() => {
+    if (hasFinishedRef.current) return;
+    hasFinishedRef.current = true;
+    clearInterval(timerRef.current);
+    secondsUsedRef.current = ASSESSMENT_DURATION - timeRemainingRef.current;
+    setPhase('last_word');
+  }, []);
+
+  // EGRA early stop: every word of the first line wrong. No questions are asked.
+  // A plain function, not memoized, so it always sees this render's values.
+  const handleDiscontinue = () => {
+    if (hasFinishedRef.current) return;
+    hasFinishedRef.current = true;
+    clearInterval(timerRef.current);
+    secondsUsedRef.current = ASSESSMENT_DURATION - timeRemainingRef.current;
+    setPhase('finished');
+
+    Alert.alert(
+      'Assessment Stopped',
+      `${child.first_name} did not read any of the first ${discontinueRule.items} words correctly, so the assessment stops here.`,
+      [{ text: 'OK', onPress: () => saveAssessment(discontinueRule.items - 1, {}, true) }],
+      { cancelable: false }
+    );
+  };
+
+  const handleWordPress = (index) => {
+    if (phase === 'last_word') {
+      setLastWordIndex(index);
+      return;
+    }
+    if (phase !== 'active') return;
+
+    const next = { ...wrongWords };
+    if (next[index]) {
+      delete next[index];
+    } else {
+      next[index] = true;
+    }
+    setWrongWords(next);
+
+    if (meetsPassageDiscontinueRule(next, discontinueRule)) {
+      handleDiscontinue();
+    }
+  };
+
+  // The child read to the end of the passage before the timer ran out
+  const handleChildFinished = () => {
+    if (hasFinishedRef.current) return;
+    hasFinishedRef.current = true;
+    clearInterval(timerRef.current);
+    secondsUsedRef.current = ASSESSMENT_DURATION - timeRemainingRef.current;
+    startComprehension(words.length - 1);
+  };
+
+  const handleEndAssessment = () => {
+    Alert.alert(
+      'End Assessment?',
+      'Stop the reading now? You will mark the last word the child read.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'End', style: 'destructive', onPress: handleStopReading },
+      ]
+    );
+  };
+
+  const startComprehension = (lastIndex) => {
+    setLastWordIndex(lastIndex);
+    if (getAskableQuestions(passage, lastIndex).length === 0) {
+      setPhase('finished');
+      saveAssessment(lastIndex, {});
+      return;
+    }
+    setPhase('comprehension');
+  };
+
+  const saveAssessment = async (finalLastIndex, finalAnswers, discontinued = false) => {
+    const elapsed = secondsUsedRef.current;
+    const result = computePassageResult(wrongWordsRef.current, finalLastIndex, words, elapsed);
+    const comprehension = computeComprehensionResult(passage.questions || [], finalAnswers);
+
+    const now = new Date();
+    const dateAssessed = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    const assessment = {
+      id: uuidv4(),
+      user_id: user.id,
+      child_id: child.id,
+      assessment_type: assessmentType,
+      items_tested: words,
+      attempt_number: attemptNumber,
+      letter_set_id: passage.id,
+      letter_language: passage.language,
+      completion_time: elapsed,
+      letters_attempted: result.lettersAttempted,
+      correct_responses: result.correctResponses,
+      accuracy: result.accuracy,
+      correct_per_minute: result.correctPerMinute,
+      correct_letters: result.correctLetters,
+      incorrect_letters: result.incorrectLetters,
+      last_letter_attempted: finalLastIndex >= 0
+        ? { index: finalLastIndex, letter: words[finalLastIndex] }
+        : null,
+      discontinued,
+      comprehension,
+      date_assessed: dateAssessed,
+      device_info: {},
+      synced: false,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    };
+
+    await storage.saveAssessment(assessment);
+    await refreshSyncStatus();
+
+    navigation.navigate('AssessmentResults', {
+      assessment,
+      child,
+      letterSet: passage,
+      attemptNumber,
+      assessmentType,
+    });
+  };
+
+  const handleSaveComprehension = () => {
+    setPhase('finished');
+    saveAssessment(lastWordIndex, answers);
+  };
+
+  // --- Instructions Phase ---
+  if (phase === 'instructions') {
+    return (
+      <View style={[styles.container, { paddingTop: insets.top }]}>
+        <View style={styles.instructionsContainer}>
+          <Text variant="headlineSmall" style={styles.instructionsTitle}>
+            Oral Reading Assessment
+          </Text>
+          <Text variant="bodyLarge" style={styles.instructionsChild}>
+            {child.first_name} {child.last_name}
+          </Text>
+          <Text variant="bodyMedium" style={styles.instructionsLanguage}>
+            {passage.language} - Attempt #{attemptNumber}
+          </Text>
+
+          <View style={styles.instructionsBox}>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              1. Tap "Start" and ask the child to read the story aloud
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              2. Tap words the child reads WRONG or skips (they turn red)
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              3. Tap "Child Finished" if they reach the end before the 60 seconds are up
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              4. When time runs out, tap the last word the child read
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              5. Ask the questions about the part of the story the child read
+            </Text>
+            {discontinueRule && (
+              <Text variant="bodyMedium" style={styles.instructionsText}>
+                6. If the child reads none of the first {discontinueRule.items} words correctly, the assessment stops early
+              </Text>
+            )}
+          </View>
+
+          <Button
+            mode="contained"
+            onPress={() => setPhase('active')}
+            style={styles.startButton}
+            contentStyle={styles.startButtonContent}
+          >
+            Start Assessment
+          </Button>
+          <Button
+            mode="outlined"
+            onPress={() => navigation.goBack()}
+            style={styles.cancelButton}
+          >
+            Cancel
+          </Button>
+        </View>
+      </View>
+    );
+  }
+
+  // --- Comprehension Phase ---
+  if (phase === 'comprehension') {
+    const questions = getAskableQuestions(passage, lastWordIndex);
+    const allAnswered = questions.every((q) => answers[q.id]);
+
+    return (
+      <View style={[styles.container, { paddingTop: insets.top }]}>
+        <ScrollView contentContainerStyle={styles.questionsContent}>
+          <Text variant="titleLarge" style={styles.questionsTitle}>Questions</Text>
+          <Text variant="bodyMedium" style={styles.questionsHint}>
+            Ask each question. There is no time limit.
+          </Text>
+
+          {questions.map((q, i) => (
+            <View key={q.id} style={styles.questionCard}>
+              <Text variant="titleMedium" style={styles.questionPrompt}>
+                {i + 1}. {q.prompt}
+              </Text>
+              <Text variant="bodySmall" style={styles.questionAnswer}>
+                Answer: {q.answer}
+              </Text>
+              <View style={styles.answerRow}>
+                {ANSWER_OPTIONS.map(({ value, label }) => (
+                  <Button
+                    key={value}
+                    mode={answers[q.id] === value ? 'contained' : 'outlined'}
+                    onPress={() => setAnswers((prev) => ({ ...prev, [q.id]: value }))}
+                    compact
+                    style={styles.answerButton}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+
+        <View style={[styles.navRow, { paddingBottom: Math.max(insets.bottom, spacing.md) }]}>
+          <Text variant="bodySmall" style={styles.navHint}>
+            {Object.keys(answers).length} of {questions.length} answered
+          </Text>
+          <Button mode="contained" onPress={handleSaveComprehension} disabled={!allAnswered} compact>
+            Save
+          </Button>
+        </View>
+      </View>
+    );
+  }
+
+  // --- Reading / Last Word Phase ---
+  const isMarkingLastWord = phase === 'last_word';
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      <View style={styles.timerRow}>
+        <AssessmentTimer timeRemaining={timeRemaining} isPaused={false} />
+      </View>
+
+      {isMarkingLastWord && (
+        <Text variant="bodyMedium" style={styles.lastWordBanner}>
+          Tap the last word {child.first_name} read
+        </Text>
+      )}
+
+      <ScrollView contentContainerStyle={styles.passage}>
+        {words.map((word, i) => {
+          const isWrong = wrongWords[i] === true;
+          const isLast = isMarkingLastWord && i === lastWordIndex;
+          const notRead = isMarkingLastWord && lastWordIndex >= 0 && i > lastWordIndex;
+          return (
+            <Pressable
+              key={`${i}-${word}`}
+              onPress={() => handleWordPress(i)}
+              disabled={phase === 'finished'}
+              style={[
+                styles.word,
+                isWrong && styles.wordWrong,
+                isLast && styles.wordLast,
+                notRead && styles.wordNotRead,
+              ]}
+              accessibilityRole="button"
+              accessibilityLabel={`${word}, ${isWrong ? 'wrong' : 'not marked'}`}
+            >
+              <Text style={[styles.wordText, isWrong && styles.wordTextWrong]}>{word}</Text>
+            </Pressable>
+          );
+        })}
+      </ScrollView>
+
+      <View style={[styles.navRow, { paddingBottom: Math.max(insets.bottom, spacing.md) }]}>
+        {isMarkingLastWord ? (
+          <>
+            <Text variant="bodySmall" style={styles.navHint}>
+              {lastWordIndex >= 0 ? `Last word: ${words[lastWordIndex]}` : 'No word selected'}
+            </Text>
+            <Button
+              mode="contained"
+              onPress={() => startComprehension(lastWordIndex)}
+              disabled={lastWordIndex < 0}
+              compact
+            >
+              Confirm
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button
+              mode="text"
+              onPress={handleEndAssessment}
+              textColor={colors.emphasis}
+              disabled={phase !== 'active'}
+              compact
+            >
+              End Assessment
+            </Button>
+            <Button mode="contained" onPress={handleChildFinished} disabled={phase !== 'active'} compact>
+              Child Finished
+            </Button>
+          </>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  // Instructions
+  instructionsContainer: {
+    flex: 1,
+    padding: spacing.lg,
+    justifyContent: 'center',
+  },
+  instructionsTitle: {
+    textAlign: 'center',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  instructionsChild: {
+    textAlign: 'center',
+    color: colors.primary,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  instructionsLanguage: {
+    textAlign: 'center',
+    color: colors.textSecondary,
+    marginBottom: spacing.xl,
+  },
+  instructionsBox: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.lg,
+    marginBottom: spacing.xl,
+    gap: spacing.sm,
+  },
+  instructionsText: {
+    color: colors.text,
+  },
+  startButton: {
+    marginBottom: spacing.md,
+  },
+  startButtonContent: {
+    paddingVertical: spacing.sm,
+  },
+  cancelButton: {},
+  // Reading phase
+  timerRow: {
+    paddingVertical: spacing.md,
+  },
+  lastWordBanner: {
+    textAlign: 'center',
+    color: colors.primary,
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+  passage: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    padding: spacing.md,
+    gap: spacing.xs,
+  },
+  word: {
+    paddingHorizontal: spacing.xs,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.sm,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  wordWrong: {
+    backgroundColor: colors.emphasis,
+  },
+  wordLast: {
+    borderColor: colors.primary,
+  },
+  wordNotRead: {
+    opacity: 0.4,
+  },
+  wordText: {
+    fontSize: 24,
+    lineHeight: 32,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  wordTextWrong: {
+    color: '#FFFFFF',
+    textDecorationLine: 'line-through',
+  },
+  // Comprehension phase
+  questionsContent: {
+    padding: spacing.lg,
+  },
+  questionsTitle: {
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  questionsHint: {
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+  questionCard: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+  questionPrompt: {
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  questionAnswer: {
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  answerRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  answerButton: {
+    flexGrow: 1,
+  },
+  navRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  navHint: {
+    color: colors.textSecondary,
+  },
+});
@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Text, Button } from 'react-native-paper';
+import { useAuth } from '../../context/AuthContext';
+import { useOffline } from '../../context/OfflineContext';
+import { storage } from '../../utils/storage';
+import { v4 as uuidv4 } from 'uuid';
+import { computeOralResult, meetsDiscontinueRule } from '../../utils/assessmentScoring';
+import { colors, spacing, borderRadius } from '../../constants/colors';
+
+// What each phonemic awareness subtest is called and asks of the child
+const SUBTEST_TEXT = {
+  initial_sound_egra: { title: 'Initial Sound Assessment', task: 'say the first sound of each word' },
+  syllable_egra: { title: 'Syllable Assessment', task: 'clap the parts of each word' },
+};
+
+const fillPrompt = (prompt, word) => prompt.replace('{word}', word);
+
+// The items answered correctly, in the letterStates shape the discontinue
+// rule reads
+const correctStates = (responses) => Object.fromEntries(
+  Object.entries(responses).filter(([, response]) => response === 'correct').map(([index]) => [index, true])
+);
+
+// Untimed phonemic awareness: the assessor reads each item's prompt aloud and
+// records the child's spoken answer, one item at a time.
+export default function PhonemicAssessmentScreen({ navigation, route }) {
+  const { child, letterSet, attemptNumber = 1, assessmentType = 'initial_sound_egra' } = route.params;
+  const { items, discontinueRule } = letterSet;
+  const subtestText = SUBTEST_TEXT[assessmentType] || SUBTEST_TEXT.initial_sound_egra;
+  const { user } = useAuth();
+  const { refreshSyncStatus } = useOffline();
+
+  const [phase, setPhase] = useState('instructions');
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [responses, setResponses] = useState({});
+
+  const startedAtRef = useRef(null);
+  const hasFinishedRef = useRef(false);
+
+  const insets = useSafeAreaInsets();
+
+  // Back-button guard during active assessment
+  useEffect(() => {
+    if (phase !== 'active') return;
+
+    const unsubscribe = navigation.addListener('beforeRemove', (e) => {
+      e.preventDefault();
+      Alert.alert(
+        'End Assessment?',
+        'Are you sure you want to leave? Your progress will be lost.',
+        [
+          { text: 'Stay', style: 'cancel' },
+          { text: 'Leave', style: 'destructive', onPress: () => navigation.dispatch(e.data.action) },
+        ]
+      );
+    });
+
+    return unsubscribe;
+  }, [navigation, phase]);
+
+  const handleStart = () => {
+    startedAtRef.current = Date.now();
+    setPhase('active');
+  };
+
+  const handleResponse = (response) => {
+    if (hasFinishedRef.current) return;
+    const next = { ...responses, [currentIndex]: response };
+    setResponses(next);
+
+    if (meetsDiscontinueRule(correctStates(next), currentIndex + 1, discontinueRule)) {
+      handleDiscontinue(next);
+    } else if (currentIndex === items.length - 1) {
+      finish(next);
+    } else {
+      setCurrentIndex(currentIndex + 1);
+    }
+  };
+
+  // EGRA early stop: none of the first items right
+  const handleDiscontinue = (finalResponses) => {
+    hasFinishedRef.current = true;
+    setPhase('finished');
+
+    // Only the window counts, even if the assessor went back into it later
+    const windowResponses = Object.fromEntries(
+      Object.entries(finalResponses).filter(([index]) => Number(index) < discontinueRule.items)
+    );
+    Alert.alert(
+      'Assessment Stopped',
+      `${child.first_name} did not get any of the first ${discontinueRule.items} items right, so the assessment stops here.`,
+      [{ text: 'OK', onPress: () => saveAssessment(windowResponses, true) }],
+      { cancelable: false }
+    );
+  };
+
+  const finish = (finalResponses) => {
+    hasFinishedRef.current = true;
+    setPhase('finished');
+    saveAssessment(finalResponses);
+  };
+
+  const handleEndAssessment = () => {
+    Alert.alert(
+      'End Assessment?',
+      'End the assessment now and record the items answered so far?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'End', style: 'destructive', onPress: () => finish(responses) },
+      ]
+    );
+  };
+
+  const saveAssessment = async (finalResponses, discontinued = false) => {
+    const elapsed = Math.round((Date.now() - startedAtRef.current) / 1000);
+    const result = computeOralResult(finalResponses, letterSet.letters);
+    const lastIndex = result.lettersAttempted - 1;
+
+    const now = new Date();
+    const dateAssessed = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    const assessment = {
+      id: uuidv4(),
+      user_id: user.id,
+      child_id: child.id,
+      assessment_type: assessmentType,
+      items_tested: letterSet.letters,
+      attempt_number: attemptNumber,
+      letter_set_id: letterSet.id,
+      letter_language: letterSet.language,
+      completion_time: elapsed,
+      letters_attempted: result.lettersAttempted,
+      correct_responses: result.correctResponses,
+      accuracy: result.accuracy,
+      correct_per_minute: null,
+      correct_letters: result.correctLetters,
+      incorrect_letters: result.incorrectLetters,
+      last_letter_attempted: lastIndex >= 0
+        ? { index: lastIndex, letter: letterSet.letters[lastIndex] }
+        : null,
+      discontinued,
+      date_assessed: dateAssessed,
+      device_info: {},
+      synced: false,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    };
+
+    await storage.saveAssessment(assessment);
+    await refreshSyncStatus();
+
+    navigation.navigate('AssessmentResults', {
+      assessment,
+      child,
+      letterSet,
+      attemptNumber,
+      assessmentType,
+    });
+  };
+
+  // --- Instructions Phase ---
+  if (phase === 'instructions') {
+    return (
+      <View style={[styles.container, { paddingTop: insets.top }]}>
+        <View style={styles.instructionsContainer}>
+          <Text variant="headlineSmall" style={styles.instructionsTitle}>
+            {subtestText.title}
+          </Text>
+          <Text variant="bodyLarge" style={styles.instructionsChild}>
+            {child.first_name} {child.last_name}
+          </Text>
+          <Text variant="bodyMedium" style={styles.instructionsLanguage}>
+            {letterSet.language} - Attempt #{attemptNumber}
+          </Text>
+
+          <View style={styles.instructionsBox}>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              1. There is no timer. The child will {subtestText.task} you say.
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              2. Practise first: "{fillPrompt(letterSet.prompt, letterSet.example.word)}" (answer: {letterSet.example.answer}). Help the child if needed — this one is not scored.
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              3. Read each prompt aloud and tap what the child answered
+            </Text>
+            <Text variant="bodyMedium" style={styles.instructionsText}>
+              4. Wait a few seconds before tapping "No response"
+            </Text>
+            {discontinueRule && (
+              <Text variant="bodyMedium" style={styles.instructionsText}>
+                5. If the child gets the first {discontinueRule.items} items all wrong, the assessment stops early
+              </Text>
+            )}
+          </View>
+
+          <Button
+            mode="contained"
+            onPress={handleStart}
+            style={styles.startButton}
+            contentStyle={styles.startButtonContent}
+          >
+            Start Assessment
+          </Button>
+          <Button
+            mode="outlined"
+            onPress={() => navigation.goBack()}
+            style={styles.cancelButton}
+          >
+            Cancel
+          </Button>
+        </View>
+      </View>
+    );
+  }
+
+  // --- Active / Finished Phase ---
+  const item = items[currentIndex];
+  const finished = phase === 'finished';
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      <View style={styles.progress}>
+        <Text variant="bodySmall" style={styles.progressText}>
+          Item {currentIndex + 1} of {items.length}
+        </Text>
+        <View style={styles.progressBar}>
+          <View style={[styles.progressFill, { width: `${(Object.keys(responses).length / items.length) * 100}%` }]} />
+        </View>
+      </View>
+
+      <View style={styles.itemContainer}>
+        <Text variant="bodyMedium" style={styles.sayLabel}>Say:</Text>
+        <Text variant="headlineSmall" style={styles.prompt}>
+          {fillPrompt(letterSet.prompt, item.word)}
+        </Text>
+        <Text variant="displaySmall" style={styles.word}>{item.word}</Text>
+        <Text variant="bodyMedium" style={styles.answer}>
+          Listen for: {item.answer}
+        </Text>
+
+        <View style={styles.responseButtons}>
+          <Button
+            mode={responses[currentIndex] === 'correct' ? 'contained' : 'contained-tonal'}
+            buttonColor={responses[currentIndex] === 'correct' ? colors.success : undefined}
+            onPress={() => handleResponse('correct')}
+            disabled={finished}
+            contentStyle={styles.responseContent}
+          >
+            Correct
+          </Button>
+          <Button
+            mode={responses[currentIndex] === 'incorrect' ? 'contained' : 'contained-tonal'}
+            buttonColor={responses[currentIndex] === 'incorrect' ? colors.emphasis : undefined}
+            onPress={() => handleResponse('incorrect')}
+            disabled={finished}
+            contentStyle={styles.responseContent}
+          >
+            Incorrect
+          </Button>
+          <Button
+            mode={responses[currentIndex] === 'no_response' ? 'contained' : 'outlined'}
+            onPress={() => handleResponse('no_response')}
+            disabled={finished}
+            contentStyle={styles.responseContent}
+          >
+            No response
+          </Button>
+        </View>
+      </View>
+
+      <View style={[styles.navRow, { paddingBottom: Math.max(insets.bottom, spacing.md) }]}>
+        <Button
+          mode="outlined"
+          onPress={() => setCurrentIndex((i) => i - 1)}
+          disabled={currentIndex === 0 || finished}
+          compact
+        >
+          Prev
+        </Button>
+        <Button
+          mode="text"
+          onPress={handleEndAssessment}
+          textColor={colors.emphasis}
+          disabled={finished}
+          compact
+        >
+          End Assessment
+        </Button>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  // Instructions
+  instructionsContainer: {
+    flex: 1,
+    padding: spacing.lg,
+    justifyContent: 'center',
+  },
+  instructionsTitle: {
+    textAlign: 'center',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  instructionsChild: {
+    textAlign: 'center',
+    color: colors.primary,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  instructionsLanguage: {
+    textAlign: 'center',
+    color: colors.textSecondary,
+    marginBottom: spacing.xl,
+  },
+  instructionsBox: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.lg,
+    marginBottom: spacing.xl,
+    gap: spacing.sm,
+  },
+  instructionsText: {
+    color: colors.text,
+  },
+  startButton: {
+    marginBottom: spacing.md,
+  },
+  startButtonContent: {
+    paddingVertical: spacing.sm,
+  },
+  cancelButton: {},
+  // Active phase
+  progress: {
+    padding: spacing.md,
+    alignItems: 'center',
+  },
+  progressText: {
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  progressBar: {
+    width: '100%',
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: colors.primary,
+  },
+  itemContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: spacing.lg,
+  },
+  sayLabel: {
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  prompt: {
+    color: colors.text,
+    marginBottom: spacing.lg,
+  },
+  word: {
+    textAlign: 'center',
+    color: colors.primary,
+    fontWeight: '700',
+    marginBottom: spacing.sm,
+  },
+  answer: {
+    textAlign: 'center',
+    color: colors.textSecondary,
+    marginBottom: spacing.xl,
+  },
+  responseButtons: {
+    gap: spacing.md,
+  },
+  responseContent: {
+    paddingVertical: spacing.sm,
+  },
+  navRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+});
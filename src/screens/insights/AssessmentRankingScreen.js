@@ -1,10 +1,11 @@
 import React, { useState, useCallback } from 'react';
-import { View, StyleSheet, FlatList } from 'react-native';
+import { View, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
 import { Text, ActivityIndicator } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import { useChildren } from '../../context/ChildrenContext';
 import { storage } from '../../utils/storage';
 import { getAssessmentRanking } from '../../utils/dashboardStats';
+import { getFluencyLabel } from '../../utils/assessmentScoring';
 import RankedBarRow, { getBarColor } from '../../components/dashboard/RankedBarRow';
 import StatBar from '../../components/dashboard/StatBar';
 import { colors, spacing, borderRadius } from '../../constants/colors';
@@ -35,7 +36,8 @@ export default function AssessmentRankingScreen({ navigation }) {
     );
   }
 
-  const assessed = ranking.filter(r => r.accuracy !== null);
+  // Discontinued children weren't given the whole subtest: not in the averages
+  const assessed = ranking.filter(r => r.accuracy !== null && !r.discontinued);
   const notAssessed = ranking.filter(r => r.accuracy === null);
 
   const avgCorrect = assessed.length > 0
@@ -56,6 +58,18 @@ export default function AssessmentRankingScreen({ navigation }) {
     }
 
     const childName = `${item.child.first_name} ${(item.child.last_name || '').charAt(0)}.`;
+    if (item.discontinued) {
+      return (
+        <TouchableOpacity
+          style={[styles.unassessedRow, styles.discontinuedRow]}
+          onPress={() => navigation.navigate('AssessmentDetail', { assessment: item.assessment, childName })}
+        >
+          <Text style={styles.unassessedName}>{childName}</Text>
+          <Text style={styles.discontinuedLabel}>Stopped early</Text>
+        </TouchableOpacity>
+      );
+    }
+
     return (
       <RankedBarRow
         rank={index + 1}
@@ -63,7 +77,9 @@ export default function AssessmentRankingScreen({ navigation }) {
         value={item.correct}
         maxValue={60}
         barColor={getBarColor(Math.round((item.correct / Math.max(item.attempted, 1)) * 100))}
-        label={`${item.correct}`}
+        label={item.correctPerMinute != null
+          ? `${item.correct} · ${item.correctPerMinute} ${getFluencyLabel(item.assessment.assessment_type)}`
+          : `${item.correct}`}
         onPress={item.assessment ? () => navigation.navigate('AssessmentDetail', {
           assessment: item.assessment,
           childName,
@@ -82,7 +98,7 @@ export default function AssessmentRankingScreen({ navigation }) {
         ListHeaderComponent={
           <View>
             <Text style={styles.subtitle}>
-              Children ranked by total letters correct on most recent EGRA assessment
+              Children ranked by total letters correct on most recent EGRA assessment, with correct letters per minute (CLPM)
             </Text>
             <StatBar items={[
               { label: 'Avg Correct', value: avgCorrect },
@@ -161,6 +177,14 @@ const styles = StyleSheet.create({
     color: colors.disabled,
     fontStyle: 'italic',
   },
+  discontinuedRow: {
+    borderLeftColor: colors.emphasis,
+  },
+  discontinuedLabel: {
+    fontSize: 11,
+    color: colors.emphasis,
+    fontStyle: 'italic',
+  },
   colorKey: {
     flexDirection: 'row',
     justifyContent: 'center',
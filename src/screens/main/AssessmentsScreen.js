@@ -1,5 +1,5 @@
 import React, { useState, useCallback } from 'react';
-import { View, StyleSheet } from 'react-native';
+import { ScrollView, StyleSheet } from 'react-native';
 import { Text, Button, Card } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
@@ -8,6 +8,15 @@ import { storage } from '../../utils/storage';
 import { getAssessmentsTabStats } from '../../utils/dashboardStats';
 import StatBar from '../../components/dashboard/StatBar';
 
+const ASSESSMENT_CARDS = [
+  { type: 'letter_egra', title: 'Letter Sound Assessment (EGRA)', description: '60-second timed letter sound recognition test' },
+  { type: 'word_egra', title: 'Word Reading Assessment (EGRA)', description: '60-second timed word reading fluency test' },
+  { type: 'nonword_egra', title: 'Non-word Reading Assessment (EGRA)', description: '60-second timed made-up word decoding test' },
+  { type: 'orf_egra', title: 'Oral Reading Assessment (EGRA)', description: '60-second timed passage reading with comprehension questions' },
+  { type: 'initial_sound_egra', title: 'Initial Sound Assessment (EGRA)', description: 'Untimed phonemic awareness: first sound of spoken words' },
+  { type: 'syllable_egra', title: 'Syllable Assessment (EGRA)', description: 'Untimed phonemic awareness: clapping the parts of spoken words' },
+];
+
 export default function AssessmentsScreen({ navigation }) {
   const { children: childrenList } = useChildren();
   const [stats, setStats] = useState(null);
@@ -23,7 +32,7 @@ export default function AssessmentsScreen({ navigation }) {
   );
 
   return (
-    <View style={styles.container}>
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
       {/* Tab Stats */}
       {stats && (
         <StatBar items={[
@@ -35,46 +44,29 @@ export default function AssessmentsScreen({ navigation }) {
 
       <Text variant="titleLarge" style={styles.title}>Assessments</Text>
       <Text variant="bodyMedium" style={styles.description}>
-        Run timed assessments and view results.
+        Run assessments and view results.
       </Text>
 
-      <Card style={styles.card}>
-        <Card.Content>
-          <Text variant="titleMedium" style={styles.cardTitle}>
-            Letter Sound Assessment (EGRA)
-          </Text>
-          <Text variant="bodySmall" style={styles.cardDescription}>
-            60-second timed letter sound recognition test
-          </Text>
-        </Card.Content>
-        <Card.Actions style={styles.cardActions}>
-          <Button
-            mode="contained"
-            onPress={() => navigation.navigate('AssessmentChildSelect', { assessmentType: 'letter_egra' })}
-          >
-            Start Assessment
-          </Button>
-        </Card.Actions>
-      </Card>
-
-      <Card style={styles.card}>
-        <Card.Content>
-          <Text variant="titleMedium" style={styles.cardTitle}>
-            Word Reading Assessment (EGRA)
-          </Text>
-          <Text variant="bodySmall" style={styles.cardDescription}>
-            60-second timed word reading fluency test
-          </Text>
-        </Card.Content>
-        <Card.Actions style={styles.cardActions}>
-          <Button
-            mode="contained"
-            onPress={() => navigation.navigate('AssessmentChildSelect', { assessmentType: 'word_egra' })}
-          >
-            Start Assessment
-          </Button>
-        </Card.Actions>
-      </Card>
+      {ASSESSMENT_CARDS.map(({ type, title, description }) => (
+        <Card key={type} style={styles.card}>
+          <Card.Content>
+            <Text variant="titleMedium" style={styles.cardTitle}>
+              {title}
+            </Text>
+            <Text variant="bodySmall" style={styles.cardDescription}>
+              {description}
+            </Text>
+          </Card.Content>
+          <Card.Actions style={styles.cardActions}>
+            <Button
+              mode="contained"
+              onPress={() => navigation.navigate('AssessmentChildSelect', { assessmentType: type })}
+            >
+              Start Assessment
+            </Button>
+          </Card.Actions>
+        </Card>
+      ))}
 
       <Button
         mode="outlined"
@@ -83,16 +75,18 @@ export default function AssessmentsScreen({ navigation }) {
       >
         View History
       </Button>
-    </View>
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    padding: spacing.lg,
     backgroundColor: colors.background,
   },
+  content: {
+    padding: spacing.lg,
+  },
   title: {
     marginBottom: spacing.sm,
   },
@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet, KeyboardAvoidingView, Platform, Alert } from 'react-native';
+import { Card, Text, TextInput, Button, Switch, HelperText, Snackbar } from 'react-native-paper';
+import { useOffline } from '../../context/OfflineContext';
+import {
+  getFailedItemDetails,
+  editFailedItem,
+  retryFailedItem,
+  discardFailedItem,
+} from '../../services/offlineSync';
+import { TABLE_DISPLAY_NAMES } from './SyncStatusScreen';
+import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
+
+// Render a stored value for display ("empty" for null/blank)
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'empty';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Form value → stored value, in the type the field had. Returns undefined
+// for a number that doesn't parse.
+const parseValue = (original, text) => {
+  if (typeof original === 'boolean') return text;
+  if (typeof original === 'number') {
+    if (text.trim() === '') return null;
+    const number = Number(text);
+    return Number.isNaN(number) ? undefined : number;
+  }
+  return text === '' && original === null ? null : text;
+};
+
+/**
+ * Quarantine inspector: one failed item's stored record, why it failed, and
+ * the ways out — fix fields and retry, retry as is, or discard.
+ */
+export default function FailedItemScreen({ route, navigation }) {
+  const { table, id } = route.params;
+  const { refreshSyncStatus, syncNow } = useOffline();
+
+  const [details, setDetails] = useState(null);
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  useEffect(() => {
+    getFailedItemDetails(table, id)
+      .then(found => {
+        if (!found) {
+          setSnackbar({ visible: true, message: 'This item is no longer failing' });
+          setTimeout(() => navigation.goBack(), 1500);
+          return;
+        }
+        setDetails(found);
+        const initial = {};
+        for (const field of found.editableFields) {
+          const value = found.record[field];
+          initial[field] = typeof value === 'boolean' ? value : (value ?? '').toString();
+        }
+        setValues(initial);
+      })
+      .catch(error => console.error('Error loading failed item:', error));
+  }, [table, id]);
+
+  // Edited fields, as stored values
+  const getChanges = () => {
+    const changes = {};
+    const newErrors = {};
+    for (const field of details.editableFields) {
+      const original = details.record[field];
+      const value = parseValue(original, values[field]);
+      if (value === undefined) {
+        newErrors[field] = 'Must be a number';
+      } else if (value !== original) {
+        changes[field] = value;
+      }
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0 ? changes : null;
+  };
+
+  const finish = async (message) => {
+    setSnackbar({ visible: true, message });
+    await refreshSyncStatus();
+    syncNow();
+    setTimeout(() => navigation.goBack(), 1000);
+  };
+
+  const handleSaveAndRetry = async () => {
+    const changes = getChanges();
+    if (!changes) return;
+
+    setLoading(true);
+    try {
+      if (Object.keys(changes).length > 0) {
+        await editFailedItem(table, id, changes);
+      } else {
+        await retryFailedItem(table, id);
+      }
+      await finish('Saved, retrying...');
+    } catch (error) {
+      console.error('Error retrying failed item:', error);
+      setSnackbar({ visible: true, message: 'Could not save changes' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDiscard = () => {
+    Alert.alert(
+      'Discard Record',
+      'This record will be deleted from this phone and never sent. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await discardFailedItem(table, id);
+              await finish('Record discarded');
+            } catch (error) {
+              console.error('Error discarding failed item:', error);
+              setSnackbar({ visible: true, message: 'Could not discard record' });
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (!details) {
+    return (
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '' })}
+        duration={1500}
+      >
+        {snackbar.message}
+      </Snackbar>
+    );
+  }
+
+  const { item, record, editableFields, title, explanation } = details;
+  const readOnlyFields = Object.keys(record || {})
+    .filter(field => !field.startsWith('_') && !editableFields.includes(field));
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.outerContainer}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      keyboardVerticalOffset={90}
+    >
+      <ScrollView style={styles.container}>
+        {/* Why it failed */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text variant="titleMedium" style={styles.sectionTitle}>
+              {TABLE_DISPLAY_NAMES[table] || table}: {title}
+            </Text>
+            <Text variant="bodyMedium" style={styles.explanation}>{explanation}</Text>
+            <Text variant="bodySmall" style={styles.detailText}>Error: {item.reason}</Text>
+            <Text variant="bodySmall" style={styles.detailText}>
+              Failed: {new Date(item.failedAt).toLocaleString()}
+            </Text>
+          </Card.Content>
+        </Card>
+
+        {/* The stored record */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text variant="titleMedium" style={styles.sectionTitle}>Record</Text>
+            {!record ? (
+              <Text variant="bodyMedium" style={styles.explanation}>
+                This record is no longer on this phone. Discard it to clear the error.
+              </Text>
+            ) : (
+              <>
+                {editableFields.map(field => (
+                  typeof record[field] === 'boolean' ? (
+                    <View key={field} style={styles.switchRow}>
+                      <Text variant="bodyMedium">{field}</Text>
+                      <Switch
+                        value={values[field]}
+                        onValueChange={value => setValues(v => ({ ...v, [field]: value }))}
+                      />
+                    </View>
+                  ) : (
+                    <View key={field}>
+                      <TextInput
+                        label={field}
+                        value={values[field]}
+                        onChangeText={text => setValues(v => ({ ...v, [field]: text }))}
+                        keyboardType={typeof record[field] === 'number' ? 'numeric' : 'default'}
+                        error={!!errors[field]}
+                        mode="outlined"
+                        style={styles.input}
+                      />
+                      {errors[field] && <HelperText type="error">{errors[field]}</HelperText>}
+                    </View>
+                  )
+                ))}
+                {readOnlyFields.map(field => (
+                  <View key={field} style={styles.fieldRow}>
+                    <Text variant="bodySmall" style={styles.fieldName}>{field}</Text>
+                    <Text variant="bodySmall" style={styles.fieldValue}>{formatValue(record[field])}</Text>
+                  </View>
+                ))}
+              </>
+            )}
+          </Card.Content>
+        </Card>
+
+        <View style={styles.actions}>
+          {record && (
+            <Button
+              mode="contained"
+              onPress={handleSaveAndRetry}
+              loading={loading}
+              disabled={loading}
+              style={styles.button}
+            >
+              Save and Retry
+            </Button>
+          )}
+          <Button
+            mode="outlined"
+            onPress={handleDiscard}
+            disabled={loading}
+            textColor={colors.error}
+            style={styles.button}
+          >
+            Discard
+          </Button>
+        </View>
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '' })}
+        duration={1500}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  outerContainer: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  container: {
+    flex: 1,
+  },
+  card: {
+    margin: spacing.md,
+    marginBottom: 0,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    ...shadows.card,
+  },
+  sectionTitle: {
+    color: colors.primary,
+    marginBottom: spacing.sm,
+  },
+  explanation: {
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  detailText: {
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  input: {
+    marginBottom: spacing.sm,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs,
+  },
+  fieldName: {
+    color: colors.textSecondary,
+    marginRight: spacing.md,
+  },
+  fieldValue: {
+    color: colors.text,
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  actions: {
+    padding: spacing.md,
+  },
+  button: {
+    marginBottom: spacing.sm,
+  },
+});
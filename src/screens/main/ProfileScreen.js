@@ -3,12 +3,14 @@ import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, Linking,
 import { TextInput, Button, Text, Card, Divider, Snackbar } from 'react-native-paper';
 import Constants from 'expo-constants';
 import { useAuth } from '../../context/AuthContext';
+import { useOffline } from '../../context/OfflineContext';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
 import { supabase } from '../../services/supabaseClient';
 import { exportDatabase, exportLogs } from '../../utils/debugExport';
 
 export default function ProfileScreen({ navigation }) {
   const { user, profile, updatePassword, signOut } = useAuth();
+  const { syncPolicy } = useOffline();
 
   // Password form state
   const [currentPassword, setCurrentPassword] = useState('');
@@ -27,7 +29,23 @@ export default function ProfileScreen({ navigation }) {
     setSnackbar({ visible: true, message, type });
   };
 
-  const handleShareLogs = async () => {
+  // Logs can run to megabytes; with data saver on mobile data, suggest Wi-Fi
+  const handleShareLogs = () => {
+    if (syncPolicy.shareLogs) {
+      shareLogs();
+      return;
+    }
+    Alert.alert(
+      'Wait for Wi-Fi?',
+      'Data saver is on and you are using mobile data. Sharing logs can use a lot of data.',
+      [
+        { text: 'Wait for Wi-Fi', style: 'cancel' },
+        { text: 'Share Anyway', onPress: shareLogs },
+      ]
+    );
+  };
+
+  const shareLogs = async () => {
     setExportLoading(true);
     try {
       const result = await exportLogs();
@@ -44,37 +62,53 @@ export default function ProfileScreen({ navigation }) {
     }
   };
 
-  const handleShareDatabase = async () => {
-    // Confirm action due to sensitive data
+  const shareDatabase = async (options) => {
+    setExportLoading(true);
+    try {
+      const result = await exportDatabase(options);
+      if (result.success) {
+        showMessage('Database exported successfully');
+      } else {
+        showMessage(result.error || 'Failed to export database', 'error');
+      }
+    } catch (error) {
+      console.error('Share database error:', error);
+      showMessage('Failed to export database', 'error');
+    } finally {
+      setExportLoading(false);
+    }
+  };
+
+  // Children's names and details are left out unless explicitly included
+  const confirmIncludePersonalData = () => {
     Alert.alert(
-      'Export Database',
-      'This will export all local data including sensitive information. Only share with Masi support staff.',
+      'Include Personal Data?',
+      "The export will contain children's names, ages and genders, and class and school names. " +
+        "The app doesn't check who is asking, so only do this when a Masi admin has asked for it.",
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Export',
+          text: 'Include',
           style: 'destructive',
-          onPress: async () => {
-            setExportLoading(true);
-            try {
-              const result = await exportDatabase();
-              if (result.success) {
-                showMessage('Database exported successfully');
-              } else {
-                showMessage(result.error || 'Failed to export database', 'error');
-              }
-            } catch (error) {
-              console.error('Share database error:', error);
-              showMessage('Failed to export database', 'error');
-            } finally {
-              setExportLoading(false);
-            }
-          },
+          onPress: () => shareDatabase({ includePersonalData: true }),
         },
       ]
     );
   };
 
+  const handleShareDatabase = async () => {
+    // Confirm action due to sensitive data
+    Alert.alert(
+      'Export Database',
+      "This will export all local data, with children's personal details and school details removed. Only share with Masi support staff.",
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Include Personal Data', onPress: confirmIncludePersonalData },
+        { text: 'Export', onPress: () => shareDatabase() },
+      ]
+    );
+  };
+
   const handleOpenTerms = async () => {
     try {
       const url = 'https://masinyusane.org/terms';
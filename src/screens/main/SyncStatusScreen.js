@@ -1,18 +1,78 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, ScrollView, StyleSheet } from 'react-native';
-import { Card, Text, Button, List, Snackbar } from 'react-native-paper';
+import { Card, Text, Button, List, Snackbar, ProgressBar, Switch } from 'react-native-paper';
 import { Ionicons } from '@expo/vector-icons';
 import { useOffline } from '../../context/OfflineContext';
-import { retryFailedItem } from '../../services/offlineSync';
+import { retryFailedItem, resolveConflict, getSyncHistory } from '../../services/offlineSync';
+import { estimateRemainingMs, getPushTotals } from '../../services/syncProgress';
+import { formatBytes } from '../../services/dataUsage';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
 
-const TABLE_DISPLAY_NAMES = {
+export const TABLE_DISPLAY_NAMES = {
   TIME_ENTRIES: 'Time Entries',
   SESSIONS: 'Sessions',
   CHILDREN: 'Children',
   STAFF_CHILDREN: 'Staff Assignments',
   GROUPS: 'Groups',
   CHILDREN_GROUPS: 'Group Memberships',
+  CLASSES: 'Classes',
+  ASSESSMENTS: 'Assessments',
+  LETTER_MASTERY: 'Letter Mastery',
+};
+
+// What started a sync, as recorded in the sync history
+const TRIGGER_LABELS = {
+  manual: 'Sync Now',
+  launch: 'App opened',
+  sign_in: 'Signed in',
+  reconnect: 'Back online',
+  foreground: 'App reopened',
+  background: 'App closed',
+  retry_due: 'Scheduled retry',
+  pending_changes: 'New changes',
+  background_task: 'While app was closed',
+  wifi: 'Wi-Fi connected',
+};
+
+// Why a background sync didn't run (see backgroundSync.js)
+const BACKGROUND_SKIP_REASONS = {
+  signed_out: 'signed out',
+  offline: 'no connection',
+  low_power: 'Low Power Mode',
+  low_battery: 'low battery',
+};
+
+// Outcome of the last background sync, e.g. "3 sent, 12 received"
+const describeBackgroundSync = (outcome) => {
+  if (outcome.status === 'skipped') {
+    return `skipped (${BACKGROUND_SKIP_REASONS[outcome.reason] || outcome.reason})`;
+  }
+  if (outcome.error) return `failed: ${outcome.error}`;
+  const counts = [`${outcome.totalSynced} sent`, `${outcome.totalPulled} received`];
+  if (outcome.totalFailed > 0) counts.push(`${outcome.totalFailed} failed`);
+  return counts.join(', ');
+};
+
+const HISTORY_ROWS = 10;
+
+// Data a sync run used, e.g. "14.2 KB" (runs from before it was counted have none)
+const runDataUsed = (run) => (run.bytes ? formatBytes(run.bytes.sent + run.bytes.received) : null);
+
+// One-line summary of a sync run, e.g. "3 sent, 12 received, 1 failed · 2.4s · 14.2 KB · wifi"
+const describeRun = (run) => {
+  const counts = [`${run.totalSynced} sent`, `${run.totalPulled} received`];
+  if (run.totalFailed > 0) counts.push(`${run.totalFailed} failed`);
+  const parts = [counts.join(', '), `${(run.durationMs / 1000).toFixed(1)}s`];
+  if (run.bytes) parts.push(runDataUsed(run));
+  if (run.network?.type) parts.push(run.network.type);
+  if (run.dataSaver) parts.push('data saver');
+  return parts.join(' · ');
+};
+
+// Render a conflicting field value for display ("empty" for null/blank)
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'empty';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
 };
 
 /**
@@ -41,21 +101,62 @@ const formatSyncTime = (isoString) => {
   return `${dateStr} at ${timeStr}`;
 };
 
-export default function SyncStatusScreen() {
-  const { isOnline, isSyncing, syncStatus, syncNow, refreshSyncStatus } = useOffline();
+/**
+ * Rough time left for the push, e.g. "About 3 min left".
+ */
+const formatEta = (ms) => {
+  if (ms === null) return 'Estimating time left...';
+  if (ms < 60000) return 'Less than a minute left';
+  return `About ${Math.round(ms / 60000)} min left`;
+};
+
+export default function SyncStatusScreen({ navigation }) {
+  const {
+    isOnline,
+    isSyncing,
+    syncStatus,
+    syncProgress,
+    dataSaver,
+    syncPolicy,
+    syncNow,
+    refreshSyncStatus,
+    setDataSaver,
+  } = useOffline();
   const [snackbarMessage, setSnackbarMessage] = useState('');
   const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [syncHistory, setSyncHistory] = useState([]);
 
   const breakdown = syncStatus.breakdown || {};
   const failedItems = syncStatus.failedItems || [];
+  const conflicts = syncStatus.conflicts || [];
   const lastSyncTime = syncStatus.lastSyncTime || null;
   const lastSuccessfulSyncTime = syncStatus.lastSuccessfulSyncTime || null;
+  const lastBackgroundSync = syncStatus.lastBackgroundSync || null;
+  const nextRetryAt = syncStatus.nextRetryAt || null;
+  const waitingForWifiCount = syncStatus.waitingForWifiCount || 0;
+  const lastRunDataUsed = syncHistory[0] ? runDataUsed(syncHistory[0]) : null;
+
+  // Reload the history whenever another sync has run
+  useEffect(() => {
+    getSyncHistory()
+      .then(setSyncHistory)
+      .catch(error => console.error('Error loading sync history:', error));
+  }, [lastSyncTime]);
 
   const showSnackbar = (message) => {
     setSnackbarMessage(message);
     setSnackbarVisible(true);
   };
 
+  const handleDataSaverChange = async (enabled) => {
+    try {
+      await setDataSaver(enabled);
+    } catch (error) {
+      console.error('Error saving data saver setting:', error);
+      showSnackbar('Could not change data saver');
+    }
+  };
+
   const handleRetry = async (table, id) => {
     const displayName = TABLE_DISPLAY_NAMES[table] || table;
     showSnackbar(`Retrying ${displayName}...`);
@@ -64,6 +165,17 @@ export default function SyncStatusScreen() {
     await syncNow();
   };
 
+  const handleResolve = async (conflict, choice) => {
+    await resolveConflict(conflict.table, conflict.id, conflict.field, choice);
+    showSnackbar(choice === 'local' ? 'Keeping your change' : 'Using the server value');
+    await refreshSyncStatus();
+    await syncNow();
+  };
+
+  const progressTables = Object.entries(syncProgress?.tables || {});
+  const pushTotals = getPushTotals(syncProgress);
+  const showProgress = isSyncing && syncProgress && syncProgress.phase !== 'done';
+
   // Only show rows where count > 0
   const unsyncedRows = Object.entries(breakdown).filter(([, count]) => count > 0);
   const allSynced = unsyncedRows.length === 0;
@@ -85,6 +197,25 @@ export default function SyncStatusScreen() {
           </Card.Content>
         </Card>
 
+        {/* Data Saver — coaches pay for their own mobile data */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <View style={styles.switchRow}>
+              <Text variant="titleMedium" style={styles.switchTitle}>Data Saver</Text>
+              <Switch value={dataSaver} onValueChange={handleDataSaverChange} />
+            </View>
+            <Text variant="bodySmall" style={styles.lastAttemptText}>
+              On mobile data, only time entries, sessions and assessments are sent. Everything else,
+              and downloading updates, waits for Wi-Fi.
+            </Text>
+            {syncPolicy.dataSaver && (
+              <Text variant="bodySmall" style={styles.dataSaverActiveText}>
+                On mobile data now: saving data.
+              </Text>
+            )}
+          </Card.Content>
+        </Card>
+
         {/* Last Synced */}
         <Card style={styles.card}>
           <Card.Content>
@@ -97,6 +228,16 @@ export default function SyncStatusScreen() {
                 Last attempt: {formatSyncTime(lastSyncTime)}
               </Text>
             )}
+            {lastBackgroundSync && (
+              <Text variant="bodySmall" style={styles.lastAttemptText}>
+                While app was closed: {formatSyncTime(lastBackgroundSync.at)} · {describeBackgroundSync(lastBackgroundSync)}
+              </Text>
+            )}
+            {lastRunDataUsed && (
+              <Text variant="bodySmall" style={styles.lastAttemptText}>
+                Data used by the last sync: {lastRunDataUsed}
+              </Text>
+            )}
           </Card.Content>
         </Card>
 
@@ -127,13 +268,67 @@ export default function SyncStatusScreen() {
                 />
               ))
             )}
+            {!allSynced && nextRetryAt && (
+              <Text variant="bodySmall" style={styles.lastAttemptText}>
+                Next automatic retry: {formatSyncTime(nextRetryAt)}
+              </Text>
+            )}
+            {waitingForWifiCount > 0 && (
+              <Text variant="bodySmall" style={styles.lastAttemptText}>
+                {waitingForWifiCount} waiting for Wi-Fi (data saver)
+              </Text>
+            )}
           </Card.Content>
         </Card>
 
+        {/* Sync Progress — while a sync is running */}
+        {showProgress && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text variant="titleMedium" style={styles.sectionTitle}>Syncing</Text>
+              {syncProgress.phase === 'pull' ? (
+                <Text variant="bodyMedium" style={styles.syncTimeText}>
+                  Downloading the latest data...
+                </Text>
+              ) : (
+                <>
+                  {progressTables.map(([table, { done, total }]) => (
+                    <View key={table} style={styles.progressRow}>
+                      <View style={styles.progressLabelRow}>
+                        <Text variant="bodyMedium" style={styles.listTitle}>
+                          {TABLE_DISPLAY_NAMES[table] || table}
+                        </Text>
+                        <Text variant="bodySmall" style={styles.listDescription}>
+                          {done} of {total}
+                        </Text>
+                      </View>
+                      <ProgressBar
+                        progress={total > 0 ? done / total : 0}
+                        color={colors.primary}
+                        style={styles.progressBar}
+                      />
+                    </View>
+                  ))}
+                  {pushTotals.total > 0 && (
+                    <Text variant="bodySmall" style={styles.lastAttemptText}>
+                      {formatEta(estimateRemainingMs(syncProgress))}
+                    </Text>
+                  )}
+                  {syncProgress.retriesScheduled > 0 && (
+                    <Text variant="bodySmall" style={styles.lastAttemptText}>
+                      {syncProgress.retriesScheduled} will be retried automatically
+                    </Text>
+                  )}
+                </>
+              )}
+            </Card.Content>
+          </Card>
+        )}
+
         {/* Sync Now Button */}
         <Button
           mode="contained"
-          onPress={syncNow}
+          onPress={() => syncNow('manual')}
           disabled={!isOnline || isSyncing}
           loading={isSyncing}
           style={styles.syncButton}
@@ -141,6 +336,54 @@ export default function SyncStatusScreen() {
           Sync Now
         </Button>
 
+        {/* Conflicts — same field changed on this device and on the server */}
+        {conflicts.length > 0 && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text variant="titleMedium" style={styles.sectionTitle}>Conflicts</Text>
+              {conflicts.map((conflict) => (
+                <Card
+                  key={`${conflict.table}_${conflict.id}_${conflict.field}`}
+                  style={styles.failedItemCard}
+                >
+                  <Card.Content>
+                    <Text variant="bodyLarge" style={styles.failedItemTable}>
+                      {TABLE_DISPLAY_NAMES[conflict.table] || conflict.table}: {conflict.label}
+                    </Text>
+                    <Text variant="bodySmall" style={styles.failedItemId}>
+                      Field: {conflict.field}
+                    </Text>
+                    <Text variant="bodySmall" style={styles.conflictValue}>
+                      Yours: {formatValue(conflict.localValue)}
+                    </Text>
+                    <Text variant="bodySmall" style={styles.conflictValue}>
+                      Server: {formatValue(conflict.serverValue)}
+                    </Text>
+                    <View style={styles.conflictActions}>
+                      <Button
+                        mode="outlined"
+                        onPress={() => handleResolve(conflict, 'local')}
+                        style={styles.retryButton}
+                        compact
+                      >
+                        Keep mine
+                      </Button>
+                      <Button
+                        mode="outlined"
+                        onPress={() => handleResolve(conflict, 'server')}
+                        style={styles.retryButton}
+                        compact
+                      >
+                        Use server
+                      </Button>
+                    </View>
+                  </Card.Content>
+                </Card>
+              ))}
+            </Card.Content>
+          </Card>
+        )}
+
         {/* Failed Items — only rendered when there are failures */}
         {failedItems.length > 0 && (
           <Card style={styles.card}>
@@ -161,20 +404,56 @@ export default function SyncStatusScreen() {
                     <Text variant="bodySmall" style={styles.failedItemTime}>
                       Failed: {formatSyncTime(item.failedAt)}
                     </Text>
-                    <Button
-                      mode="outlined"
-                      onPress={() => handleRetry(item.table, item.id)}
-                      style={styles.retryButton}
-                      compact
-                    >
-                      Retry
-                    </Button>
+                    <View style={styles.failedItemActions}>
+                      <Button
+                        mode="outlined"
+                        onPress={() => handleRetry(item.table, item.id)}
+                        style={styles.retryButton}
+                        compact
+                      >
+                        Retry
+                      </Button>
+                      <Button
+                        mode="text"
+                        onPress={() => navigation.navigate('FailedItem', { table: item.table, id: item.id })}
+                        style={styles.retryButton}
+                        compact
+                      >
+                        Details
+                      </Button>
+                    </View>
                   </Card.Content>
                 </Card>
               ))}
             </Card.Content>
           </Card>
         )}
+        {/* Sync History — recent runs, for "it didn't sync on Tuesday" */}
+        {syncHistory.length > 0 && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text variant="titleMedium" style={styles.sectionTitle}>Sync History</Text>
+              {syncHistory.slice(0, HISTORY_ROWS).map((run) => (
+                <List.Item
+                  key={run.startedAt}
+                  title={`${formatSyncTime(run.startedAt)} · ${TRIGGER_LABELS[run.trigger] || run.trigger}`}
+                  description={[describeRun(run), run.errors[0]?.message].filter(Boolean).join('\n')}
+                  descriptionNumberOfLines={3}
+                  left={() => (
+                    <Ionicons
+                      name={run.success ? 'checkmark-circle-outline' : 'alert-circle-outline'}
+                      size={24}
+                      color={run.success ? colors.success : colors.error}
+                      style={styles.listIcon}
+                    />
+                  )}
+                  titleStyle={styles.listTitle}
+                  descriptionStyle={styles.listDescription}
+                />
+              ))}
+            </Card.Content>
+          </Card>
+        )}
       </ScrollView>
 
       <Snackbar
@@ -234,6 +513,20 @@ const styles = StyleSheet.create({
     color: '#B45309',
   },
 
+  // Data saver
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  switchTitle: {
+    color: colors.primary,
+  },
+  dataSaverActiveText: {
+    color: colors.primary,
+    marginTop: spacing.xs,
+  },
+
   // Last synced
   syncTimeText: {
     color: colors.textSecondary,
@@ -258,6 +551,20 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
   },
 
+  // Sync progress
+  progressRow: {
+    marginBottom: spacing.sm,
+  },
+  progressLabelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.xs,
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: borderRadius.sm,
+  },
+
   // Sync Now button
   syncButton: {
     marginHorizontal: spacing.md,
@@ -286,8 +593,22 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     marginTop: spacing.xs,
   },
+  failedItemActions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+  },
   retryButton: {
     marginTop: spacing.sm,
     alignSelf: 'flex-start',
   },
+
+  // Conflicts
+  conflictValue: {
+    color: colors.text,
+    marginTop: spacing.xs,
+  },
+  conflictActions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+  },
 });
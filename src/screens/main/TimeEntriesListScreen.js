@@ -4,8 +4,8 @@ import { Card, Text, Divider, Chip, Snackbar } from 'react-native-paper';
 import { useAuth } from '../../context/AuthContext';
 import { useOffline } from '../../context/OfflineContext';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
-import { storage, STORAGE_KEYS } from '../../utils/storage';
-import { supabase } from '../../services/supabaseClient';
+import { storage } from '../../utils/storage';
+import { pullTableByName } from '../../services/offlineSync';
 import { formatCoordinates } from '../../services/locationService';
 
 export default function TimeEntriesListScreen() {
@@ -45,25 +45,11 @@ export default function TimeEntriesListScreen() {
       setTimeEntries(cachedUserEntries);
       groupEntriesByDate(cachedUserEntries);
 
-      // 2. If online, fetch from server and merge
+      // 2. If online, pull changes from server (preserves unsynced local edits)
       if (isOnline && user?.id) {
-        const { data, error } = await supabase
-          .from('time_entries')
-          .select('*')
-          .eq('user_id', user.id)
-          .order('sign_in_time', { ascending: false });
-
-        if (error) {
-          console.error('Error fetching time entries from server:', error);
-        } else if (data) {
-          const serverEntries = data.map(entry => ({ ...entry, synced: true }));
-          const serverIds = new Set(serverEntries.map(e => e.id));
-
-          // Preserve all local records not returned by server
-          const localToKeep = cached.filter(e => !serverIds.has(e.id));
-          const merged = [...serverEntries, ...localToKeep];
-
-          await storage.setItem(STORAGE_KEYS.TIME_ENTRIES, merged);
+        const result = await pullTableByName('TIME_ENTRIES', user.id);
+        if (result.success) {
+          const merged = await storage.getTimeEntries();
 
           // Re-filter for display
           const displayEntries = merged
@@ -266,7 +266,7 @@ export default function LiteracySessionForm({ navigation }) {
     setSubmitting(true);
 
     try {
-      // 1. Save session record
+      // 1. Session record
       const session = {
         id: uuidv4(),
         user_id: user.id,
@@ -286,60 +286,54 @@ export default function LiteracySessionForm({ navigation }) {
         updated_at: new Date().toISOString(),
       };
 
-      await storage.saveSession(session);
-
-      // 2. Save letter tracker changes (batch)
+      // 2. Letter tracker changes land with the session or not at all
       const { LETTER_SETS } = require('../../constants/egraConstants');
       const letterSet = LETTER_SETS[trackerLanguageKey];
       const now = new Date().toISOString();
 
-      for (const [childId, changes] of Object.entries(letterTrackerChanges)) {
-        for (const [letter, value] of Object.entries(changes)) {
-          if (value === true) {
-            // Check for existing soft-deleted record to reuse (avoids duplicate key on sync)
-            const allMastery = await storage.getLetterMastery();
-            const existingDeleted = allMastery.find(
-              r => r.child_id === childId && r.letter === letter && r.language === letterSet.language && r._deleted
-            );
-            if (existingDeleted) {
-              await storage.updateLetterMasteryRecord(existingDeleted.id, {
-                _deleted: false,
-                synced: false,
-                updated_at: now,
-              });
-            } else {
-              const record = {
-                id: uuidv4(),
-                user_id: user.id,
-                child_id: childId,
-                letter,
-                source: 'taught',
-                language: letterSet.language,
-                synced: false,
-                created_at: now,
-                updated_at: now,
-              };
-              await storage.saveLetterMasteryRecord(record);
-            }
-          } else if (value === false) {
-            // Soft-delete: find the existing record and mark it
-            const allMastery = await storage.getLetterMastery();
-            const existing = allMastery.find(
-              r => r.child_id === childId &&
-                   r.letter === letter &&
-                   r.language === letterSet.language &&
-                   !r._deleted
-            );
-            if (existing) {
-              await storage.updateLetterMasteryRecord(existing.id, {
-                _deleted: true,
-                synced: false,
-                updated_at: now,
-              });
+      await storage.transaction(['SESSIONS', 'LETTER_MASTERY'], async (tx) => {
+        await tx.saveSession(session);
+
+        for (const [childId, changes] of Object.entries(letterTrackerChanges)) {
+          for (const [letter, value] of Object.entries(changes)) {
+            if (value === true) {
+              // Check for existing soft-deleted record to reuse (avoids duplicate key on sync)
+              const allMastery = await tx.getLetterMastery();
+              const existingDeleted = allMastery.find(
+                r => r.child_id === childId && r.letter === letter && r.language === letterSet.language && r._deleted
+              );
+              if (existingDeleted) {
+                await tx.restoreDeleted('LETTER_MASTERY', [existingDeleted.id]);
+              } else {
+                const record = {
+                  id: uuidv4(),
+                  user_id: user.id,
+                  child_id: childId,
+                  letter,
+                  source: 'taught',
+                  language: letterSet.language,
+                  synced: false,
+                  created_at: now,
+                  updated_at: now,
+                };
+                await tx.saveLetterMasteryRecord(record);
+              }
+            } else if (value === false) {
+              // Soft-delete: find the existing record and mark it
+              const allMastery = await tx.getLetterMastery();
+              const existing = allMastery.find(
+                r => r.child_id === childId &&
+                     r.letter === letter &&
+                     r.language === letterSet.language &&
+                     !r._deleted
+              );
+              if (existing) {
+                await tx.softDelete('LETTER_MASTERY', [existing.id]);
+              }
             }
           }
         }
-      }
+      });
 
       await refreshSyncStatus();
       navigation.goBack();
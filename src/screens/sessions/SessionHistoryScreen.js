@@ -4,8 +4,8 @@ import { Text, Card, ActivityIndicator, Snackbar } from 'react-native-paper';
 import { useAuth } from '../../context/AuthContext';
 import { useOffline } from '../../context/OfflineContext';
 import { colors, spacing, borderRadius, shadows } from '../../constants/colors';
-import { storage, STORAGE_KEYS } from '../../utils/storage';
-import { supabase } from '../../services/supabaseClient';
+import { storage } from '../../utils/storage';
+import { pullTableByName } from '../../services/offlineSync';
 
 const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
 
@@ -65,26 +65,11 @@ export default function SessionHistoryScreen() {
       const cached = await storage.getSessions();
       setSessions(filterAndSort(cached));
 
-      // 2. If online, fetch from server and merge
+      // 2. If online, pull changes from server (preserves unsynced local edits)
       if (isOnline && user?.id) {
-        const { data, error } = await supabase
-          .from('sessions')
-          .select('*')
-          .eq('user_id', user.id)
-          .order('session_date', { ascending: false });
-
-        if (error) {
-          console.error('Error fetching sessions from server:', error);
-        } else if (data) {
-          const serverSessions = data.map(s => ({ ...s, synced: true }));
-          const serverIds = new Set(serverSessions.map(s => s.id));
-
-          // Preserve all local records not returned by server
-          const localToKeep = cached.filter(s => !serverIds.has(s.id));
-          const merged = [...serverSessions, ...localToKeep];
-
-          await storage.setItem(STORAGE_KEYS.SESSIONS, merged);
-          setSessions(filterAndSort(merged));
+        const result = await pullTableByName('SESSIONS', user.id);
+        if (result.success) {
+          setSessions(filterAndSort(await storage.getSessions()));
         }
       }
     } catch (error) {
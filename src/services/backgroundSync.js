@@ -0,0 +1,122 @@
+/**
+ * Background Sync
+ *
+ * Coaches often capture data at a school with no signal and don't open the
+ * app again until the next morning. This task syncs while the app is closed:
+ * the OS (WorkManager on Android, BGTaskScheduler on iOS) runs it every so
+ * often, no sooner than MINIMUM_INTERVAL_MINUTES apart, when it judges the
+ * battery and usage allow.
+ *
+ * Each run also checks for itself, and skips when offline, signed out, in
+ * Low Power Mode or on a low battery that isn't charging. Its outcome is
+ * kept in sync metadata (lastBackgroundSync) for the sync screen to show on
+ * next open; runs that sync are also in the sync history, trigger
+ * 'background_task'.
+ */
+
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import * as Battery from 'expo-battery';
+import NetInfo from '@react-native-community/netinfo';
+import { storage } from '../utils/storage';
+import { syncAll, describeNetwork } from './offlineSync';
+import { prepareLocalData } from './localData';
+
+export const BACKGROUND_SYNC_TASK = 'masi-background-sync';
+
+const MINIMUM_INTERVAL_MINUTES = 60;
+// Below this (and not charging) the battery is left for the coach's day
+const LOW_BATTERY_LEVEL = 0.2;
+
+/**
+ * Why a background sync shouldn't run right now, or null if it should:
+ * 'signed_out', 'offline', 'low_power' or 'low_battery'.
+ */
+export const getBackgroundSyncSkipReason = async (netInfoState) => {
+  if (!storage.userId) return 'signed_out';
+  if (!netInfoState.isConnected || netInfoState.isInternetReachable === false) return 'offline';
+
+  const { batteryLevel, batteryState, lowPowerMode } = await Battery.getPowerStateAsync();
+  if (lowPowerMode) return 'low_power';
+  const charging = batteryState === Battery.BatteryState.CHARGING ||
+    batteryState === Battery.BatteryState.FULL;
+  // batteryLevel is -1 where it can't be read
+  if (!charging && batteryLevel >= 0 && batteryLevel < LOW_BATTERY_LEVEL) return 'low_battery';
+  return null;
+};
+
+/**
+ * One background sync. Never throws; returns the outcome it records:
+ * { at, status: 'synced'|'failed'|'skipped', reason?, error?,
+ *   totalSynced?, totalFailed?, totalPulled? }
+ */
+export const runBackgroundSync = async () => {
+  const at = new Date().toISOString();
+
+  try {
+    await prepareLocalData();
+  } catch (error) {
+    // Without local data open there's nowhere to record the outcome either
+    console.error('✗ Background sync could not open local data:', error);
+    return { at, status: 'failed', error: error.message || String(error) };
+  }
+
+  let outcome;
+  try {
+    const netInfoState = await NetInfo.fetch();
+    const reason = await getBackgroundSyncSkipReason(netInfoState);
+    if (reason) {
+      console.log(`⏭ Background sync skipped: ${reason}`);
+      outcome = { at, status: 'skipped', reason };
+    } else {
+      const results = await syncAll({ trigger: 'background_task', network: describeNetwork(netInfoState) });
+      outcome = {
+        at,
+        status: results.success ? 'synced' : 'failed',
+        totalSynced: results.totalSynced,
+        totalFailed: results.totalFailed,
+        totalPulled: results.totalPulled,
+      };
+      console.log(`✓ Background sync: ${results.totalSynced} synced, ${results.totalFailed} failed`);
+    }
+  } catch (error) {
+    console.error('✗ Background sync failed:', error);
+    outcome = { at, status: 'failed', error: error.message || String(error) };
+  }
+
+  try {
+    await storage.updateSyncMeta({ lastBackgroundSync: outcome });
+  } catch (error) {
+    console.error('Could not record background sync outcome:', error);
+  }
+  return outcome;
+};
+
+// Tasks have to be defined when the JS bundle loads, so the OS can start
+// the app headless and find it
+TaskManager.defineTask(BACKGROUND_SYNC_TASK, async () => {
+  const { status } = await runBackgroundSync();
+  return status === 'failed'
+    ? BackgroundTask.BackgroundTaskResult.Failed
+    : BackgroundTask.BackgroundTaskResult.Success;
+});
+
+/**
+ * Ask the OS to run background syncs. Safe to call on every launch. Returns
+ * false where background tasks aren't allowed (e.g. Background App Refresh
+ * off on iOS).
+ */
+export const registerBackgroundSync = async () => {
+  const status = await BackgroundTask.getStatusAsync();
+  if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+    console.log('⏭ Background sync unavailable on this device');
+    return false;
+  }
+  if (!(await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK))) {
+    await BackgroundTask.registerTaskAsync(BACKGROUND_SYNC_TASK, {
+      minimumInterval: MINIMUM_INTERVAL_MINUTES,
+    });
+    console.log('✓ Registered background sync');
+  }
+  return true;
+};
@@ -0,0 +1,85 @@
+/**
+ * Data Usage
+ *
+ * Counts the bytes the app sends to and receives from Supabase, so each sync
+ * can report what it cost a coach on prepaid data. The Supabase client makes
+ * its requests through meteredFetch; syncAll reads the counters before and
+ * after a run (see usedSince).
+ *
+ * Counts are of request and response bodies plus the URL — close to what a
+ * sync's rows cost, but not the headers or TLS overhead on the wire.
+ */
+
+const totals = { sent: 0, received: 0 };
+
+// UTF-8 length of a string, without TextEncoder (not in every JS engine)
+const byteLength = (text) => {
+  let bytes = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) bytes += 1;
+    else if (code < 0x800) bytes += 2;
+    else if (code >= 0xd800 && code < 0xdc00) {
+      bytes += 4; // surrogate pair: one 4-byte character
+      i++;
+    } else bytes += 3;
+  }
+  return bytes;
+};
+
+export const recordDataUsage = ({ sent = 0, received = 0 }) => {
+  totals.sent += sent;
+  totals.received += received;
+};
+
+// Bytes counted so far in this app process
+export const getDataUsage = () => ({ ...totals });
+
+// Bytes counted since an earlier getDataUsage()
+export const usedSince = (before) => ({
+  sent: totals.sent - before.sent,
+  received: totals.received - before.received,
+});
+
+const requestBytes = (input, init = {}) => {
+  const url = typeof input === 'string' ? input : input?.url || String(input);
+  const body = typeof init.body === 'string' ? byteLength(init.body) : 0;
+  return byteLength(url) + body;
+};
+
+// The response's size: its Content-Length (compressed size, when the
+// server compressed it), else the body read from a copy
+const responseBytes = async (response) => {
+  const length = Number(response.headers?.get?.('content-length'));
+  if (Number.isFinite(length) && length > 0) return length;
+  try {
+    return byteLength(await response.clone().text());
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * fetch that counts its traffic. Failed requests count what was sent.
+ */
+export const meteredFetch = async (input, init) => {
+  const sent = requestBytes(input, init);
+  let response;
+  try {
+    response = await fetch(input, init);
+  } catch (error) {
+    recordDataUsage({ sent });
+    throw error;
+  }
+  recordDataUsage({ sent, received: await responseBytes(response) });
+  return response;
+};
+
+/**
+ * Bytes as a short label: "820 B", "14.2 KB", "3.1 MB".
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,33 @@
+/**
+ * Local Data Startup
+ *
+ * Opens local storage, turns on encryption and switches to the signed-in
+ * user's data. The app does this before rendering; a background sync does it
+ * too, because the OS can start the task with the app closed. Runs once per
+ * app process however many times it's called — wrapping storage in
+ * encryption twice would seal data twice.
+ */
+
+import { openLocalStore } from '../utils/sqliteStore';
+import { enableEncryption } from '../utils/encryptedStore';
+import { switchLocalUser } from './offlineSync';
+import { supabase } from './supabaseClient';
+
+let preparing = null;
+
+export const prepareLocalData = () => {
+  if (!preparing) {
+    preparing = (async () => {
+      await openLocalStore();
+      await enableEncryption();
+      // Open the signed-in user's own data before anything reads storage
+      const { data } = await supabase.auth.getSession();
+      await switchLocalUser(data?.session?.user?.id ?? null);
+    })();
+    // A failed start can be tried again (e.g. on the next launch attempt)
+    preparing.catch(() => {
+      preparing = null;
+    });
+  }
+  return preparing;
+};
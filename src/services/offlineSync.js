@@ -1,74 +1,132 @@
 import { supabase } from './supabaseClient';
 import { storage } from '../utils/storage';
+import { runStorageMigrations } from '../utils/storageMigrations';
+import { emitSyncProgress } from './syncProgress';
+import { getSyncPolicy, mayPush } from './syncPolicy';
+import { getDataUsage, usedSince } from './dataUsage';
 
 /**
  * Offline Sync Service
  *
  * Handles syncing local data to Supabase with:
+ * - An ordered outbox of local writes, replayed in causal order
  * - Exponential backoff retry logic
- * - Last-write-wins conflict resolution
+ * - Field-level merge for edited records, with true conflicts surfaced
  * - Batch processing
  * - Error tracking
+ * - Pulling the user's server rows back down (reinstall / new phone)
+ * - Data saver: on mobile data, only critical tables push (syncPolicy.js)
  */
 
 const MAX_RETRY_ATTEMPTS = 5;
 const BASE_RETRY_DELAY = 5000; // 5 seconds
+const SYNC_BATCH_SIZE = 50; // rows per batch upsert/delete request
+const PULL_PAGE_SIZE = 1000; // PostgREST default max rows per request
+const TOMBSTONE_CURSOR_KEY = 'TOMBSTONES';
+const MAX_REPAIR_ATTEMPTS = 3; // times one FK-quarantined record is re-queued
+const REPAIR_LOG_LIMIT = 50; // repairLog entries kept in sync metadata
+const SYNC_HISTORY_LIMIT = 100; // syncAll runs kept in the sync history
+const RUN_ERRORS_LIMIT = 20; // errors kept per run in the sync history
 
-// Table configuration for sync
+// Table configuration for sync.
+// `pull` describes how to fetch the current user's rows back from the server:
+//   - ownerColumn: column filtered to the user's id
+//   - select: optional select with an !inner join when ownership lives elsewhere
+//   - stripFields: nested join data to drop before storing (not real columns)
+// `createdBy` is the column naming the user who created a row (children_groups
+// rows have none).
+// `references` maps columns holding another synced record's id (or an array
+// of ids) to that record's table. A queued record is held back while any
+// record it references hasn't reached the server yet — whether or not the
+// server enforces the reference with a foreign key.
+// Declared parents-first: unsynced records that predate the outbox are
+// backfilled into it in this order.
 const SYNC_TABLES = {
   TIME_ENTRIES: {
     key: 'TIME_ENTRIES',
     table: 'time_entries',
+    createdBy: 'user_id',
     getRecords: () => storage.getUnsyncedRecords('TIME_ENTRIES'),
+    pull: { ownerColumn: 'user_id' },
   },
   SESSIONS: {
     key: 'SESSIONS',
     table: 'sessions',
+    createdBy: 'user_id',
     getRecords: () => storage.getUnsyncedRecords('SESSIONS'),
+    references: { children_ids: 'CHILDREN', group_ids: 'GROUPS' },
+    pull: { ownerColumn: 'user_id' },
   },
   CLASSES: {
     key: 'CLASSES',
     table: 'classes',
+    createdBy: 'created_by',
     getRecords: () => storage.getUnsyncedClasses(),
     onConflict: 'staff_id,name,school_id',
+    pull: { ownerColumn: 'staff_id' },
   },
   CHILDREN: {
     key: 'CHILDREN',
     table: 'children',
+    createdBy: 'created_by',
     getRecords: () => storage.getUnsyncedChildren(),
+    references: { class_id: 'CLASSES' },
+    pull: {
+      select: '*, staff_children!inner(staff_id)',
+      ownerColumn: 'staff_children.staff_id',
+      stripFields: ['staff_children'],
+    },
   },
   STAFF_CHILDREN: {
     key: 'STAFF_CHILDREN',
     table: 'staff_children',
+    createdBy: 'staff_id',
     getRecords: () => storage.getUnsyncedStaffChildren(),
     onConflict: 'staff_id,child_id',
+    references: { child_id: 'CHILDREN' },
+    pull: { ownerColumn: 'staff_id' },
   },
   GROUPS: {
     key: 'GROUPS',
     table: 'groups',
+    createdBy: 'staff_id',
     getRecords: () => storage.getUnsyncedGroups(),
+    pull: { ownerColumn: 'staff_id' },
   },
   CHILDREN_GROUPS: {
     key: 'CHILDREN_GROUPS',
     table: 'children_groups',
     getRecords: () => storage.getUnsyncedChildrenGroups(),
     onConflict: 'child_id,group_id',
+    references: { child_id: 'CHILDREN', group_id: 'GROUPS' },
+    pull: {
+      select: '*, groups!inner(staff_id)',
+      ownerColumn: 'groups.staff_id',
+      stripFields: ['groups'],
+    },
   },
   ASSESSMENTS: {
     key: 'ASSESSMENTS',
     table: 'assessments',
+    createdBy: 'user_id',
     getRecords: () => storage.getUnsyncedRecords('ASSESSMENTS'),
+    references: { child_id: 'CHILDREN' },
+    pull: { ownerColumn: 'user_id' },
   },
   LETTER_MASTERY: {
     key: 'LETTER_MASTERY',
     table: 'letter_mastery',
+    createdBy: 'user_id',
     getRecords: () => storage.getUnsyncedLetterMastery(),
     onConflict: 'user_id,child_id,letter,language',
+    references: { child_id: 'CHILDREN' },
+    pull: { ownerColumn: 'user_id' },
   },
 };
 
 /**
- * Calculate exponential backoff delay
+ * Calculate exponential backoff delay before an attempt.
+ * Used to schedule nextAttemptAt in sync metadata — never awaited inline.
  * Attempt 1: 0ms (immediate)
  * Attempt 2: 5s
  * Attempt 3: 15s (3x previous)
@@ -82,9 +140,11 @@ const getRetryDelay = (attemptNumber) => {
 
 /**
  * Classify whether a Supabase/Postgres error is terminal (will never succeed on retry).
- * @returns {{ terminal: boolean, markAsSynced: boolean }}
+ * @returns {{ terminal: boolean, markAsSynced: boolean, category: string }}
  *   - terminal: stop retrying immediately
  *   - markAsSynced: the record effectively exists on server (treat as success)
+ *   - category: 'duplicate', 'missing_parent', 'permission' or 'transient'
+ *     (see FAILURE_EXPLANATIONS)
  */
 const classifyError = (error) => {
   const code = error?.code;
@@ -92,36 +152,48 @@ const classifyError = (error) => {
   // 23505: unique_violation — record already exists on server
   // (e.g., same child_id+group_id with different UUID). This is a success case.
   if (code === '23505') {
-    return { terminal: true, markAsSynced: true };
+    return { terminal: true, markAsSynced: true, category: 'duplicate' };
   }
 
   // 23503: foreign_key_violation — parent record doesn't exist on server.
   // Retrying won't help unless parent syncs first.
   if (code === '23503') {
-    return { terminal: true, markAsSynced: false };
+    return { terminal: true, markAsSynced: false, category: 'missing_parent' };
   }
 
   // 42501: RLS violation — user doesn't have permission.
   // Retrying with same auth won't help.
   if (code === '42501') {
-    return { terminal: true, markAsSynced: false };
+    return { terminal: true, markAsSynced: false, category: 'permission' };
   }
 
   // Everything else (network errors, timeouts, etc.) is retriable
-  return { terminal: false, markAsSynced: false };
+  return { terminal: false, markAsSynced: false, category: 'transient' };
+};
+
+/**
+ * Drop local-only bookkeeping (synced, _deleted, _pending_fields, ...)
+ * so only real columns reach the server.
+ */
+const toServerPayload = (record) => {
+  const payload = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (field === 'synced' || field.startsWith('_')) continue;
+    payload[field] = value;
+  }
+  return payload;
 };
 
 /**
  * Sync a single record to Supabase
- * Uses upsert for last-write-wins conflict resolution
+ * Uses upsert: insert if new, whole-row update if it already exists.
+ * Edits to records already on the server go through syncPatchedRecords instead.
  * @param {string} conflictTarget - Column(s) for ON CONFLICT, defaults to 'id'
  */
 const syncRecord = async (tableName, record, conflictTarget = 'id') => {
   try {
-    // Remove local-only fields before syncing
-    const { synced, _deleted, ...recordData } = record;
+    const recordData = toServerPayload(record);
 
-    // Upsert: insert if new, update if exists (last-write-wins)
     const { error } = await supabase
       .from(tableName)
       .upsert(recordData, {
@@ -139,213 +211,999 @@ const syncRecord = async (tableName, record, conflictTarget = 'id') => {
 };
 
 /**
- * Sync all unsynced records for a given table
+ * Upsert a chunk of records in one request.
+ * When a payload mixes row shapes PostgREST sets the missing columns to NULL,
+ * which would wipe server values — callers pass same-shape chunks (groupByShape).
  */
-const syncTable = async (tableConfig) => {
-  const { key, table, getRecords, onConflict } = tableConfig;
-
+const syncBatch = async (tableName, records, conflictTarget = 'id') => {
   try {
-    const unsyncedRecords = await getRecords();
-
-    if (unsyncedRecords.length === 0) {
-      return {
-        success: true,
-        synced: 0,
-        failed: 0,
-        failedRecords: [],
-      };
+    const payload = records.map(toServerPayload);
+
+    const { error } = await supabase
+      .from(tableName)
+      .upsert(payload, {
+        onConflict: conflictTarget,
+        ignoreDuplicates: false,
+      });
+
+    if (error) throw error;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.warn(`Batch upsert of ${records.length} ${tableName} records failed, falling back to per-row:`, error?.message || error?.code);
+    return { success: false, error };
+  }
+};
+
+/**
+ * Group records by their column set so each batch upsert has a uniform shape.
+ */
+const groupByShape = (records) => {
+  const groups = new Map();
+  for (const record of records) {
+    const shape = Object.keys(toServerPayload(record)).sort().join(',');
+    if (!groups.has(shape)) groups.set(shape, []);
+    groups.get(shape).push(record);
+  }
+  return [...groups.values()];
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Record a failed attempt and schedule the next one (exponential backoff).
+ * The record is skipped by syncRun until nextAttemptAt has passed, so the
+ * rest of the queue isn't held up waiting for it.
+ */
+const scheduleRetry = async (key, id, attemptCount, errorMsg) => {
+  const delay = getRetryDelay(attemptCount + 2);
+  const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  await storage.recordRetryAttempt(key, id);
+  await storage.setLastSyncError(key, id, errorMsg);
+  await storage.setNextAttemptAt(key, id, nextAttemptAt);
+  console.log(`Scheduled retry ${attemptCount + 2} for ${key} record ${id} in ${delay}ms`);
+  emitSyncProgress({ type: 'retry_scheduled', table: key, id, attempt: attemptCount + 2, nextAttemptAt });
+};
+
+/**
+ * Earliest future nextAttemptAt across all scheduled retries, or null.
+ * OfflineContext sets a timer for this so retries fire without waiting
+ * for the next network/foreground event.
+ */
+const getNextRetryAt = (meta) => {
+  const now = Date.now();
+  const upcoming = Object.values(meta.nextAttemptAt || {})
+    .filter(ts => new Date(ts).getTime() > now)
+    .sort();
+  return upcoming[0] || null;
+};
+
+/**
+ * Whether a record with prior failed attempts is due for another one.
+ */
+const isRetryDue = (meta, key, id) => {
+  const nextAttemptAt = meta.nextAttemptAt?.[`${key}_${id}`];
+  return !nextAttemptAt || new Date(nextAttemptAt).getTime() <= Date.now();
+};
+
+/**
+ * Schedule another attempt for a record and count it as a failure this cycle.
+ */
+const retryLater = async (key, id, attemptCount, errorMsg, results) => {
+  await scheduleRetry(key, id, attemptCount, errorMsg);
+  results.failed++;
+  results.failedRecords.push({
+    id,
+    table: key,
+    error: errorMsg,
+    attemptCount: attemptCount + 1,
+  });
+  console.error(`✗ Failed to sync ${key} record ${id}: ${errorMsg}`);
+};
+
+/**
+ * Give up on a record: list it in failedItems for the coach, drop it from the
+ * outbox so it doesn't hold up everything queued after it, and stop retrying.
+ */
+const quarantine = async (key, id, reason, results, code) => {
+  await storage.addFailedItem(key, id, reason, code);
+  await storage.removeFromSyncQueue(key, [id]);
+  await storage.markAsSynced(key, id);
+  await storage.clearRetryAttempts(key, id);
+  results.failed++;
+  results.failedRecords.push({ id, table: key, reason });
+};
+
+/**
+ * Classify a failed push and update local sync state accordingly:
+ * already-on-server counts as synced, terminal errors are quarantined,
+ * anything else is scheduled for a retry.
+ */
+const handleSyncFailure = async (key, id, error, attemptCount, results, throughSeq) => {
+  const errorMsg = error?.message || error?.code || 'Unknown error';
+  const classification = classifyError(error);
+
+  if (classification.terminal) {
+    if (classification.markAsSynced) {
+      // 23505: record already exists on server — treat as success
+      await storage.completeSyncOps(key, [id], throughSeq);
+      await storage.clearSyncState(key, [id]);
+      results.synced++;
+      console.log(`✓ ${key} record ${id} already exists on server (${error?.code}), marking synced`);
+    } else {
+      // 23503/42501: terminal error — quarantine immediately, no retries
+      await quarantine(key, id, `TERMINAL: ${errorMsg}`, results, error?.code);
+      console.warn(`✗ TERMINAL error for ${key} record ${id}: ${errorMsg}`);
     }
+  } else {
+    // Retriable error — schedule the next attempt with backoff
+    await retryLater(key, id, attemptCount, errorMsg, results);
+  }
+};
 
-    console.log(`Syncing ${unsyncedRecords.length} unsynced ${key} records...`);
-
-    const results = {
-      synced: 0,
-      failed: 0,
-      failedRecords: [],
-    };
-
-    // Process records one by one
-    for (const record of unsyncedRecords) {
-      const attemptCount = await storage.getRetryAttempts(key, record.id);
-
-      // Check if we've exceeded max retries
-      if (attemptCount >= MAX_RETRY_ATTEMPTS) {
-        const lastError = await storage.getLastSyncError(key, record.id);
-        const reason = lastError || 'Max retry attempts exceeded';
-        console.warn(`Record ${record.id} exceeded max retry attempts. Last error: ${reason}`);
-        await storage.addFailedItem(key, record.id, reason);
-        results.failed++;
-        results.failedRecords.push({
-          id: record.id,
-          table: key,
-          reason,
-        });
-        continue;
+/**
+ * Sync one record on its own — the path for retries and for rows whose batch
+ * failed. Each failure is classified individually so one bad row doesn't
+ * take the rest of its batch down with it.
+ */
+const syncSingleRecord = async (tableConfig, record, attemptCount, results, throughSeq) => {
+  const { key, table, onConflict } = tableConfig;
+
+  // Check if we've exceeded max retries
+  if (attemptCount >= MAX_RETRY_ATTEMPTS) {
+    const lastError = await storage.getLastSyncError(key, record.id);
+    const reason = lastError || 'Max retry attempts exceeded';
+    console.warn(`Record ${record.id} exceeded max retry attempts. Last error: ${reason}`);
+    await quarantine(key, record.id, reason, results);
+    return;
+  }
+
+  if (attemptCount > 0) {
+    console.log(`Retry attempt ${attemptCount + 1} for ${record.id}`);
+  }
+
+  // Tombstoned records (storage.softDelete) are deleted on the server
+  if (record._deleted) {
+    try {
+      const { error } = await supabase.from(table).delete().eq('id', record.id);
+      if (error) throw error;
+      // Hard-remove from local storage after successful server delete
+      await storage.removeRecords(key, [record.id]);
+      await storage.clearSyncState(key, [record.id]);
+      results.synced++;
+      console.log(`✓ Deleted ${key} record ${record.id} from server`);
+    } catch (deleteError) {
+      const errorMsg = deleteError?.message || deleteError?.code || 'Delete failed';
+      await retryLater(key, record.id, attemptCount, errorMsg, results);
+    }
+    return;
+  }
+
+  // Attempt to sync the record
+  const result = await syncRecord(table, record, onConflict);
+
+  if (result.success) {
+    await storage.completeSyncOps(key, [record.id], throughSeq);
+    await storage.clearSyncState(key, [record.id]);
+    results.synced++;
+    console.log(`✓ Synced ${key} record ${record.id}`);
+    return;
+  }
+
+  await handleSyncFailure(key, record.id, result.error, attemptCount, results, throughSeq);
+};
+
+/**
+ * Short human-readable label for a record in the conflicts list.
+ */
+const describeRecord = (record) => {
+  if (record.first_name || record.last_name) {
+    return [record.first_name, record.last_name].filter(Boolean).join(' ');
+  }
+  return record.name || record.letter || record.id;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Push edits to records that already exist on the server, field by field.
+ *
+ * Each record carries _pending_fields: the fields the coach changed since the
+ * last sync and their last-synced (base) value. Against the current server row:
+ *   - server still equals base → send the local value (clean merge)
+ *   - server already equals local → nothing to send
+ *   - server changed it too → true conflict, left for the coach to resolve
+ * Only the changed columns are sent, so a supervisor's edit to another field
+ * on the same row survives. The local copy picks up the server's other fields.
+ */
+const syncPatchedRecords = async (tableConfig, records, attemptsFor, results, throughSeq, reportProgress) => {
+  const { key, table } = tableConfig;
+
+  for (const batch of chunk(records, SYNC_BATCH_SIZE)) {
+    const { data: serverRows, error: fetchError } = await supabase
+      .from(table)
+      .select('*')
+      .in('id', batch.map(r => r.id));
+
+    if (fetchError) {
+      const errorMsg = fetchError.message || fetchError.code || 'Fetch failed';
+      for (const record of batch) {
+        await retryLater(key, record.id, attemptsFor(record.id), errorMsg, results);
       }
+      reportProgress();
+      continue;
+    }
+
+    const serverById = new Map((serverRows || []).map(row => [row.id, row]));
 
-      // Apply exponential backoff delay if this is a retry
-      if (attemptCount > 0) {
-        const delay = getRetryDelay(attemptCount + 1);
-        console.log(`Retry attempt ${attemptCount + 1} for ${record.id}, waiting ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+    for (const record of batch) {
+      const serverRow = serverById.get(record.id);
+      if (!serverRow) {
+        // Gone from the server (or never landed) — a full upsert recreates it
+        await syncSingleRecord(tableConfig, record, attemptsFor(record.id), results, throughSeq);
+        continue;
       }
 
-      // Handle soft-deleted records (e.g., letter_mastery un-teach)
-      if (record._deleted) {
-        try {
-          const { error } = await supabase.from(table).delete().eq('id', record.id);
-          if (error) throw error;
-          // Hard-remove from local storage after successful server delete
-          await storage.removeLetterMasteryRecord(record.id);
-          await storage.clearRetryAttempts(key, record.id);
-          await storage.clearLastSyncError(key, record.id);
-          results.synced++;
-          console.log(`✓ Deleted ${key} record ${record.id} from server`);
-        } catch (deleteError) {
-          const errorMsg = deleteError?.message || deleteError?.code || 'Delete failed';
-          await storage.recordRetryAttempt(key, record.id);
-          await storage.setLastSyncError(key, record.id, errorMsg);
-          results.failed++;
-          results.failedRecords.push({
-            id: record.id,
+      const patch = {};
+      const conflicts = [];
+      for (const [field, { base }] of Object.entries(record._pending_fields)) {
+        const localValue = record[field] ?? null;
+        const serverValue = serverRow[field] ?? null;
+        if (sameValue(localValue, serverValue)) continue;
+        if (sameValue(serverValue, base)) {
+          patch[field] = localValue;
+        } else {
+          conflicts.push({
             table: key,
-            error: errorMsg,
-            attemptCount: attemptCount + 1,
+            id: record.id,
+            field,
+            label: describeRecord(record),
+            localValue,
+            serverValue,
+            baseValue: base ?? null,
+            detectedAt: new Date().toISOString(),
           });
-          console.error(`✗ Failed to delete ${key} record ${record.id}: ${errorMsg}`);
         }
+      }
+
+      if (Object.keys(patch).length > 0) {
+        const { error } = await supabase.from(table).update(patch).eq('id', record.id);
+        if (error) {
+          await handleSyncFailure(key, record.id, error, attemptsFor(record.id), results, throughSeq);
+          continue;
+        }
+      }
+
+      // Take the server's copy of every field we didn't just send
+      const merged = {};
+      for (const [field, value] of Object.entries(serverRow)) {
+        if (!(field in patch)) merged[field] = value;
+      }
+      await storage.updateRecord(key, record.id, merged);
+      await storage.completeSyncOps(key, [record.id], throughSeq);
+      await storage.clearSyncState(key, [record.id]);
+      await storage.addConflicts(conflicts);
+      results.synced++;
+      if (conflicts.length > 0) {
+        console.warn(`⚠ ${key} record ${record.id}: ${conflicts.length} field conflict(s) need review`);
+      } else {
+        console.log(`✓ Merged ${Object.keys(patch).length} field(s) into ${key} record ${record.id}`);
+      }
+    }
+    reportProgress();
+  }
+};
+
+/**
+ * Push one run of consecutive outbox entries for a single table.
+ *
+ * First-attempt records go up in chunked batch requests (one upsert or delete
+ * per SYNC_BATCH_SIZE rows) with their local bookkeeping written once per
+ * chunk. If a chunk fails, its rows fall back to syncSingleRecord so
+ * classifyError sees each row's own error. Records already retrying go
+ * per-record, and only once their scheduled nextAttemptAt has passed —
+ * records not yet due are skipped (counted as `deferred`).
+ *
+ * @param {Array<{record: object}>} entries - record is the row to push
+ * @param {Function} reportProgress - called as records are done (see syncProgress.js)
+ */
+const syncRun = async (tableConfig, entries, meta, results, reportProgress) => {
+  const { key, table, onConflict } = tableConfig;
+  const throughSeq = entries[entries.length - 1].seq;
+  const attemptsFor = (id) => meta.retryAttempts?.[`${key}_${id}`] || 0;
+
+  const freshUpserts = [];
+  const freshDeletes = [];
+  const patched = [];
+  const perRecord = [];
+  for (const { record } of entries) {
+    const attempts = attemptsFor(record.id);
+    if (attempts > 0 && attempts < MAX_RETRY_ATTEMPTS && !isRetryDue(meta, key, record.id)) {
+      results.deferred++;
+    } else if (record._pending_fields && !record._deleted && attempts < MAX_RETRY_ATTEMPTS) {
+      patched.push(record);
+    } else if (attempts > 0) {
+      perRecord.push(record);
+    } else if (record._deleted) {
+      freshDeletes.push(record);
+    } else {
+      freshUpserts.push(record);
+    }
+  }
+
+  for (const batch of chunk(freshDeletes, SYNC_BATCH_SIZE)) {
+    const ids = batch.map(r => r.id);
+    const { error } = await supabase.from(table).delete().in('id', ids);
+    if (error) {
+      perRecord.push(...batch);
+      continue;
+    }
+    // Hard-remove from local storage after successful server delete
+    await storage.removeRecords(key, ids);
+    await storage.clearSyncState(key, ids);
+    results.synced += ids.length;
+    console.log(`✓ Deleted ${ids.length} ${key} records from server`);
+    reportProgress();
+  }
+
+  for (const shapeGroup of groupByShape(freshUpserts)) {
+    for (const batch of chunk(shapeGroup, SYNC_BATCH_SIZE)) {
+      const result = await syncBatch(table, batch, onConflict);
+      if (!result.success) {
+        perRecord.push(...batch);
         continue;
       }
+      const ids = batch.map(r => r.id);
+      await storage.completeSyncOps(key, ids, throughSeq);
+      await storage.clearSyncState(key, ids);
+      results.synced += ids.length;
+      console.log(`✓ Synced ${ids.length} ${key} records`);
+      reportProgress();
+    }
+  }
+
+  for (const record of perRecord) {
+    await syncSingleRecord(tableConfig, record, attemptsFor(record.id), results, throughSeq);
+    reportProgress();
+  }
+
+  await syncPatchedRecords(tableConfig, patched, attemptsFor, results, throughSeq, reportProgress);
+};
+
+/**
+ * Collapse the raw outbox into the entries worth replaying, each paired with
+ * the row to push:
+ *   - create → the row as it was created (later edits have their own entries)
+ *   - update → the record's current state, replayed at its LAST update, so a
+ *     value referencing a parent created after the first edit waits for it
+ *   - delete → the tombstone
+ * Entries whose record is no longer pending locally are dropped.
+ */
+const resolveOutbox = async (queue) => {
+  const pendingByTable = {};
+  for (const key of new Set(queue.map(e => e.table))) {
+    const config = SYNC_TABLES[key];
+    const records = config ? await config.getRecords() : [];
+    pendingByTable[key] = new Map(records.map(r => [r.id, r]));
+  }
+
+  const laterWrite = new Set();
+  const laterAny = new Set();
+  const resolved = [];
+  for (let i = queue.length - 1; i >= 0; i--) {
+    const entry = queue[i];
+    const recordKey = `${entry.table}_${entry.id}`;
+    const current = pendingByTable[entry.table]?.get(entry.id);
+
+    if (current && !(entry.op === 'update' && laterWrite.has(recordKey))) {
+      const record = entry.op === 'create' && laterAny.has(recordKey)
+        ? { ...entry.record, synced: false }
+        : current;
+      resolved.unshift({ ...entry, record });
+    }
+
+    if (entry.op !== 'create') laterWrite.add(recordKey);
+    laterAny.add(recordKey);
+  }
+  return resolved;
+};
+
+/**
+ * Split resolved entries into runs: consecutive entries for the same table,
+ * never holding the same record twice (one row can't appear twice in an upsert).
+ */
+const toRuns = (entries) => {
+  const runs = [];
+  let current = null;
+  for (const entry of entries) {
+    if (!current || current.table !== entry.table || current.ids.has(entry.id)) {
+      current = { table: entry.table, ids: new Set(), entries: [] };
+      runs.push(current);
+    }
+    current.ids.add(entry.id);
+    current.entries.push(entry);
+  }
+  return runs;
+};
+
+/**
+ * The records ({ table, id }) an entry references, per the table's
+ * `references` config. Deletes reference nothing — removing a row never
+ * needs its parents.
+ */
+const parentsOf = (entry) => {
+  if (entry.op === 'delete') return [];
+  const references = SYNC_TABLES[entry.table]?.references || {};
+  const parents = [];
+  for (const [column, parentTable] of Object.entries(references)) {
+    const value = entry.record[column];
+    const ids = Array.isArray(value) ? value : [value];
+    for (const id of ids) {
+      if (id) parents.push({ table: parentTable, id });
+    }
+  }
+  return parents;
+};
+
+// A record edited or deleted after it synced is already on the server, so
+// its dependents needn't wait for the edit to land.
+const isOnServer = (record) => !!record._pending_fields || !!record._synced_before_delete;
+
+/**
+ * Per-record dependency graph over the resolved outbox entries.
+ *
+ * A record blocks its dependents while it isn't on the server: it's queued
+ * and has never synced, or it's quarantined in failedItems. An entry is held
+ * when one of its own parents blocks, or when an earlier entry for the same
+ * record didn't land this cycle. Everything else goes ahead, so one stuck
+ * record only holds back the records that reference it.
+ */
+const createDependencyTracker = (entries, failedItems = []) => {
+  const blocking = new Set(failedItems.map(item => `${item.table}_${item.id}`));
+  for (const entry of entries) {
+    if (!isOnServer(entry.record)) blocking.add(`${entry.table}_${entry.id}`);
+  }
+  const stalled = new Set();
 
-      // Attempt to sync the record
-      const result = await syncRecord(table, record, onConflict);
+  return {
+    // The parent keeping this entry back, or null if it can go
+    heldBy(entry) {
+      const recordKey = `${entry.table}_${entry.id}`;
+      if (stalled.has(recordKey)) return recordKey;
+      const parent = parentsOf(entry).find(p => blocking.has(`${p.table}_${p.id}`));
+      return parent ? `${parent.table}_${parent.id}` : null;
+    },
+    stall(entry) {
+      stalled.add(`${entry.table}_${entry.id}`);
+    },
+    land(entry) {
+      blocking.delete(`${entry.table}_${entry.id}`);
+    },
+  };
+};
+
+/**
+ * Whether a queued write belongs to someone other than `userId`: the entry
+ * was queued by another user, or the row — never yet on the server — was
+ * created by one. Entries queued before storage was per-user carry no user,
+ * so the row is the only clue.
+ */
+const isOtherUsersWrite = (entry, userId) => {
+  if (!userId) return false;
+  if (entry.userId && entry.userId !== userId) return true;
+  const { createdBy } = SYNC_TABLES[entry.table] || {};
+  const creator = createdBy && !isOnServer(entry.record) ? entry.record[createdBy] : null;
+  return !!creator && creator !== userId;
+};
+
+const emptyTableResult = () => ({
+  synced: 0,
+  failed: 0,
+  deferred: 0,
+  held: 0,
+  failedRecords: [],
+});
+
+/**
+ * Replay the outbox (storage sync queue) in the order writes happened.
+ *
+ * Before each run, entries whose parents haven't reached the server (see
+ * createDependencyTracker) are held for a later cycle, and writes made by
+ * another user (see isOtherUsersWrite) are never pushed. After it, records that
+ * landed release their dependents; records still queued — a retriable
+ * failure or a record waiting for its scheduled retry — hold theirs.
+ *
+ * @param {string|null} onlyKey - replay just this table's entries
+ * @param {object} [policy] - the sync's policy (see syncPolicy.js); entries
+ *   for tables it doesn't push stay queued and hold their dependents
+ * @returns {Object<string, object>} per-table results
+ */
+const replayOutbox = async (onlyKey = null, policy = getSyncPolicy(null)) => {
+  // Unsynced records with no queue entry (written before the outbox existed)
+  // are appended parents-first, in SYNC_TABLES order.
+  await storage.backfillSyncQueue(onlyKey ? [onlyKey] : Object.keys(SYNC_TABLES));
 
-      if (result.success) {
-        // Mark as synced in local storage
-        await storage.markAsSynced(key, record.id);
-        await storage.clearRetryAttempts(key, record.id);
-        await storage.clearLastSyncError(key, record.id);
-        results.synced++;
-        console.log(`✓ Synced ${key} record ${record.id}`);
+  const queue = (await storage.getSyncQueue()).filter(e => !onlyKey || e.table === onlyKey);
+  const entries = await resolveOutbox(queue);
+  const tracker = createDependencyTracker(entries, (await storage.getSyncMeta()).failedItems);
+  const userId = await getSyncUserId();
+
+  const tableResults = {};
+  const resultFor = (key) => {
+    if (!tableResults[key]) tableResults[key] = emptyTableResult();
+    return tableResults[key];
+  };
+  if (onlyKey) resultFor(onlyKey);
+
+  if (entries.length > 0) {
+    console.log(`Replaying ${entries.length} queued writes...`);
+  }
+
+  const totals = {};
+  for (const entry of entries) {
+    if (!mayPush(policy, entry.table)) continue;
+    totals[entry.table] = (totals[entry.table] || 0) + 1;
+  }
+  emitSyncProgress({ type: 'push_started', tables: totals });
+  const started = new Set();
+  const reportProgress = (key) => {
+    const { synced, failed, deferred, held } = resultFor(key);
+    emitSyncProgress({ type: 'table_progress', table: key, done: synced + failed + deferred + held, total: totals[key] });
+  };
+
+  for (const run of toRuns(entries)) {
+    if (!mayPush(policy, run.table)) {
+      // Waits for a connection the policy pushes it on, and holds its dependents
+      run.entries.forEach(entry => tracker.stall(entry));
+      continue;
+    }
+
+    const results = resultFor(run.table);
+    if (!started.has(run.table)) {
+      started.add(run.table);
+      emitSyncProgress({ type: 'table_started', table: run.table, total: totals[run.table] });
+    }
+
+    const ready = [];
+    for (const entry of run.entries) {
+      const heldBy = tracker.heldBy(entry);
+      if (isOtherUsersWrite(entry, userId)) {
+        // Stays queued for its own user; never pushed under this account
+        console.log(`⏭ Not pushing ${entry.table} record ${entry.id}: written by another user`);
+        results.held++;
+        tracker.stall(entry);
+      } else if (heldBy) {
+        console.log(`⏭ Holding ${entry.table} record ${entry.id} until ${heldBy} reaches the server`);
+        results.held++;
+        tracker.stall(entry);
       } else {
-        const errorMsg = result.error?.message || result.error?.code || 'Unknown error';
-        const classification = classifyError(result.error);
-
-        if (classification.terminal) {
-          if (classification.markAsSynced) {
-            // 23505: record already exists on server — treat as success
-            await storage.markAsSynced(key, record.id);
-            await storage.clearRetryAttempts(key, record.id);
-            await storage.clearLastSyncError(key, record.id);
-            results.synced++;
-            console.log(`✓ ${key} record ${record.id} already exists on server (${result.error?.code}), marking synced`);
-          } else {
-            // 23503/42501: terminal error — quarantine immediately, no retries
-            await storage.addFailedItem(key, record.id, `TERMINAL: ${errorMsg}`);
-            await storage.markAsSynced(key, record.id);
-            await storage.clearRetryAttempts(key, record.id);
-            results.failed++;
-            results.failedRecords.push({ id: record.id, table: key, reason: `TERMINAL: ${errorMsg}` });
-            console.warn(`✗ TERMINAL error for ${key} record ${record.id}: ${errorMsg}`);
-          }
-        } else {
-          // Retriable error — existing backoff logic
-          await storage.recordRetryAttempt(key, record.id);
-          await storage.setLastSyncError(key, record.id, errorMsg);
-          results.failed++;
-          results.failedRecords.push({
-            id: record.id,
-            table: key,
-            error: errorMsg,
-            attemptCount: attemptCount + 1,
-          });
-          console.error(`✗ Failed to sync ${key} record ${record.id}: ${errorMsg}`);
-        }
+        ready.push(entry);
+      }
+    }
+    if (ready.length === 0) {
+      reportProgress(run.table);
+      continue;
+    }
+
+    try {
+      // Fresh metadata per run: earlier runs may have scheduled retries
+      await syncRun(
+        SYNC_TABLES[run.table],
+        ready,
+        await storage.getSyncMeta(),
+        results,
+        () => reportProgress(run.table)
+      );
+    } catch (error) {
+      console.error(`Error syncing ${run.table} records:`, error);
+      results.error = error;
+    }
+
+    // An entry landed if nothing up to it is left in the queue and it wasn't
+    // quarantined; anything else keeps its dependents waiting.
+    const remaining = await storage.getSyncQueue();
+    const { failedItems = [] } = await storage.getSyncMeta();
+    for (const entry of ready) {
+      const stillQueued = remaining.some(e =>
+        e.table === entry.table && e.id === entry.id && e.seq <= entry.seq
+      );
+      const quarantined = failedItems.some(i => i.table === entry.table && i.id === entry.id);
+      if (stillQueued) {
+        tracker.stall(entry);
+      } else if (!quarantined) {
+        tracker.land(entry);
       }
     }
+    reportProgress(run.table);
+  }
+
+  for (const [key, results] of Object.entries(tableResults)) {
+    if (results.deferred > 0) {
+      console.log(`⏳ ${results.deferred} ${key} records waiting for their scheduled retry`);
+    }
+    results.skipped = results.held > 0 && results.synced + results.failed + results.deferred === 0;
+    results.success = results.failed === 0 && results.deferred === 0 && results.held === 0 && !results.error;
+    const { synced, failed, deferred, held } = results;
+    emitSyncProgress({ type: 'table_finished', table: key, synced, failed, deferred, held });
+  }
+
+  return tableResults;
+};
+
+/**
+ * Resolve the signed-in user's id from the locally persisted auth session.
+ * OfflineProvider sits outside AuthProvider, so we can't use the auth context.
+ */
+const getCurrentUserId = async () => {
+  const { data } = await supabase.auth.getSession();
+  return data?.session?.user?.id || null;
+};
+
+// The user pushes go out as: the session's, or with none persisted, the
+// user whose local data storage holds
+const getSyncUserId = async () => await getCurrentUserId() || storage.userId;
 
-    return {
-      success: results.failed === 0,
-      synced: results.synced,
-      failed: results.failed,
-      failedRecords: results.failedRecords,
-    };
+/**
+ * Pull the current user's rows for a table from Supabase and merge them into
+ * local storage. Only rows changed since the table's cursor (the newest server
+ * updated_at seen on the previous pull) are requested; with no cursor yet this
+ * is a full pull. Pages through results so large histories aren't truncated.
+ * Unsynced local edits are never overwritten (see storage.mergeServerRecords).
+ */
+const pullTable = async (tableConfig, userId) => {
+  const { key, table, pull, onConflict } = tableConfig;
+
+  try {
+    const cursor = await storage.getPullCursor(key);
+    const rows = [];
+
+    for (let from = 0; ; from += PULL_PAGE_SIZE) {
+      let query = supabase
+        .from(table)
+        .select(pull.select || '*')
+        .eq(pull.ownerColumn, userId);
+
+      // gte, not gt: rows committed later with the same timestamp as the
+      // cursor must not be skipped. Re-merging the boundary rows is harmless.
+      if (cursor) {
+        query = query.gte('updated_at', cursor);
+      }
+
+      const { data, error } = await query
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + PULL_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PULL_PAGE_SIZE) break;
+    }
+
+    // Drop nested join data — it's not a column and would break a later upsert
+    const serverRecords = rows.map(row => {
+      const record = { ...row };
+      for (const field of pull.stripFields || []) {
+        delete record[field];
+      }
+      return record;
+    });
+
+    if (serverRecords.length > 0) {
+      const matchColumns = onConflict ? onConflict.split(',') : [];
+      await storage.mergeServerRecords(key, serverRecords, matchColumns);
+
+      const newCursor = maxTimestamp(serverRecords.map(r => r.updated_at), cursor);
+      if (newCursor) {
+        await storage.setPullCursor(key, newCursor);
+      }
+    }
+
+    console.log(`↓ Pulled ${serverRecords.length} ${key} records${cursor ? ` changed since ${cursor}` : ''}`);
+    return { success: true, pulled: serverRecords.length };
   } catch (error) {
-    console.error(`Error syncing table ${key}:`, error);
-    return {
-      success: false,
-      synced: 0,
-      failed: -1,
-      failedRecords: [],
-      error,
-    };
-  }
-};
-
-// Explicit sync order — parent tables before their junction tables.
-// Using an array instead of relying on object property iteration order.
-const SYNC_ORDER = [
-  'TIME_ENTRIES',
-  'SESSIONS',
-  'CLASSES',
-  'CHILDREN',
-  'GROUPS',
-  'STAFF_CHILDREN',      // depends on CHILDREN
-  'CHILDREN_GROUPS',     // depends on CHILDREN and GROUPS
-  'ASSESSMENTS',
-  'LETTER_MASTERY',
-];
-
-// Junction tables and the parent tables they depend on.
-// If a parent fails, its dependents are skipped in this sync cycle.
-const JUNCTION_DEPENDENCIES = {
-  STAFF_CHILDREN: ['CHILDREN'],
-  CHILDREN_GROUPS: ['CHILDREN', 'GROUPS'],
+    console.error(`Error pulling table ${key}:`, error);
+    return { success: false, pulled: 0, error };
+  }
 };
 
 /**
- * Sync all tables
- * Returns aggregated results
+ * Newest of a list of server timestamps. PostgREST returns them in one
+ * consistent ISO format, so string comparison orders them correctly.
  */
-export const syncAll = async () => {
-  console.log('Starting full sync...');
+const maxTimestamp = (timestamps, initial = null) =>
+  timestamps.reduce((max, ts) => (ts && (!max || ts > max) ? ts : max), initial);
 
-  const startTime = Date.now();
+/**
+ * Apply server-side deletes (sync_tombstones rows) recorded since the last
+ * pull, removing the matching local records. Uses its own cursor in
+ * pullCursors under TOMBSTONES.
+ */
+const pullTombstones = async (userId) => {
+  try {
+    const cursor = await storage.getPullCursor(TOMBSTONE_CURSOR_KEY);
+    const tombstones = [];
+
+    for (let from = 0; ; from += PULL_PAGE_SIZE) {
+      let query = supabase
+        .from('sync_tombstones')
+        .select('table_name, record_id, deleted_at')
+        .eq('owner_id', userId);
+
+      if (cursor) {
+        query = query.gte('deleted_at', cursor);
+      }
+
+      const { data, error } = await query
+        .order('deleted_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + PULL_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      tombstones.push(...(data || []));
+      if (!data || data.length < PULL_PAGE_SIZE) break;
+    }
+
+    let removed = 0;
+    for (const config of Object.values(SYNC_TABLES)) {
+      const ids = tombstones
+        .filter(t => t.table_name === config.table)
+        .map(t => t.record_id);
+      removed += await storage.removeSyncedRecords(config.key, ids);
+    }
+
+    const newCursor = maxTimestamp(tombstones.map(t => t.deleted_at), cursor);
+    if (newCursor && newCursor !== cursor) {
+      await storage.setPullCursor(TOMBSTONE_CURSOR_KEY, newCursor);
+    }
+
+    if (removed > 0) {
+      console.log(`↓ Removed ${removed} records deleted on the server`);
+    }
+    return { success: true, removed };
+  } catch (error) {
+    console.error('Error pulling tombstones:', error);
+    return { success: false, removed: 0, error };
+  }
+};
+
+/**
+ * Apply server-side deletes, then pull every table in SYNC_TABLES from the
+ * server into local storage. Skipped (not failed) when nobody is signed in.
+ *
+ * Deletes go first: a tombstone doesn't always mean the row is gone for good —
+ * a child unassigned from this coach and assigned back leaves a tombstone
+ * and comes back in the children pull, which must win.
+ */
+export const pullAll = async () => {
   const results = {
     success: true,
-    totalSynced: 0,
-    totalFailed: 0,
-    failedRecords: [],
+    totalPulled: 0,
+    totalRemoved: 0,
     tableResults: {},
   };
 
-  const tablesWithFailures = new Set();
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    console.log('Skipping pull: no signed-in user');
+    return { ...results, skipped: true };
+  }
+
+  const tombstoneResult = await pullTombstones(userId);
+  results.totalRemoved = tombstoneResult.removed;
+  if (!tombstoneResult.success) {
+    results.success = false;
+  }
 
-  for (const tableName of SYNC_ORDER) {
+  for (const tableName of Object.keys(SYNC_TABLES)) {
     const config = SYNC_TABLES[tableName];
-    if (!config) continue;
+    if (!config?.pull) continue;
 
-    // Skip junction tables whose parent table had failures this cycle
-    const deps = JUNCTION_DEPENDENCIES[tableName] || [];
-    if (deps.some(dep => tablesWithFailures.has(dep))) {
-      console.log(`⏭ Skipping ${tableName}: parent table(s) had failures this cycle`);
-      results.tableResults[tableName] = { success: false, synced: 0, failed: 0, skipped: true };
-      continue;
+    const tableResult = await pullTable(config, userId);
+    results.tableResults[tableName] = tableResult;
+    results.totalPulled += tableResult.pulled;
+    if (!tableResult.success) {
+      results.success = false;
     }
+  }
+
+  return results;
+};
+
+// Syncs, single-table pulls and storage user switches run one at a time, in
+// call order
+let exclusiveTail = Promise.resolve();
+
+const runExclusive = (fn) => {
+  const run = exclusiveTail.then(fn);
+  exclusiveTail = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Pull a single table (delta since its cursor) — used by the contexts and
+ * history screens to refresh one collection without a full sync. Runs
+ * exclusively, like syncAll; a pull asked for on behalf of a user whose data
+ * is no longer the open store (switchLocalUser ran first) is skipped.
+ * @param {string} [userId] - defaults to the persisted auth session's user
+ */
+export const pullTableByName = (tableName, userId) => runExclusive(async () => {
+  const tableConfig = SYNC_TABLES[tableName.toUpperCase()];
+
+  if (!tableConfig) {
+    throw new Error(`Unknown table: ${tableName}`);
+  }
+
+  const ownerId = userId || await getCurrentUserId();
+  if (!ownerId) {
+    return { success: false, pulled: 0, error: new Error('No signed-in user') };
+  }
+
+  if (storage.userId && storage.userId !== ownerId) {
+    console.log(`⏭ Skipping ${tableConfig.key} pull: local data belongs to another user now`);
+    return { success: true, pulled: 0, skipped: true };
+  }
+
+  return await pullTable(tableConfig, ownerId);
+});
+
+/**
+ * Point local storage at `userId`'s data (see storage.switchUser) and bring
+ * it up to the current schema. Waits for a running sync to finish first —
+ * switching mid-sync would write one user's sync results into another
+ * user's data — and holds later syncs until it's done.
+ */
+export const switchLocalUser = (userId) => runExclusive(async () => {
+  await storage.switchUser(userId);
+  return await runStorageMigrations();
+});
+
+/**
+ * The network details recorded with a sync run, from a NetInfo state.
+ */
+export const describeNetwork = (state) => ({
+  type: state.type,
+  reachable: state.isInternetReachable,
+  cellularGeneration: state.details?.cellularGeneration ?? null,
+});
+
+/**
+ * One syncAll run as kept in the sync history: when and why it ran, on what
+ * network, what each table did and what went wrong.
+ */
+const describeRun = (startedAt, { trigger, network, policy, bytes }, results, error = null) => {
+  const tables = {};
+  for (const [key, { synced, failed, deferred, held }] of Object.entries(results.tableResults || {})) {
+    tables[key] = { synced, failed, deferred, held };
+  }
+  for (const [key, pull] of Object.entries(results.pullResults || {})) {
+    tables[key] = { ...tables[key], pulled: pull.pulled };
+  }
+
+  const errors = [
+    ...(results.failedRecords || []).map(({ table, id, error: message, reason }) => ({
+      phase: 'push', table, id, message: message || reason,
+    })),
+    ...Object.entries(results.pullResults || {})
+      .filter(([, pull]) => pull.error)
+      .map(([table, pull]) => ({ phase: 'pull', table, message: pull.error.message || String(pull.error) })),
+  ];
+  if (error) errors.unshift({ phase: 'sync', message: error.message || String(error) });
+
+  const finishedAt = new Date();
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    trigger,
+    network,
+    dataSaver: policy.dataSaver,
+    bytes,
+    success: !error && !!results.success,
+    totalSynced: results.totalSynced || 0,
+    totalFailed: results.totalFailed || 0,
+    totalDeferred: results.totalDeferred || 0,
+    totalPulled: results.totalPulled || 0,
+    tables,
+    errors: errors.slice(0, RUN_ERRORS_LIMIT),
+    errorCount: errors.length,
+  };
+};
+
+/**
+ * Sync all tables
+ * Pushes local changes first, then pulls server rows so the pull sees
+ * our own pushes. Returns aggregated results.
+ * What runs depends on the network and the coach's data saver setting (see
+ * syncPolicy.js). Each run is recorded in the sync history, with the bytes
+ * it used (see getSyncHistory).
+ *
+ * @param {object} [options]
+ * @param {string} [options.trigger] - what started the sync ('manual', 'launch', ...)
+ * @param {object} [options.network] - network at the time, e.g. { type: 'wifi' }
+ */
+export const syncAll = ({ trigger = 'unknown', network = null } = {}) => runExclusive(async () => {
+  const startedAt = new Date();
+  const usageBefore = getDataUsage();
+  const policy = getSyncPolicy(network, await storage.getSyncSettings());
+  const runContext = () => ({ trigger, network, policy, bytes: usedSince(usageBefore) });
+  let results;
+  try {
+    results = await syncEverything(policy);
+  } catch (error) {
+    await recordRun(describeRun(startedAt, runContext(), {}, error));
+    throw error;
+  }
+  await recordRun(describeRun(startedAt, runContext(), results));
+  return results;
+});
+
+// History is diagnostics: failing to record a run mustn't fail the sync
+const recordRun = async (run) => {
+  try {
+    await storage.appendSyncRun(run, SYNC_HISTORY_LIMIT);
+  } catch (error) {
+    console.error('Could not record sync run:', error);
+  }
+};
+
+/**
+ * Recorded syncAll runs, newest first.
+ */
+export const getSyncHistory = async () => (await storage.getSyncHistory()).slice().reverse();
 
-    const tableResult = await syncTable(config);
+const syncEverything = async (policy) => {
+  console.log(policy.dataSaver ? 'Starting data saver sync...' : 'Starting full sync...');
+  emitSyncProgress({ type: 'sync_started' });
 
+  const startTime = Date.now();
+  const results = {
+    success: true,
+    totalSynced: 0,
+    totalFailed: 0,
+    totalDeferred: 0,
+    failedRecords: [],
+    tableResults: {},
+    dataSaver: policy.dataSaver,
+  };
+
+  // Push phase — replay the outbox in the order writes happened
+  const tableResults = await replayOutbox(null, policy);
+  for (const [tableName, tableResult] of Object.entries(tableResults)) {
     results.tableResults[tableName] = tableResult;
     results.totalSynced += tableResult.synced;
     results.totalFailed += tableResult.failed;
+    results.totalDeferred += tableResult.deferred;
     results.failedRecords.push(...tableResult.failedRecords);
-
     if (!tableResult.success) {
       results.success = false;
-      tablesWithFailures.add(tableName);
     }
   }
 
+  // Pull phase — a pull failure doesn't fail the sync, local data is intact
+  if (policy.pull) {
+    emitSyncProgress({ type: 'pull_started' });
+    const pullResult = await pullAll();
+    results.totalPulled = pullResult.totalPulled;
+    results.totalRemoved = pullResult.totalRemoved;
+    results.pullResults = pullResult.tableResults;
+  } else {
+    console.log('⏭ Data saver: pull waits for Wi-Fi');
+    results.totalPulled = 0;
+    results.totalRemoved = 0;
+    results.pullResults = {};
+    results.pullDeferred = true;
+  }
+
+  // Repair phase — FK-quarantined records whose parents can now land go
+  // back in the outbox; the next cycle pushes them
+  results.repair = await repairForeignKeyFailures();
+
   // Update sync metadata
   const now = new Date().toISOString();
   const metaUpdate = { lastSyncTime: now };
@@ -353,47 +1211,100 @@ export const syncAll = async () => {
     metaUpdate.lastSuccessfulSyncTime = now;
   }
   await storage.updateSyncMeta(metaUpdate);
+  results.nextRetryAt = getNextRetryAt(await storage.getSyncMeta());
 
   const duration = Date.now() - startTime;
-  console.log(`Sync complete in ${duration}ms: ${results.totalSynced} synced, ${results.totalFailed} failed`);
+  console.log(`Sync complete in ${duration}ms: ${results.totalSynced} synced, ${results.totalFailed} failed, ${results.totalPulled} pulled`);
 
+  emitSyncProgress({
+    type: 'sync_finished',
+    success: results.success,
+    totalSynced: results.totalSynced,
+    totalFailed: results.totalFailed,
+  });
   return results;
 };
 
 /**
- * Sync a specific table
+ * Sync a specific table — replays just that table's queued writes, in order.
+ * Runs exclusively, like syncAll.
  */
-export const syncTableByName = async (tableName) => {
+export const syncTableByName = (tableName) => runExclusive(async () => {
   const tableConfig = SYNC_TABLES[tableName.toUpperCase()];
 
   if (!tableConfig) {
     throw new Error(`Unknown table: ${tableName}`);
   }
 
-  return await syncTable(tableConfig);
-};
+  const tableResults = await replayOutbox(tableConfig.key);
+  return tableResults[tableConfig.key];
+});
 
 /**
  * Get sync status (unsynced count, last sync time, etc.)
+ * @param {object} [options]
+ * @param {object} [options.network] - current network; with data saver on
+ *   over mobile data, records waiting for Wi‑Fi aren't due
  */
-export const getSyncStatus = async () => {
+export const getSyncStatus = async ({ network = null } = {}) => {
   const unsyncedCount = await storage.getAllUnsyncedCount();
   const syncMeta = await storage.getSyncMeta();
+  const policy = getSyncPolicy(network, await storage.getSyncSettings());
+  const failedKeys = new Set((syncMeta.failedItems || []).map(item => `${item.table}_${item.id}`));
+  const queue = await storage.getSyncQueue();
+  const queuedKeys = new Set(queue.map(entry => `${entry.table}_${entry.id}`));
+
+  // How many records a sync right now would actually attempt: queued records
+  // of this user's that aren't waiting on a scheduled retry or held behind a
+  // parent that is
+  // (assuming everything attempted lands), plus unsynced records the backfill
+  // would add.
+  const entries = await resolveOutbox(queue);
+  const tracker = createDependencyTracker(entries, syncMeta.failedItems);
+  const userId = await getSyncUserId();
+  const dueKeys = new Set();
+  for (const entry of entries) {
+    if (!mayPush(policy, entry.table) ||
+        isOtherUsersWrite(entry, userId) ||
+        tracker.heldBy(entry) ||
+        !isRetryDue(syncMeta, entry.table, entry.id)) {
+      tracker.stall(entry);
+    } else {
+      dueKeys.add(`${entry.table}_${entry.id}`);
+      tracker.land(entry);
+    }
+  }
+  let dueCount = dueKeys.size;
 
   // Get breakdown by table
   const breakdown = {};
+  let waitingForWifiCount = 0;
   for (const [tableName, config] of Object.entries(SYNC_TABLES)) {
     const unsynced = await config.getRecords();
     breakdown[tableName] = unsynced.length;
+    if (!mayPush(policy, tableName)) {
+      waitingForWifiCount += unsynced.length;
+      continue;
+    }
+    dueCount += unsynced.filter(record =>
+      !queuedKeys.has(`${tableName}_${record.id}`) && !failedKeys.has(`${tableName}_${record.id}`)
+    ).length;
   }
 
   return {
     unsyncedCount,
+    dueCount,
+    nextRetryAt: getNextRetryAt(syncMeta),
     lastSyncTime: syncMeta.lastSyncTime,
     lastSuccessfulSyncTime: syncMeta.lastSuccessfulSyncTime || null,
+    lastBackgroundSync: syncMeta.lastBackgroundSync || null,
     breakdown,
+    dataSaver: policy.dataSaver,
+    waitingForWifiCount,
     retryAttempts: syncMeta.retryAttempts,
     failedItems: syncMeta.failedItems || [],
+    conflicts: syncMeta.conflicts || [],
+    queueLength: queue.length,
   };
 };
 
@@ -405,112 +1316,274 @@ export const resetSyncMeta = async () => {
     lastSyncTime: null,
     lastSuccessfulSyncTime: null,
     retryAttempts: {},
+    nextAttemptAt: {},
     failedItems: [],
+    pullCursors: {},
+    repairLog: [],
+    repairCounts: {},
   });
 };
 
 /**
- * Retry a previously failed item by clearing its failed state.
+ * Retry a previously failed item by clearing its failed state and
+ * queueing it again.
  * Does NOT trigger a sync — the caller is responsible for that
  * to avoid circular dependencies with OfflineContext.
  */
 export const retryFailedItem = async (table, id) => {
   await storage.removeFailedItem(table, id);
   await storage.clearLastSyncError(table, id);
+  // Quarantine marked it synced and dropped it from the outbox — queue it again
+  await storage.markAsUnsynced(table, id);
+};
+
+// Why a failed item was quarantined, for the coach. Records that exhausted
+// their retries have no terminal code and are classified 'transient'.
+const FAILURE_EXPLANATIONS = {
+  missing_parent: {
+    title: 'Linked record is missing',
+    explanation: "This refers to something else — a child, group or class — that isn't on the server. " +
+      'It will be sent automatically once that has synced. If that was deleted, discard this record.',
+  },
+  permission: {
+    title: 'Not allowed',
+    explanation: "The server won't let your account save this record. It may belong to another " +
+      "coach, or to a school you're no longer assigned to.",
+  },
+  transient: {
+    title: 'Kept failing',
+    explanation: 'This failed to send several times in a row, so the app stopped trying. This is ' +
+      'usually a weak connection or a server problem. Retry when you have a good connection.',
+  },
 };
 
 /**
- * One-time repair: find junction records (staff_children, children_groups)
- * stuck with FK errors because their parent child record was dropped from
- * local storage by the old loadChildren() merge bug.
- *
- * For each failed junction record referencing a child_id:
- *   - If the child exists locally as synced:true, mark it synced:false to re-sync
- *   - Clear retry/failed state on the junction records so they get a fresh attempt
+ * Plain-language reason a failed item didn't sync:
+ * { category, title, explanation } (see classifyError)
+ */
+export const explainFailure = (item) => {
+  const { category } = classifyError({ code: item.code });
+  return { category, ...(FAILURE_EXPLANATIONS[category] || FAILURE_EXPLANATIONS.transient) };
+};
+
+// Never editable from the quarantine inspector: ids and links to other
+// records, ownership and server-managed timestamps
+const LOCKED_FIELDS = ['id', 'user_id', 'created_by', 'created_at', 'updated_at', 'synced'];
+
+/**
+ * Fields of a failed record the coach may fix by hand: plain text, number
+ * and yes/no values that aren't ids, links or bookkeeping.
+ */
+export const getEditableFields = (record) => Object.keys(record || {}).filter(field =>
+  !field.startsWith('_') &&
+  !field.endsWith('_id') &&
+  !LOCKED_FIELDS.includes(field) &&
+  (record[field] === null || ['string', 'number', 'boolean'].includes(typeof record[field]))
+);
+
+/**
+ * A failed item with the record as it's stored locally (null if it's gone).
+ */
+export const getFailedItemDetails = async (table, id) => {
+  const { failedItems = [] } = await storage.getSyncMeta();
+  const item = failedItems.find(i => i.table === table && i.id === id);
+  if (!item) return null;
+
+  const record = await storage.getRecordById(table, id);
+  return { item, record, editableFields: getEditableFields(record), ...explainFailure(item) };
+};
+
+/**
+ * Fix fields of a failed record and queue it again. Only getEditableFields
+ * may change. Like retryFailedItem, doesn't trigger a sync.
+ */
+export const editFailedItem = async (table, id, changes) => {
+  const record = await storage.getRecordById(table, id);
+  if (!record) throw new Error(`${table} record ${id} not found`);
+
+  const editable = getEditableFields(record);
+  const locked = Object.keys(changes).filter(field => !editable.includes(field));
+  if (locked.length > 0) {
+    throw new Error(`Cannot edit ${locked.join(', ')} of a ${table} record`);
+  }
+
+  await retryFailedItem(table, id);
+  // Tracked, so an edit of a row already on the server is patched, not upserted
+  await storage.updateTrackedRecord(table, id, changes);
+  console.log(`✓ Edited failed ${table} record ${id}: ${Object.keys(changes).join(', ')}`);
+};
+
+/**
+ * Give up on a failed record for good: delete the local copy and its sync
+ * state, and note the discard in the audit log (storage.getDiscardedItems).
+ * The record's content isn't kept — it may hold a child's personal data.
+ * If the record was an edit or a delete of a row already on the server, the
+ * table is pulled in full next sync so the server's copy comes back.
+ */
+export const discardFailedItem = async (table, id) => {
+  const { failedItems = [] } = await storage.getSyncMeta();
+  const item = failedItems.find(i => i.table === table && i.id === id);
+  if (!item) return false;
+
+  const record = await storage.getRecordById(table, id);
+  await storage.addDiscardedItem({
+    table,
+    id,
+    reason: item.reason,
+    code: item.code,
+    category: explainFailure(item).category,
+    failedAt: item.failedAt,
+    discardedAt: new Date().toISOString(),
+    discardedBy: await getSyncUserId(),
+  });
+
+  await storage.removeRecords(table, [id]);
+  await storage.removeFailedItem(table, id);
+  await storage.clearLastSyncError(table, id);
+  if (record && isOnServer(record)) {
+    await storage.setPullCursor(table, null);
+  }
+  console.log(`✓ Discarded failed ${table} record ${id}`);
+  return true;
+};
+
+/**
+ * Resolve a field conflict reported by syncPatchedRecords.
+ * @param {'local'|'server'} choice - 'local' queues the coach's value to
+ *   overwrite the server on the next sync; 'server' accepts the server value.
+ */
+export const resolveConflict = async (table, id, field, choice) => {
+  const meta = await storage.getSyncMeta();
+  const conflict = (meta.conflicts || []).find(
+    c => c.table === table && c.id === id && c.field === field
+  );
+  if (!conflict) return false;
+
+  if (choice === 'local') {
+    await storage.requeueField(table, id, field, conflict.localValue, conflict.serverValue);
+  } else {
+    await storage.updateRecord(table, id, { [field]: conflict.serverValue });
+  }
+  await storage.removeConflict(table, id, field);
+  return true;
+};
+
+/**
+ * Whether a quarantined item failed on a foreign key. Items quarantined
+ * before error codes were stored only have the message to go on.
+ */
+const isForeignKeyFailure = (item) =>
+  item.code ? item.code === '23503' : /foreign key/i.test(item.reason || '');
+
+/**
+ * Which of `ids` exist in a server table (among rows the user can see).
+ */
+const fetchExistingIds = async (table, ids) => {
+  const existing = new Set();
+  for (const batch of chunk(ids, SYNC_BATCH_SIZE)) {
+    const { data, error } = await supabase.from(table).select('id').in('id', batch);
+    if (error) throw error;
+    for (const row of data || []) existing.add(row.id);
+  }
+  return existing;
+};
+
+/**
+ * Repair pass, run after every sync cycle: give records quarantined with a
+ * foreign key error (23503) another chance once their parents can land.
  *
- * Runs once per device (gated by orphanRepairDone flag in sync metadata).
+ * For each such record, its parents (per SYNC_TABLES `references`) are
+ * looked up on the server:
+ *   - all there → re-queue the record ('requeued')
+ *   - missing on the server but present locally → re-queue those parents
+ *     too; the dependency tracker holds the record until they land
+ *     ('requeued_with_parents')
+ *   - missing everywhere → leave it quarantined for now
+ * A record is re-queued at most MAX_REPAIR_ATTEMPTS times. Every action is
+ * appended to repairLog in sync metadata.
  */
-export const repairOrphanedJunctions = async () => {
+export const repairForeignKeyFailures = async () => {
+  const summary = { requeued: 0, waiting: 0, actions: [] };
+
   try {
     const meta = await storage.getSyncMeta();
-    if (meta.orphanRepairDone) return;
-
     const failedItems = meta.failedItems || [];
-    if (failedItems.length === 0) {
-      await storage.updateSyncMeta({ orphanRepairDone: true });
-      return;
-    }
-
-    const children = await storage.getChildren();
-    const staffChildren = await storage.getStaffChildren();
-    const childrenGroups = await storage.getChildrenGroups();
-
-    // Collect child_ids from failed junction records
-    const childIdsToRepair = new Set();
-    const junctionItemsToReset = [];
+    const repairCounts = meta.repairCounts || {};
+    const failedKeys = new Set(failedItems.map(item => `${item.table}_${item.id}`));
+    const repairsOf = (item) => repairCounts[`${item.table}_${item.id}`] || 0;
 
+    const candidates = [];
     for (const item of failedItems) {
-      if (item.table === 'STAFF_CHILDREN' || item.table === 'CHILDREN_GROUPS') {
-        const records = item.table === 'STAFF_CHILDREN' ? staffChildren : childrenGroups;
-        const record = records.find(r => r.id === item.id);
-        if (record?.child_id) {
-          childIdsToRepair.add(record.child_id);
-          junctionItemsToReset.push(item);
-        }
-      }
+      if (!isForeignKeyFailure(item) || repairsOf(item) >= MAX_REPAIR_ATTEMPTS) continue;
+      const record = await storage.getRecordById(item.table, item.id);
+      if (!record) continue;
+      candidates.push({ ...item, parents: parentsOf({ table: item.table, op: 'update', record }) });
     }
+    if (candidates.length === 0) return summary;
 
-    if (childIdsToRepair.size === 0) {
-      await storage.updateSyncMeta({ orphanRepairDone: true });
-      return;
+    // One existence check per parent table
+    const parentIdsByTable = {};
+    for (const { parents } of candidates) {
+      for (const parent of parents) {
+        if (!parentIdsByTable[parent.table]) parentIdsByTable[parent.table] = new Set();
+        parentIdsByTable[parent.table].add(parent.id);
+      }
+    }
+    const onServer = new Set();
+    for (const [parentTable, ids] of Object.entries(parentIdsByTable)) {
+      const existing = await fetchExistingIds(SYNC_TABLES[parentTable].table, [...ids]);
+      for (const id of existing) onServer.add(`${parentTable}_${id}`);
     }
 
-    // Mark referenced children as unsynced so they re-sync to server.
-    // If the child was dropped from local storage by the old merge bug,
-    // try to recover it from the server (it may have synced before being dropped).
-    let repaired = 0;
-    for (const childId of childIdsToRepair) {
-      const child = children.find(c => c.id === childId);
-      if (child) {
-        // Child exists locally — mark unsynced so it re-syncs
-        if (child.synced !== false) {
-          await storage.markAsUnsynced('CHILDREN', childId);
-        }
-        repaired++;
-      } else {
-        // Child was dropped from local storage — try to recover from server
-        try {
-          const { data } = await supabase
-            .from('children')
-            .select('*')
-            .eq('id', childId)
-            .single();
-
-          if (data) {
-            // Re-add to local storage as synced (it's already on the server)
-            await storage.saveChild({ ...data, synced: true });
-            repaired++;
-            console.log(`Orphan repair: recovered child ${childId} from server`);
-          }
-        } catch (fetchErr) {
-          console.warn(`Orphan repair: could not recover child ${childId} from server:`, fetchErr);
+    const now = new Date().toISOString();
+    for (const item of candidates) {
+      const missing = item.parents
+        .map(parent => `${parent.table}_${parent.id}`)
+        .filter(parentKey => !onServer.has(parentKey));
+      const missingParents = item.parents.filter(p => missing.includes(`${p.table}_${p.id}`));
+
+      // A parent can only be re-pushed if we still have it and it isn't
+      // quarantined for its own reasons (that has to be fixed first)
+      let recoverable = true;
+      for (const parent of missingParents) {
+        if (failedKeys.has(`${parent.table}_${parent.id}`) ||
+            !(await storage.getRecordById(parent.table, parent.id))) {
+          recoverable = false;
+          break;
         }
       }
-    }
+      if (!recoverable) {
+        summary.waiting++;
+        continue;
+      }
+
+      for (const parent of missingParents) {
+        await storage.markAsUnsynced(parent.table, parent.id);
+      }
+      await retryFailedItem(item.table, item.id);
 
-    // Reset failed/retry state on junction records so they retry after parent syncs
-    for (const item of junctionItemsToReset) {
-      await storage.removeFailedItem(item.table, item.id);
-      await storage.clearLastSyncError(item.table, item.id);
-      await storage.markAsUnsynced(item.table, item.id);
+      const action = {
+        table: item.table,
+        id: item.id,
+        action: missing.length > 0 ? 'requeued_with_parents' : 'requeued',
+        parents: missing,
+        at: now,
+      };
+      summary.actions.push(action);
+      summary.requeued++;
+      console.log(`🔧 Repair: re-queued ${item.table} record ${item.id}${missing.length > 0 ? ` with parents ${missing.join(', ')}` : ''}`);
     }
 
-    await storage.updateSyncMeta({ orphanRepairDone: true });
-    console.log(`Orphan repair: re-queued ${repaired} children and ${junctionItemsToReset.length} junction records`);
+    if (summary.actions.length > 0) {
+      await storage.appendRepairLog(summary.actions, REPAIR_LOG_LIMIT);
+    }
   } catch (error) {
-    console.error('Error in repairOrphanedJunctions:', error);
-    // Don't block startup — repair will retry next launch
+    // Quarantined records stay put; the next cycle tries again
+    console.error('Error in repairForeignKeyFailures:', error);
+    summary.error = error;
   }
+
+  return summary;
 };
 
 /**
@@ -3,6 +3,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import Constants from 'expo-constants';
 import { AppState, Platform } from 'react-native';
 import { processLock } from '@supabase/supabase-js';
+import { meteredFetch } from './dataUsage';
 
 // Local dev uses .env.local; EAS builds fall back to app.json extra
 const supabaseUrl = process.env.EXPO_PUBLIC_SUPABASE_URL
@@ -23,6 +24,8 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
     detectSessionInUrl: false,
     lock: processLock,
   },
+  // Counts bytes so each sync can report its data use
+  global: { fetch: meteredFetch },
 });
 
 // React Native apps should explicitly signal foreground/background for auth refresh.
@@ -0,0 +1,39 @@
+/**
+ * Sync Policy
+ *
+ * What a sync may do on the current connection. Coaches pay for their own
+ * mobile data bundles, so with data saver on, a sync over cellular pushes
+ * only the small tables a coach's day is recorded in and leaves the rest —
+ * other tables' writes, the pull and log sharing — for Wi‑Fi.
+ */
+
+// Tables pushed on mobile data with data saver on: small, and what Masi
+// reports on
+export const DATA_SAVER_TABLES = ['TIME_ENTRIES', 'SESSIONS', 'ASSESSMENTS'];
+
+/**
+ * Whether a network (see describeNetwork) is paid for by the megabyte.
+ */
+export const isMeteredNetwork = (network) => network?.type === 'cellular';
+
+/**
+ * @param {object|null} network - current network, from describeNetwork
+ * @param {object} settings - the coach's sync settings (storage.getSyncSettings)
+ * @returns {{ dataSaver: boolean, pushTables: string[]|null, pull: boolean, shareLogs: boolean }}
+ *   dataSaver: whether data saver is limiting this sync; pushTables: the
+ *   tables that may push (null for all)
+ */
+export const getSyncPolicy = (network, { dataSaver = false } = {}) => {
+  const limited = dataSaver && isMeteredNetwork(network);
+  return {
+    dataSaver: limited,
+    pushTables: limited ? DATA_SAVER_TABLES : null,
+    pull: !limited,
+    shareLogs: !limited,
+  };
+};
+
+/**
+ * Whether the policy lets `table`'s writes be pushed.
+ */
+export const mayPush = (policy, table) => !policy.pushTables || policy.pushTables.includes(table);
@@ -0,0 +1,112 @@
+/**
+ * Sync Progress Events
+ *
+ * syncAll reports what it's doing as it goes, so the UI can show more than a
+ * spinner. Events (each stamped with `at`, ms since epoch):
+ *   - sync_started
+ *   - push_started    { tables: { [table]: records queued } }
+ *   - table_started   { table, total }
+ *   - table_progress  { table, done, total }  — after each batch or record
+ *   - retry_scheduled { table, id, attempt, nextAttemptAt }
+ *   - table_finished  { table, synced, failed, deferred, held }
+ *   - pull_started
+ *   - sync_finished   { success, totalSynced, totalFailed }
+ *
+ * reduceSyncProgress() folds them into one state object for rendering.
+ */
+
+const listeners = new Set();
+
+/**
+ * Subscribe to sync progress events. Returns the unsubscribe function.
+ */
+export const onSyncProgress = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const emitSyncProgress = (event) => {
+  const stamped = { ...event, at: Date.now() };
+  for (const listener of listeners) {
+    try {
+      listener(stamped);
+    } catch (error) {
+      // A broken listener must not break the sync
+      console.error('Sync progress listener failed:', error);
+    }
+  }
+};
+
+/**
+ * Fold one event into the progress state (null before the first sync):
+ * { phase: 'push'|'pull'|'done', startedAt, pushStartedAt, finishedAt,
+ *   tables: { [table]: { total, done, status: 'waiting'|'syncing'|'done' } },
+ *   retriesScheduled, result }
+ */
+export const reduceSyncProgress = (state, event) => {
+  // A single-table sync (syncTableByName) pushes without a sync_started
+  if (!state && event.type !== 'sync_started') {
+    state = reduceSyncProgress(null, { type: 'sync_started', at: event.at });
+  }
+  switch (event.type) {
+    case 'sync_started':
+      return {
+        phase: 'push',
+        startedAt: event.at,
+        pushStartedAt: null,
+        finishedAt: null,
+        tables: {},
+        retriesScheduled: 0,
+        result: null,
+      };
+    case 'push_started': {
+      const tables = {};
+      for (const [table, total] of Object.entries(event.tables)) {
+        tables[table] = { total, done: 0, status: 'waiting' };
+      }
+      return { ...state, pushStartedAt: event.at, tables };
+    }
+    case 'table_started':
+    case 'table_progress':
+    case 'table_finished': {
+      const previous = state.tables[event.table] || { total: event.total || 0, done: 0 };
+      const table = { ...previous, status: event.type === 'table_finished' ? 'done' : 'syncing' };
+      if (event.type === 'table_progress') table.done = event.done;
+      if (event.type === 'table_finished') {
+        table.done = event.synced + event.failed + event.deferred + event.held;
+      }
+      return { ...state, tables: { ...state.tables, [event.table]: table } };
+    }
+    case 'retry_scheduled':
+      return { ...state, retriesScheduled: state.retriesScheduled + 1 };
+    case 'pull_started':
+      return { ...state, phase: 'pull' };
+    case 'sync_finished':
+      return { ...state, phase: 'done', finishedAt: event.at, result: event };
+    default:
+      return state;
+  }
+};
+
+/**
+ * Records pushed so far and in total, across tables.
+ */
+export const getPushTotals = (state) => {
+  const tables = Object.values(state?.tables || {});
+  return {
+    done: tables.reduce((sum, t) => sum + t.done, 0),
+    total: tables.reduce((sum, t) => sum + t.total, 0),
+  };
+};
+
+/**
+ * Estimated ms until the push finishes, from the pace so far; null until
+ * there's a pace to go on or once the push is over.
+ */
+export const estimateRemainingMs = (state, now = Date.now()) => {
+  if (!state?.pushStartedAt || state.phase !== 'push') return null;
+  const { done, total } = getPushTotals(state);
+  if (done === 0 || done >= total) return null;
+  const msPerRecord = (now - state.pushStartedAt) / done;
+  return Math.round(msPerRecord * (total - done));
+};
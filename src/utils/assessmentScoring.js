@@ -0,0 +1,210 @@
+/**
+ * Assessment Scoring Utility
+ *
+ * Pure functions for scoring EGRA subtests (letter, word and non-word grids, oral
+ * reading passages, phonemic awareness items): what the assessor marked in,
+ * the result stored on the assessment out.
+ */
+
+import { ASSESSMENT_DURATION } from '../constants/egraConstants';
+
+// EGRA's name for each subtest's fluency score
+const FLUENCY_LABELS = {
+  letter_egra: 'CLPM',
+  word_egra: 'CWPM',
+  nonword_egra: 'CNWPM',
+  orf_egra: 'WCPM',
+};
+
+// Untimed subtests have no fluency score
+const UNTIMED_TYPES = ['initial_sound_egra', 'syllable_egra'];
+
+export const isTimedAssessment = (assessmentType) => !UNTIMED_TYPES.includes(assessmentType);
+
+/**
+ * Correct items per minute — EGRA's fluency score. A child who finishes
+ * before the timer runs out is scored on the time they used.
+ *
+ * @param {number} correctResponses
+ * @param {number} secondsUsed - time taken, at most ASSESSMENT_DURATION
+ */
+export function computeCorrectPerMinute(correctResponses, secondsUsed) {
+  const seconds = Math.min(Math.max(secondsUsed || 0, 1), ASSESSMENT_DURATION);
+  return Math.round((correctResponses * 60) / seconds);
+}
+
+/**
+ * A stored assessment's fluency score. Assessments saved before it was
+ * stored are scored from their completion_time. Null for untimed subtests.
+ */
+export function getCorrectPerMinute(assessment) {
+  if (!isTimedAssessment(assessment.assessment_type)) return null;
+  if (assessment.correct_per_minute != null) return assessment.correct_per_minute;
+  if (assessment.completion_time == null || assessment.correct_responses == null) return null;
+  return computeCorrectPerMinute(assessment.correct_responses, assessment.completion_time);
+}
+
+/** "CLPM" / "CWPM" / "CNWPM" / "WCPM" for an assessment_type. */
+export function getFluencyLabel(assessmentType) {
+  return FLUENCY_LABELS[assessmentType || 'letter_egra'] || 'per min';
+}
+
+/**
+ * Score a grid subtest. Items up to and including lastTappedIndex were
+ * attempted; those marked true in letterStates were correct, the rest wrong.
+ *
+ * @param {Object<number, boolean>} letterStates - item index → marked correct
+ * @param {number} lastTappedIndex - last attempted item, or -1 for none
+ * @param {string[]} letters - the subtest's items, in order
+ * @param {number} secondsUsed - time the child took (see computeCorrectPerMinute)
+ */
+export function computeAssessmentResult(letterStates, lastTappedIndex, letters, secondsUsed = ASSESSMENT_DURATION) {
+  if (lastTappedIndex < 0) {
+    return {
+      lettersAttempted: 0,
+      correctResponses: 0,
+      incorrectLetters: [],
+      correctLetters: [],
+      accuracy: 0,
+      correctPerMinute: 0,
+    };
+  }
+
+  const lettersAttempted = lastTappedIndex + 1;
+  const correctLetters = [];
+  const incorrectLetters = [];
+
+  for (let i = 0; i <= lastTappedIndex; i++) {
+    if (letterStates[i] === true) {
+      correctLetters.push({ index: i, letter: letters[i] });
+    } else {
+      incorrectLetters.push({ index: i, letter: letters[i] });
+    }
+  }
+
+  const correctResponses = correctLetters.length;
+  const accuracy = lettersAttempted > 0
+    ? Math.round((correctResponses / lettersAttempted) * 100)
+    : 0;
+
+  const correctPerMinute = computeCorrectPerMinute(correctResponses, secondsUsed);
+
+  return { lettersAttempted, correctResponses, incorrectLetters, correctLetters, accuracy, correctPerMinute };
+}
+
+/**
+ * Whether the EGRA discontinue rule stops the subtest: the child has moved
+ * past the rule's first `items` items without getting any of them right.
+ *
+ * Only correct items are marked, so how far the child got comes from what
+ * the assessor did — marked a later item, moved to the next page, or said
+ * where the child stopped.
+ *
+ * @param {Object<number, boolean>} letterStates - item index → marked correct
+ * @param {number} reachedIndex - the item the child has moved on to; every
+ *   item before it was attempted
+ * @param {{ items: number }|undefined} rule - the item set's discontinueRule
+ */
+export function meetsDiscontinueRule(letterStates, reachedIndex, rule) {
+  if (!rule || reachedIndex < rule.items) return false;
+  for (let i = 0; i < rule.items; i++) {
+    if (letterStates[i] === true) return false;
+  }
+  return true;
+}
+
+/**
+ * Score an oral reading passage. The assessor marks the words read wrong
+ * rather than the ones read right, so everything up to lastWordIndex that
+ * isn't marked wrong was read correctly. Same result shape as
+ * computeAssessmentResult; correctPerMinute is words correct per minute.
+ *
+ * @param {Object<number, boolean>} wrongWords - word index → marked wrong
+ * @param {number} lastWordIndex - last word the child read, or -1 for none
+ * @param {string[]} words - the passage, word by word
+ * @param {number} secondsUsed - time the child took
+ */
+export function computePassageResult(wrongWords, lastWordIndex, words, secondsUsed = ASSESSMENT_DURATION) {
+  const letterStates = {};
+  for (let i = 0; i <= lastWordIndex; i++) {
+    if (wrongWords[i] !== true) letterStates[i] = true;
+  }
+  return computeAssessmentResult(letterStates, lastWordIndex, words, secondsUsed);
+}
+
+/**
+ * The discontinue rule for a passage: the assessor has marked every one of
+ * its first `items` words wrong.
+ *
+ * @param {Object<number, boolean>} wrongWords - word index → marked wrong
+ * @param {{ items: number }|undefined} rule - the passage's discontinueRule
+ */
+export function meetsPassageDiscontinueRule(wrongWords, rule) {
+  if (!rule) return false;
+  for (let i = 0; i < rule.items; i++) {
+    if (wrongWords[i] !== true) return false;
+  }
+  return true;
+}
+
+/**
+ * The comprehension questions to ask: only those about the part of the
+ * passage the child read.
+ */
+export function getAskableQuestions(passage, lastWordIndex) {
+  return (passage.questions || []).filter((q) => q.afterWord <= lastWordIndex);
+}
+
+/**
+ * Score the comprehension questions. The percentage is of all the passage's
+ * questions, as EGRA reports it — a question not asked because the child
+ * didn't read that far counts as not answered correctly.
+ *
+ * @param {Array<{ id: string }>} questions - all of the passage's questions
+ * @param {Object<string, 'correct'|'incorrect'|'no_response'>} answers - by question id
+ * @returns {{ questions: Array<{ id: string, result: string }>, asked: number,
+ *   correct: number, total: number, percent: number }} result is 'not_asked'
+ *   for questions with no answer
+ */
+export function computeComprehensionResult(questions, answers) {
+  const results = questions.map((q) => ({ id: q.id, result: answers[q.id] || 'not_asked' }));
+  const asked = results.filter((r) => r.result !== 'not_asked').length;
+  const correct = results.filter((r) => r.result === 'correct').length;
+  const total = questions.length;
+  return {
+    questions: results,
+    asked,
+    correct,
+    total,
+    percent: total > 0 ? Math.round((correct / total) * 100) : 0,
+  };
+}
+
+/**
+ * Score an untimed oral subtest, answered item by item. Items up to the last
+ * one answered were attempted. No response scores as incorrect; those items
+ * are flagged no_response in incorrectLetters.
+ *
+ * @param {Object<number, 'correct'|'incorrect'|'no_response'>} responses - item index → response
+ * @param {string[]} words - the subtest's words, in order
+ */
+export function computeOralResult(responses, words) {
+  const answered = Object.keys(responses).map(Number);
+  const lastIndex = answered.length > 0 ? Math.max(...answered) : -1;
+  const letterStates = {};
+  for (const index of answered) {
+    if (responses[index] === 'correct') letterStates[index] = true;
+  }
+
+  const result = computeAssessmentResult(letterStates, lastIndex, words);
+  const incorrectLetters = result.incorrectLetters.map((item) => (
+    responses[item.index] === 'no_response' ? { ...item, no_response: true } : item
+  ));
+
+  return {
+    ...result,
+    incorrectLetters,
+    noResponses: incorrectLetters.filter((item) => item.no_response).length,
+    correctPerMinute: null,
+  };
+}
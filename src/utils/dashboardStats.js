@@ -7,6 +7,7 @@
 
 import { computeAssessmentMastery, normalizeLanguageKey } from './letterMastery';
 import { LETTER_SETS, PEDAGOGICAL_ORDERS } from '../constants/egraConstants';
+import { getCorrectPerMinute } from './assessmentScoring';
 
 // ─── Helpers ───────────────────────────────────────────────────────────
 
@@ -193,7 +194,12 @@ export function getLetterMasteryRanking(children, assessments, letterMastery, cl
 }
 
 /**
- * Rank children by most recent EGRA assessment accuracy.
+ * Rank children by most recent letter EGRA assessment accuracy. Other
+ * subtests (words, passages, sounds) aren't comparable scores, so they're
+ * left out.
+ * Children whose latest assessment was discontinued (EGRA early stop) are
+ * flagged `discontinued` and sort after every scored child — they weren't
+ * given the whole subtest, so they aren't ranked on it.
  * Children with no assessment get accuracy: null and sort to bottom.
  */
 export function getAssessmentRanking(children, assessments) {
@@ -201,7 +207,7 @@ export function getAssessmentRanking(children, assessments) {
 
   for (const child of children) {
     const childAssessments = assessments
-      .filter(a => a.child_id === child.id)
+      .filter(a => a.child_id === child.id && (a.assessment_type || 'letter_egra') === 'letter_egra')
       .sort((a, b) => {
         const dateCmp = (b.date_assessed || '').localeCompare(a.date_assessed || '');
         if (dateCmp !== 0) return dateCmp;
@@ -215,19 +221,25 @@ export function getAssessmentRanking(children, assessments) {
         accuracy: Math.round(latest.accuracy),
         correct: (latest.correct_letters || []).length,
         attempted: latest.last_letter_attempted ? latest.last_letter_attempted.index + 1 : 0,
+        correctPerMinute: getCorrectPerMinute(latest),
         date: latest.date_assessed,
         assessment: latest,
+        discontinued: !!latest.discontinued,
       });
     } else {
-      rankings.push({ child, accuracy: null, correct: 0, attempted: 0, date: null, assessment: null });
+      rankings.push({
+        child, accuracy: null, correct: 0, attempted: 0, correctPerMinute: null, date: null, assessment: null, discontinued: false,
+      });
     }
   }
 
-  // Assessed children sorted by total correct letters desc, then unassessed at bottom
+  // Assessed children sorted by total correct letters desc, then discontinued,
+  // then unassessed at bottom
   return rankings.sort((a, b) => {
     if (a.accuracy === null && b.accuracy === null) return 0;
     if (a.accuracy === null) return 1;
     if (b.accuracy === null) return -1;
+    if (a.discontinued !== b.discontinued) return a.discontinued ? 1 : -1;
     return b.correct - a.correct;
   });
 }
@@ -327,6 +339,10 @@ export function getSessionsTabStats(sessions, children) {
  * array (the default exposed via useChildren().children) and this function
  * scopes the assessment math to only those children. `totalAssessments` here
  * means "assessments for currently-active children", not historical totals.
+ * The accuracy average and `discontinuedCount` use each child's latest
+ * letter EGRA assessment, as getAssessmentRanking does; other subtests'
+ * scores aren't comparable. Children whose latest letter assessment was
+ * discontinued count in `discontinuedCount`, not in the accuracy average.
  */
 export function getAssessmentsTabStats(children, assessments) {
   const activeChildIds = new Set(children.map(c => c.id));
@@ -334,10 +350,10 @@ export function getAssessmentsTabStats(children, assessments) {
 
   const coverage = getAssessmentCoverage(children, activeAssessments);
 
-  // Average accuracy across most recent assessment per active child
+  // Average accuracy across most recent letter assessment per active child
   const latestByChild = {};
   for (const a of activeAssessments) {
-    if (!a.child_id) continue;
+    if (!a.child_id || (a.assessment_type || 'letter_egra') !== 'letter_egra') continue;
     const existing = latestByChild[a.child_id];
     const isBetter = !existing
       || (a.date_assessed || '') > (existing.date_assessed || '')
@@ -348,7 +364,9 @@ export function getAssessmentsTabStats(children, assessments) {
     }
   }
 
-  const accuracies = Object.values(latestByChild)
+  const latest = Object.values(latestByChild);
+  const accuracies = latest
+    .filter(a => !a.discontinued)
     .map(a => a.accuracy)
     .filter(acc => acc != null && !isNaN(acc));
 
@@ -360,5 +378,6 @@ export function getAssessmentsTabStats(children, assessments) {
     percentAssessed: coverage.percent,
     totalAssessments: activeAssessments.length,
     avgAccuracy,
+    discontinuedCount: latest.filter(a => a.discontinued).length,
   };
 }
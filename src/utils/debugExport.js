@@ -3,6 +3,8 @@ import { Platform } from 'react-native';
 import { File, Paths } from 'expo-file-system/next';
 import * as Sharing from 'expo-sharing';
 import { logger } from './logger';
+import { storage, STORAGE_KEYS } from './storage';
+import { getSyncHistory } from '../services/offlineSync';
 
 /**
  * Write content to a temp file and share it via the native share sheet.
@@ -22,12 +24,93 @@ const shareFile = async (filename, content, mimeType) => {
   });
 };
 
+const REDACTED = '[redacted]';
+
+// Personal data per collection: children's details and the class and school
+// that identify where they are
+const PERSONAL_FIELDS = {
+  CHILDREN: ['first_name', 'last_name', 'age', 'gender'],
+  CLASSES: ['name', 'teacher'],
+  SCHOOLS: ['name'],
+};
+
+// Names are replaced with a pseudonym derived from the record id, so records
+// can still be told apart
+const PSEUDONYMS = {
+  CHILDREN: { field: 'first_name', label: 'Child' },
+  CLASSES: { field: 'name', label: 'Class' },
+  SCHOOLS: { field: 'name', label: 'School' },
+};
+
+const pseudonymFor = (table, id) => `${PSEUDONYMS[table].label} ${String(id).slice(0, 8)}`;
+
+const redactRecord = (table, record) => {
+  const fields = PERSONAL_FIELDS[table];
+  if (!fields || !record) return record;
+  const redacted = { ...record };
+  for (const field of fields) {
+    if (field in redacted) redacted[field] = REDACTED;
+  }
+  const { field } = PSEUDONYMS[table];
+  if (field in record) redacted[field] = pseudonymFor(table, record.id);
+  return redacted;
+};
+
+/**
+ * Copy of exported storage values with children's personal data and school
+ * details redacted: collection records, outbox snapshots and sync conflicts
+ * about them.
+ */
+export const redactPersonalData = (database) => {
+  const redacted = { ...database };
+  for (const table of Object.keys(PERSONAL_FIELDS)) {
+    const key = STORAGE_KEYS[table];
+    if (Array.isArray(redacted[key])) {
+      redacted[key] = redacted[key].map(record => redactRecord(table, record));
+    }
+  }
+
+  const queue = redacted[STORAGE_KEYS.SYNC_QUEUE];
+  if (Array.isArray(queue)) {
+    redacted[STORAGE_KEYS.SYNC_QUEUE] = queue.map(entry =>
+      (entry.record ? { ...entry, record: redactRecord(entry.table, entry.record) } : entry)
+    );
+  }
+
+  const meta = redacted[STORAGE_KEYS.SYNC_META];
+  if (meta?.conflicts) {
+    redacted[STORAGE_KEYS.SYNC_META] = {
+      ...meta,
+      conflicts: meta.conflicts.map(conflict => {
+        if (!PERSONAL_FIELDS[conflict.table]) return conflict;
+        const personal = PERSONAL_FIELDS[conflict.table].includes(conflict.field);
+        return {
+          ...conflict,
+          label: pseudonymFor(conflict.table, conflict.id),
+          ...(personal ? { localValue: REDACTED, serverValue: REDACTED, baseValue: REDACTED } : {}),
+        };
+      }),
+    };
+  }
+  return redacted;
+};
+
 /**
- * Export all AsyncStorage as a .json file via native Share
+ * Export all local data (AsyncStorage plus the storage backend, which may
+ * be SQLite) as a .json file via native Share. Children's personal data and
+ * school details are redacted unless `includePersonalData` is set — only when
+ * a Masi admin has asked for it. The app has no admin role to check, so any
+ * signed-in coach can include it; the export says so.
  */
-export const exportDatabase = async () => {
+export const exportDatabase = async ({ includePersonalData = false } = {}) => {
   try {
-    const keys = await AsyncStorage.getAllKeys();
+    // Storage data is read through `storage` below (decrypted, current user
+    // only); raw copies of it — other users' or from before encryption —
+    // aren't exported
+    const storageKeys = Object.values(STORAGE_KEYS);
+    const keys = (await AsyncStorage.getAllKeys()).filter(key =>
+      !storageKeys.some(storageKey => key === storageKey || key.endsWith(`/${storageKey}`))
+    );
     const items = await AsyncStorage.multiGet(keys);
 
     const database = items.reduce((acc, [key, value]) => {
@@ -38,15 +121,23 @@ export const exportDatabase = async () => {
       }
       return acc;
     }, {});
+    for (const key of storageKeys) {
+      const value = await storage.getItem(key);
+      if (value !== null) database[key] = value;
+    }
 
     const exportData = {
       exported_at: new Date().toISOString(),
       app_version: '1.0.0',
+      personal_data: includePersonalData ? 'included' : 'redacted',
+      ...(includePersonalData && {
+        personal_data_access: "unrestricted: included at the signed-in coach's request, not checked against an admin role",
+      }),
       device_info: {
         platform: Platform.OS,
         version: Platform.Version,
       },
-      database,
+      database: includePersonalData ? database : redactPersonalData(database),
     };
 
     const jsonString = JSON.stringify(exportData, null, 2);
@@ -61,18 +152,49 @@ export const exportDatabase = async () => {
 };
 
 /**
- * Export logs as a .txt file via native Share
+ * Sync history as text, one run per line (newest first) with its errors
+ * indented below it.
+ */
+export const formatSyncHistory = (runs) => runs.map((run) => {
+  const tables = Object.entries(run.tables)
+    .map(([table, counts]) => `${table}(${Object.entries(counts).filter(([, n]) => n).map(([k, n]) => `${k}=${n}`).join(' ')})`)
+    .join(' ');
+  const network = run.network
+    ? `${run.network.type}${run.network.reachable === false ? ' unreachable' : ''}`
+    : 'unknown';
+  const bytes = run.bytes ? ` sent_bytes=${run.bytes.sent} received_bytes=${run.bytes.received}` : '';
+  const lines = [
+    `[${run.startedAt}] ${run.success ? 'OK' : 'FAILED'} trigger=${run.trigger} network=${network}` +
+      `${run.dataSaver ? ' data_saver' : ''} ${run.durationMs}ms synced=${run.totalSynced} failed=${run.totalFailed} ` +
+      `deferred=${run.totalDeferred} pulled=${run.totalPulled}${bytes} ${tables}`.trimEnd(),
+    ...run.errors.map(e => `    ${e.phase} ${[e.table, e.id].filter(Boolean).join(' ')}: ${e.message}`),
+  ];
+  if (run.errorCount > run.errors.length) {
+    lines.push(`    ... ${run.errorCount - run.errors.length} more errors`);
+  }
+  return lines.join('\n');
+}).join('\n');
+
+/**
+ * Export logs, followed by the sync history, as a .txt file via native Share
  */
 export const exportLogs = async () => {
   try {
     const logs = await logger.exportLogs();
+    const history = await getSyncHistory();
 
-    if (!logs || logs.length === 0) {
+    if ((!logs || logs.length === 0) && history.length === 0) {
       return { success: false, error: 'No logs to export' };
     }
 
+    const content = [
+      logs,
+      `=== Sync history (${history.length} runs, newest first) ===`,
+      formatSyncHistory(history),
+    ].filter(Boolean).join('\n\n');
+
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    await shareFile(`masi-logs-${timestamp}.txt`, logs, 'text/plain');
+    await shareFile(`masi-logs-${timestamp}.txt`, content, 'text/plain');
 
     return { success: true };
   } catch (error) {
@@ -0,0 +1,199 @@
+/**
+ * Encrypted Storage
+ *
+ * Children, classes and assessments hold children's personal data (names,
+ * ages, genders, teachers). Their records are stored encrypted (AES-256-GCM)
+ * with a key kept in the device keystore, so a copy of the app's files or
+ * AsyncStorage doesn't expose them.
+ *
+ * createEncryptedBackend() wraps whichever backend storage uses. Each record
+ * keeps the fields storage looks records up by (id, synced, child_id and the
+ * collection's date field) in the clear; everything else is sealed into
+ * `_sealed`. Copies of those records elsewhere — outbox snapshots, conflict
+ * values, migration backups — are sealed too. Records written before
+ * encryption read as-is until the encrypt_personal_data storage migration
+ * rewrites them.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import { gcm } from '@noble/ciphers/aes';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { randomBytes } from '@noble/ciphers/webcrypto';
+import { storage, STORAGE_KEYS, COLLECTIONS, matchesCriteria } from './storage';
+import { BACKUP_PREFIX } from './storageMigrations';
+
+const KEY_NAME = 'masi_storage_key';
+const NONCE_BYTES = 12;
+
+// Collections (by sync table name) whose records are encrypted
+export const ENCRYPTED_TABLES = ['CHILDREN', 'CLASSES', 'ASSESSMENTS'];
+const ENCRYPTED_KEYS = new Set(ENCRYPTED_TABLES.map(table => STORAGE_KEYS[table]));
+
+/**
+ * Seal/open JSON values with a 32-byte key. A sealed value is hex of
+ * nonce + ciphertext; GCM's tag makes a wrong key or tampering throw.
+ */
+export const createCipher = (key) => ({
+  seal(value) {
+    const nonce = randomBytes(NONCE_BYTES);
+    const sealed = gcm(key, nonce).encrypt(utf8ToBytes(JSON.stringify(value)));
+    return bytesToHex(nonce) + bytesToHex(sealed);
+  },
+  open(text) {
+    const bytes = hexToBytes(text);
+    const nonce = bytes.subarray(0, NONCE_BYTES);
+    return JSON.parse(bytesToUtf8(gcm(key, nonce).decrypt(bytes.subarray(NONCE_BYTES))));
+  },
+});
+
+// Fields left readable so the backend can still index and filter records
+const clearFieldsFor = (key) => ['id', 'synced', 'child_id', COLLECTIONS[key].dateField];
+
+const sealRecord = (cipher, key, record) => {
+  const clear = {};
+  const rest = { ...record };
+  for (const field of clearFieldsFor(key)) {
+    if (field in rest) {
+      clear[field] = rest[field];
+      delete rest[field];
+    }
+  }
+  return { ...clear, _sealed: cipher.seal(rest) };
+};
+
+const openRecord = (cipher, record) => {
+  if (!record?._sealed) return record;
+  const { _sealed, ...clear } = record;
+  return { ...clear, ...cipher.open(_sealed) };
+};
+
+const isEncryptedTable = (table) => ENCRYPTED_TABLES.includes(table);
+
+// How a stored value is sealed depends on what it is; backups are sealed
+// like the key they're a copy of
+const transformValue = (cipher, key, value, sealing) => {
+  if (value === null || value === undefined) return value;
+  const dataKey = key.startsWith(BACKUP_PREFIX) ? key.slice(BACKUP_PREFIX.length) : key;
+
+  if (ENCRYPTED_KEYS.has(dataKey)) {
+    return value.map(record => (sealing ? sealRecord(cipher, dataKey, record) : openRecord(cipher, record)));
+  }
+  if (dataKey === STORAGE_KEYS.SYNC_QUEUE) {
+    return value.map(entry => {
+      if (!entry.record || !isEncryptedTable(entry.table)) return entry;
+      const record = sealing
+        ? { _sealed: cipher.seal(entry.record) }
+        : (entry.record._sealed ? cipher.open(entry.record._sealed) : entry.record);
+      return { ...entry, record };
+    });
+  }
+  if (dataKey === STORAGE_KEYS.SYNC_META && value.conflicts) {
+    const conflicts = value.conflicts.map(conflict => {
+      if (!isEncryptedTable(conflict.table)) return conflict;
+      if (sealing) {
+        const { table, id, field, detectedAt, ...details } = conflict;
+        return { table, id, field, detectedAt, _sealed: cipher.seal(details) };
+      }
+      return openRecord(cipher, conflict);
+    });
+    return { ...value, conflicts };
+  }
+  return value;
+};
+
+/**
+ * Backend that encrypts personal data on its way into `base` and decrypts
+ * it on the way out. Same operations as asyncStorageBackend (storage.js).
+ */
+export const createEncryptedBackend = (base, cipher) => {
+  const seal = (key, value) => transformValue(cipher, key, value, true);
+  const open = (key, value) => transformValue(cipher, key, value, false);
+  const openRecords = (key, records) => (ENCRYPTED_KEYS.has(key) ? open(key, records) : records);
+  const sealOp = (op) => {
+    switch (op.type) {
+      case 'put':
+      case 'replaceAll':
+        return { ...op, records: seal(op.key, op.records) };
+      case 'setValue':
+        return { ...op, value: seal(op.key, op.value) };
+      default:
+        return op;
+    }
+  };
+
+  return {
+    name: base.name,
+    encrypted: true,
+
+    async getValue(key) {
+      return open(key, await base.getValue(key));
+    },
+    setValue: (key, value) => base.setValue(key, seal(key, value)),
+    removeKey: (key) => base.removeKey(key),
+    clear: () => base.clear(),
+
+    async getAll(key) {
+      return openRecords(key, await base.getAll(key));
+    },
+    replaceAll: (key, records) => base.replaceAll(key, seal(key, records)),
+
+    async getByIds(key, ids) {
+      return openRecords(key, await base.getByIds(key, ids));
+    },
+
+    // The backend can only match clear fields; the rest are matched here
+    async getWhere(key, criteria) {
+      if (!ENCRYPTED_KEYS.has(key)) return await base.getWhere(key, criteria);
+      const clearFields = clearFieldsFor(key);
+      const clearCriteria = Object.fromEntries(
+        Object.entries(criteria).filter(([field]) => clearFields.includes(field))
+      );
+      const records = openRecords(key, await base.getWhere(key, clearCriteria));
+      return records.filter(record => matchesCriteria(record, criteria));
+    },
+
+    async getBetween(key, from, to) {
+      return openRecords(key, await base.getBetween(key, from, to));
+    },
+
+    put: (key, records) => base.put(key, seal(key, records)),
+    remove: (key, ids) => base.remove(key, ids),
+    commit: (ops) => base.commit(ops.map(sealOp)),
+  };
+};
+
+/**
+ * The storage key from the keystore, created on first run. Readable after
+ * the first unlock so background syncs work, and never leaves the device.
+ */
+const loadStorageKey = async () => {
+  const stored = await SecureStore.getItemAsync(KEY_NAME);
+  if (stored) return hexToBytes(stored);
+
+  const key = randomBytes(32);
+  await SecureStore.setItemAsync(KEY_NAME, bytesToHex(key), {
+    keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+  console.log('✓ Created local storage encryption key');
+  return key;
+};
+
+/**
+ * Encrypt personal data in the current store and every user store opened
+ * after it. Call at startup after openLocalStore(), before switching to the
+ * signed-in user. Throws if the keystore can't be read — storing children's
+ * data unencrypted isn't a fallback. Does nothing if storage is already
+ * encrypted (a retried startup), since wrapping twice would seal records twice.
+ */
+export const enableEncryption = async () => {
+  if (storage.backend.encrypted && storage.openUserStore.encrypted) return;
+
+  const cipher = createCipher(await loadStorageKey());
+  const openPlainStore = storage.openUserStore;
+  const openEncryptedStore = async (userId) =>
+    createEncryptedBackend(await openPlainStore.call(storage, userId), cipher);
+  openEncryptedStore.encrypted = true;
+
+  storage.openUserStore = openEncryptedStore;
+  storage.useBackend(createEncryptedBackend(storage.backend, cipher));
+};
@@ -0,0 +1,299 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Each record collection is a real table — one row per record, with the
+ * record itself as JSON plus indexed columns for the lookups storage makes
+ * (id, child_id, synced state, date). Saving a session writes one row
+ * instead of rewriting a year of sessions. Single values (sync metadata,
+ * the outbox, the user profile) live in a key/value table.
+ *
+ * openLocalStore() runs at startup: it opens the database, moves existing
+ * AsyncStorage data into it once, and switches `storage` over. If SQLite
+ * can't be opened before that move, the app stays on AsyncStorage.
+ *
+ * Each user's data is a database of its own (masi-<user id>.db); masi.db
+ * holds data from before storage was per-user.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SQLite from 'expo-sqlite';
+import { storage, STORAGE_KEYS, COLLECTIONS, matchesCriteria } from './storage';
+
+const DATABASE_NAME = 'masi.db';
+const databaseNameFor = (userId) => (userId ? `masi-${userId}.db` : DATABASE_NAME);
+// Set in AsyncStorage once its data has moved to SQLite
+const MOVED_TO_SQLITE_KEY = '@storage_moved_to_sqlite';
+// SQLite's default limit on bound parameters is 999
+const MAX_PARAMS = 500;
+
+const tableFor = (key) => key.replace(/^@/, '');
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const createSchema = async (db) => {
+  const statements = [
+    'PRAGMA journal_mode = WAL;',
+    // Multi-row writes commit on a separate connection (see inTransaction);
+    // a single-row write landing meanwhile waits for it instead of failing
+    // with SQLITE_BUSY
+    'PRAGMA busy_timeout = 5000;',
+    'CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY NOT NULL, value TEXT NOT NULL);',
+  ];
+  for (const key of Object.keys(COLLECTIONS)) {
+    const table = tableFor(key);
+    // pos keeps insertion order, which the array-based API exposes
+    statements.push(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+        pos INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        child_id TEXT,
+        synced INTEGER NOT NULL,
+        record_date TEXT,
+        data TEXT NOT NULL
+      );`,
+      `CREATE INDEX IF NOT EXISTS ${table}_child_id ON ${table} (child_id);`,
+      `CREATE INDEX IF NOT EXISTS ${table}_synced ON ${table} (synced);`,
+      `CREATE INDEX IF NOT EXISTS ${table}_record_date ON ${table} (record_date);`
+    );
+  }
+  await db.execAsync(statements.join('\n'));
+};
+
+const toRow = (key, record) => [
+  record.id,
+  record.child_id ?? null,
+  record.synced === false ? 0 : 1,
+  record[COLLECTIONS[key].dateField] ?? null,
+  JSON.stringify(record),
+];
+
+const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+// Writes take the connection to run on: the database, or an exclusive
+// transaction when several statements must land together
+const writes = {
+  async put(conn, key, records) {
+    const table = tableFor(key);
+    for (const record of records) {
+      await conn.runAsync(
+        `INSERT INTO ${table} (id, child_id, synced, record_date, data) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           child_id = excluded.child_id,
+           synced = excluded.synced,
+           record_date = excluded.record_date,
+           data = excluded.data`,
+        toRow(key, record)
+      );
+    }
+  },
+
+  async remove(conn, key, ids) {
+    for (const batch of chunk(ids, MAX_PARAMS)) {
+      const placeholders = batch.map(() => '?').join(', ');
+      await conn.runAsync(`DELETE FROM ${tableFor(key)} WHERE id IN (${placeholders})`, batch);
+    }
+  },
+
+  async replaceAll(conn, key, records) {
+    await conn.runAsync(`DELETE FROM ${tableFor(key)}`);
+    await writes.put(conn, key, records);
+  },
+
+  async setValue(conn, key, value) {
+    await conn.runAsync(
+      'INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)',
+      [key, JSON.stringify(value)]
+    );
+  },
+
+  async removeKey(conn, key) {
+    if (key in COLLECTIONS) {
+      await conn.runAsync(`DELETE FROM ${tableFor(key)}`);
+    } else {
+      await conn.runAsync('DELETE FROM kv WHERE key = ?', [key]);
+    }
+  },
+};
+
+// A buffered storage.transaction() op (see applyOp in storage.js)
+const writeOp = (conn, op) => {
+  switch (op.type) {
+    case 'put': return writes.put(conn, op.key, op.records);
+    case 'remove': return writes.remove(conn, op.key, op.ids);
+    case 'replaceAll': return writes.replaceAll(conn, op.key, op.records);
+    case 'setValue': return writes.setValue(conn, op.key, op.value);
+    case 'removeKey': return writes.removeKey(conn, op.key);
+    default: throw new Error(`Unknown storage op: ${op.type}`);
+  }
+};
+
+/**
+ * Backend with the same operations as asyncStorageBackend (storage.js).
+ */
+export const createSqliteBackend = (db) => {
+  const inTransaction = (fn) => db.withExclusiveTransactionAsync(fn);
+
+  return {
+    name: 'sqlite',
+
+    async getValue(key) {
+      const row = await db.getFirstAsync('SELECT value FROM kv WHERE key = ?', [key]);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    setValue: (key, value) => writes.setValue(db, key, value),
+
+    removeKey: (key) => writes.removeKey(db, key),
+
+    async clear() {
+      await inTransaction(async (txn) => {
+        await txn.runAsync('DELETE FROM kv');
+        for (const key of Object.keys(COLLECTIONS)) {
+          await txn.runAsync(`DELETE FROM ${tableFor(key)}`);
+        }
+      });
+    },
+
+    async getAll(key) {
+      return parseRows(await db.getAllAsync(`SELECT data FROM ${tableFor(key)} ORDER BY pos`));
+    },
+
+    replaceAll: (key, records) => inTransaction(txn => writes.replaceAll(txn, key, records)),
+
+    async getByIds(key, ids) {
+      const records = [];
+      for (const batch of chunk(ids, MAX_PARAMS)) {
+        const placeholders = batch.map(() => '?').join(', ');
+        records.push(...parseRows(await db.getAllAsync(
+          `SELECT data FROM ${tableFor(key)} WHERE id IN (${placeholders}) ORDER BY pos`,
+          batch
+        )));
+      }
+      return records;
+    },
+
+    // Indexed columns narrow the scan; the rest of the criteria filter the
+    // parsed records
+    async getWhere(key, criteria) {
+      const clauses = [];
+      const params = [];
+      if ('synced' in criteria) {
+        clauses.push('synced = ?');
+        params.push(criteria.synced ? 1 : 0);
+      }
+      if ('child_id' in criteria) {
+        clauses.push('child_id = ?');
+        params.push(criteria.child_id);
+      }
+      const where = clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+      const rows = await db.getAllAsync(
+        `SELECT data FROM ${tableFor(key)}${where} ORDER BY pos`,
+        params
+      );
+      return parseRows(rows).filter(record => matchesCriteria(record, criteria));
+    },
+
+    async getBetween(key, from, to) {
+      return parseRows(await db.getAllAsync(
+        `SELECT data FROM ${tableFor(key)} WHERE record_date >= ? AND record_date < ? ORDER BY pos`,
+        [from, to]
+      ));
+    },
+
+    async put(key, records) {
+      if (records.length === 1) {
+        await writes.put(db, key, records);
+        return;
+      }
+      await inTransaction(txn => writes.put(txn, key, records));
+    },
+
+    remove: (key, ids) => inTransaction(txn => writes.remove(txn, key, ids)),
+
+    // A storage.transaction()'s writes, all or nothing
+    async commit(ops) {
+      await inTransaction(async (txn) => {
+        for (const op of ops) await writeOp(txn, op);
+      });
+    },
+  };
+};
+
+/**
+ * Copy every storage key from AsyncStorage into `backend`, then drop the
+ * AsyncStorage copies. Keys AsyncStorage doesn't have are cleared in the
+ * backend, so a move interrupted halfway is simply redone. The migration
+ * backup isn't moved — it only makes sense next to the data it was taken
+ * from.
+ */
+export const moveAsyncStorageData = async (backend) => {
+  const keys = Object.values(STORAGE_KEYS).filter(key => key !== STORAGE_KEYS.SCHEMA_BACKUP);
+  const pairs = await AsyncStorage.multiGet(keys);
+
+  let moved = 0;
+  for (const [key, raw] of pairs) {
+    if (raw === null) {
+      await backend.removeKey(key);
+      continue;
+    }
+    const value = JSON.parse(raw);
+    if (key in COLLECTIONS) {
+      await backend.replaceAll(key, value);
+    } else {
+      await backend.setValue(key, value);
+    }
+    moved++;
+  }
+
+  await AsyncStorage.setItem(MOVED_TO_SQLITE_KEY, new Date().toISOString());
+  await AsyncStorage.multiRemove(keys);
+  return moved;
+};
+
+// Backends by database name, so switching back to a user reuses their connection
+const openBackends = new Map();
+
+const openUserDatabase = async (userId) => {
+  const name = databaseNameFor(userId);
+  if (!openBackends.has(name)) {
+    const db = await SQLite.openDatabaseAsync(name);
+    await createSchema(db);
+    openBackends.set(name, createSqliteBackend(db));
+  }
+  return openBackends.get(name);
+};
+
+/**
+ * Open the SQLite store and make it the storage backend, moving AsyncStorage
+ * data over on the first run. Call once at startup, before anything reads
+ * storage.
+ */
+export const openLocalStore = async () => {
+  const alreadyMoved = !!(await AsyncStorage.getItem(MOVED_TO_SQLITE_KEY));
+
+  try {
+    const backend = await openUserDatabase(null);
+
+    if (!alreadyMoved) {
+      const moved = await moveAsyncStorageData(backend);
+      console.log(`✓ Moved ${moved} storage keys from AsyncStorage to SQLite`);
+    }
+    storage.useBackend(backend);
+    storage.openUserStore = openUserDatabase;
+    return backend.name;
+  } catch (error) {
+    if (alreadyMoved) {
+      // The data is in SQLite now; AsyncStorage would look like a fresh install
+      console.error('✗ Could not open the SQLite store:', error);
+      throw error;
+    }
+    console.error('✗ SQLite store unavailable, staying on AsyncStorage:', error);
+    return storage.backend.name;
+  }
+};
@@ -13,15 +13,413 @@ const STORAGE_KEYS = {
   LETTER_MASTERY: '@letter_mastery',
   SYNC_QUEUE: '@sync_queue',
   SYNC_META: '@sync_meta',
+  SYNC_HISTORY: '@sync_history',
+  SYNC_SETTINGS: '@sync_settings',
   USER_PROFILE: '@user_profile',
+  SCHEMA_VERSION: '@schema_version',
+  SCHEMA_BACKUP: '@schema_backup',
+};
+
+// Columns that never count as a coach edit for conflict detection
+const UNTRACKED_FIELDS = ['id', 'synced', 'created_at', 'updated_at'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Apply updates to a stored record, remembering which fields changed since
+ * the last sync along with their last-synced (base) value in _pending_fields.
+ * offlineSync uses the base to tell a clean field merge from a true conflict.
+ * Records that have never reached the server aren't tracked — their first
+ * push is a plain insert.
+ */
+const applyTrackedUpdates = (record, updates) => {
+  const onServer = record.synced !== false || !!record._pending_fields;
+  if (!onServer) return { ...record, ...updates };
+
+  const pending = { ...(record._pending_fields || {}) };
+  for (const [field, value] of Object.entries(updates)) {
+    if (UNTRACKED_FIELDS.includes(field) || field.startsWith('_')) continue;
+    if (field in pending) continue; // keep the base from the first edit
+    if (sameValue(record[field], value)) continue;
+    pending[field] = { base: record[field] ?? null };
+  }
+  return { ...record, ...updates, _pending_fields: pending };
+};
+
+// Record collections: arrays of rows with an id, stored row by row by the
+// SQLite backend. `dateField` is the column its date index covers.
+// Every other STORAGE_KEYS entry is a single JSON value.
+const COLLECTIONS = {
+  [STORAGE_KEYS.TIME_ENTRIES]: { dateField: 'sign_in_time' },
+  [STORAGE_KEYS.SESSIONS]: { dateField: 'session_date' },
+  [STORAGE_KEYS.CHILDREN]: { dateField: 'created_at' },
+  [STORAGE_KEYS.STAFF_CHILDREN]: { dateField: 'assigned_at' },
+  [STORAGE_KEYS.GROUPS]: { dateField: 'created_at' },
+  [STORAGE_KEYS.CHILDREN_GROUPS]: { dateField: 'created_at' },
+  [STORAGE_KEYS.SCHOOLS]: { dateField: 'created_at' },
+  [STORAGE_KEYS.CLASSES]: { dateField: 'created_at' },
+  [STORAGE_KEYS.ASSESSMENTS]: { dateField: 'date_assessed' },
+  [STORAGE_KEYS.LETTER_MASTERY]: { dateField: 'created_at' },
+};
+
+const isCollection = (key) => key in COLLECTIONS;
+
+// Query criteria are exact matches; `synced` compares the sync state
+// (anything but synced === false counts as synced)
+const matchesCriteria = (record, criteria) =>
+  Object.entries(criteria).every(([field, value]) =>
+    field === 'synced' ? (record.synced !== false) === value : record[field] === value
+  );
+
+// Upsert by id: existing records are replaced in place, new ones appended
+const upsertRecords = (all, records) => {
+  const result = [...all];
+  const indexById = new Map(result.map((r, index) => [r.id, index]));
+  for (const record of records) {
+    if (indexById.has(record.id)) {
+      result[indexById.get(record.id)] = record;
+    } else {
+      indexById.set(record.id, result.length);
+      result.push(record);
+    }
+  }
+  return result;
+};
+
+const withoutIds = (all, ids) => {
+  const idSet = new Set(ids);
+  return all.filter(r => !idSet.has(r.id));
+};
+
+/**
+ * Apply one buffered transaction write to a key's current value.
+ * Ops: { type: 'put'|'remove'|'replaceAll'|'setValue'|'removeKey', key, ... }
+ */
+const applyOp = (current, op) => {
+  switch (op.type) {
+    case 'put': return upsertRecords(current || [], op.records);
+    case 'remove': return withoutIds(current || [], op.ids);
+    case 'replaceAll': return op.records;
+    case 'setValue': return op.value;
+    case 'removeKey': return null;
+    default: throw new Error(`Unknown storage op: ${op.type}`);
+  }
+};
+
+/**
+ * Storage backend: where the data physically lives. Both backends expose
+ * the same row-level operations and storage methods only go through them.
+ * This one keeps each collection as one JSON array in AsyncStorage, so every
+ * operation reads (and writes) the whole array — the fallback when SQLite
+ * isn't available, and what tests run against. See sqliteStore.js.
+ *
+ * Each signed-in user's data lives under its own key prefix (see
+ * storage.switchUser); the unprefixed keys are data from before storage was
+ * per-user.
+ */
+const USER_KEY_PREFIX = '@user/';
+
+export const createAsyncStorageBackend = (prefix = '') => {
+  const at = (key) => prefix + key;
+  const readJSON = async (key) => {
+    const value = await AsyncStorage.getItem(at(key));
+    return value ? JSON.parse(value) : null;
+  };
+
+  return {
+    name: 'asyncstorage',
+
+    getValue: readJSON,
+
+    async setValue(key, value) {
+      await AsyncStorage.setItem(at(key), JSON.stringify(value));
+    },
+
+    async removeKey(key) {
+      await AsyncStorage.removeItem(at(key));
+    },
+
+    // Only this store's keys — other users' data stays
+    async clear() {
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key =>
+        prefix ? key.startsWith(prefix) : !key.startsWith(USER_KEY_PREFIX)
+      ));
+    },
+
+    // Whole collection in insertion order (null if never written)
+    getAll: readJSON,
+
+    async replaceAll(key, records) {
+      await this.setValue(key, records);
+    },
+
+    async getByIds(key, ids) {
+      const idSet = new Set(ids);
+      return (await readJSON(key) || []).filter(r => idSet.has(r.id));
+    },
+
+    async getWhere(key, criteria) {
+      return (await readJSON(key) || []).filter(r => matchesCriteria(r, criteria));
+    },
+
+    // Records whose date field is in [from, to)
+    async getBetween(key, from, to) {
+      const { dateField } = COLLECTIONS[key];
+      return (await readJSON(key) || []).filter(r =>
+        r[dateField] != null && r[dateField] >= from && r[dateField] < to
+      );
+    },
+
+    async put(key, records) {
+      await this.setValue(key, upsertRecords(await readJSON(key) || [], records));
+    },
+
+    async remove(key, ids) {
+      await this.setValue(key, withoutIds(await readJSON(key) || [], ids));
+    },
+
+    // Apply a transaction's writes with a single multiSet
+    async commit(ops) {
+      const values = new Map();
+      for (const op of ops) {
+        const current = values.has(op.key) ? values.get(op.key) : await readJSON(op.key);
+        values.set(op.key, applyOp(current, op));
+      }
+      const entries = [...values.entries()];
+      const writes = entries.filter(([, value]) => value !== null);
+      const removals = entries.filter(([, value]) => value === null).map(([key]) => at(key));
+      if (writes.length > 0) {
+        await AsyncStorage.multiSet(writes.map(([key, value]) => [at(key), JSON.stringify(value)]));
+      }
+      if (removals.length > 0) {
+        await AsyncStorage.multiRemove(removals);
+      }
+    },
+  };
+};
+
+export const asyncStorageBackend = createAsyncStorageBackend();
+
+/**
+ * Backend for the inside of storage.transaction(): writes are buffered as
+ * ops (and applied to an in-memory copy so the transaction reads its own
+ * writes) until the transaction commits them to `base` in one go.
+ */
+const createTransactionBackend = (base) => {
+  const ops = [];
+  const state = new Map();
+
+  const load = async (key) => {
+    if (!state.has(key)) {
+      state.set(key, isCollection(key) ? await base.getAll(key) : await base.getValue(key));
+    }
+    return state.get(key);
+  };
+  const record = async (op) => {
+    state.set(op.key, applyOp(await load(op.key), op));
+    ops.push(op);
+  };
+
+  return {
+    name: base.name,
+    ops,
+    getValue: load,
+    getAll: load,
+    setValue: (key, value) => record({ type: 'setValue', key, value }),
+    removeKey: (key) => record({ type: 'removeKey', key }),
+    replaceAll: (key, records) => record({ type: 'replaceAll', key, records }),
+    put: (key, records) => record({ type: 'put', key, records }),
+    remove: (key, ids) => record({ type: 'remove', key, ids }),
+    async clear() {
+      throw new Error('storage.clear() is not allowed inside a transaction');
+    },
+    async getByIds(key, ids) {
+      const idSet = new Set(ids);
+      return (await load(key) || []).filter(r => idSet.has(r.id));
+    },
+    async getWhere(key, criteria) {
+      return (await load(key) || []).filter(r => matchesCriteria(r, criteria));
+    },
+    async getBetween(key, from, to) {
+      const { dateField } = COLLECTIONS[key];
+      return (await load(key) || []).filter(r =>
+        r[dateField] != null && r[dateField] >= from && r[dateField] < to
+      );
+    },
+    // A nested transaction commits into this one
+    async commit(nestedOps) {
+      for (const op of nestedOps) await record(op);
+    },
+  };
+};
+
+/**
+ * Per-key write locks. Read-modify-write sequences hold the lock on every
+ * key they write, so e.g. a sync marking a child synced can't interleave
+ * with a coach editing it and drop one of the two writes.
+ *
+ * To rule out deadlocks, keys are locked in rank order — collections, then
+ * the outbox, then sync metadata, then anything else — and code holding a
+ * lock may only take locks of a higher rank. Keys needed together are
+ * locked together.
+ */
+const keyLocks = new Map(); // key -> promise that resolves when it's free
+
+const lockRank = (key) => {
+  if (isCollection(key)) return 0;
+  if (key === STORAGE_KEYS.SYNC_QUEUE) return 1;
+  if (key === STORAGE_KEYS.SYNC_META) return 2;
+  return 3;
+};
+
+const byLockOrder = (a, b) => lockRank(a) - lockRank(b) || a.localeCompare(b);
+
+const acquireKeyLock = async (key) => {
+  const previous = keyLocks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const chained = previous.then(() => current);
+  keyLocks.set(key, chained);
+  await previous;
+  return () => {
+    release();
+    if (keyLocks.get(key) === chained) keyLocks.delete(key);
+  };
+};
+
+/**
+ * Hand data from before storage was per-user to the user it belongs to: the
+ * one in its cached profile, or — with no profile — whoever signs in first.
+ * It's only moved into an empty store; nothing the user already has is
+ * overwritten. Returns the number of keys moved.
+ */
+const adoptUnownedData = async (from, to, userId) => {
+  const read = (backend, key) => (isCollection(key) ? backend.getAll(key) : backend.getValue(key));
+  const hasData = (value) => value !== null && !(Array.isArray(value) && value.length === 0);
+
+  const profile = await from.getValue(STORAGE_KEYS.USER_PROFILE);
+  if (profile?.id && profile.id !== userId) return 0;
+
+  const found = [];
+  for (const key of Object.values(STORAGE_KEYS)) {
+    const value = await read(from, key);
+    if (hasData(value)) found.push([key, value]);
+  }
+  if (found.length === 0) return 0;
+
+  for (const key of Object.values(STORAGE_KEYS)) {
+    if (hasData(await read(to, key))) {
+      console.warn(`⏭ Not moving shared local data to user ${userId}: they already have local data`);
+      return 0;
+    }
+  }
+
+  for (const [key, value] of found) {
+    if (isCollection(key)) {
+      await to.replaceAll(key, value);
+    } else {
+      await to.setValue(key, value);
+    }
+  }
+  for (const [key] of found) {
+    await from.removeKey(key);
+  }
+  console.log(`✓ Moved ${found.length} storage keys to user ${userId}`);
+  return found.length;
 };
 
 export const storage = {
-  // Generic get/set
+  backend: asyncStorageBackend,
+  // Whose data `backend` holds (null: nobody has signed in yet)
+  userId: null,
+  // Keys whose locks this scope holds (see locked())
+  heldKeys: new Set(),
+
+  // Opens the store holding one user's data (null: the shared, pre-user
+  // store). openLocalStore() replaces it when SQLite is available.
+  async openUserStore(userId) {
+    return userId ? createAsyncStorageBackend(`${USER_KEY_PREFIX}${userId}/`) : asyncStorageBackend;
+  },
+
+  // Switch where data lives (at startup, before anything reads storage)
+  useBackend(backend) {
+    this.backend = backend;
+  },
+
+  /**
+   * Point storage at `userId`'s own data. Coaches sharing a phone each get
+   * their own collections, outbox and sync metadata, so switching accounts
+   * never shows, syncs or loses another coach's unsynced work. Waits for
+   * in-flight writes; callers must make sure no sync is running and run
+   * storage migrations after — switchLocalUser in offlineSync.js does both
+   * through runExclusive.
+   */
+  async switchUser(userId) {
+    await this.locked(Object.values(STORAGE_KEYS), async () => {
+      if (userId === this.userId) return;
+      const backend = await this.openUserStore(userId);
+      if (userId) {
+        await adoptUnownedData(await this.openUserStore(null), backend, userId);
+      }
+      this.backend = backend;
+      this.userId = userId;
+    });
+  },
+
+  /**
+   * Run fn with write locks on `keys`. fn gets a scoped storage to make its
+   * calls through: the scope skips locks it already holds, so methods that
+   * lock can call each other.
+   */
+  async locked(keys, fn) {
+    const needed = [...new Set(keys)].filter(key => !this.heldKeys.has(key)).sort(byLockOrder);
+    if (needed.length === 0) return await fn(this);
+
+    const highestHeld = Math.max(-1, ...[...this.heldKeys].map(lockRank));
+    if (highestHeld >= lockRank(needed[0])) {
+      throw new Error(`Storage lock order: can't lock ${needed.join(', ')} while holding ${[...this.heldKeys].join(', ')}`);
+    }
+
+    const releases = [];
+    try {
+      for (const key of needed) releases.push(await acquireKeyLock(key));
+      const scope = Object.create(this);
+      scope.heldKeys = new Set([...this.heldKeys, ...needed]);
+      return await fn(scope);
+    } finally {
+      for (const release of releases.reverse()) release();
+    }
+  },
+
+  /**
+   * Run fn(tx) as one all-or-nothing write. `tx` has the whole storage API;
+   * its writes are buffered and land together once fn resolves, or not at
+   * all if fn throws. `tables` are the collections it writes — they're
+   * locked, with the outbox and sync metadata, until it's done.
+   * Rejects with fn's error, or the commit's if the write itself fails.
+   */
+  async transaction(tables, fn) {
+    const keys = tables.map(table => STORAGE_KEYS[table.toUpperCase()]);
+    return await this.locked(
+      [...keys, STORAGE_KEYS.SYNC_QUEUE, STORAGE_KEYS.SYNC_META],
+      async (scope) => {
+        const buffer = createTransactionBackend(scope.backend);
+        const tx = Object.create(scope);
+        tx.backend = buffer;
+        const result = await fn(tx);
+        await scope.backend.commit(buffer.ops);
+        return result;
+      }
+    );
+  },
+
+  // Generic get/set — a collection key reads/writes the whole collection
   async getItem(key) {
     try {
-      const value = await AsyncStorage.getItem(key);
-      return value ? JSON.parse(value) : null;
+      return isCollection(key)
+        ? await this.backend.getAll(key)
+        : await this.backend.getValue(key);
     } catch (error) {
       console.error(`Error getting ${key}:`, error);
       return null;
@@ -30,7 +428,13 @@ export const storage = {
 
   async setItem(key, value) {
     try {
-      await AsyncStorage.setItem(key, JSON.stringify(value));
+      await this.locked([key], async (s) => {
+        if (isCollection(key)) {
+          await s.backend.replaceAll(key, value);
+        } else {
+          await s.backend.setValue(key, value);
+        }
+      });
       return true;
     } catch (error) {
       console.error(`Error setting ${key}:`, error);
@@ -40,7 +444,7 @@ export const storage = {
 
   async removeItem(key) {
     try {
-      await AsyncStorage.removeItem(key);
+      await this.locked([key], s => s.backend.removeKey(key));
       return true;
     } catch (error) {
       console.error(`Error removing ${key}:`, error);
@@ -50,7 +454,7 @@ export const storage = {
 
   async clear() {
     try {
-      await AsyncStorage.clear();
+      await this.backend.clear();
       return true;
     } catch (error) {
       console.error('Error clearing storage:', error);
@@ -58,25 +462,74 @@ export const storage = {
     }
   },
 
+  // Row-level access to a collection — only touches the records involved
+  // (on the SQLite backend)
+  async queryRecords(key, criteria) {
+    try {
+      return await this.backend.getWhere(key, criteria);
+    } catch (error) {
+      console.error(`Error querying ${key}:`, error);
+      return [];
+    }
+  },
+
+  async getRecordsByIds(key, ids) {
+    if (ids.length === 0) return [];
+    try {
+      return await this.backend.getByIds(key, ids);
+    } catch (error) {
+      console.error(`Error getting records from ${key}:`, error);
+      return [];
+    }
+  },
+
+  async putRecords(key, records) {
+    if (records.length === 0) return true;
+    try {
+      await this.locked([key], s => s.backend.put(key, records));
+      return true;
+    } catch (error) {
+      console.error(`Error saving records to ${key}:`, error);
+      return false;
+    }
+  },
+
+  async deleteRows(key, ids) {
+    if (ids.length === 0) return true;
+    try {
+      await this.locked([key], s => s.backend.remove(key, ids));
+      return true;
+    } catch (error) {
+      console.error(`Error removing records from ${key}:`, error);
+      return false;
+    }
+  },
+
+  // Records of a table dated in [from, to), using the collection's date index
+  async getRecordsBetween(table, from, to) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return [];
+    try {
+      return await this.backend.getBetween(key, from, to);
+    } catch (error) {
+      console.error(`Error getting ${key} between dates:`, error);
+      return [];
+    }
+  },
+
   // Time entries
   async getTimeEntries() {
     return await this.getItem(STORAGE_KEYS.TIME_ENTRIES) || [];
   },
 
   async saveTimeEntry(entry) {
-    const entries = await this.getTimeEntries();
-    entries.push(entry);
-    return await this.setItem(STORAGE_KEYS.TIME_ENTRIES, entries);
+    const saved = await this.putRecords(STORAGE_KEYS.TIME_ENTRIES, [entry]);
+    if (saved) await this.logWrite('TIME_ENTRIES', 'create', entry);
+    return saved;
   },
 
   async updateTimeEntry(id, updates) {
-    const entries = await this.getTimeEntries();
-    const index = entries.findIndex(e => e.id === id);
-    if (index !== -1) {
-      entries[index] = { ...entries[index], ...updates };
-      return await this.setItem(STORAGE_KEYS.TIME_ENTRIES, entries);
-    }
-    return false;
+    return await this.updateTrackedRecord('TIME_ENTRIES', id, updates);
   },
 
   // Sessions
@@ -85,9 +538,9 @@ export const storage = {
   },
 
   async saveSession(session) {
-    const sessions = await this.getSessions();
-    sessions.push(session);
-    return await this.setItem(STORAGE_KEYS.SESSIONS, sessions);
+    const saved = await this.putRecords(STORAGE_KEYS.SESSIONS, [session]);
+    if (saved) await this.logWrite('SESSIONS', 'create', session);
+    return saved;
   },
 
   // Children
@@ -96,24 +549,17 @@ export const storage = {
   },
 
   async saveChild(child) {
-    const children = await this.getChildren();
-    children.push(child);
-    return await this.setItem(STORAGE_KEYS.CHILDREN, children);
+    const saved = await this.putRecords(STORAGE_KEYS.CHILDREN, [child]);
+    if (saved) await this.logWrite('CHILDREN', 'create', child);
+    return saved;
   },
 
   async updateChild(id, updates) {
-    const children = await this.getChildren();
-    const index = children.findIndex(c => c.id === id);
-    if (index !== -1) {
-      children[index] = { ...children[index], ...updates };
-      return await this.setItem(STORAGE_KEYS.CHILDREN, children);
-    }
-    return false;
+    return await this.updateTrackedRecord('CHILDREN', id, updates);
   },
 
   async getUnsyncedChildren() {
-    const children = await this.getChildren();
-    return children.filter(c => c.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.CHILDREN, { synced: false });
   },
 
   // Staff-children junction (many-to-many assignments)
@@ -122,22 +568,21 @@ export const storage = {
   },
 
   async saveStaffChild(assignment) {
-    const assignments = await this.getStaffChildren();
-    assignments.push(assignment);
-    return await this.setItem(STORAGE_KEYS.STAFF_CHILDREN, assignments);
+    const saved = await this.putRecords(STORAGE_KEYS.STAFF_CHILDREN, [assignment]);
+    if (saved) await this.logWrite('STAFF_CHILDREN', 'create', assignment);
+    return saved;
   },
 
   async deleteStaffChild(staffId, childId) {
-    const assignments = await this.getStaffChildren();
-    const filtered = assignments.filter(
-      a => !(a.staff_id === staffId && a.child_id === childId)
-    );
-    return await this.setItem(STORAGE_KEYS.STAFF_CHILDREN, filtered);
+    const assignments = await this.queryRecords(STORAGE_KEYS.STAFF_CHILDREN, { child_id: childId });
+    const ids = assignments
+      .filter(a => a.staff_id === staffId)
+      .map(a => a.id);
+    return await this.softDelete('STAFF_CHILDREN', ids);
   },
 
   async getUnsyncedStaffChildren() {
-    const assignments = await this.getStaffChildren();
-    return assignments.filter(a => a.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.STAFF_CHILDREN, { synced: false });
   },
 
   // Groups
@@ -146,30 +591,21 @@ export const storage = {
   },
 
   async saveGroup(group) {
-    const groups = await this.getGroups();
-    groups.push(group);
-    return await this.setItem(STORAGE_KEYS.GROUPS, groups);
+    const saved = await this.putRecords(STORAGE_KEYS.GROUPS, [group]);
+    if (saved) await this.logWrite('GROUPS', 'create', group);
+    return saved;
   },
 
   async updateGroup(id, updates) {
-    const groups = await this.getGroups();
-    const index = groups.findIndex(g => g.id === id);
-    if (index !== -1) {
-      groups[index] = { ...groups[index], ...updates };
-      return await this.setItem(STORAGE_KEYS.GROUPS, groups);
-    }
-    return false;
+    return await this.updateTrackedRecord('GROUPS', id, updates);
   },
 
   async deleteGroup(id) {
-    const groups = await this.getGroups();
-    const filtered = groups.filter(g => g.id !== id);
-    return await this.setItem(STORAGE_KEYS.GROUPS, filtered);
+    return await this.softDelete('GROUPS', [id]);
   },
 
   async getUnsyncedGroups() {
-    const groups = await this.getGroups();
-    return groups.filter(g => g.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.GROUPS, { synced: false });
   },
 
   // Children-groups junction (many-to-many memberships)
@@ -178,22 +614,21 @@ export const storage = {
   },
 
   async saveChildrenGroup(membership) {
-    const memberships = await this.getChildrenGroups();
-    memberships.push(membership);
-    return await this.setItem(STORAGE_KEYS.CHILDREN_GROUPS, memberships);
+    const saved = await this.putRecords(STORAGE_KEYS.CHILDREN_GROUPS, [membership]);
+    if (saved) await this.logWrite('CHILDREN_GROUPS', 'create', membership);
+    return saved;
   },
 
   async deleteChildrenGroup(childId, groupId) {
-    const memberships = await this.getChildrenGroups();
-    const filtered = memberships.filter(
-      m => !(m.child_id === childId && m.group_id === groupId)
-    );
-    return await this.setItem(STORAGE_KEYS.CHILDREN_GROUPS, filtered);
+    const memberships = await this.queryRecords(STORAGE_KEYS.CHILDREN_GROUPS, { child_id: childId });
+    const ids = memberships
+      .filter(m => m.group_id === groupId)
+      .map(m => m.id);
+    return await this.softDelete('CHILDREN_GROUPS', ids);
   },
 
   async getUnsyncedChildrenGroups() {
-    const memberships = await this.getChildrenGroups();
-    return memberships.filter(m => m.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.CHILDREN_GROUPS, { synced: false });
   },
 
   // Schools (read-only cache — admin-managed, not synced by workers)
@@ -211,30 +646,21 @@ export const storage = {
   },
 
   async saveClass(classData) {
-    const classes = await this.getClasses();
-    classes.push(classData);
-    return await this.setItem(STORAGE_KEYS.CLASSES, classes);
+    const saved = await this.putRecords(STORAGE_KEYS.CLASSES, [classData]);
+    if (saved) await this.logWrite('CLASSES', 'create', classData);
+    return saved;
   },
 
   async updateClass(id, updates) {
-    const classes = await this.getClasses();
-    const index = classes.findIndex(c => c.id === id);
-    if (index !== -1) {
-      classes[index] = { ...classes[index], ...updates };
-      return await this.setItem(STORAGE_KEYS.CLASSES, classes);
-    }
-    return false;
+    return await this.updateTrackedRecord('CLASSES', id, updates);
   },
 
   async deleteClass(id) {
-    const classes = await this.getClasses();
-    const filtered = classes.filter(c => c.id !== id);
-    return await this.setItem(STORAGE_KEYS.CLASSES, filtered);
+    return await this.softDelete('CLASSES', [id]);
   },
 
   async getUnsyncedClasses() {
-    const classes = await this.getClasses();
-    return classes.filter(c => c.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.CLASSES, { synced: false });
   },
 
   // Assessments
@@ -243,14 +669,13 @@ export const storage = {
   },
 
   async saveAssessment(assessment) {
-    const assessments = await this.getAssessments();
-    assessments.push(assessment);
-    return await this.setItem(STORAGE_KEYS.ASSESSMENTS, assessments);
+    const saved = await this.putRecords(STORAGE_KEYS.ASSESSMENTS, [assessment]);
+    if (saved) await this.logWrite('ASSESSMENTS', 'create', assessment);
+    return saved;
   },
 
   async getUnsyncedAssessments() {
-    const assessments = await this.getAssessments();
-    return assessments.filter(a => a.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.ASSESSMENTS, { synced: false });
   },
 
   // Letter mastery (coach-taught records; assessment mastery is computed on-the-fly)
@@ -259,64 +684,247 @@ export const storage = {
   },
 
   async saveLetterMasteryRecord(record) {
-    const records = await this.getLetterMastery();
-    records.push(record);
-    return await this.setItem(STORAGE_KEYS.LETTER_MASTERY, records);
+    const saved = await this.putRecords(STORAGE_KEYS.LETTER_MASTERY, [record]);
+    if (saved) await this.logWrite('LETTER_MASTERY', 'create', record);
+    return saved;
   },
 
   async updateLetterMasteryRecord(id, updates) {
-    const records = await this.getLetterMastery();
-    const index = records.findIndex(r => r.id === id);
-    if (index !== -1) {
-      records[index] = { ...records[index], ...updates };
-      return await this.setItem(STORAGE_KEYS.LETTER_MASTERY, records);
-    }
-    return false;
-  },
-
-  async removeLetterMasteryRecord(id) {
-    const records = await this.getLetterMastery();
-    const filtered = records.filter(r => r.id !== id);
-    return await this.setItem(STORAGE_KEYS.LETTER_MASTERY, filtered);
+    return await this.updateTrackedRecord('LETTER_MASTERY', id, updates);
   },
 
   async getUnsyncedLetterMastery() {
-    const records = await this.getLetterMastery();
-    return records.filter(r => r.synced === false);
+    return await this.queryRecords(STORAGE_KEYS.LETTER_MASTERY, { synced: false });
   },
 
   // Generic methods for sync operations
   async getUnsyncedRecords(table) {
     const key = STORAGE_KEYS[table.toUpperCase()];
     if (!key) return [];
-    const records = await this.getItem(key) || [];
-    return records.filter(record => record.synced === false);
+    return await this.queryRecords(key, { synced: false });
   },
 
   async markAsSynced(table, id) {
+    return await this.markManyAsSynced(table, [id]);
+  },
+
+  async markManyAsSynced(table, ids) {
     const key = STORAGE_KEYS[table.toUpperCase()];
-    if (!key) return false;
+    if (!key || ids.length === 0) return false;
+
+    return await this.locked([key], async (s) => {
+      const records = await s.getRecordsByIds(key, ids);
+      if (records.length === 0) return false;
+      return await s.putRecords(key, records.map(({ _pending_fields, ...record }) => ({
+        ...record,
+        synced: true,
+      })));
+    });
+  },
 
-    const records = await this.getItem(key) || [];
-    const index = records.findIndex(r => r.id === id);
-    if (index !== -1) {
-      records[index].synced = true;
-      return await this.setItem(key, records);
-    }
-    return false;
+  async getRecordById(table, id) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return null;
+
+    const [record] = await this.getRecordsByIds(key, [id]);
+    return record || null;
   },
 
   async markAsUnsynced(table, id) {
     const key = STORAGE_KEYS[table.toUpperCase()];
     if (!key) return false;
 
-    const records = await this.getItem(key) || [];
-    const index = records.findIndex(r => r.id === id);
-    if (index !== -1) {
-      records[index].synced = false;
-      return await this.setItem(key, records);
-    }
-    return false;
+    return await this.locked([key], async (s) => {
+      const record = await s.getRecordById(table, id);
+      if (!record) return false;
+
+      const updated = { ...record, synced: false };
+      const saved = await s.putRecords(key, [updated]);
+      if (saved) await s.logWrite(table, 'update', updated);
+      return saved;
+    });
+  },
+
+  // Tracked update by id (see applyTrackedUpdates), logged to the outbox
+  async updateTrackedRecord(table, id, updates) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return false;
+
+    return await this.locked([key], async (s) => {
+      const record = await s.getRecordById(table, id);
+      if (!record) return false;
+
+      const updated = applyTrackedUpdates(record, updates);
+      const saved = await s.putRecords(key, [updated]);
+      if (saved) await s.logWrite(table, 'update', updated);
+      return saved;
+    });
+  },
+
+  /**
+   * Merge rows fetched from the server into a local collection.
+   * Server rows are authoritative, except where the local copy has unsynced
+   * edits (synced === false) — those win until they've been pushed.
+   * Local records the server didn't return are kept, and existing records
+   * are updated in place so delta pulls don't reshuffle the collection.
+   *
+   * @param {string[]} matchColumns - Natural-key columns (the table's
+   *   onConflict target) used to match rows that were created on two devices
+   *   with different ids, so the same letter/membership isn't stored twice.
+   * @returns {Object[]} the merged collection
+   */
+  async mergeServerRecords(table, serverRecords, matchColumns = []) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return [];
+
+    const naturalKey = (r) => matchColumns.map(col => r[col]).join('|');
+
+    return await this.locked([key], async (s) => {
+      const pending = await s.queryRecords(key, { synced: false });
+      const pendingIds = new Set(pending.map(r => r.id));
+      const pendingNaturalKeys = new Set(matchColumns.length > 0 ? pending.map(naturalKey) : []);
+
+      const incoming = serverRecords
+        .filter(r => !pendingIds.has(r.id) && !pendingNaturalKeys.has(naturalKey(r)))
+        .map(r => ({ ...r, synced: true }));
+
+      if (matchColumns.length > 0 && incoming.length > 0) {
+        // A synced local copy of the same natural key is superseded by the server row
+        const incomingIds = new Set(incoming.map(r => r.id));
+        const incomingNaturalKeys = new Set(incoming.map(naturalKey));
+        const superseded = (await s.queryRecords(key, { synced: true }))
+          .filter(r => !incomingIds.has(r.id) && incomingNaturalKeys.has(naturalKey(r)));
+        await s.deleteRows(key, superseded.map(r => r.id));
+      }
+      await s.putRecords(key, incoming);
+
+      return await s.getItem(key) || [];
+    });
+  },
+
+  /**
+   * Drop records the server has deleted (tombstones). Records with unsynced
+   * local edits are kept — the coach's pending change wins until pushed.
+   * @returns {number} how many records were removed
+   */
+  async removeSyncedRecords(table, ids) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key || ids.length === 0) return 0;
+
+    return await this.locked([key], async (s) => {
+      const removable = (await s.getRecordsByIds(key, ids))
+        .filter(r => r.synced !== false)
+        .map(r => r.id);
+      if (removable.length === 0) return 0;
+      return await s.deleteRows(key, removable) ? removable.length : 0;
+    });
+  },
+
+  // Hard-remove records by id (e.g. after the server confirmed a delete)
+  async removeRecords(table, ids) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key || ids.length === 0) return false;
+
+    const saved = await this.deleteRows(key, ids);
+    // Nothing left to replay for a record that no longer exists
+    await this.removeFromSyncQueue(table, ids);
+    return saved;
+  },
+
+  /**
+   * Tombstone records: they stay in storage flagged _deleted (hidden by the
+   * UI) until offlineSync deletes them on the server and hard-removes them.
+   * Until then restoreDeleted can undo the delete.
+   */
+  async softDelete(table, ids) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return false;
+    if (ids.length === 0) return true;
+
+    const deletedAt = new Date().toISOString();
+    return await this.locked([key], async (s) => {
+      const deleted = (await s.getRecordsByIds(key, ids))
+        .filter(record => !record._deleted)
+        .map(record => ({
+          ...record,
+          _deleted: true,
+          _deleted_at: deletedAt,
+          _synced_before_delete: record.synced !== false,
+          synced: false,
+        }));
+      const saved = await s.putRecords(key, deleted);
+      if (saved) {
+        for (const record of deleted) await s.logWrite(table, 'delete', record);
+      }
+      return saved;
+    });
+  },
+
+  // Undo softDelete for records whose delete hasn't reached the server yet
+  async restoreDeleted(table, ids) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return false;
+
+    return await this.locked([key], async (s) => {
+      const restored = (await s.getRecordsByIds(key, ids))
+        .filter(record => record._deleted)
+        .map(({ _deleted, _deleted_at, _synced_before_delete, ...rest }) => ({
+          ...rest,
+          // A record that was in sync before the delete is still in sync now
+          synced: !!_synced_before_delete,
+        }));
+      if (restored.length === 0) return false;
+
+      const restoredIds = restored.map(record => record.id);
+      await s.putRecords(key, restored);
+      await s.removeFromSyncQueue(table, restoredIds, { op: 'delete' });
+      await s.clearSyncState(table, restoredIds);
+      return true;
+    });
+  },
+
+  // Plain (untracked) update by id — for applying a value the server already has
+  async updateRecord(table, id, updates) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return false;
+
+    return await this.locked([key], async (s) => {
+      const existing = await s.getRecordById(table, id);
+      if (!existing) return false;
+
+      const record = { ...existing, ...updates };
+      if (record._pending_fields) {
+        const pending = { ...record._pending_fields };
+        for (const field of Object.keys(updates)) delete pending[field];
+        record._pending_fields = pending;
+      }
+      return await s.putRecords(key, [record]);
+    });
+  },
+
+  /**
+   * Re-queue one field with an explicit base — used when the coach keeps
+   * their value in a conflict, so the next push overwrites the server value.
+   */
+  async requeueField(table, id, field, value, base) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    if (!key) return false;
+
+    return await this.locked([key], async (s) => {
+      const existing = await s.getRecordById(table, id);
+      if (!existing) return false;
+
+      const record = {
+        ...existing,
+        [field]: value,
+        updated_at: new Date().toISOString(),
+        synced: false,
+        _pending_fields: { ...(existing._pending_fields || {}), [field]: { base } },
+      };
+      const saved = await s.putRecords(key, [record]);
+      if (saved) await s.logWrite(table, 'update', record);
+      return saved;
+    });
   },
 
   async getAllUnsyncedCount() {
@@ -331,21 +939,102 @@ export const storage = {
     return totalCount;
   },
 
-  // Sync queue
+  /**
+   * Sync queue (outbox) — ordered log of local writes. offlineSync replays it
+   * in order, so a parent is always pushed before records created after it.
+   * Entry: { seq, table, id, op: 'create'|'update'|'delete', record?, queuedAt }
+   * `record` is the row as created; later state is read from the collection.
+   */
   async getSyncQueue() {
     return await this.getItem(STORAGE_KEYS.SYNC_QUEUE) || [];
   },
 
-  async addToSyncQueue(item) {
-    const queue = await this.getSyncQueue();
-    queue.push(item);
-    return await this.setItem(STORAGE_KEYS.SYNC_QUEUE, queue);
+  async addToSyncQueue(table, id, op, record) {
+    return await this.locked([STORAGE_KEYS.SYNC_QUEUE], async (s) => {
+      const queue = await s.getSyncQueue();
+      const seq = queue.length > 0 ? queue[queue.length - 1].seq + 1 : 1;
+      queue.push({
+        seq,
+        table,
+        id,
+        op,
+        ...(record ? { record } : {}),
+        // Who made the change — syncAll never pushes another user's writes
+        ...(this.userId ? { userId: this.userId } : {}),
+        queuedAt: new Date().toISOString(),
+      });
+      return await s.setItem(STORAGE_KEYS.SYNC_QUEUE, queue);
+    });
+  },
+
+  // Log a local write, unless it left the record in sync (e.g. a cached server row)
+  async logWrite(table, op, record) {
+    if (record.synced !== false) return true;
+    return await this.addToSyncQueue(table, record.id, op, op === 'create' ? record : undefined);
+  },
+
+  /**
+   * Drop queue entries for records — all of them, or only those up to
+   * `throughSeq` and/or of one `op` kind.
+   */
+  async removeFromSyncQueue(table, ids, { throughSeq = null, op = null } = {}) {
+    const idSet = new Set(ids);
+    return await this.locked([STORAGE_KEYS.SYNC_QUEUE], async (s) => {
+      const queue = await s.getSyncQueue();
+      const kept = queue.filter(entry =>
+        !(entry.table === table &&
+          idSet.has(entry.id) &&
+          (throughSeq === null || entry.seq <= throughSeq) &&
+          (op === null || entry.op === op))
+      );
+      if (kept.length === queue.length) return true;
+      return await s.setItem(STORAGE_KEYS.SYNC_QUEUE, kept);
+    });
+  },
+
+  /**
+   * A replayed entry landed: drop it (and anything older for the same
+   * records), then mark synced the records with nothing left in the queue.
+   * Both are locked together, so an edit made meanwhile can't be marked
+   * synced before it's pushed.
+   */
+  async completeSyncOps(table, ids, throughSeq) {
+    const key = STORAGE_KEYS[table.toUpperCase()];
+    return await this.locked([key, STORAGE_KEYS.SYNC_QUEUE], async (s) => {
+      await s.removeFromSyncQueue(table, ids, { throughSeq });
+      const queue = await s.getSyncQueue();
+      const stillQueued = new Set(queue.filter(e => e.table === table).map(e => e.id));
+      return await s.markManyAsSynced(table, ids.filter(id => !stillQueued.has(id)));
+    });
   },
 
-  async removeFromSyncQueue(id) {
-    const queue = await this.getSyncQueue();
-    const filtered = queue.filter(item => item.id !== id);
-    return await this.setItem(STORAGE_KEYS.SYNC_QUEUE, filtered);
+  /**
+   * Log unsynced records that have no queue entry — data written before the
+   * outbox existed, or by code that bypassed the helpers. Appended in the
+   * order of `tables`, which callers pass parents-first.
+   */
+  async backfillSyncQueue(tables) {
+    return await this.locked([STORAGE_KEYS.SYNC_QUEUE], async (s) => {
+      const queue = await s.getSyncQueue();
+      const queued = new Set(queue.map(e => `${e.table}_${e.id}`));
+      let seq = queue.length > 0 ? queue[queue.length - 1].seq : 0;
+      const queuedAt = new Date().toISOString();
+      let added = 0;
+
+      for (const table of tables) {
+        for (const record of await s.getUnsyncedRecords(table)) {
+          if (queued.has(`${table}_${record.id}`)) continue;
+          seq++;
+          queue.push({ seq, table, id: record.id, op: record._deleted ? 'delete' : 'update', queuedAt });
+          added++;
+        }
+      }
+
+      if (added > 0) {
+        await s.setItem(STORAGE_KEYS.SYNC_QUEUE, queue);
+      }
+      return added;
+    });
   },
 
   async clearSyncQueue() {
@@ -368,8 +1057,13 @@ export const storage = {
         STORAGE_KEYS.LETTER_MASTERY,
         STORAGE_KEYS.SYNC_QUEUE,
         STORAGE_KEYS.SYNC_META,
+        STORAGE_KEYS.SYNC_HISTORY,
       ];
-      await AsyncStorage.multiRemove(domainKeys);
+      await this.locked(domainKeys, async (s) => {
+        for (const key of domainKeys) {
+          await s.backend.removeKey(key);
+        }
+      });
       return true;
     } catch (error) {
       console.error('Error clearing domain data:', error);
@@ -399,17 +1093,24 @@ export const storage = {
     };
   },
 
+  // Read-modify-write of sync metadata under its lock; mutate edits in place
+  async updateMeta(mutate) {
+    return await this.locked([STORAGE_KEYS.SYNC_META], async (s) => {
+      const meta = await s.getSyncMeta();
+      mutate(meta);
+      return await s.setItem(STORAGE_KEYS.SYNC_META, meta);
+    });
+  },
+
   async updateSyncMeta(updates) {
-    const currentMeta = await this.getSyncMeta();
-    const newMeta = { ...currentMeta, ...updates };
-    return await this.setItem(STORAGE_KEYS.SYNC_META, newMeta);
+    return await this.updateMeta(meta => Object.assign(meta, updates));
   },
 
   async recordRetryAttempt(table, id) {
-    const meta = await this.getSyncMeta();
     const key = `${table}_${id}`;
-    meta.retryAttempts[key] = (meta.retryAttempts[key] || 0) + 1;
-    return await this.setItem(STORAGE_KEYS.SYNC_META, meta);
+    return await this.updateMeta(meta => {
+      meta.retryAttempts[key] = (meta.retryAttempts[key] || 0) + 1;
+    });
   },
 
   async getRetryAttempts(table, id) {
@@ -419,18 +1120,45 @@ export const storage = {
   },
 
   async clearRetryAttempts(table, id) {
-    const meta = await this.getSyncMeta();
     const key = `${table}_${id}`;
-    delete meta.retryAttempts[key];
-    return await this.setItem(STORAGE_KEYS.SYNC_META, meta);
+    return await this.updateMeta(meta => {
+      delete meta.retryAttempts[key];
+      if (meta.nextAttemptAt) delete meta.nextAttemptAt[key];
+    });
+  },
+
+  // Retry scheduling (when a failed record is next due for another attempt)
+  async setNextAttemptAt(table, id, isoTime) {
+    return await this.updateMeta(meta => {
+      if (!meta.nextAttemptAt) meta.nextAttemptAt = {};
+      meta.nextAttemptAt[`${table}_${id}`] = isoTime;
+    });
+  },
+
+  async getNextAttemptAt(table, id) {
+    const meta = await this.getSyncMeta();
+    return meta.nextAttemptAt?.[`${table}_${id}`] || null;
+  },
+
+  // Delta pull cursors (per-table server updated_at high-water marks)
+  async getPullCursor(table) {
+    const meta = await this.getSyncMeta();
+    return meta.pullCursors?.[table] || null;
+  },
+
+  async setPullCursor(table, cursor) {
+    return await this.updateMeta(meta => {
+      if (!meta.pullCursors) meta.pullCursors = {};
+      meta.pullCursors[table] = cursor;
+    });
   },
 
   // Last sync error tracking (stores the actual Supabase error per record)
   async setLastSyncError(table, id, errorMsg) {
-    const meta = await this.getSyncMeta();
-    if (!meta.lastErrors) meta.lastErrors = {};
-    meta.lastErrors[`${table}_${id}`] = errorMsg;
-    return await this.setItem(STORAGE_KEYS.SYNC_META, meta);
+    return await this.updateMeta(meta => {
+      if (!meta.lastErrors) meta.lastErrors = {};
+      meta.lastErrors[`${table}_${id}`] = errorMsg;
+    });
   },
 
   async getLastSyncError(table, id) {
@@ -439,39 +1167,113 @@ export const storage = {
   },
 
   async clearLastSyncError(table, id) {
-    const meta = await this.getSyncMeta();
-    if (meta.lastErrors) {
-      delete meta.lastErrors[`${table}_${id}`];
-      return await this.setItem(STORAGE_KEYS.SYNC_META, meta);
-    }
-    return true;
+    return await this.updateMeta(meta => {
+      if (meta.lastErrors) delete meta.lastErrors[`${table}_${id}`];
+    });
   },
 
-  // Failed items persistence
-  async addFailedItem(table, id, reason) {
-    const meta = await this.getSyncMeta();
-    const existingIndex = meta.failedItems.findIndex(
-      item => item.table === table && item.id === id
-    );
-    const entry = { table, id, reason, failedAt: new Date().toISOString() };
+  // Clear retry count and last error for many records in one metadata write
+  async clearSyncState(table, ids) {
+    return await this.updateMeta(meta => {
+      for (const id of ids) {
+        delete meta.retryAttempts[`${table}_${id}`];
+        if (meta.lastErrors) delete meta.lastErrors[`${table}_${id}`];
+        if (meta.nextAttemptAt) delete meta.nextAttemptAt[`${table}_${id}`];
+      }
+    });
+  },
 
-    if (existingIndex !== -1) {
-      meta.failedItems[existingIndex] = entry;
-    } else {
-      meta.failedItems.push(entry);
-    }
+  // Field conflicts (same field edited locally and on the server)
+  async addConflicts(conflicts) {
+    if (conflicts.length === 0) return true;
+    return await this.updateMeta(meta => {
+      const existing = (meta.conflicts || []).filter(c =>
+        !conflicts.some(n => n.table === c.table && n.id === c.id && n.field === c.field)
+      );
+      meta.conflicts = [...existing, ...conflicts];
+    });
+  },
+
+  async removeConflict(table, id, field) {
+    return await this.updateMeta(meta => {
+      meta.conflicts = (meta.conflicts || []).filter(
+        c => !(c.table === table && c.id === id && c.field === field)
+      );
+    });
+  },
+
+  // Automatic repair of quarantined records. repairCounts outlives the
+  // capped log so the per-record attempt limit still holds.
+  async appendRepairLog(actions, limit) {
+    return await this.updateMeta(meta => {
+      meta.repairCounts = meta.repairCounts || {};
+      for (const action of actions) {
+        const key = `${action.table}_${action.id}`;
+        meta.repairCounts[key] = (meta.repairCounts[key] || 0) + 1;
+      }
+      meta.repairLog = [...(meta.repairLog || []), ...actions].slice(-limit);
+    });
+  },
+
+  // Sync run history (newest last), for diagnosing "it didn't sync"
+  async getSyncHistory() {
+    return await this.getItem(STORAGE_KEYS.SYNC_HISTORY) || [];
+  },
+
+  async appendSyncRun(run, limit) {
+    return await this.locked([STORAGE_KEYS.SYNC_HISTORY], async (s) => {
+      const history = await s.getSyncHistory();
+      return await s.setItem(STORAGE_KEYS.SYNC_HISTORY, [...history, run].slice(-limit));
+    });
+  },
 
-    return await this.setItem(STORAGE_KEYS.SYNC_META, meta);
+  // Coach's sync preferences (see syncPolicy.js); kept when domain data is cleared
+  async getSyncSettings() {
+    return { dataSaver: false, ...await this.getItem(STORAGE_KEYS.SYNC_SETTINGS) };
+  },
+
+  async updateSyncSettings(updates) {
+    return await this.locked([STORAGE_KEYS.SYNC_SETTINGS], async (s) => {
+      const settings = await s.getSyncSettings();
+      return await s.setItem(STORAGE_KEYS.SYNC_SETTINGS, { ...settings, ...updates });
+    });
+  },
+
+  // Failed items persistence
+  async addFailedItem(table, id, reason, code = null) {
+    const entry = { table, id, reason, code, failedAt: new Date().toISOString() };
+    return await this.updateMeta(meta => {
+      const existingIndex = meta.failedItems.findIndex(
+        item => item.table === table && item.id === id
+      );
+      if (existingIndex !== -1) {
+        meta.failedItems[existingIndex] = entry;
+      } else {
+        meta.failedItems.push(entry);
+      }
+    });
   },
 
   async removeFailedItem(table, id) {
-    const meta = await this.getSyncMeta();
-    meta.failedItems = meta.failedItems.filter(
-      item => !(item.table === table && item.id === id)
-    );
-    delete meta.retryAttempts[`${table}_${id}`];
-    return await this.setItem(STORAGE_KEYS.SYNC_META, meta);
+    return await this.updateMeta(meta => {
+      meta.failedItems = meta.failedItems.filter(
+        item => !(item.table === table && item.id === id)
+      );
+      delete meta.retryAttempts[`${table}_${id}`];
+      if (meta.nextAttemptAt) delete meta.nextAttemptAt[`${table}_${id}`];
+    });
+  },
+
+  // Audit log of failed items the coach discarded, newest last
+  async addDiscardedItem(entry, limit = 100) {
+    return await this.updateMeta(meta => {
+      meta.discardedItems = [...(meta.discardedItems || []), entry].slice(-limit);
+    });
+  },
+
+  async getDiscardedItems() {
+    return (await this.getSyncMeta()).discardedItems || [];
   },
 };
 
-export { STORAGE_KEYS };
+export { STORAGE_KEYS, COLLECTIONS, matchesCriteria };
@@ -0,0 +1,172 @@
+/**
+ * Local Storage Migrations
+ *
+ * Local data has a schema version (@schema_version).
+ * Each time the shape of local data changes, add a step to MIGRATIONS with
+ * the next version number — never edit or reorder a step that has shipped.
+ *
+ * runStorageMigrations() runs on the open user store each time storage
+ * switches to a user (switchLocalUser in offlineSync.js), before any context
+ * reads it — so every coach's store on a shared phone is migrated:
+ *   1. Copies every data key to a backup (@schema_backup/<key>)
+ *   2. Runs the pending steps in order, recording the version after each
+ *   3. If a step throws, restores the backup and leaves the version where it
+ *      was — the app carries on with the previous data and the next switch
+ *      to that user tries again
+ * The backup is kept until the next migration run, so a bad step that
+ * "succeeded" can still be undone with restoreStorageBackup().
+ */
+
+import { storage, STORAGE_KEYS, COLLECTIONS } from './storage';
+
+export const BACKUP_PREFIX = '@schema_backup/';
+
+// Everything a migration may touch (the version marker and backup aside)
+const DATA_KEYS = Object.entries(STORAGE_KEYS)
+  .filter(([name]) => name !== 'SCHEMA_VERSION' && name !== 'SCHEMA_BACKUP')
+  .map(([, key]) => key);
+
+// storage.setItem reports failure by returning false; a step must not
+// carry on (or be recorded as applied) after a write that didn't happen
+const write = async (key, value) => {
+  if (!(await storage.setItem(key, value))) {
+    throw new Error(`Could not write ${key}`);
+  }
+};
+
+/**
+ * Ordered migration steps. `up` must cope with an empty store (fresh
+ * installs run every step) and with data already in the new shape.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'drop_assigned_staff_id',
+    // Server migration 04 dropped children.assigned_staff_id (replaced by
+    // staff_children). Unsynced children still carrying it fail the upsert.
+    up: async () => {
+      const children = await storage.getChildren();
+      if (!children.some(child => 'assigned_staff_id' in child)) return;
+      await write(
+        STORAGE_KEYS.CHILDREN,
+        children.map(({ assigned_staff_id, ...child }) => child)
+      );
+    },
+  },
+  {
+    version: 2,
+    name: 'drop_orphan_repair_flag',
+    // repairOrphanedJunctions was a one-time fix gated by this flag; the
+    // repair pass that replaced it runs after every sync.
+    up: async () => {
+      const meta = await storage.getSyncMeta();
+      if (!('orphanRepairDone' in meta)) return;
+      delete meta.orphanRepairDone;
+      await write(STORAGE_KEYS.SYNC_META, meta);
+    },
+  },
+  {
+    version: 3,
+    name: 'encrypt_personal_data',
+    // Rewrite everything holding children's personal data so the encrypted
+    // backend (encryptedStore.js) seals what was written before it existed.
+    up: async () => {
+      for (const key of [
+        STORAGE_KEYS.CHILDREN,
+        STORAGE_KEYS.CLASSES,
+        STORAGE_KEYS.ASSESSMENTS,
+        STORAGE_KEYS.SYNC_QUEUE,
+        STORAGE_KEYS.SYNC_META,
+      ]) {
+        const value = await read(key);
+        if (value !== null) await write(key, value);
+      }
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const getSchemaVersion = async () =>
+  await storage.getItem(STORAGE_KEYS.SCHEMA_VERSION) || 0;
+
+// Reads go straight to the backend: storage.getItem turns errors into null,
+// which a backup would record as "key absent"
+const read = async (key) =>
+  (key in COLLECTIONS ? storage.backend.getAll(key) : storage.backend.getValue(key));
+
+const backupData = async (fromVersion) => {
+  const keys = [];
+  for (const key of DATA_KEYS) {
+    const value = await read(key);
+    await storage.backend.removeKey(BACKUP_PREFIX + key);
+    if (value === null) continue;
+    await write(BACKUP_PREFIX + key, value);
+    keys.push(key);
+  }
+  await write(STORAGE_KEYS.SCHEMA_BACKUP, {
+    fromVersion,
+    keys,
+    createdAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Put every data key back the way it was before the last migration run.
+ * Keys that didn't exist then are removed. Returns false if there's no
+ * backup to restore.
+ */
+export const restoreStorageBackup = async () => {
+  const backup = await storage.getItem(STORAGE_KEYS.SCHEMA_BACKUP);
+  if (!backup) return false;
+
+  for (const key of DATA_KEYS) {
+    if (backup.keys.includes(key)) {
+      await write(key, await storage.backend.getValue(BACKUP_PREFIX + key));
+    } else {
+      await storage.backend.removeKey(key);
+    }
+  }
+  await write(STORAGE_KEYS.SCHEMA_VERSION, backup.fromVersion);
+  return true;
+};
+
+/**
+ * Bring local storage up to the latest schema version.
+ * Never throws — returns { fromVersion, version, applied, error? }.
+ */
+export const runStorageMigrations = async (migrations = MIGRATIONS) => {
+  const fromVersion = await getSchemaVersion();
+  const pending = migrations.filter(step => step.version > fromVersion);
+  const result = { fromVersion, version: fromVersion, applied: [] };
+  if (pending.length === 0) return result;
+
+  try {
+    await backupData(fromVersion);
+  } catch (error) {
+    // Without a backup there's no safe way back — don't migrate
+    console.error('✗ Storage backup failed, skipping migrations:', error);
+    return { ...result, error };
+  }
+
+  for (const step of pending) {
+    try {
+      console.log(`⏳ Migrating local storage to v${step.version} (${step.name})`);
+      await step.up();
+      await write(STORAGE_KEYS.SCHEMA_VERSION, step.version);
+      result.version = step.version;
+      result.applied.push(step.name);
+    } catch (error) {
+      console.error(`✗ Storage migration v${step.version} (${step.name}) failed, restoring backup:`, error);
+      try {
+        await restoreStorageBackup();
+      } catch (restoreError) {
+        console.error('✗ Restoring the storage backup failed:', restoreError);
+      }
+      return { ...result, version: fromVersion, applied: [], error };
+    }
+  }
+
+  console.log(`✓ Local storage at v${result.version}`);
+  return result;
+};
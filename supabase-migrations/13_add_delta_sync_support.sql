@@ -0,0 +1,151 @@
+-- Migration 13: Server support for incremental (delta) sync
+--
+-- Background: offlineSync.pullAll used to refetch every row the coach owns on
+-- every sync. The app now keeps a per-table `updated_at` high-water mark in
+-- @sync_meta (pullCursors) and asks only for rows changed since then. For that
+-- to be reliable every synced table needs:
+--
+--   1. An updated_at column that the SERVER stamps on insert AND update.
+--      Client-supplied timestamps can't be trusted as a cursor: a record
+--      captured offline on Monday and pushed on Wednesday would carry Monday's
+--      updated_at and be skipped by any device whose cursor is already past it.
+--   2. A tombstone when a row is deleted, so other devices learn about the
+--      delete (a deleted row can't show up in a "changed since" query).
+--
+-- Backwards-compatibility: additive only. Old app builds keep doing full
+-- pulls and ignore sync_tombstones. IF NOT EXISTS / OR REPLACE make this
+-- idempotent.
+
+-- ============================================================
+-- 1. updated_at on every synced table
+-- ============================================================
+ALTER TABLE time_entries    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE staff_children  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE children_groups ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION stamp_server_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'time_entries', 'sessions', 'classes', 'children', 'staff_children',
+    'groups', 'children_groups', 'assessments', 'letter_mastery'
+  ] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I_stamp_updated_at ON %I', t, t);
+    EXECUTE format(
+      'CREATE TRIGGER %I_stamp_updated_at BEFORE INSERT OR UPDATE ON %I
+         FOR EACH ROW EXECUTE FUNCTION stamp_server_updated_at()',
+      t, t
+    );
+    EXECUTE format('CREATE INDEX IF NOT EXISTS idx_%s_updated_at ON %I(updated_at)', t, t);
+  END LOOP;
+END $$;
+
+-- A newly assigned child must reach the coach's delta pull even though the
+-- child row itself didn't change — touch it when the assignment lands.
+CREATE OR REPLACE FUNCTION touch_child_on_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE children SET updated_at = NOW() WHERE id = NEW.child_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS staff_children_touch_child ON staff_children;
+CREATE TRIGGER staff_children_touch_child
+  AFTER INSERT ON staff_children
+  FOR EACH ROW
+  EXECUTE FUNCTION touch_child_on_assignment();
+
+-- ============================================================
+-- 2. Tombstones for deleted rows
+-- ============================================================
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  record_id UUID NOT NULL,
+  owner_id UUID,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE sync_tombstones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own tombstones" ON sync_tombstones
+  FOR SELECT USING (owner_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_owner_deleted
+  ON sync_tombstones(owner_id, deleted_at);
+
+-- Owner is whichever column the app's pull filters on for that table.
+-- children are pulled through staff_children, so a child's delete goes to
+-- every coach assigned to it. The trigger runs BEFORE DELETE, so those
+-- staff_children rows are still there — the cascade removes them after.
+-- Unassigning a child (its staff_children row deleted, the child kept) also
+-- tombstones the child for that coach: it has left their pull, so it has to
+-- leave their device too.
+-- children_groups has no owner column, so resolve it through its group
+-- (NULL if the group was deleted first in the same cascade — the group's own
+-- tombstone covers that case).
+CREATE OR REPLACE FUNCTION record_sync_tombstone()
+RETURNS TRIGGER AS $$
+DECLARE
+  owner UUID;
+BEGIN
+  IF TG_TABLE_NAME = 'children' THEN
+    INSERT INTO sync_tombstones (table_name, record_id, owner_id)
+    SELECT DISTINCT 'children', OLD.id, staff_id
+      FROM staff_children
+     WHERE child_id = OLD.id;
+    RETURN OLD;
+  END IF;
+
+  -- IF branches rather than CASE: plpgsql only resolves OLD.<column> on the
+  -- branch taken, and not every table has every owner column.
+  IF TG_TABLE_NAME IN ('classes', 'groups', 'staff_children') THEN
+    owner := OLD.staff_id;
+  ELSIF TG_TABLE_NAME = 'children_groups' THEN
+    SELECT staff_id INTO owner FROM groups WHERE id = OLD.group_id;
+  ELSE
+    owner := OLD.user_id;
+  END IF;
+
+  INSERT INTO sync_tombstones (table_name, record_id, owner_id)
+  VALUES (TG_TABLE_NAME, OLD.id, owner);
+
+  -- Unassigned, not deleted: when the child itself is being deleted this row
+  -- goes in the cascade, after the child is gone, and the child's own
+  -- tombstones already cover this coach
+  IF TG_TABLE_NAME = 'staff_children'
+     AND EXISTS (SELECT 1 FROM children WHERE id = OLD.child_id) THEN
+    INSERT INTO sync_tombstones (table_name, record_id, owner_id)
+    VALUES ('children', OLD.child_id, OLD.staff_id);
+  END IF;
+
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'time_entries', 'sessions', 'classes', 'children', 'staff_children',
+    'groups', 'children_groups', 'assessments', 'letter_mastery'
+  ] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I_record_tombstone ON %I', t, t);
+    EXECUTE format(
+      'CREATE TRIGGER %I_record_tombstone BEFORE DELETE ON %I
+         FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone()',
+      t, t
+    );
+  END LOOP;
+END $$;
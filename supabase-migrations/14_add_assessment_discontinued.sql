@@ -0,0 +1,16 @@
+-- Migration 14: EGRA discontinue (early-stop) flag on assessments
+--
+-- EGRA ends a subtest when the child gets every item in the first row wrong
+-- (see discontinueRule in egraConstants.js). Such an attempt stores 0 correct
+-- out of the row, but it isn't a 0% score on the subtest — the child wasn't
+-- given the rest of it. Dashboards and rankings read this flag to report
+-- these children separately instead of averaging them in.
+--
+-- NOT NULL with a default: existing rows and old app builds that don't send
+-- the column are ordinary (not discontinued) attempts.
+
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS discontinued BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN assessments.discontinued IS
+  'True when the EGRA discontinue rule stopped the subtest early (first row all wrong).';
@@ -0,0 +1,16 @@
+-- Migration 15: Fluency score on assessments
+--
+-- EGRA reports timed subtests as correct items per minute (CLPM for letters,
+-- CWPM for words), not accuracy: a child who finishes the grid in 40 seconds
+-- is more fluent than one who needs the full minute for the same score.
+-- completion_time already holds the seconds the child used; this stores the
+-- score computed from it (correct_responses * 60 / completion_time, rounded).
+--
+-- Nullable: rows from older app builds don't have it, and the app computes it
+-- from completion_time when it's missing.
+
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS correct_per_minute INTEGER NULL;
+
+COMMENT ON COLUMN assessments.correct_per_minute IS
+  'Correct items per minute (EGRA fluency): correct_responses scaled by the seconds used (completion_time).';
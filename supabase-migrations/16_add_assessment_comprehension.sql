@@ -0,0 +1,18 @@
+-- Migration 16: Comprehension results on assessments
+--
+-- The oral reading fluency subtest (assessment_type 'orf_egra') has the child
+-- read a short passage for a minute, then answer questions about it. The
+-- reading is scored in the existing columns (words attempted, correct, WCPM
+-- in correct_per_minute); this stores the questions' results:
+--   { "questions": [{ "id": "q1", "result": "correct" }, ...],
+--     "asked": 3, "correct": 2, "total": 5, "percent": 40 }
+-- result is 'correct', 'incorrect', 'no_response' or 'not_asked' (the child
+-- didn't read far enough for it). percent is of all the passage's questions.
+--
+-- Nullable: only passage assessments have it.
+
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS comprehension JSONB NULL;
+
+COMMENT ON COLUMN assessments.comprehension IS
+  'Oral reading passage comprehension: per-question results and percent correct of all questions. NULL for other subtests.';